@@ -0,0 +1,4623 @@
+/**
+ * Question generation, formatting and drawing. Nothing here touches the page or storage, so the same file
+ * runs in the browser (after messages.js, before script.js) and in Node, where `generate.js` requires it.
+ */
+
+/**
+ * Rules for footprint graphs:
+ * The time gaps between two footprints are always constant and are specified in the main part of the question
+ * or under each footprint (`timeLabels`).
+ * Every footprint appears above a tick mark on the position axis, which may extend to negative positions.
+ * The ticks are always evenly spaced, and at least some of them have labels.
+ * Motion may go in either direction and may reverse. Each leg (a run of footprints in one direction)
+ * is drawn in its own lane with its own arrow, so a reversal never stacks footprints on top of each other.
+ */
+
+/**
+ * Every random draw goes through a seedable generator so a question can be rebuilt
+ * from its builder id and seed (see `parseQuestionId`).
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSeed = () => Math.floor(Math.random() * 0x100000000);
+
+const randomInt = (rng, min, max) => Math.floor(rng() * (max - min + 1)) + min;
+
+const shuffle = (rng, array) => {
+  const copy = [...array];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Every string a student or teacher sees comes from the catalog in messages.js. Placeholders that
+ * `params` doesn't fill are left as `{name}`, so solution steps can still substitute their own values.
+ * A key missing from the active locale falls back to the default locale, then to the key itself.
+ */
+// The page defines the catalog as globals by loading messages.js first; Node requires it.
+const catalog = typeof module === "undefined" ? { DEFAULT_LOCALE, messages } : require("./messages.js");
+
+let locale = catalog.DEFAULT_LOCALE;
+
+const t = (key, params = {}) => {
+  const template = catalog.messages[locale].strings[key] ?? catalog.messages[catalog.DEFAULT_LOCALE].strings[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+const resolveLocale = (...candidates) =>
+  candidates.find((candidate) => candidate && Object.hasOwn(catalog.messages, candidate)) ?? catalog.DEFAULT_LOCALE;
+
+const setLocale = (code) => {
+  locale = resolveLocale(code);
+};
+
+const axisSegments = 4;
+
+const buildTicks = (minValue, maxValue, segments = axisSegments) => {
+  const span = maxValue - minValue;
+  if (span === 0) {
+    return [minValue];
+  }
+  return Array.from({ length: segments + 1 }, (_, index) => minValue + (span * index) / segments);
+};
+
+// Multiples of the 1, 2 or 5 × 10ⁿ step closest to splitting [minValue, maxValue] into `segments` intervals.
+const niceTicks = (minValue, maxValue, segments = axisSegments) => {
+  if (maxValue === minValue) return [minValue];
+  const raw = (maxValue - minValue) / segments;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10]
+    .map((factor) => factor * magnitude)
+    .reduce((best, candidate) => (Math.abs(Math.log(candidate / raw)) < Math.abs(Math.log(best / raw)) ? candidate : best));
+  const first = Math.ceil(minValue / step - 1e-9);
+  const last = Math.floor(maxValue / step + 1e-9);
+  return Array.from({ length: last - first + 1 }, (_, index) => Number(((first + index) * step).toPrecision(12)));
+};
+
+const motionPosition = (motion, t) => motion.x0 + motion.v0 * t + 0.5 * motion.a * t * t;
+
+// Samples x(t) = x0 + v0·t + ½·a·t² so uniformly accelerated motion draws as a curve rather than a chord.
+const sampleMotion = (motion, fromTime, toTime, samples = 32) =>
+  Array.from({ length: samples + 1 }, (_, index) => {
+    const t = fromTime + ((toTime - fromTime) * index) / samples;
+    return { t, x: motionPosition(motion, t) };
+  });
+
+const formatNumber = (value) => {
+  if (Number.isInteger(value)) {
+    return value.toString();
+  }
+  const absVal = Math.abs(value);
+  let decimals = 2;
+  if (absVal >= 10) {
+    decimals = 1;
+  } else if (absVal < 1) {
+    decimals = 3;
+  }
+  const fixed = value.toFixed(decimals);
+  return fixed.replace(/\.?0+$/, "");
+};
+const formatTick = (value) => formatNumber(value);
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+
+const resolveUnit = (option, question) => option.displayUnit || question.answerUnit || { multiplier: 1, label: option.unit };
+
+const formatOption = (option, question) => {
+  if (option.representation) {
+    return `<div class="option-thumbnail">${renderRepresentation(option.representation, [], chartSizes.thumbnail)}</div>`;
+  }
+  if (option.text) {
+    if (option.latex) {
+      return `\\(${option.latex}\\)`;
+    }
+    return option.text;
+  }
+  const unitInfo = resolveUnit(option, question);
+  const displayValue = option.value * (unitInfo.multiplier ?? 1);
+  const text = formatNumber(displayValue);
+  return `${text} ${unitInfo.label}`;
+};
+
+const randomTimes = (rng, count, stepOptions = [1, 1, 2]) => {
+  const times = [0];
+  for (let i = 1; i < count; i += 1) {
+    const step = stepOptions[randomInt(rng, 0, stepOptions.length - 1)];
+    times.push(times[i - 1] + step);
+  }
+  return times;
+};
+
+const ensureMetadata = (question, defaultType = "speed") => {
+  question.answerType = question.answerType || defaultType;
+  question.baseUnit = question.baseUnit || question.correctAnswer?.unit;
+  question.correctValue = question.correctValue ?? question.correctAnswer?.value;
+  question.solution = question.solution || [];
+  question.hints = question.hints || [];
+  question.answerUnit = question.answerUnit || { multiplier: 1, label: question.baseUnit };
+};
+
+const scaleRepresentation = (representation, factor, label) => {
+  if (!representation) return;
+  switch (representation.type) {
+    case "table":
+      representation.rows = representation.rows.map((row) => [row[0], (Number(row[1]) * factor).toString()]);
+      representation.headers = ["t (s)", label];
+      break;
+    case "xt-graph":
+      representation.points = representation.points.map((point) => ({ t: point.t, x: point.x * factor }));
+      if (representation.maxDistance !== undefined) {
+        representation.maxDistance *= factor;
+      } else {
+        representation.maxDistance = Math.max(...representation.points.map((p) => p.x));
+      }
+      if (representation.minDistance !== undefined) {
+        representation.minDistance *= factor;
+      } else {
+        representation.minDistance = Math.min(...representation.points.map((p) => p.x));
+      }
+      representation.yLabel = label;
+      if (Array.isArray(representation.yTicks)) {
+        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
+      }
+      if (representation.motion) {
+        const { x0, v0, a } = representation.motion;
+        representation.motion = { x0: x0 * factor, v0: v0 * factor, a: a * factor };
+      }
+      break;
+    case "vt-graph":
+      representation.points = representation.points.map((point) => ({ t: point.t, v: point.v * factor }));
+      if (representation.maxVelocity !== undefined) {
+        representation.maxVelocity *= factor;
+      } else {
+        representation.maxVelocity = Math.max(...representation.points.map((p) => p.v));
+      }
+      if (representation.minVelocity !== undefined) {
+        representation.minVelocity *= factor;
+      } else {
+        representation.minVelocity = Math.min(...representation.points.map((p) => p.v));
+      }
+      representation.yLabel = label;
+      if (Array.isArray(representation.yTicks)) {
+        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "footprint":
+      representation.steps = representation.steps.map((step) => ({ ...step, position: step.position * factor }));
+      representation.axisLabel = label;
+      representation.tickPositions = (representation.tickPositions ?? representation.steps.map((step) => step.position)).map(
+        (tick) => tick * factor
+      );
+      break;
+    case "dual-xt":
+      representation.objects = representation.objects.map((object) => ({
+        ...object,
+        points: object.points.map((point) => ({ t: point.t, x: point.x * factor })),
+      }));
+      representation.maxDistance *= factor;
+      representation.yLabel = label;
+      if (representation.minDistance !== undefined) {
+        representation.minDistance *= factor;
+      }
+      if (Array.isArray(representation.yTicks)) {
+        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "dual-vt":
+      representation.objects = representation.objects.map((object) => ({
+        ...object,
+        points: object.points.map((point) => ({ t: point.t, v: point.v * factor })),
+      }));
+      representation.maxVelocity *= factor;
+      representation.yLabel = label;
+      if (representation.minVelocity !== undefined) {
+        representation.minVelocity *= factor;
+      }
+      if (Array.isArray(representation.yTicks)) {
+        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "xt-equation":
+      representation.velocity *= factor;
+      representation.intercept *= factor;
+      if (representation.acceleration) representation.acceleration *= factor;
+      representation.distanceLabel = label.replace(/.*\(([^)]+)\).*/, "$1").trim() || label;
+      break;
+    default:
+      break;
+  }
+};
+
+const scaleRepresentationTime = (representation, factor, label) => {
+  if (!representation) return;
+  switch (representation.type) {
+    case "table":
+      representation.rows = representation.rows.map((row) => [(Number(row[0]) * factor).toString(), row[1]]);
+      representation.headers = [label, representation.headers[1]];
+      break;
+    case "xt-graph":
+      representation.points = representation.points.map((point) => ({ t: point.t * factor, x: point.x }));
+      representation.maxTime *= factor;
+      representation.xLabel = label;
+      if (Array.isArray(representation.xTicks)) {
+        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
+      }
+      if (representation.motion) {
+        const { x0, v0, a } = representation.motion;
+        representation.motion = { x0, v0: v0 / factor, a: a / factor ** 2 };
+      }
+      break;
+    case "vt-graph":
+      representation.points = representation.points.map((point) => ({ t: point.t * factor, v: point.v }));
+      representation.maxTime *= factor;
+      representation.xLabel = label;
+      if (Array.isArray(representation.xTicks)) {
+        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "dual-xt":
+      representation.objects = representation.objects.map((object) => ({
+        ...object,
+        points: object.points.map((point) => ({ t: point.t * factor, x: point.x })),
+      }));
+      representation.maxTime *= factor;
+      representation.xLabel = label;
+      if (Array.isArray(representation.xTicks)) {
+        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "dual-vt":
+      representation.objects = representation.objects.map((object) => ({
+        ...object,
+        points: object.points.map((point) => ({ t: point.t * factor, v: point.v })),
+      }));
+      representation.maxTime *= factor;
+      representation.xLabel = label;
+      if (Array.isArray(representation.xTicks)) {
+        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
+      }
+      break;
+    case "footprint":
+      representation.steps = representation.steps.map((step) => ({ ...step, time: step.time * factor }));
+      representation.timeLabel = axisUnit(label) || label;
+      break;
+    case "xt-equation":
+      representation.velocity /= factor || 1;
+      if (representation.acceleration) representation.acceleration /= (factor || 1) ** 2;
+      representation.timeLabel = label.replace(/.*\(([^)]+)\).*/, "$1").trim() || label;
+      break;
+    default:
+      break;
+  }
+};
+
+const alternateUnits = {
+  speed: [
+    { multiplier: 3.6, label: "km/h" },
+    { multiplier: 100, label: "cm/s" },
+    { multiplier: 60, label: "m/min" },
+  ],
+  distance: [
+    { multiplier: 100, label: "cm" },
+  ],
+  time: [
+    { multiplier: 1 / 60, label: "min" },
+  ],
+  acceleration: [
+    { multiplier: 100, label: "cm/s²" },
+  ],
+};
+
+const randomChoice = (rng, items) => items[randomInt(rng, 0, items.length - 1)];
+
+const createOption = (value, unit, overrides = {}) => ({
+  value,
+  unit,
+  isCorrect: false,
+  ...overrides,
+});
+
+/**
+ * Every wrong option carries a misconception tag. Reports aggregate on the tag and show its catalog
+ * label; the option's own `feedback` explains the mistake in terms of the numbers in the question.
+ */
+const misconceptions = [
+  "arithmetic-slip",
+  "wrong-factor",
+  "rounding",
+  "unit-label",
+  "unit-not-converted",
+  "unit-conversion-inverted",
+  "position-for-rate",
+  "forgot-intercept",
+  "position-as-intercept",
+  "misread-intercept",
+  "misread-slope",
+  "slope-sign",
+  "ignored-time-step",
+  "counted-footprints",
+  "averaged-speeds",
+  "single-segment",
+  "displacement-for-distance",
+  "distance-for-displacement",
+  "ignored-reversal",
+  "displacement-sign",
+  "read-axis-value",
+  "misread-graph-value",
+  "area-as-triangle",
+  "area-for-value",
+  "slope-for-value",
+  "change-for-rate",
+  "velocity-for-acceleration",
+  "forgot-half",
+  "compared-wrong-quantity",
+  "meeting-condition",
+  "graph-has-information",
+  "copied-graph-shape",
+  "segment-timing",
+];
+
+const misconceptionLabel = (id) => (misconceptions.includes(id) ? t(`misconceptions.${id}`) : id);
+
+const createDistractor = (value, misconception, feedback) => ({ value, misconception, feedback });
+
+const optionKey = (option) => {
+  const unitLabel = option.displayUnit?.label || option.unit;
+  return `${option.text || ""}|${unitLabel}|${option.value}`;
+};
+
+// `acceleration` adds a ½·a·t² term; `omitHalf` writes it as a·t² (the classic slip, used by distractors).
+const formatEquation = ({ velocity, intercept, acceleration = 0, omitHalf = false, distanceLabel = "m", timeLabel = "s" }) => {
+  const vText = formatNumber(velocity);
+  const x0Text = formatNumber(Math.abs(intercept));
+  const sign = intercept >= 0 ? "+" : "-";
+  const velocityUnit = `${distanceLabel}/${timeLabel}`;
+  const linear = `x(t) = ${vText} ${velocityUnit} · t ${sign} ${x0Text} ${distanceLabel}`;
+  if (!acceleration) return linear;
+  const aSign = acceleration >= 0 ? "+" : "-";
+  const half = omitHalf ? "" : "½·";
+  return `${linear} ${aSign} ${half}${formatNumber(Math.abs(acceleration))} ${distanceLabel}/${timeLabel}² · t²`;
+};
+
+const formatEquationLatex = ({ velocity, intercept, acceleration = 0, omitHalf = false, distanceLabel = "m", timeLabel = "s" }) => {
+  const vText = formatNumber(velocity);
+  const absX0 = formatNumber(Math.abs(intercept));
+  const sign = intercept >= 0 ? "+" : "-";
+  const velocityTerm = `${vText}\\,\\frac{${distanceLabel}}{${timeLabel}}`;
+  const interceptTerm = `${absX0}\\,${distanceLabel}`;
+  const linear = `x(t)=${velocityTerm}\\,t\\,${sign}\\,${interceptTerm}`;
+  if (!acceleration) return linear;
+  const aSign = acceleration >= 0 ? "+" : "-";
+  const half = omitHalf ? "" : "\\frac{1}{2}\\cdot ";
+  const accelerationTerm = `${half}${formatNumber(Math.abs(acceleration))}\\,\\frac{${distanceLabel}}{${timeLabel}^2}\\,t^2`;
+  return `${linear}\\,${aSign}\\,${accelerationTerm}`;
+};
+
+const latexSymbols = { Delta: "Δ", cdot: "·", times: "×", ",": "\u2009", ";": "\u2005" };
+
+/**
+ * Offline fallback for MathJax. Covers what the builders emit: \frac/\tfrac, \bar, \text,
+ * sub/superscripts and the symbols in `latexSymbols`.
+ */
+const latexToHtml = (latex) => {
+  let index = 0;
+  const parseUntil = (end) => {
+    let html = "";
+    while (index < latex.length && latex[index] !== end) html += parseToken();
+    index += 1;
+    return html;
+  };
+  const readGroup = () => {
+    while (latex[index] === " ") index += 1;
+    if (latex[index] !== "{") return parseToken();
+    index += 1;
+    return parseUntil("}");
+  };
+  const parseToken = () => {
+    const char = latex[index];
+    if (char === "\\") {
+      const [command, name] = /^\\([a-zA-Z]+|.)/.exec(latex.slice(index));
+      index += command.length;
+      if (name === "frac" || name === "tfrac") {
+        const numerator = readGroup();
+        const denominator = readGroup();
+        return `<span class="math-frac"><span>${numerator}</span><span>${denominator}</span></span>`;
+      }
+      if (name === "bar") return `<span class="math-bar">${readGroup()}</span>`;
+      if (name === "text") return `<span class="math-text">${readGroup()}</span>`;
+      return latexSymbols[name] ?? escapeHtml(name);
+    }
+    if (char === "^" || char === "_") {
+      index += 1;
+      const tag = char === "^" ? "sup" : "sub";
+      return `<${tag}>${readGroup()}</${tag}>`;
+    }
+    if (char === "{") {
+      index += 1;
+      return parseUntil("}");
+    }
+    index += 1;
+    if (char === " ") return "";
+    if (char === "=" || char === "+" || char === "-") return `\u2005${char === "-" ? "−" : char}\u2005`;
+    return /[a-zA-Z]/.test(char) ? `<i>${char}</i>` : escapeHtml(char);
+  };
+  return `<span class="math-fallback" dir="ltr">${parseUntil()}</span>`;
+};
+
+const createEquationOption = ({
+  velocity,
+  intercept,
+  acceleration = 0,
+  omitHalf = false,
+  distanceLabel = "m",
+  timeLabel = "s",
+  isCorrect = false,
+  misconception,
+  feedback,
+}) => {
+  const base = { velocity, intercept, acceleration, omitHalf, distanceLabel, timeLabel };
+  const text = formatEquation(base);
+  const latex = formatEquationLatex(base);
+  return { value: text, unit: "equation", text, latex, equation: base, isCorrect, misconception, feedback };
+};
+
+const buildEquationRepresentation = (velocity, intercept, distanceLabel = "m", timeLabel = "s") => ({
+  type: "xt-equation",
+  velocity,
+  intercept,
+  distanceLabel,
+  timeLabel,
+});
+
+// Piecewise-constant-velocity motion, { x0, segments: [{ duration, velocity }] }, from which every representation
+// of the same motion can be derived; conversion questions perturb it to build their wrong options.
+const motionPoints = ({ x0, segments }) =>
+  segments.reduce(
+    (points, segment) => {
+      const last = points[points.length - 1];
+      return [...points, { t: last.t + segment.duration, x: last.x + segment.velocity * segment.duration }];
+    },
+    [{ t: 0, x: x0 }]
+  );
+
+const xtGraphFromMotion = (motion) => {
+  const points = motionPoints(motion);
+  const positions = points.map((point) => point.x);
+  return {
+    type: "xt-graph",
+    points,
+    minDistance: Math.min(0, ...positions),
+    maxDistance: Math.max(0, ...positions),
+    maxTime: points[points.length - 1].t,
+    xTicks: points.map((point) => point.t),
+    yTicks: [...new Set(positions)],
+  };
+};
+
+const vtGraphFromMotion = (motion) => {
+  let time = 0;
+  const points = motion.segments.flatMap((segment) => {
+    const start = time;
+    time += segment.duration;
+    return [
+      { t: start, v: segment.velocity },
+      { t: time, v: segment.velocity },
+    ];
+  });
+  const velocities = motion.segments.map((segment) => segment.velocity);
+  return {
+    type: "vt-graph",
+    points,
+    minVelocity: Math.min(0, ...velocities),
+    maxVelocity: Math.max(0, ...velocities) + 1,
+    maxTime: time,
+    xTicks: [...new Set(points.map((point) => point.t))],
+    yTicks: [...new Set([0, ...velocities])],
+  };
+};
+
+const tableFromMotion = (motion, times) => {
+  const points = motionPoints(motion);
+  return {
+    type: "table",
+    headers: ["t (s)", "x (m)"],
+    rows: times.map((time) => [time.toString(), interpolateAt(points, "x", time).toString()]),
+  };
+};
+
+const mirrorMotion = (motion) => ({
+  x0: motion.x0,
+  segments: motion.segments.map((segment) => ({ ...segment, velocity: -segment.velocity })),
+});
+
+const scaleSegmentVelocity = (motion, index, factor) => ({
+  x0: motion.x0,
+  segments: motion.segments.map((segment, idx) => (idx === index ? { ...segment, velocity: segment.velocity * factor } : segment)),
+});
+
+// Moves the breakpoint between the first two segments and keeps the total duration.
+const shiftSwitchTime = (motion, delta) => ({
+  x0: motion.x0,
+  segments: motion.segments.map((segment, idx) => {
+    if (idx === 0) return { ...segment, duration: segment.duration + delta };
+    if (idx === 1) return { ...segment, duration: segment.duration - delta };
+    return segment;
+  }),
+});
+
+// Thumbnails are compared side by side, so graph options share one set of axes.
+const shareGraphAxes = (representations) => {
+  const graphs = representations.filter((representation) => ["xt-graph", "vt-graph"].includes(representation.type));
+  const maxTime = Math.max(...graphs.map((graph) => graph.maxTime));
+  graphs.forEach((graph) => {
+    const peers = graphs.filter((other) => other.type === graph.type);
+    graph.maxTime = maxTime;
+    if (graph.type === "xt-graph") {
+      graph.minDistance = Math.min(...peers.map((other) => other.minDistance));
+      graph.maxDistance = Math.max(...peers.map((other) => other.maxDistance));
+    } else {
+      graph.minVelocity = Math.min(...peers.map((other) => other.minVelocity));
+      graph.maxVelocity = Math.max(...peers.map((other) => other.maxVelocity));
+    }
+  });
+};
+
+const createRepresentationOption = (representation, { isCorrect = false, misconception, feedback } = {}) => ({
+  value: JSON.stringify(representation.points ?? representation.rows ?? representation.steps),
+  unit: "representation",
+  representation,
+  isCorrect,
+  misconception,
+  feedback,
+});
+
+const OPTION_COUNT = 4;
+
+// Candidates may coincide (a mirrored line can equal a rescaled one); the first distinct ones fill the grid.
+const pickRepresentationOptions = (rng, correctOption, candidates) => {
+  const chosen = [correctOption];
+  candidates.filter(Boolean).forEach((candidate) => {
+    if (chosen.length < OPTION_COUNT && !chosen.some((option) => option.value === candidate.value)) {
+      chosen.push(candidate);
+    }
+  });
+  shareGraphAxes(chosen.map((option) => option.representation));
+  return shuffle(rng, chosen);
+};
+
+const isUsableDistractor = (question, candidate, taken) => {
+  if (!candidate || !Number.isFinite(candidate.value)) return false;
+  const baseCorrect = question.correctValue;
+  if (!candidate.isCorrect && Math.abs(candidate.value - baseCorrect) < 1e-9) return false;
+  if (["distance", "time"].includes(question.answerType) && baseCorrect >= 0 && candidate.value < 0) return false;
+  const label = formatOption(candidate, question);
+  return !taken.some((option) => optionKey(option) === optionKey(candidate) || formatOption(option, question) === label);
+};
+
+const conversionStep = (multiplier) =>
+  multiplier >= 1
+    ? t("conversion.multiply", { multiplier: formatNumber(multiplier) })
+    : t("conversion.divide", { divisor: formatNumber(1 / multiplier) });
+
+const generateNumericDistractors = (rng, correctOption, question, existingOptions = []) => {
+  const distractors = [];
+  const ensureUnique = (candidate) => {
+    if (isUsableDistractor(question, candidate, [...existingOptions, ...distractors])) {
+      distractors.push(candidate);
+    }
+  };
+
+  const magnitude = Math.max(1, Math.abs(correctOption.value));
+  const fractionalNudge = () => {
+    const delta = (rng() * 0.6 + 0.2) * (rng() < 0.5 ? -1 : 1);
+    const shift = Number((delta).toFixed(2));
+    return createOption(correctOption.value + shift, question.baseUnit, {
+      misconception: "rounding",
+      feedback: t("generateNumericDistractors.feedback1"),
+    });
+  };
+  const additive = () => {
+    const span = Math.max(3, Math.round(magnitude * 0.25));
+    const delta = randomInt(rng, 1, span) * (rng() < 0.5 ? -1 : 1);
+    return createOption(correctOption.value + delta, question.baseUnit, {
+      misconception: "arithmetic-slip",
+      feedback: t("generateNumericDistractors.feedback2"),
+    });
+  };
+  const multiplicative = () => {
+    const factors = [0.5, 0.75, 1.25, 1.5, 2];
+    return createOption(Number((correctOption.value * randomChoice(rng, factors)).toFixed(2)), question.baseUnit, {
+      misconception: "wrong-factor",
+      feedback: t("generateNumericDistractors.feedback3"),
+    });
+  };
+  // Unit slips keep the magnitude of the right answer but attach it to the wrong conversion.
+  const differentUnit = () => {
+    const answerUnit = question.answerUnit;
+    if (answerUnit && answerUnit.multiplier !== 1) {
+      const { multiplier, label } = answerUnit;
+      if (rng() < 0.5) {
+        return createOption(correctOption.value / multiplier, question.baseUnit, {
+          misconception: "unit-not-converted",
+          feedback: t("generateNumericDistractors.feedback4", {
+            value: formatNumber(correctOption.value),
+            baseUnit: question.baseUnit,
+            label,
+            step: conversionStep(multiplier),
+          }),
+        });
+      }
+      return createOption(correctOption.value / multiplier ** 2, question.baseUnit, {
+        misconception: "unit-conversion-inverted",
+        feedback: t("generateNumericDistractors.feedback5", { baseUnit: question.baseUnit, label, step: conversionStep(multiplier) }),
+      });
+    }
+    const pool = alternateUnits[question.answerType] || [];
+    const filtered = pool.filter((unit) => unit.label !== question.answerUnit?.label);
+    if (!filtered.length) return null;
+    const altUnit = randomChoice(rng, filtered);
+    return createOption(correctOption.value / altUnit.multiplier, question.baseUnit, {
+      displayUnit: altUnit,
+      misconception: "unit-label",
+      feedback: t("generateNumericDistractors.feedback6", {
+        value: formatNumber(correctOption.value),
+        baseUnit: question.baseUnit,
+        label: altUnit.label,
+        converted: formatNumber(correctOption.value * altUnit.multiplier),
+      }),
+    });
+  };
+
+  const strategies = [additive, multiplicative, fractionalNudge, differentUnit];
+  let guard = 0;
+  while (distractors.length + existingOptions.length < OPTION_COUNT && guard < 60) {
+    const candidate = randomChoice(rng, strategies)();
+    ensureUnique(candidate);
+    guard += 1;
+  }
+  return distractors;
+};
+
+const randomFootprintGaps = (rng, count, gapChoices = [1, 1, 2]) =>
+  Array.from({ length: count - 1 }, () => gapChoices[randomInt(rng, 0, gapChoices.length - 1)]);
+
+const formatGaps = (gaps) => gaps.map((gap) => t("units.secondsShort", { gap })).join(", ");
+
+const buildEvenTicks = (maxValue, step, minValue = 0) => {
+  const ticks = [];
+  for (let value = minValue; value <= maxValue; value += step) {
+    ticks.push(value);
+  }
+  if (ticks[ticks.length - 1] !== maxValue) {
+    ticks.push(maxValue);
+  }
+  return ticks;
+};
+
+const isVelocityGraph = (representation) => ["vt-graph", "dual-vt"].includes(representation?.type);
+
+// Each behavior records in `stepUnits` which base units the representation now shows differently, and the
+// velocities and accelerations derived from them, so the solution steps quote the same numbers the student sees.
+const unitBehaviors = [
+  {
+    appliesTo: "speed",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 3.6, label: "km/h" };
+      if (isVelocityGraph(question.representation)) {
+        scaleRepresentation(question.representation, 3.6, "v (km/h)");
+        question.stepUnits = { "m/s": question.answerUnit };
+      }
+    },
+  },
+  {
+    appliesTo: "distance",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 0.001, label: "km" };
+      // A v-t graph has no distance axis to rescale.
+      if (question.representation && !isVelocityGraph(question.representation)) {
+        scaleRepresentation(question.representation, 0.001, "x (km)");
+        question.stepUnits = { m: question.answerUnit, "m/s": { multiplier: 0.001, label: "km/s" } };
+      }
+    },
+  },
+  {
+    appliesTo: "speed",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 100, label: "cm/s" };
+      if (isVelocityGraph(question.representation)) {
+        scaleRepresentation(question.representation, 100, "v (cm/s)");
+        question.stepUnits = { m: { multiplier: 100, label: "cm" }, "m/s": question.answerUnit };
+      }
+    },
+  },
+  {
+    appliesTo: "speed",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 60, label: "m/min" };
+      if (question.representation) {
+        scaleRepresentationTime(question.representation, 1 / 60, "t (min)");
+        if (isVelocityGraph(question.representation)) {
+          scaleRepresentation(question.representation, 60, "v (m/min)");
+        }
+        question.stepUnits = { s: { multiplier: 1 / 60, label: "min" }, "m/s": question.answerUnit };
+      }
+    },
+  },
+  {
+    appliesTo: "distance",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 100, label: "cm" };
+      if (question.representation && !isVelocityGraph(question.representation)) {
+        scaleRepresentation(question.representation, 100, "x (cm)");
+        question.stepUnits = { m: question.answerUnit, "m/s": { multiplier: 100, label: "cm/s" } };
+      }
+    },
+  },
+  {
+    appliesTo: "time",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 1 / 60, label: "min" };
+      if (question.representation) {
+        scaleRepresentationTime(question.representation, 1 / 60, "t (min)");
+        question.stepUnits = { s: question.answerUnit };
+      }
+    },
+  },
+  {
+    appliesTo: "acceleration",
+    apply: (question) => {
+      question.answerUnit = { multiplier: 100, label: "cm/s²" };
+      if (!question.representation) return;
+      if (isVelocityGraph(question.representation)) {
+        scaleRepresentation(question.representation, 100, "v (cm/s)");
+      } else {
+        scaleRepresentation(question.representation, 100, "x (cm)");
+      }
+      question.stepUnits = {
+        m: { multiplier: 100, label: "cm" },
+        "m/s": { multiplier: 100, label: "cm/s" },
+        "m/s²": question.answerUnit,
+      };
+    },
+  },
+];
+
+const buildOptionsForQuestion = (rng, question) => {
+  if (question.sketch) {
+    question.options = [];
+    return;
+  }
+  if (Array.isArray(question.fixedOptions) && question.fixedOptions.length > 0) {
+    question.options = shuffle(rng, question.fixedOptions);
+    return;
+  }
+  const baseUnit = question.baseUnit || question.correctAnswer?.unit;
+  const correctOption = createOption(question.correctAnswer.value, baseUnit, {
+    isCorrect: true,
+    text: question.correctAnswer.text,
+  });
+  // Builders may offer more physics-based distractors than fit; a seeded shuffle picks which ones show.
+  const providedDistractors = [];
+  shuffle(rng, (question.distractors || []).filter(Boolean)).forEach((entry) => {
+    const candidate = typeof entry === "number"
+      ? createOption(entry, baseUnit)
+      : createOption(entry.value, entry.unit || baseUnit, {
+          text: entry.text,
+          displayUnit: entry.displayUnit,
+          misconception: entry.misconception,
+          feedback: entry.feedback,
+        });
+    if (
+      providedDistractors.length < OPTION_COUNT - 1 &&
+      isUsableDistractor(question, candidate, [correctOption, ...providedDistractors])
+    ) {
+      providedDistractors.push(candidate);
+    }
+  });
+
+  const generated = generateNumericDistractors(rng, correctOption, question, [correctOption, ...providedDistractors]);
+  question.options = shuffle(rng, [correctOption, ...providedDistractors, ...generated]);
+};
+
+const formatStepValue = (units, [value, unit]) => {
+  const display = units?.[unit];
+  return display ? `${formatNumber(value * display.multiplier)} ${display.label}` : `${formatNumber(value)} ${unit}`;
+};
+
+const fillStepValues = (units, step) => ({
+  ...step,
+  text: step.text.replace(/\{(\w+)\}/g, (match, name) => (step.values?.[name] ? formatStepValue(units, step.values[name]) : match)),
+});
+
+// Derived step units as [unit, numerator, denominator, power of the denominator].
+const DERIVED_UNITS = [
+  ["m/s", "m", "s", 1],
+  ["m/s²", "m/s", "s", 1],
+  ["m/s²", "m", "s", 2],
+];
+
+const isShownExactly = (value) => Math.abs(Number(formatNumber(value)) - value) < 1e-9;
+
+// Converted values may only be quoted when the arithmetic in every step still holds as printed: the units a step
+// mixes convert consistently, and no number the builder gave exactly comes out rounded (1 s is 0.017 min, and
+// 4 m / 0.017 min is not 240 m/min).
+const stepUnitsFit = (units, steps) =>
+  steps.every(({ values = {} }) => {
+    const entries = Object.values(values);
+    const present = new Set(entries.map(([, unit]) => unit));
+    const multiplier = (unit) => units[unit]?.multiplier ?? 1;
+    const consistent = DERIVED_UNITS.every(
+      ([derived, numerator, denominator, power]) =>
+        ![derived, numerator, denominator].every((unit) => present.has(unit)) ||
+        isClose(multiplier(derived), multiplier(numerator) / multiplier(denominator) ** power, 1e-9)
+    );
+    return consistent && entries.every(([value, unit]) => !units[unit] || !isShownExactly(value) || isShownExactly(value * multiplier(unit)));
+  });
+
+// Solution steps and hints name their quantities ({name} in the text, [value, baseUnit] in `values`), so every
+// step can follow the units the representation was rescaled to; a final step converts the answer if it still differs.
+// When the rescaled units would break a step's arithmetic, all steps stay in base units and say so first.
+// A hint that only highlights part of the representation gets the shared wording.
+const updateExplanationUnits = (question) => {
+  const hints = question.hints.map((hint) => ({ ...hint, text: hint.text || t("hints.highlight") }));
+  const fits = !question.stepUnits || stepUnitsFit(question.stepUnits, [...question.solution, ...hints]);
+  const units = fits ? question.stepUnits : null;
+  const steps = question.solution.map((step) => fillStepValues(units, step));
+  question.hints = hints.map((hint) => fillStepValues(units, hint));
+  if (!fits && steps.length) {
+    const entries = Object.entries(question.stepUnits);
+    steps.unshift({
+      text: t("updateExplanationUnits.baseUnits", {
+        units: entries.map(([unit]) => unit).join(", "),
+        shown: entries.map(([, display]) => display.label).join(", "),
+      }),
+    });
+  }
+  const baseUnit = question.baseUnit ?? question.correctAnswer?.unit;
+  const baseValue = question.correctValue ?? question.correctAnswer?.value;
+  const shownLabel = units?.[baseUnit]?.label ?? baseUnit;
+  const isNumericAnswer = typeof baseValue === "number" && !question.correctAnswer?.text;
+  if (question.answerUnit && baseUnit && isNumericAnswer && question.answerUnit.label !== shownLabel) {
+    const displayValue = formatNumber(baseValue * question.answerUnit.multiplier);
+    steps.push({
+      text: t("updateExplanationUnits.step1", {
+        baseValue: formatStepValue(units, [baseValue, baseUnit]),
+        displayValue,
+        unit: question.answerUnit.label,
+      }),
+    });
+  }
+  question.solutionSteps = steps;
+};
+
+// The draw spans lcm(2..7) so each modulus below fires as often as it did when this was a running question counter.
+const unitStrategy = (rng, question) => {
+  const sequenceNumber = randomInt(rng, 1, 420);
+  const seqMap = [
+    { mod: 7, behavior: unitBehaviors[0], type: "speed" },
+    { mod: 6, behavior: unitBehaviors[1], type: "distance" },
+    { mod: 5, behavior: unitBehaviors[2], type: "speed" },
+    { mod: 4, behavior: unitBehaviors[3], type: "speed" },
+    { mod: 3, behavior: unitBehaviors[4], type: "distance" },
+    { mod: 2, behavior: unitBehaviors[5], type: "time" },
+    { mod: 3, behavior: unitBehaviors[6], type: "acceleration" },
+  ];
+  for (const entry of seqMap) {
+    if (sequenceNumber % entry.mod === 0 && question.answerType === entry.type) {
+      entry.behavior.apply(question);
+      break;
+    }
+  }
+};
+
+const FREE_RESPONSE_TOLERANCE = 0.01;
+const ROUNDING_TOLERANCE = 0.05;
+
+const responseUnits = {
+  speed: [{ multiplier: 1, label: "m/s" }, ...alternateUnits.speed],
+  distance: [{ multiplier: 1, label: "m" }, { multiplier: 0.001, label: "km" }, ...alternateUnits.distance],
+  time: [{ multiplier: 1, label: "s" }, ...alternateUnits.time],
+  acceleration: [{ multiplier: 1, label: "m/s²" }, ...alternateUnits.acceleration],
+};
+
+const unitAliases = {
+  mps: "m/s",
+  "m/s^2": "m/s²",
+  "m/s2": "m/s²",
+  "cm/s^2": "cm/s²",
+  "cm/s2": "cm/s²",
+  kmh: "km/h",
+  kph: "km/h",
+  "km/hr": "km/h",
+  sec: "s",
+  secs: "s",
+  seconds: "s",
+  mins: "min",
+  minutes: "min",
+  meters: "m",
+  metres: "m",
+  "מ׳": "m",
+  "מ'": "m",
+  מטר: "m",
+  מטרים: "m",
+  "שנ׳": "s",
+  "שנ'": "s",
+  שניות: "s",
+  דקות: "min",
+  "م": "m",
+  متر: "m",
+  أمتار: "m",
+  "ث": "s",
+  ثانية: "s",
+  ثوان: "s",
+  ثواني: "s",
+  دقيقة: "min",
+  دقائق: "min",
+};
+
+const supportsFreeResponse = (question) =>
+  !question.fixedOptions?.length && Boolean(responseUnits[question.answerType]);
+
+// The question's own display unit wins, so a scaled representation and the typed unit always agree.
+const unitTableFor = (question) => {
+  const table = [question.answerUnit, ...(responseUnits[question.answerType] || [])].filter(Boolean);
+  return table.filter((unit, index) => table.findIndex((other) => other.label === unit.label) === index);
+};
+
+// Arabic-locale keyboards type Arabic-Indic digits and "٫" as the decimal separator.
+const normalizeDigits = (text) =>
+  text.replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x660)).replace(/٫/g, ".");
+
+const parseNumericAnswer = (input) => {
+  const match = /^\s*([+\-−]?(?:\d+(?:[.,]\d*)?|[.,]\d+))\s*(.*?)\s*$/.exec(normalizeDigits(input || ""));
+  if (!match) {
+    return { error: "number" };
+  }
+  const value = Number(match[1].replace("−", "-").replace(",", "."));
+  const rawUnit = match[2].toLowerCase().replace(/\s+/g, "");
+  if (!rawUnit) {
+    return { value, error: "missing-unit" };
+  }
+  return { value, unitLabel: unitAliases[rawUnit] || rawUnit };
+};
+
+const isClose = (value, target, tolerance) => Math.abs(value - target) <= tolerance * Math.max(Math.abs(target), 1e-9);
+
+/**
+ * Grades a typed answer against `correctValue` (always stored in the base unit).
+ * Returns one of: correct, wrong-unit, sign, rounding, wrong — or an `error` when the input cannot be graded.
+ */
+const gradeNumericAnswer = (question, input) => {
+  const parsed = parseNumericAnswer(input);
+  if (parsed.error) return parsed;
+  const table = unitTableFor(question);
+  const unit = table.find((entry) => entry.label === parsed.unitLabel);
+  const otherDimension = Object.entries(responseUnits).some(
+    ([type, units]) => type !== question.answerType && units.some((entry) => entry.label === parsed.unitLabel)
+  );
+  if (!unit && !otherDimension) {
+    return { error: "unknown-unit", unitLabel: parsed.unitLabel };
+  }
+  const target = question.correctValue;
+  const numberMatchesOtherUnit = table.some(
+    (entry) => entry.label !== parsed.unitLabel && isClose(parsed.value, target * entry.multiplier, FREE_RESPONSE_TOLERANCE)
+  );
+  if (!unit) {
+    return { verdict: numberMatchesOtherUnit ? "wrong-unit" : "wrong" };
+  }
+  const baseValue = parsed.value / unit.multiplier;
+  if (isClose(baseValue, target, FREE_RESPONSE_TOLERANCE)) return { verdict: "correct", baseValue };
+  if (target !== 0 && isClose(baseValue, -target, FREE_RESPONSE_TOLERANCE)) return { verdict: "sign", baseValue };
+  if (numberMatchesOtherUnit) return { verdict: "wrong-unit", baseValue };
+  if (isClose(baseValue, target, ROUNDING_TOLERANCE)) return { verdict: "rounding", baseValue };
+  return { verdict: "wrong", baseValue };
+};
+
+const interpolateAt = (points, valueKey, time) => {
+  const index = points.findIndex((point) => point.t >= time);
+  if (index === -1) return points[points.length - 1][valueKey];
+  if (index === 0) return points[0][valueKey];
+  const before = points[index - 1];
+  const after = points[index];
+  return before[valueKey] + ((after[valueKey] - before[valueKey]) * (time - before.t)) / (after.t - before.t);
+};
+
+// A sketch answer is one value per grid time; the drawing is the polyline through them.
+const sketchValueKey = (sketch) => (sketch.type === "vt-graph" ? "v" : "x");
+const sketchValueUnit = (sketch) => (sketch.type === "vt-graph" ? "m/s" : "m");
+const sketchTimes = (sketch) => buildTicks(0, sketch.maxTime, sketch.maxTime / sketch.timeStep);
+const sketchValueGrid = (sketch) =>
+  buildTicks(sketch.minValue, sketch.maxValue, (sketch.maxValue - sketch.minValue) / sketch.valueStep);
+
+const snapToGrid = (grid, value) =>
+  grid.reduce((best, tick) => (Math.abs(tick - value) < Math.abs(best - value) ? tick : best));
+
+const initialSketchValues = (sketch) => sketchTimes(sketch).map(() => snapToGrid(sketchValueGrid(sketch), 0));
+
+const gradeSketch = (sketch, values) => {
+  const valueKey = sketchValueKey(sketch);
+  const tolerance = sketch.tolerance ?? sketch.valueStep / 2;
+  const vertices = sketchTimes(sketch).map((t, index) => {
+    const target = interpolateAt(sketch.points, valueKey, t);
+    return { t, target, drawn: values[index], isCorrect: Math.abs(values[index] - target) <= tolerance };
+  });
+  return { isCorrect: vertices.every((vertex) => vertex.isCorrect), vertices };
+};
+
+// Playback reads the same data the renderers draw, so the animated body always agrees with the picture.
+const playbackTracks = (representation) => {
+  switch (representation?.type) {
+    case "xt-graph":
+      return [
+        {
+          name: "",
+          color: "var(--accent)",
+          positionAt: (t) =>
+            representation.motion ? motionPosition(representation.motion, t) : interpolateAt(representation.points, "x", t),
+        },
+      ];
+    case "dual-xt":
+      return representation.objects.map((object) => ({
+        name: object.name,
+        color: object.color,
+        positionAt: (t) => interpolateAt(object.points, "x", t),
+      }));
+    case "footprint": {
+      const points = representation.steps.map((step) => ({ t: step.time, x: step.position }));
+      return [{ name: "", color: "#1f1c3b", positionAt: (t) => interpolateAt(points, "x", t) }];
+    }
+    default:
+      return [];
+  }
+};
+
+// Splits footprints into legs of constant direction; consecutive legs share the turning footprint.
+const footprintLegs = (steps) =>
+  steps.slice(1).reduce((legs, step, index) => {
+    const direction = Math.sign(step.position - steps[index].position);
+    const current = legs[legs.length - 1];
+    if (current && (direction === 0 || current.direction === 0 || direction === current.direction)) {
+      current.end = index + 1;
+      current.direction ||= direction;
+    } else {
+      legs.push({ start: index, end: index + 1, direction });
+    }
+    return legs;
+  }, []);
+
+const playbackDuration = (representation) => {
+  if (representation.type === "footprint") return representation.steps[representation.steps.length - 1].time;
+  if (representation.type === "dual-xt") return representation.maxTime;
+  return representation.maxTime ?? Math.max(...representation.points.map((point) => point.t));
+};
+
+// Footprint diagrams and equations keep the bare unit; graphs and tables carry it in their axis label.
+const representationTimeUnit = (representation) => {
+  if (["footprint", "xt-equation"].includes(representation.type)) return representation.timeLabel || "s";
+  if (representation.type === "table") return axisUnit(representation.headers[0]);
+  return axisUnit(representation.xLabel || "t (s)");
+};
+
+// Real seconds per unit of the time axis, so at speed 1 a minute-scaled graph takes its minutes too.
+const playbackSecondsPerUnit = (timeUnit) => {
+  const unit = responseUnits.time.find((entry) => entry.label === timeUnit);
+  return unit ? 1 / unit.multiplier : 1;
+};
+
+const advancePlayback = (playback, elapsedSeconds) =>
+  Math.min(playback.duration, playback.time + (elapsedSeconds * playback.speed) / playback.secondsPerUnit);
+
+const playbackPositionRange = (tracks, duration) => {
+  const samples = tracks.flatMap((track) => Array.from({ length: 65 }, (_, index) => track.positionAt((duration * index) / 64)));
+  return { min: Math.min(...samples), max: Math.max(...samples) };
+};
+
+const tableRandomQuestion = (rng) => {
+  const speed = randomInt(rng, 3, 7);
+  const startDistance = randomInt(rng, 0, 6);
+  const times = randomTimes(rng, 4, [1, 1, 2]);
+  const rows = times.map((time) => [time.toString(), (startDistance + speed * time).toString()]);
+  const lastTime = times[times.length - 1];
+  const lastPosition = startDistance + speed * lastTime;
+  const hasWideGap = times.some((time, index) => index > 0 && time - times[index - 1] > 1);
+  const question = {
+    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
+    prompt: t("tableRandom.prompt"),
+    correctAnswer: { value: speed, unit: "m/s" },
+    distractors: [
+      createDistractor(
+        Number((lastPosition / lastTime).toFixed(2)),
+        "forgot-intercept",
+        t("tableRandom.forgot-intercept", { lastPosition, startDistance, value1: lastPosition - startDistance, lastTime })
+      ),
+      hasWideGap &&
+        createDistractor(
+          speed * 2,
+          "ignored-time-step",
+          t("tableRandom.ignored-time-step", { value1: speed * 2, speed })
+        ),
+      createDistractor(lastPosition, "position-for-rate", t("tableRandom.position-for-rate", { lastPosition })),
+    ],
+    hints: [
+      { text: t("tableRandom.hint1") },
+      { highlight: { type: "rows", indices: [0, times.length - 1] } },
+      { text: t("tableRandom.hint3"), values: { dx: [lastPosition - startDistance, "m"], dt: [lastTime, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("tableRandom.step1"),
+        values: { t0: [0, "s"], x0: [startDistance, "m"], t1: [lastTime, "s"], x1: [lastPosition, "m"] },
+        highlight: { type: "rows", indices: [0, times.length - 1] },
+      },
+      {
+        text: t("tableRandom.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { dx: [lastPosition - startDistance, "m"], dt: [lastTime, "s"] },
+      },
+      { text: t("tableRandom.step3"), values: { v: [speed, "m/s"] } },
+    ],
+  };
+  return question;
+};
+
+const tableAverageSpeedQuestion = (rng) => {
+  const speeds = [randomInt(rng, 3, 6), randomInt(rng, 4, 7), randomInt(rng, 5, 8)];
+  const times = [randomInt(rng, 1, 5), randomInt(rng, 1, 3), randomInt(rng, 5, 9)];
+  const rows = [];
+  let distance = 0;
+  let time = 0;
+  rows.push(["0", "0"]);
+  speeds.forEach((speed, index) => {
+    distance += speed * times[index];
+    time += times[index];
+    rows.push([time.toString(), distance.toString()]);
+  });
+  const averageSpeed = distance / time;
+  const meanOfSpeeds = Number((speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length).toFixed(2));
+  return {
+    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
+    prompt: t("tableAverageSpeed.prompt"),
+    correctAnswer: { value: averageSpeed, unit: "m/s" },
+    distractors: [
+      createDistractor(
+        meanOfSpeeds,
+        "averaged-speeds",
+        t("tableAverageSpeed.averaged-speeds", { value1: speeds.join(", ") })
+      ),
+      createDistractor(speeds[2], "single-segment", t("tableAverageSpeed.single-segment", { value1: speeds[2] })),
+      createDistractor(distance, "position-for-rate", t("tableAverageSpeed.position-for-rate", { distance, time })),
+    ],
+    hints: [
+      { text: t("tableAverageSpeed.hint1") },
+      { highlight: { type: "rows", indices: [0, rows.length - 1] } },
+      { text: t("tableAverageSpeed.hint3"), values: { d: [distance, "m"], t: [time, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("tableAverageSpeed.step1"),
+        values: { d: [distance, "m"], t: [time, "s"] },
+        highlight: { type: "rows", indices: [0, rows.length - 1] },
+      },
+      {
+        text: t("tableAverageSpeed.step2"),
+        latex: "\\bar{v} = \\frac{\\Delta x}{\\Delta t}",
+        values: { v: [averageSpeed, "m/s"] },
+      },
+    ],
+  };
+};
+
+const xtConstantQuestion = (rng) => {
+  const time = randomInt(rng, 3, 6);
+  const speed = randomInt(rng, -7, 7);
+  const startX = randomInt(rng, -10, 10);
+  const distance = time * speed;
+  const endX = startX + distance;
+  return {
+    representation: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: startX },
+        { t: time, x: startX + distance },
+      ],
+      minDistance: Math.min(startX, startX + distance),
+      maxDistance: Math.max(startX, startX + distance),
+      maxTime: time,
+      xTicks: [0, time / 2, time],
+      yTicks: [Math.min(startX, startX + distance), Math.max(startX, startX + distance)],
+      overlays: [{ type: "slope", from: 0, to: 1 }],
+    },
+    prompt: t("xtConstant.prompt"),
+    correctAnswer: { value: speed, unit: "m/s" },
+    distractors: [
+      createDistractor(endX, "position-for-rate", t("xtConstant.position-for-rate", { endX })),
+      createDistractor(
+        Number((endX / time).toFixed(2)),
+        "forgot-intercept",
+        t("xtConstant.forgot-intercept", { startX, distance })
+      ),
+      createDistractor(
+        -speed,
+        "slope-sign",
+        speed > 0
+          ? t("xtConstant.slope-sign")
+          : t("xtConstant.slope-sign-alt")
+      ),
+    ],
+    hints: [
+      { text: t("xtConstant.hint1") },
+      { highlight: { type: "slope", from: 0, to: 1 } },
+      { text: t("xtConstant.hint3"), values: { dx: [distance, "m"], dt: [time, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("xtConstant.step1"),
+        values: { t0: [0, "s"], x0: [startX, "m"], t1: [time, "s"], x1: [endX, "m"] },
+        highlight: { type: "points", indices: [0, 1] },
+      },
+      {
+        text: t("xtConstant.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { dx: [distance, "m"], dt: [time, "s"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      { text: t("xtConstant.step3"), values: { v: [speed, "m/s"] } },
+    ],
+  };
+};
+
+const xtSwitchQuestion = (rng) => {
+  const firstSpeed = randomInt(rng, 2, 4);
+  const secondSpeed = randomInt(rng, firstSpeed - 2, firstSpeed + 4);
+  const switchTime = randomInt(rng, 2, 3);
+  const totalTime = switchTime + randomInt(rng, 2, 4);
+  const firstDistance = firstSpeed * switchTime;
+  const secondDistance = secondSpeed * (totalTime - switchTime);
+  const slowerSpeed = Math.min(firstSpeed, secondSpeed);
+  const averageSpeed = Number(((firstDistance + secondDistance) / totalTime).toFixed(2));
+  return {
+    representation: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: 0 },
+        { t: switchTime, x: firstDistance },
+        { t: totalTime, x: firstDistance + secondDistance },
+      ],
+      maxTime: totalTime,
+      minDistance: 0,
+      maxDistance: firstDistance + secondDistance,
+      xTicks: [0, switchTime, totalTime],
+      yTicks: [0, firstDistance, firstDistance + secondDistance],
+      overlays: [
+        { type: "slope", from: 0, to: 1 },
+        { type: "slope", from: 1, to: 2 },
+      ],
+    },
+    prompt: t("xtSwitch.prompt"),
+    correctAnswer: { value: Math.max(firstSpeed, secondSpeed), unit: "m/s" },
+    distractors: [
+      createDistractor(slowerSpeed, "single-segment", t("xtSwitch.single-segment", { slowerSpeed })),
+      createDistractor(averageSpeed, "averaged-speeds", t("xtSwitch.averaged-speeds", { averageSpeed })),
+      createDistractor(
+        firstDistance + secondDistance,
+        "position-for-rate",
+        t("xtSwitch.position-for-rate", { value1: firstDistance + secondDistance })
+      ),
+    ],
+    hints: [
+      { text: t("xtSwitch.hint1") },
+      { highlight: firstSpeed >= secondSpeed ? { type: "slope", from: 0, to: 1 } : { type: "slope", from: 1, to: 2 } },
+      {
+        text: t("xtSwitch.hint3"),
+        values: { d1: [firstDistance, "m"], t1: [switchTime, "s"], d2: [secondDistance, "m"], t2: [totalTime - switchTime, "s"] },
+      },
+    ],
+    solution: [
+      {
+        text: t("xtSwitch.step1"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [firstDistance, "m"], t: [switchTime, "s"], v: [firstSpeed, "m/s"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      {
+        text: t("xtSwitch.step2"),
+        values: { d: [secondDistance, "m"], t: [totalTime - switchTime, "s"], v: [secondSpeed, "m/s"] },
+        highlight: { type: "slope", from: 1, to: 2 },
+      },
+      {
+        text: t("xtSwitch.step3"),
+        values: { v: [Math.max(firstSpeed, secondSpeed), "m/s"] },
+        highlight: firstSpeed >= secondSpeed ? { type: "segment", from: 0, to: 1 } : { type: "segment", from: 1, to: 2 },
+      },
+    ],
+  };
+};
+
+const xtReturnQuestion = (rng) => {
+  const forwardSpeed = randomInt(rng, 4, 7);
+  const backwardSpeed = randomInt(rng, 2, 4);
+  const forwardTime = randomInt(rng, 2, 3);
+  const backwardTime = randomInt(rng, 2, 4);
+  const sampleTime = randomInt(rng, 0, forwardTime + backwardTime);
+  const posAtSampleTime = (() => {
+    if (sampleTime <= forwardTime) {
+      return forwardSpeed * sampleTime;
+    } else {
+      return forwardSpeed * forwardTime - backwardSpeed * (sampleTime - forwardTime);
+    }
+  })();
+  const forwardDistance = forwardSpeed * forwardTime;
+  const backwardDistance = backwardSpeed * backwardTime;
+  const finalPos = forwardDistance - backwardDistance;
+  const pathUntilSample = sampleTime <= forwardTime
+    ? forwardSpeed * sampleTime
+    : forwardDistance + backwardSpeed * (sampleTime - forwardTime);
+  return {
+    representation: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: 0 },
+        { t: forwardTime, x: forwardDistance },
+        { t: forwardTime + backwardTime, x: finalPos },
+      ],
+      minDistance: Math.min(0, finalPos),
+      maxDistance: Math.max(forwardDistance, finalPos),
+      maxTime: forwardTime + backwardTime,
+      xTicks: [0, forwardTime, forwardTime + backwardTime],
+      yTicks: [finalPos, forwardDistance],
+      overlays: [{ type: "reading", at: 1 }],
+    },
+    prompt: t("xtReturn.prompt", { sampleTime }),
+    given: { time: sampleTime },
+    correctAnswer: { value: posAtSampleTime, unit: "m" },
+    distractors: [
+      createDistractor(
+        pathUntilSample,
+        "distance-for-displacement",
+        t("xtReturn.distance-for-displacement", { pathUntilSample, sampleTime })
+      ),
+      createDistractor(
+        forwardSpeed * sampleTime,
+        "ignored-reversal",
+        t("xtReturn.ignored-reversal", { forwardTime })
+      ),
+      createDistractor(sampleTime, "read-axis-value", t("xtReturn.read-axis-value", { sampleTime })),
+    ],
+    hints: [
+      { text: t("xtReturn.hint1") },
+      { highlight: sampleTime <= forwardTime ? { type: "segment", from: 0, to: 1 } : { type: "segment", from: 1, to: 2 } },
+      sampleTime <= forwardTime
+        ? { text: t("xtReturn.hint3"), values: { vf: [forwardSpeed, "m/s"], ts: [sampleTime, "s"] } }
+        : {
+            text: t("xtReturn.hint3-back"),
+            values: { xf: [forwardDistance, "m"], vb: [backwardSpeed, "m/s"], ts: [sampleTime, "s"], tf: [forwardTime, "s"] },
+          },
+    ],
+    solution: [
+      {
+        text: t("xtReturn.step1"),
+        values: { tf: [forwardTime, "s"], vf: [forwardSpeed, "m/s"], xf: [forwardDistance, "m"] },
+        highlight: { type: "segment", from: 0, to: 1 },
+      },
+      sampleTime <= forwardTime
+        ? {
+            text: t("xtReturn.step2"),
+            latex: "x = v \\cdot t",
+            values: { ts: [sampleTime, "s"], vf: [forwardSpeed, "m/s"], x: [posAtSampleTime, "m"] },
+            highlight: { type: "segment", from: 0, to: 1 },
+          }
+        : {
+            text: t("xtReturn.step3"),
+            latex: "x = x_1 - v \\cdot (t - t_1)",
+            values: {
+              vb: [backwardSpeed, "m/s"],
+              ts: [sampleTime, "s"],
+              back: [backwardSpeed * (sampleTime - forwardTime), "m"],
+              xf: [forwardDistance, "m"],
+              x: [posAtSampleTime, "m"],
+            },
+            highlight: { type: "segment", from: 1, to: 2 },
+          },
+    ],
+  };
+};
+
+const xtTotalDistanceQuestion = (rng) => {
+  const speedForward = randomInt(rng, 3, 6);
+  const backwardSpeed = randomInt(rng, 2, 4);
+  const forwardTime = randomInt(rng, 2, 4);
+  const backwardTime = randomInt(rng, 2, 3);
+  const forwardDistance = speedForward * forwardTime;
+  const backwardDistance = backwardSpeed * backwardTime;
+  const totalDistance = forwardDistance + backwardDistance;
+  return {
+    representation: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: 0 },
+        { t: forwardTime, x: forwardDistance },
+        { t: forwardTime + backwardTime, x: forwardDistance - backwardDistance },
+      ],
+      maxTime: forwardTime + backwardTime,
+      minDistance: Math.min(0, forwardDistance - backwardDistance),
+      maxDistance: forwardDistance,
+      xTicks: [0, forwardTime, forwardTime + backwardTime],
+      yTicks: [forwardDistance - backwardDistance, forwardDistance],
+      overlays: [
+        { type: "reading", at: 1 },
+        { type: "reading", at: 2 },
+      ],
+    },
+    prompt: t("xtTotalDistance.prompt"),
+    correctAnswer: { value: totalDistance, unit: "m" },
+    distractors: [
+      createDistractor(
+        Math.abs(forwardDistance - backwardDistance),
+        "displacement-for-distance",
+        t("xtTotalDistance.displacement-for-distance", { value1: Math.abs(forwardDistance - backwardDistance), forwardDistance, backwardDistance })
+      ),
+      createDistractor(forwardDistance, "single-segment", t("xtTotalDistance.single-segment", { forwardDistance, forwardTime, backwardDistance })),
+    ],
+    hints: [
+      { text: t("xtTotalDistance.hint1") },
+      { highlight: { type: "points", indices: [1] } },
+      { text: t("xtTotalDistance.hint3"), values: { d1: [forwardDistance, "m"], d2: [backwardDistance, "m"] } },
+    ],
+    solution: [
+      {
+        text: t("xtTotalDistance.step1"),
+        values: { x0: [0, "m"], x1: [forwardDistance, "m"], d: [forwardDistance, "m"] },
+        highlight: { type: "segment", from: 0, to: 1 },
+      },
+      {
+        text: t("xtTotalDistance.step2"),
+        values: { x1: [forwardDistance, "m"], x2: [forwardDistance - backwardDistance, "m"], d: [backwardDistance, "m"] },
+        highlight: { type: "segment", from: 1, to: 2 },
+      },
+      {
+        text: t("xtTotalDistance.step3"),
+        latex: "s = |\\Delta x_1| + |\\Delta x_2|",
+        values: { d1: [forwardDistance, "m"], d2: [backwardDistance, "m"], d: [totalDistance, "m"] },
+      },
+    ],
+  };
+};
+
+const vtAreaQuestion = (rng) => {
+  const velocity = randomInt(rng, 3, 6);
+  const duration = randomInt(rng, 3, 5);
+  const distance = velocity * duration;
+  return {
+    representation: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: velocity },
+        { t: duration, v: velocity },
+      ],
+      minVelocity: 0,
+      maxVelocity: velocity + 2,
+      maxTime: duration,
+      xTicks: [0, duration],
+      yTicks: [velocity],
+      overlays: [{ type: "area", from: 0, to: 1 }],
+    },
+    prompt: t("vtArea.prompt"),
+    correctAnswer: { value: distance, unit: "m" },
+    distractors: [
+      createDistractor(velocity, "read-axis-value", t("vtArea.read-axis-value", { velocity })),
+      createDistractor(distance / 2, "area-as-triangle", t("vtArea.area-as-triangle")),
+    ],
+    hints: [
+      { text: t("vtArea.hint1") },
+      { highlight: { type: "area", from: 0, to: 1 } },
+      { text: t("vtArea.hint3"), values: { v: [velocity, "m/s"], t: [duration, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("vtArea.step1"),
+        values: { v: [velocity, "m/s"], t: [duration, "s"] },
+        highlight: { type: "segment", from: 0, to: 1 },
+      },
+      {
+        text: t("vtArea.step2"),
+        latex: "\\Delta x = v \\cdot \\Delta t",
+        values: { v: [velocity, "m/s"], t: [duration, "s"], d: [distance, "m"] },
+        highlight: { type: "area", from: 0, to: 1 },
+      },
+    ],
+  };
+};
+
+// The body slows to rest and stays there; the stop time itself is not labelled, so it is found from the slope.
+const vtStopQuestion = (rng) => {
+  const rate = randomInt(rng, 2, 3);
+  const stopTime = randomInt(rng, 3, 5);
+  const initial = rate * stopTime;
+  const readTime = randomInt(rng, 1, stopTime - 1);
+  const readVelocity = initial - rate * readTime;
+  const duration = stopTime + randomInt(rng, 2, 3);
+  return {
+    representation: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: initial },
+        { t: readTime, v: readVelocity },
+        { t: stopTime, v: 0 },
+        { t: duration, v: 0 },
+      ],
+      minVelocity: 0,
+      maxVelocity: initial,
+      maxTime: duration,
+      xTicks: [0, readTime, duration],
+      yTicks: [0, readVelocity, initial],
+      overlays: [{ type: "reading", at: 1 }],
+    },
+    prompt: t("vtStop.prompt"),
+    correctAnswer: { value: stopTime, unit: "s" },
+    distractors: [
+      createDistractor(
+        duration,
+        "read-axis-value",
+        t("vtStop.read-axis-value", { duration })
+      ),
+      createDistractor(initial, "read-axis-value", t("vtStop.read-axis-value-2", { initial })),
+    ],
+    hints: [
+      { text: t("vtStop.hint1") },
+      { highlight: { type: "slope", from: 0, to: 1 } },
+      {
+        text: t("vtStop.hint3"),
+        values: { v0: [initial, "m/s"], v1: [readVelocity, "m/s"], t: [readTime, "s"], rate: [rate, "m/s²"] },
+      },
+    ],
+    solution: [
+      {
+        text: t("vtStop.step1"),
+        highlight: { type: "segment", from: 0, to: 2 },
+      },
+      {
+        text: t("vtStop.step2"),
+        latex: "a = \\frac{\\Delta v}{\\Delta t}",
+        values: {
+          v0: [initial, "m/s"],
+          v1: [readVelocity, "m/s"],
+          t: [readTime, "s"],
+          a: [-rate, "m/s²"],
+          rate: [rate, "m/s"],
+        },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      {
+        text: t("vtStop.step3"),
+        values: { v0: [initial, "m/s"], rate: [rate, "m/s²"], ts: [stopTime, "s"] },
+      },
+    ],
+  };
+};
+
+const vtAccelerationQuestion = (rng) => {
+  const duration = randomInt(rng, 3, 5);
+  const finalVelocity = randomInt(rng, 5, 9);
+  return {
+    representation: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: 0 },
+        { t: duration, v: finalVelocity },
+      ],
+      minVelocity: 0,
+      maxVelocity: finalVelocity,
+      maxTime: duration,
+      xTicks: [0, duration],
+      yTicks: [0, finalVelocity],
+      overlays: [{ type: "reading", at: 1 }],
+    },
+    prompt: t("vtAcceleration.prompt"),
+    correctAnswer: { value: finalVelocity, unit: "m/s" },
+    distractors: [
+      createDistractor(
+        Number((finalVelocity / duration).toFixed(2)),
+        "slope-for-value",
+        t("vtAcceleration.slope-for-value", { value1: formatNumber(finalVelocity / duration) })
+      ),
+      createDistractor(duration, "read-axis-value", t("vtAcceleration.read-axis-value", { duration })),
+      createDistractor((finalVelocity * duration) / 2, "area-for-value", t("vtAcceleration.area-for-value")),
+    ],
+    hints: [
+      { text: t("vtAcceleration.hint1") },
+      { highlight: { type: "points", indices: [1] } },
+      { text: t("vtAcceleration.hint3"), values: { t: [duration, "s"] } },
+    ],
+    solution: [
+      { text: t("vtAcceleration.step1"), values: { t: [duration, "s"] }, highlight: { type: "points", indices: [1] } },
+      {
+        text: t("vtAcceleration.step2"),
+        values: { v: [finalVelocity, "m/s"] },
+        highlight: { type: "points", indices: [1] },
+      },
+    ],
+  };
+};
+
+const footprintConstantQuestion = (rng) => {
+  const pace = randomInt(rng, 2, 5);
+  const timeGap = randomInt(rng, 1, 2);
+  const tickStep = pace * timeGap;
+  const steps = Array.from({ length: 4 }, (_, idx) => ({
+    time: idx * timeGap,
+    position: pace * timeGap * idx,
+  }));
+  const maxPos = steps[steps.length - 1].position;
+  return {
+    representation: {
+      type: "footprint",
+      steps,
+      tickPositions: buildEvenTicks(maxPos, tickStep),
+    },
+    prompt: t("footprintConstant.prompt", { timeGap }),
+    correctAnswer: { value: pace, unit: "m/s" },
+    distractors: [
+      timeGap > 1 &&
+        createDistractor(
+          tickStep,
+          "ignored-time-step",
+          t("footprintConstant.ignored-time-step", { tickStep, timeGap, pace })
+        ),
+      createDistractor(
+        Number((maxPos / (steps.length * timeGap)).toFixed(2)),
+        "counted-footprints",
+        t("footprintConstant.counted-footprints", { stepsLength: steps.length, value1: steps.length - 1, value2: (steps.length - 1) * timeGap })
+      ),
+      createDistractor(maxPos, "position-for-rate", t("footprintConstant.position-for-rate", { maxPos })),
+    ],
+    hints: [
+      { text: t("footprintConstant.hint1") },
+      { highlight: { type: "footprints", indices: [0, 1] } },
+      { text: t("footprintConstant.hint3"), values: { d: [tickStep, "m"], t: [timeGap, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("footprintConstant.step1"),
+        values: { d: [tickStep, "m"], t: [timeGap, "s"] },
+        highlight: { type: "footprints", indices: [0, 1] },
+      },
+      {
+        text: t("footprintConstant.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [tickStep, "m"], t: [timeGap, "s"], v: [pace, "m/s"] },
+      },
+    ],
+  };
+};
+
+const footprintVariablePaceQuestion = (rng) => {
+  const segmentCount = randomInt(rng, 3, 5);
+  const timeGap = randomInt(rng, 1, 3);
+  const baseStep = randomInt(rng, 2, 4);
+  const segmentDistances = Array.from({ length: segmentCount }, () => baseStep * randomInt(rng, 1, 4));
+  const steps = [{ time: 0, position: 0 }];
+  segmentDistances.forEach((dist) => {
+    const prev = steps[steps.length - 1];
+    steps.push({ time: prev.time + timeGap, position: prev.position + dist });
+  });
+  const totalTime = timeGap * (steps.length - 1);
+  const totalDistance = steps[steps.length - 1].position - steps[0].position;
+  const avg = totalDistance / totalTime;
+  const maxPos = steps[steps.length - 1].position;
+  return {
+    representation: {
+      type: "footprint",
+      steps,
+      tickPositions: buildEvenTicks(maxPos, baseStep),
+    },
+    prompt: t("footprintVariablePace.prompt", { timeGap }),
+    correctAnswer: { value: avg, unit: "m/s" },
+    distractors: [
+      createDistractor(
+        Number((totalDistance / (steps.length * timeGap)).toFixed(2)),
+        "counted-footprints",
+        t("footprintVariablePace.counted-footprints", { stepsLength: steps.length, value1: steps.length - 1, totalTime })
+      ),
+      timeGap > 1 &&
+        createDistractor(
+          Number((totalDistance / (steps.length - 1)).toFixed(2)),
+          "ignored-time-step",
+          t("footprintVariablePace.ignored-time-step", { timeGap })
+        ),
+      createDistractor(
+        Number((segmentDistances[segmentDistances.length - 1] / timeGap).toFixed(2)),
+        "single-segment",
+        t("footprintVariablePace.single-segment")
+      ),
+    ],
+    hints: [
+      { text: t("footprintVariablePace.hint1") },
+      { highlight: { type: "footprints", indices: [0, steps.length - 1] } },
+      { text: t("footprintVariablePace.hint3"), values: { d: [totalDistance, "m"], t: [totalTime, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("footprintVariablePace.step1"),
+        values: { d: [totalDistance, "m"] },
+        highlight: { type: "footprints", indices: [0, steps.length - 1] },
+      },
+      {
+        text: t("footprintVariablePace.step2", { stepsLength: steps.length, value1: steps.length - 1 }),
+        values: { gap: [timeGap, "s"], t: [totalTime, "s"] },
+      },
+      {
+        text: t("footprintVariablePace.step3"),
+        latex: "\\bar{v} = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [totalDistance, "m"], t: [totalTime, "s"], v: [avg, "m/s"] },
+      },
+    ],
+  };
+};
+
+
+// Out-and-back footprints: either direction first, starting anywhere on the axis (possibly negative).
+const randomFootprintReversal = (rng) => {
+  const tickStep = randomInt(rng, 1, 2);
+  const direction = rng() < 0.5 ? 1 : -1;
+  const start = tickStep * randomInt(rng, -3, 3);
+  const outPace = tickStep * randomInt(rng, 2, 3);
+  const backPace = tickStep * randomInt(rng, 1, 3);
+  const outCount = randomInt(rng, 2, 3);
+  const backCount = randomInt(rng, 1, 3);
+  const timeGap = randomInt(rng, 1, 2);
+  const steps = [{ time: 0, position: start }];
+  const move = (pace, count) => {
+    for (let index = 0; index < count; index += 1) {
+      const prev = steps[steps.length - 1];
+      steps.push({ time: prev.time + timeGap, position: prev.position + pace });
+    }
+  };
+  move(direction * outPace, outCount);
+  const turn = steps.length - 1;
+  move(-direction * backPace, backCount);
+  const positions = steps.map((step) => step.position);
+  return {
+    steps,
+    turn,
+    start,
+    end: positions[positions.length - 1],
+    turnPosition: positions[turn],
+    outDistance: outPace * outCount,
+    backDistance: backPace * backCount,
+    tickPositions: buildEvenTicks(Math.max(...positions), tickStep, Math.min(...positions)),
+  };
+};
+
+const footprintReversalRepresentation = (motion) => ({
+  type: "footprint",
+  steps: motion.steps,
+  tickPositions: motion.tickPositions,
+  timeLabels: true,
+});
+
+const footprintDistanceQuestion = (rng) => {
+  const motion = randomFootprintReversal(rng);
+  const lastIndex = motion.steps.length - 1;
+  const totalDistance = motion.outDistance + motion.backDistance;
+  const displacement = motion.end - motion.start;
+  return {
+    representation: footprintReversalRepresentation(motion),
+    prompt: t("footprintDistance.prompt"),
+    correctAnswer: { value: totalDistance, unit: "m" },
+    distractors: [
+      displacement !== 0 &&
+        createDistractor(
+          Math.abs(displacement),
+          "displacement-for-distance",
+          t("footprintDistance.displacement-for-distance", { value1: Math.abs(displacement) })
+        ),
+      createDistractor(
+        motion.outDistance,
+        "single-segment",
+        t("footprintDistance.single-segment", { motionOutDistance: motion.outDistance, motionBackDistance: motion.backDistance })
+      ),
+      motion.end !== 0 &&
+        createDistractor(motion.end, "position-for-rate", t("footprintDistance.position-for-rate", { motionEnd: motion.end })),
+    ],
+    hints: [
+      { text: t("footprintDistance.hint1") },
+      { highlight: { type: "footprints", indices: [0, motion.turn] } },
+      { text: t("footprintDistance.hint3"), values: { d1: [motion.outDistance, "m"], d2: [motion.backDistance, "m"] } },
+    ],
+    solution: [
+      {
+        text: t("footprintDistance.step1"),
+        values: { x0: [motion.start, "m"], x1: [motion.turnPosition, "m"], d: [motion.outDistance, "m"] },
+        highlight: { type: "footprints", indices: [0, motion.turn] },
+      },
+      {
+        text: t("footprintDistance.step2"),
+        values: { x1: [motion.turnPosition, "m"], x2: [motion.end, "m"], d: [motion.backDistance, "m"] },
+        highlight: { type: "footprints", indices: [motion.turn, lastIndex] },
+      },
+      {
+        text: t("footprintDistance.step3"),
+        latex: "s = |\\Delta x_1| + |\\Delta x_2|",
+        values: { d1: [motion.outDistance, "m"], d2: [motion.backDistance, "m"], d: [totalDistance, "m"] },
+      },
+    ],
+  };
+};
+
+const footprintDisplacementQuestion = (rng) => {
+  const motion = randomFootprintReversal(rng);
+  const lastIndex = motion.steps.length - 1;
+  const totalDistance = motion.outDistance + motion.backDistance;
+  const displacement = motion.end - motion.start;
+  return {
+    representation: footprintReversalRepresentation(motion),
+    prompt: t("footprintDisplacement.prompt"),
+    correctAnswer: { value: displacement, unit: "m" },
+    distractors: [
+      createDistractor(
+        totalDistance,
+        "distance-for-displacement",
+        t("footprintDisplacement.distance-for-displacement", { totalDistance })
+      ),
+      displacement !== 0 &&
+        createDistractor(
+          -displacement,
+          "displacement-sign",
+          t("footprintDisplacement.displacement-sign", { motionEnd: formatNumber(motion.end), motionStart: formatNumber(motion.start) })
+        ),
+      motion.start !== 0 &&
+        createDistractor(
+          motion.end,
+          "forgot-intercept",
+          t("footprintDisplacement.forgot-intercept", { motionEnd: motion.end, motionStart: motion.start })
+        ),
+      createDistractor(
+        motion.turnPosition - motion.start,
+        "ignored-reversal",
+        t("footprintDisplacement.ignored-reversal")
+      ),
+    ],
+    hints: [
+      { text: t("footprintDisplacement.hint1") },
+      { highlight: { type: "footprints", indices: [0, lastIndex] } },
+      { text: t("footprintDisplacement.hint3"), values: { x0: [motion.start, "m"], x1: [motion.end, "m"] } },
+    ],
+    solution: [
+      {
+        text: t("footprintDisplacement.step1"),
+        values: { x0: [motion.start, "m"], x1: [motion.end, "m"] },
+        highlight: { type: "footprints", indices: [0, lastIndex] },
+      },
+      {
+        text: t("footprintDisplacement.step2"),
+        latex: "\\Delta x = x_2 - x_1",
+        values: { x0: [motion.start, "m"], x1: [motion.end, "m"], dx: [displacement, "m"] },
+      },
+    ],
+  };
+};
+
+const xtEquationPositionQuestion = (rng) => {
+  const velocity = (() => {
+    const val = randomInt(rng, -6, 8);
+    return val === 0 ? 4 : val;
+  })();
+  const intercept = randomInt(rng, -10, 10);
+  const sampleTime = randomInt(rng, 2, 6);
+  const position = Number((velocity * sampleTime + intercept).toFixed(2));
+  return {
+    representation: buildEquationRepresentation(velocity, intercept),
+    prompt: t("xtEquationPosition.prompt", { sampleTime }),
+    given: { time: sampleTime },
+    correctAnswer: { value: position, unit: "m" },
+    distractors: [
+      createDistractor(
+        velocity * sampleTime,
+        "forgot-intercept",
+        t("xtEquationPosition.forgot-intercept", { velocity, sampleTime, intercept })
+      ),
+      createDistractor(
+        velocity * sampleTime - intercept,
+        "misread-intercept",
+        t("xtEquationPosition.misread-intercept", { intercept })
+      ),
+    ],
+    hints: [
+      { text: t("xtEquationPosition.hint1") },
+      { text: t("xtEquationPosition.hint2"), values: { t: [sampleTime, "s"] } },
+      { text: t("xtEquationPosition.hint3"), values: { x0: [intercept, "m"], v: [velocity, "m/s"], t: [sampleTime, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("xtEquationPosition.step1"),
+        latex: "x(t) = x_0 + v \\cdot t",
+        values: { x0: [intercept, "m"], v: [velocity, "m/s"] },
+      },
+      {
+        text: t("xtEquationPosition.step2"),
+        values: { t: [sampleTime, "s"], v: [velocity, "m/s"], dx: [velocity * sampleTime, "m"] },
+      },
+      {
+        text: t("xtEquationPosition.step3"),
+        values: { x0: [intercept, "m"], dx: [velocity * sampleTime, "m"], x: [position, "m"] },
+      },
+    ],
+  };
+};
+
+const xtGraphEquationQuestion = (rng) => {
+  const velocity = (() => {
+    const val = randomInt(rng, -6, 7);
+    return val === 0 ? 5 : val;
+  })();
+  const intercept = randomInt(rng, -5, 6);
+  const time = randomInt(rng, 3, 7);
+  const start = intercept;
+  const end = intercept + velocity * time;
+  const representation = {
+    type: "xt-graph",
+    points: [
+      { t: 0, x: start },
+      { t: time, x: end },
+    ],
+    minDistance: Math.min(start, end),
+    maxDistance: Math.max(start, end),
+    maxTime: time,
+    xTicks: [0, time / 2, time],
+    yTicks: [Math.min(start, end), Math.max(start, end)],
+    overlays: [
+      { type: "reading", at: 0 },
+      { type: "slope", from: 0, to: 1 },
+    ],
+  };
+  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
+  const slopeShift = randomChoice(rng, [2, -2, 3].filter((shift) => velocity + shift !== -velocity));
+  const wrongSlope = createEquationOption({
+    velocity: velocity + slopeShift,
+    intercept,
+    misconception: "misread-slope",
+    feedback: t("xtGraphEquation.feedback1", { value1: velocity + slopeShift, velocity }),
+  });
+  const wrongIntercept = intercept !== 0
+    ? createEquationOption({
+        velocity,
+        intercept: 0,
+        misconception: "forgot-intercept",
+        feedback: t("xtGraphEquation.feedback2", { intercept }),
+      })
+    : createEquationOption({
+        velocity,
+        intercept: end,
+        misconception: "position-as-intercept",
+        feedback: t("xtGraphEquation.feedback3", { end, time }),
+      });
+  const flipped = createEquationOption({
+    velocity: -velocity || velocity + 1,
+    intercept,
+    misconception: "slope-sign",
+    feedback: velocity > 0 ? t("xtGraphEquation.slope-sign") : t("xtGraphEquation.slope-sign-alt"),
+  });
+  const options = shuffle(rng, [correctOption, wrongSlope, wrongIntercept, flipped]);
+  return {
+    representation,
+    prompt: t("xtGraphEquation.prompt"),
+    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
+    fixedOptions: options,
+    hints: [
+      { text: t("xtGraphEquation.hint1") },
+      { highlight: { type: "points", indices: [0] } },
+      { text: t("xtGraphEquation.hint3"), values: { x0: [intercept, "m"], dx: [end - start, "m"], t: [time, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("xtGraphEquation.step1"),
+        values: { x0: [intercept, "m"] },
+        highlight: { type: "points", indices: [0] },
+      },
+      {
+        text: t("xtGraphEquation.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { dx: [end - start, "m"], t: [time, "s"], v: [velocity, "m/s"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      { text: t("xtGraphEquation.step3"), latex: correctOption.latex },
+    ],
+  };
+};
+
+const vtGraphPositionEquationQuestion = (rng) => {
+  const velocity = randomInt(rng, 2, 7);
+  const duration = randomInt(rng, 4, 7);
+  const referenceTime = randomInt(rng, 2, duration);
+  const positionAtTime = randomInt(rng, -6, 12);
+  const intercept = Number((positionAtTime - velocity * referenceTime).toFixed(2));
+  // A point at the reference time lets the area highlight stop where the displacement is measured.
+  const times = referenceTime < duration ? [0, referenceTime, duration] : [0, duration];
+  const referenceIndex = times.indexOf(referenceTime);
+  const representation = {
+    type: "vt-graph",
+    points: times.map((time) => ({ t: time, v: velocity })),
+    minVelocity: 0,
+    maxVelocity: velocity + 2,
+    maxTime: duration,
+    xTicks: times,
+    yTicks: [velocity],
+    overlays: [{ type: "reading", at: 0 }],
+  };
+  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
+  const misreadVelocity = (value) =>
+    createEquationOption({
+      velocity: value,
+      intercept,
+      misconception: "misread-graph-value",
+      feedback: t("vtGraphPositionEquation.feedback1", { value, velocity }),
+    });
+  const tooFast = misreadVelocity(velocity + randomInt(rng, 1, 3));
+  const tooSlow = misreadVelocity(Math.max(1, velocity - randomInt(rng, 1, 2)));
+  const wrongIntercept = createEquationOption({
+    velocity,
+    intercept: positionAtTime,
+    misconception: "position-as-intercept",
+    feedback: t("vtGraphPositionEquation.feedback2", { positionAtTime, referenceTime, velocity, intercept }),
+  });
+  const options = shuffle(rng, [correctOption, tooFast, tooSlow, wrongIntercept]);
+  return {
+    representation,
+    prompt: t("vtGraphPositionEquation.prompt", { positionAtTime, referenceTime }),
+    given: { time: referenceTime, position: positionAtTime },
+    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
+    fixedOptions: options,
+    hints: [
+      { text: t("vtGraphPositionEquation.hint1") },
+      { highlight: { type: "area", from: 0, to: referenceIndex } },
+      {
+        text: t("vtGraphPositionEquation.hint3"),
+        values: { x: [positionAtTime, "m"], v: [velocity, "m/s"], t: [referenceTime, "s"] },
+      },
+    ],
+    solution: [
+      {
+        text: t("vtGraphPositionEquation.step1"),
+        values: { v: [velocity, "m/s"] },
+        highlight: { type: "segment", from: 0, to: times.length - 1 },
+      },
+      {
+        text: t("vtGraphPositionEquation.step2"),
+        values: { t: [referenceTime, "s"], v: [velocity, "m/s"], dx: [velocity * referenceTime, "m"] },
+        highlight: { type: "area", from: 0, to: referenceIndex },
+      },
+      {
+        text: t("vtGraphPositionEquation.step3"),
+        latex: "x_0 = x(t) - v \\cdot t",
+        values: { x: [positionAtTime, "m"], dx: [velocity * referenceTime, "m"], x0: [intercept, "m"] },
+      },
+      { text: t("vtGraphPositionEquation.step4"), latex: correctOption.latex },
+    ],
+  };
+};
+
+const xtTableEquationQuestion = (rng) => {
+  const velocity = (() => {
+    const val = randomInt(rng, -5, 7);
+    return val === 0 ? 3 : val;
+  })();
+  const intercept = randomInt(rng, -4, 6);
+  const times = randomTimes(rng, 4, [1, 1, 2]);
+  const rows = times.map((time) => [time.toString(), (intercept + velocity * time).toString()]);
+  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
+  const shiftedStart = createEquationOption({
+    velocity,
+    intercept: intercept + velocity * times[1],
+    misconception: "position-as-intercept",
+    feedback: t("xtTableEquation.feedback1", { value1: intercept + velocity * times[1], value2: times[1] }),
+  });
+  const wideGapIndex = times.findIndex((time, index) => index > 0 && time - times[index - 1] > 1);
+  const slopeShift = randomChoice(rng, [2, -2].filter((shift) => velocity + shift !== -velocity));
+  const wrongSlope = wideGapIndex > 0
+    ? createEquationOption({
+        velocity: velocity * 2,
+        intercept,
+        misconception: "ignored-time-step",
+        feedback: t("xtTableEquation.feedback2", { value1: times[wideGapIndex - 1], value2: times[wideGapIndex] }),
+      })
+    : createEquationOption({
+        velocity: velocity + slopeShift,
+        intercept,
+        misconception: "misread-slope",
+        feedback: t("xtTableEquation.feedback3", { velocity, value1: velocity + slopeShift }),
+      });
+  const mirrored = createEquationOption({
+    velocity: -velocity || velocity + 1,
+    intercept,
+    misconception: "slope-sign",
+    feedback: velocity > 0 ? t("xtTableEquation.slope-sign") : t("xtTableEquation.slope-sign-alt"),
+  });
+  const options = shuffle(rng, [correctOption, shiftedStart, wrongSlope, mirrored]);
+  return {
+    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
+    prompt: t("xtTableEquation.prompt"),
+    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
+    fixedOptions: options,
+    hints: [
+      { text: t("xtTableEquation.hint1") },
+      { highlight: { type: "rows", indices: [0, 1] } },
+      { text: t("xtTableEquation.hint3"), values: { x0: [intercept, "m"], dx: [velocity * times[1], "m"], dt: [times[1], "s"] } },
+    ],
+    solution: [
+      {
+        text: t("xtTableEquation.step1"),
+        values: { x0: [intercept, "m"] },
+        highlight: { type: "rows", indices: [0] },
+      },
+      {
+        text: t("xtTableEquation.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { dx: [velocity * times[1], "m"], dt: [times[1], "s"], v: [velocity, "m/s"] },
+        highlight: { type: "rows", indices: [0, 1] },
+      },
+      { text: t("xtTableEquation.step3"), latex: correctOption.latex },
+    ],
+  };
+};
+
+const footprintEquationQuestion = (rng) => {
+  const timeGap = randomInt(rng, 1, 3);
+  const pace = randomInt(rng, 2, 5);
+  const start = randomInt(rng, -3, 3);
+  const steps = Array.from({ length: 4 }, (_, idx) => ({
+    time: idx * timeGap,
+    position: start + pace * idx * timeGap,
+  }));
+  const maxPos = Math.max(...steps.map((s) => s.position));
+  const tickStep = pace * timeGap;
+  const correctOption = createEquationOption({ velocity: pace, intercept: start, isCorrect: true });
+  const faster = timeGap > 1
+    ? createEquationOption({
+        velocity: tickStep,
+        intercept: start,
+        misconception: "ignored-time-step",
+        feedback: t("footprintEquation.feedback1", { tickStep, timeGap, pace }),
+      })
+    : createEquationOption({
+        velocity: pace + 2,
+        intercept: start,
+        misconception: "misread-slope",
+        feedback: t("footprintEquation.feedback2", { pace }),
+      });
+  const startShift = randomChoice(rng, [3, -3]);
+  const shifted = start !== 0
+    ? createEquationOption({
+        velocity: pace,
+        intercept: 0,
+        misconception: "forgot-intercept",
+        feedback: t("footprintEquation.feedback3", { start }),
+      })
+    : createEquationOption({
+        velocity: pace,
+        intercept: startShift,
+        misconception: "misread-intercept",
+        feedback: t("footprintEquation.feedback4"),
+      });
+  const slower = createEquationOption({
+    velocity: pace - 1 || pace + 1,
+    intercept: start,
+    misconception: "misread-slope",
+    feedback: t("footprintEquation.feedback5", { timeGap, tickStep, pace }),
+  });
+  const options = shuffle(rng, [correctOption, faster, shifted, slower]);
+  return {
+    representation: {
+      type: "footprint",
+      steps,
+      tickPositions: steps.map((step) => step.position),
+    },
+    prompt: t("footprintEquation.prompt", { timeGap }),
+    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
+    fixedOptions: options,
+    hints: [
+      { text: t("footprintEquation.hint1") },
+      { highlight: { type: "footprints", indices: [0, 1] } },
+      { text: t("footprintEquation.hint3"), values: { x0: [start, "m"], d: [tickStep, "m"], t: [timeGap, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("footprintEquation.step1"),
+        values: { x0: [start, "m"] },
+        highlight: { type: "footprints", indices: [0] },
+      },
+      {
+        text: t("footprintEquation.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [tickStep, "m"], t: [timeGap, "s"], v: [pace, "m/s"] },
+        highlight: { type: "footprints", indices: [0, 1] },
+      },
+      { text: t("footprintEquation.step3"), latex: correctOption.latex },
+    ],
+  };
+};
+
+const meetingEquationQuestion = (rng) => {
+  const velocityA = randomInt(rng, 2, 3);
+  const interceptA = randomInt(rng, -7, 7);
+  const meetTime = randomInt(rng, 3, 7);
+  const meetPosition = interceptA + velocityA * meetTime;
+  const maxTime = meetTime + randomInt(rng, 2, 4);
+  const representation = {
+    type: "xt-graph",
+    points: [
+      { t: 0, x: interceptA },
+      { t: maxTime, x: interceptA + velocityA * maxTime },
+    ],
+    minDistance: Math.min(interceptA, interceptA + velocityA * maxTime),
+    maxDistance: Math.max(interceptA, interceptA + velocityA * maxTime),
+    maxTime,
+    xTicks: [0, maxTime],
+    yTicks: [0, interceptA, interceptA + velocityA * maxTime],
+  };
+  const makeEquationOption = (velocity, intercept) => {
+    const positionAtMeet = Number((intercept + velocity * meetTime).toFixed(2));
+    const feedback = Math.abs(positionAtMeet - meetPosition) < 1e-6
+      ? t("meetingEquation.meeting-condition", { meetPosition, meetTime })
+      : t("meetingEquation.meeting-condition-alt", { meetTime, positionAtMeet, meetPosition });
+    return createEquationOption({ velocity, intercept, misconception: "meeting-condition", feedback });
+  };
+
+  const meetingOption = () => {
+    const v = randomChoice(rng, [randomInt(rng, -3, 2), randomInt(rng, 3, 7)]);
+    const adjusted = v === 0 ? 1 : v;
+    const vel = adjusted === velocityA ? adjusted + 1 : adjusted;
+    const intercept = Number((meetPosition - vel * meetTime).toFixed(2));
+    return { option: makeEquationOption(vel, intercept), meets: true };
+  };
+  const nonMeetingOption = () => {
+    const v = randomChoice(rng, [randomInt(rng, -3, 2), randomInt(rng, 3, 7)]);
+    const adjusted = v === 0 ? 2 : v;
+    const vel = adjusted === velocityA ? adjusted + 2 : adjusted;
+    const intercept = Number((meetPosition - vel * meetTime + randomChoice(rng, [3, -3, 5])).toFixed(2));
+    return { option: makeEquationOption(vel, intercept), meets: false };
+  };
+
+  const includeMultiple = rng() < 0.25;
+  const includeNone = rng() < 0.25;
+  let correctChoice = "equation";
+  if (includeMultiple && rng() < 0.2) {
+    correctChoice = "multiple";
+  } else if (includeNone && rng() < 0.2) {
+    correctChoice = "none";
+  }
+
+  // Redrawn until distinct: two cards with one equation would make "several fit" right for the wrong reason.
+  const drawn = [];
+  const drawDistinct = (draw) => {
+    let candidate = draw();
+    while (drawn.some((entry) => entry.option.text === candidate.option.text)) candidate = draw();
+    drawn.push(candidate);
+    return candidate;
+  };
+  const options = [];
+  const validA = drawDistinct(meetingOption);
+  const validB = drawDistinct(meetingOption);
+  const invalidA = drawDistinct(nonMeetingOption);
+  const invalidB = drawDistinct(nonMeetingOption);
+  const invalidC = drawDistinct(nonMeetingOption);
+
+  if (correctChoice === "equation") {
+    validA.option.isCorrect = true;
+    options.push(validA.option, invalidA.option, invalidB.option, invalidC.option);
+  } else if (correctChoice === "multiple") {
+    options.push(validA.option, validB.option, invalidA.option);
+  } else {
+    options.push(invalidA.option, invalidB.option, makeEquationOption(velocityA, interceptA + 5));
+  }
+
+  if (includeMultiple) {
+    options.push({
+      value: "multiple",
+      unit: "equation",
+      text: t("options.multipleCorrect"),
+      isCorrect: correctChoice === "multiple",
+      misconception: "meeting-condition",
+      feedback: t("meetingEquation.feedback1", { meetTime, meetPosition }),
+    });
+  }
+  if (includeNone) {
+    options.push({
+      value: "none",
+      unit: "equation",
+      text: t("options.noneCorrect"),
+      isCorrect: correctChoice === "none",
+      misconception: "meeting-condition",
+      feedback: t("meetingEquation.feedback2", { meetTime, meetPosition }),
+    });
+  }
+
+  const finalOptions = shuffle(rng, options);
+  const correctOption = finalOptions.find((opt) => opt.isCorrect);
+  const conclusions = {
+    equation: { text: t("meetingEquation.step1"), latex: correctOption?.latex },
+    multiple: { text: t("meetingEquation.step2") },
+    none: { text: t("meetingEquation.step3") },
+  };
+  const solution = [
+    {
+      text: t("meetingEquation.step4"),
+      values: { t: [meetTime, "s"], x: [meetPosition, "m"] },
+      highlight: { type: "segment", from: 0, to: 1 },
+    },
+    {
+      text: t("meetingEquation.step5"),
+      values: { t: [meetTime, "s"], x: [meetPosition, "m"] },
+    },
+    conclusions[correctChoice],
+  ];
+
+  return {
+    representation,
+    prompt: t("meetingEquation.prompt", { meetTime }),
+    given: { time: meetTime },
+    correctAnswer: correctOption || { value: "none", unit: "equation", text: t("options.noneCorrect") },
+    fixedOptions: finalOptions,
+    hints: [
+      { text: t("meetingEquation.hint1") },
+      { highlight: { type: "segment", from: 0, to: 1 } },
+      { text: t("meetingEquation.hint3"), values: { t: [meetTime, "s"], x: [meetPosition, "m"] } },
+    ],
+    solution,
+  };
+};
+
+const dualVtSpeedQuestion = (rng) => {
+  const speedA = randomInt(rng, 3, 5);
+  const speedB = randomInt(rng, speedA + 1, speedA + 3);
+  const duration = randomInt(rng, 3, 6);
+  return {
+    representation: {
+      type: "dual-vt",
+      objects: [
+        { name: t("objects.a"), color: "#2f80ed", points: [{ t: 0, v: speedA }, { t: duration, v: speedA }] },
+        { name: t("objects.b"), color: "#eb5757", points: [{ t: 0, v: speedB }, { t: duration, v: speedB }] },
+      ],
+      maxTime: duration,
+      maxVelocity: Math.max(speedA, speedB) + 2,
+      xTicks: [0, duration],
+      yTicks: [speedA, speedB],
+      overlays: [
+        { type: "reading", series: 0, at: 0 },
+        { type: "reading", series: 1, at: 0 },
+      ],
+    },
+    prompt: t("dualVtSpeed.prompt"),
+    correctAnswer: { value: speedB, unit: "m/s", text: t("objects.b") },
+    fixedOptions: [
+      {
+        value: speedA,
+        unit: "m/s",
+        text: t("objects.a"),
+        isCorrect: false,
+        misconception: "misread-graph-value",
+        feedback: t("dualVtSpeed.feedback1", { speedA, speedB }),
+      },
+      { value: speedB, unit: "m/s", text: t("objects.b"), isCorrect: true },
+      {
+        value: 0,
+        unit: "m/s",
+        text: t("options.equal"),
+        isCorrect: false,
+        misconception: "misread-graph-value",
+        feedback: t("dualVtSpeed.feedback2"),
+      },
+      {
+        value: 0,
+        unit: "m/s",
+        text: t("options.noInfo"),
+        isCorrect: false,
+        misconception: "graph-has-information",
+        feedback: t("dualVtSpeed.feedback3"),
+      },
+    ],
+    hints: [
+      { text: t("dualVtSpeed.hint1") },
+      { highlight: { type: "segment", series: 0, from: 0, to: 1 } },
+      { text: t("dualVtSpeed.hint3"), values: { vA: [speedA, "m/s"], vB: [speedB, "m/s"] } },
+    ],
+    solution: [
+      {
+        text: t("dualVtSpeed.step1"),
+        values: { v: [speedA, "m/s"] },
+        highlight: { type: "segment", series: 0, from: 0, to: 1 },
+      },
+      {
+        text: t("dualVtSpeed.step2"),
+        values: { v: [speedB, "m/s"] },
+        highlight: { type: "segment", series: 1, from: 0, to: 1 },
+      },
+    ],
+  };
+};
+
+const dualVtDistanceQuestion = (rng) => {
+  const speedA = randomInt(rng, 3, 5);
+  const speedB = randomInt(rng, speedA + 1, speedA + 4);
+  const duration = randomInt(rng, 3, 5);
+  const distA = speedA * duration;
+  const distB = speedB * duration;
+  return {
+    representation: {
+      type: "dual-vt",
+      objects: [
+        { name: t("objects.a"), color: "#2f80ed", points: [{ t: 0, v: speedA }, { t: duration, v: speedA }] },
+        { name: t("objects.b"), color: "#eb5757", points: [{ t: 0, v: speedB }, { t: duration, v: speedB }] },
+      ],
+      maxTime: duration,
+      maxVelocity: Math.max(speedA, speedB) + 2,
+      xTicks: [0, duration],
+      yTicks: [speedA, speedB],
+      overlays: [
+        { type: "area", series: 0, from: 0, to: 1 },
+        { type: "area", series: 1, from: 0, to: 1 },
+      ],
+    },
+    prompt: t("dualVtDistance.prompt", { duration }),
+    correctAnswer: { value: distB, unit: "m", text: t("objects.b") },
+    fixedOptions: [
+      {
+        value: distA,
+        unit: "m",
+        text: t("objects.a"),
+        isCorrect: false,
+        misconception: "compared-wrong-quantity",
+        feedback: t("dualVtDistance.feedback1", { distB, distA }),
+      },
+      { value: distB, unit: "m", text: t("objects.b"), isCorrect: true },
+      {
+        value: Math.min(distA, distB),
+        unit: "m",
+        text: t("options.equal"),
+        isCorrect: false,
+        misconception: "compared-wrong-quantity",
+        feedback: t("dualVtDistance.feedback2"),
+      },
+      {
+        value: 0,
+        unit: "m",
+        text: t("options.noAnswer"),
+        isCorrect: false,
+        misconception: "graph-has-information",
+        feedback: t("dualVtDistance.feedback3"),
+      },
+    ],
+    hints: [
+      { text: t("dualVtDistance.hint1") },
+      { highlight: { type: "area", series: 0, from: 0, to: 1 } },
+      { text: t("dualVtDistance.hint3"), values: { vA: [speedA, "m/s"], vB: [speedB, "m/s"], t: [duration, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("dualVtDistance.step1"),
+        latex: "\\Delta x = v \\cdot \\Delta t",
+        values: { v: [speedA, "m/s"], t: [duration, "s"], d: [distA, "m"] },
+        highlight: { type: "area", series: 0, from: 0, to: 1 },
+      },
+      {
+        text: t("dualVtDistance.step2"),
+        values: { v: [speedB, "m/s"], t: [duration, "s"], d: [distB, "m"] },
+        highlight: { type: "area", series: 1, from: 0, to: 1 },
+      },
+    ],
+  };
+};
+
+const dualXtOvertakeQuestion = (rng) => {
+  const speedA = randomInt(rng, 3, 5);
+  const speedB = randomInt(rng, 2, 4);
+  const time = randomInt(rng, 3, 6);
+  const posA = speedA * time;
+  const posB = speedB * time + 2;
+  const leader = posA > posB ? t("objects.a") : t("objects.b");
+  const positionsFeedback = t("dualXtOvertake.compared-wrong-quantity", { time, posA, posB });
+  return {
+    representation: {
+      type: "dual-xt",
+      objects: [
+        { name: t("objects.a"), color: "#2f80ed", points: [{ t: 0, x: 0 }, { t: time, x: posA }] },
+        { name: t("objects.b"), color: "#27ae60", points: [{ t: 0, x: 2 }, { t: time, x: posB }] },
+      ],
+      maxTime: time,
+      maxDistance: Math.max(posA, posB),
+      xTicks: [0, time],
+      yTicks: [Math.min(posB, posA), Math.max(posB, posA)],
+      overlays: [
+        { type: "reading", series: 0, at: 1 },
+        { type: "reading", series: 1, at: 1 },
+      ],
+    },
+    prompt: t("dualXtOvertake.prompt", { time }),
+    correctAnswer: { value: Math.max(posA, posB), unit: "m", text: leader },
+    fixedOptions: [
+      { value: posA, unit: "m", text: t("objects.a"), isCorrect: leader === t("objects.a"), misconception: "compared-wrong-quantity", feedback: positionsFeedback },
+      { value: posB, unit: "m", text: t("objects.b"), isCorrect: leader === t("objects.b"), misconception: "compared-wrong-quantity", feedback: positionsFeedback },
+      {
+        value: 0,
+        unit: "m",
+        text: t("options.equal"),
+        isCorrect: false,
+        misconception: "misread-graph-value",
+        feedback: t("dualXtOvertake.feedback1", { time, positionsFeedback }),
+      },
+      {
+        value: 0,
+        unit: "m",
+        text: t("options.noInfo"),
+        isCorrect: false,
+        misconception: "graph-has-information",
+        feedback: t("dualXtOvertake.feedback2"),
+      },
+    ],
+    hints: [
+      { text: t("dualXtOvertake.hint1") },
+      { highlight: { type: "points", series: 0, indices: [1] } },
+      { text: t("dualXtOvertake.hint3"), values: { t: [time, "s"], xA: [posA, "m"], xB: [posB, "m"] } },
+    ],
+    solution: [
+      {
+        text: t("dualXtOvertake.step1"),
+        values: { t: [time, "s"], x: [posA, "m"] },
+        highlight: { type: "points", series: 0, indices: [1] },
+      },
+      {
+        text: t("dualXtOvertake.step2"),
+        values: { x: [posB, "m"] },
+        highlight: { type: "points", series: 1, indices: [1] },
+      },
+      { text: t("dualXtOvertake.step3", { leader }) },
+    ],
+  };
+};
+
+const accelerationSlopeQuestion = (rng) => {
+  const duration = randomInt(rng, 2, 5);
+  const acceleration = randomChoice(rng, [-3, -2, -1, 1, 2, 3]);
+  const initial = acceleration > 0 ? randomInt(rng, 0, 4) : -acceleration * duration + randomInt(rng, 0, 3);
+  const final = initial + acceleration * duration;
+  const change = final - initial;
+  return {
+    representation: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: initial },
+        { t: duration, v: final },
+      ],
+      minVelocity: 0,
+      maxVelocity: Math.max(initial, final) + 1,
+      maxTime: duration,
+      xTicks: [0, duration],
+      yTicks: [initial, final],
+      overlays: [{ type: "slope", from: 0, to: 1 }],
+    },
+    prompt: t("accelerationSlope.prompt"),
+    correctAnswer: { value: acceleration, unit: "m/s²" },
+    distractors: [
+      createDistractor(
+        Number((final / duration).toFixed(2)),
+        "forgot-intercept",
+        t("accelerationSlope.forgot-intercept", { initial, change })
+      ),
+      createDistractor(change, "change-for-rate", t("accelerationSlope.change-for-rate", { change, duration })),
+      createDistractor(final, "velocity-for-acceleration", t("accelerationSlope.velocity-for-acceleration", { final })),
+      createDistractor(
+        -acceleration,
+        "slope-sign",
+        acceleration > 0 ? t("accelerationSlope.slope-sign") : t("accelerationSlope.slope-sign-alt")
+      ),
+    ],
+    hints: [
+      { text: t("accelerationSlope.hint1") },
+      { highlight: { type: "slope", from: 0, to: 1 } },
+      { text: t("accelerationSlope.hint3"), values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("accelerationSlope.step1"),
+        values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"] },
+        highlight: { type: "points", indices: [0, 1] },
+      },
+      {
+        text: t("accelerationSlope.step2"),
+        latex: "a = \\frac{\\Delta v}{\\Delta t}",
+        values: { dv: [change, "m/s"], t: [duration, "s"], a: [acceleration, "m/s²"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+    ],
+  };
+};
+
+const accelerationAreaQuestion = (rng) => {
+  const duration = randomInt(rng, 2, 6);
+  const initial = randomChoice(rng, [0, 0, 1, 2, 3, 4]);
+  const acceleration = randomInt(rng, 1, 3);
+  const final = initial + acceleration * duration;
+  const distance = ((initial + final) / 2) * duration;
+  const shape = initial === 0 ? t("shapes.triangle") : t("shapes.trapezoid");
+  return {
+    representation: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: initial },
+        { t: duration, v: final },
+      ],
+      minVelocity: 0,
+      maxVelocity: final + 1,
+      maxTime: duration,
+      xTicks: [0, duration],
+      yTicks: initial === 0 ? [final] : [initial, final],
+      overlays: [{ type: "area", from: 0, to: 1 }],
+    },
+    prompt: t("accelerationArea.prompt"),
+    correctAnswer: { value: distance, unit: "m" },
+    distractors: [
+      createDistractor(
+        final * duration,
+        "area-as-triangle",
+        t("accelerationArea.area-as-triangle", { final, duration, shape })
+      ),
+      initial > 0 &&
+        createDistractor(
+          ((final - initial) * duration) / 2,
+          "area-as-triangle",
+          t("accelerationArea.area-as-triangle-2", { initial })
+        ),
+      createDistractor(final, "read-axis-value", t("accelerationArea.read-axis-value", { final })),
+    ],
+    hints: [
+      { text: t("accelerationArea.hint1") },
+      { highlight: { type: "area", from: 0, to: 1 } },
+      initial === 0
+        ? { text: t("accelerationArea.hint3"), values: { v1: [final, "m/s"], t: [duration, "s"] } }
+        : {
+            text: t("accelerationArea.hint3-trapezoid"),
+            values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"] },
+          },
+    ],
+    solution: [
+      { text: t("accelerationArea.step1", { shape }), highlight: { type: "area", from: 0, to: 1 } },
+      initial === 0
+        ? {
+            text: t("accelerationArea.step2"),
+            latex: "\\Delta x = \\tfrac{1}{2} \\cdot v \\cdot \\Delta t",
+            values: { t: [duration, "s"], v1: [final, "m/s"], d: [distance, "m"] },
+          }
+        : {
+            text: t("accelerationArea.step3"),
+            latex: "\\Delta x = \\frac{v_0 + v}{2} \\cdot \\Delta t",
+            values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"], d: [distance, "m"] },
+          },
+    ],
+  };
+};
+
+const accelerationParabolaQuestion = (rng) => {
+  const acceleration = randomInt(rng, 1, 4);
+  // Odd accelerations only get even times so ½·a·t² lands on a whole number.
+  const time = randomChoice(rng, acceleration % 2 === 0 ? [2, 3, 4, 5] : [2, 4]);
+  const position = (acceleration * time * time) / 2;
+  return {
+    representation: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: 0 },
+        { t: time, x: position },
+      ],
+      motion: { x0: 0, v0: 0, a: acceleration },
+      minDistance: 0,
+      maxDistance: position,
+      maxTime: time,
+      xTicks: [0, time / 2, time],
+      yTicks: [0, position],
+      overlays: [{ type: "reading", at: 1 }],
+    },
+    prompt: t("accelerationParabola.prompt"),
+    correctAnswer: { value: acceleration, unit: "m/s²" },
+    distractors: [
+      createDistractor(
+        Number((position / (time * time)).toFixed(2)),
+        "forgot-half",
+        t("accelerationParabola.forgot-half")
+      ),
+      createDistractor(
+        Number((position / time).toFixed(2)),
+        "velocity-for-acceleration",
+        t("accelerationParabola.velocity-for-acceleration", { value1: formatNumber(position / time) })
+      ),
+      createDistractor(
+        acceleration * time,
+        "velocity-for-acceleration",
+        t("accelerationParabola.velocity-for-acceleration-2", { value1: acceleration * time, time })
+      ),
+    ],
+    hints: [
+      { text: t("accelerationParabola.hint1") },
+      { highlight: { type: "points", indices: [1] } },
+      { text: t("accelerationParabola.hint3"), values: { x: [position, "m"], t: [time, "s"] } },
+    ],
+    solution: [
+      { text: t("accelerationParabola.step1"), latex: "x = \\tfrac{1}{2} a t^2" },
+      {
+        text: t("accelerationParabola.step2"),
+        values: { t: [time, "s"], x: [position, "m"] },
+        highlight: { type: "points", indices: [1] },
+      },
+      {
+        text: t("accelerationParabola.step3"),
+        latex: "a = \\frac{2x}{t^2}",
+        values: { x: [position, "m"], t: [time, "s"], a: [acceleration, "m/s²"] },
+      },
+    ],
+  };
+};
+
+const accelerationEquationQuestion = (rng) => {
+  const duration = randomInt(rng, 3, 5);
+  const acceleration = randomChoice(rng, [-2, -1, 1, 2, 3]);
+  const initial = acceleration > 0 ? randomInt(rng, 0, 4) : -acceleration * duration + randomInt(rng, 0, 2);
+  const intercept = randomInt(rng, -5, 5);
+  const final = initial + acceleration * duration;
+  const representation = {
+    type: "vt-graph",
+    points: [
+      { t: 0, v: initial },
+      { t: duration, v: final },
+    ],
+    minVelocity: 0,
+    maxVelocity: Math.max(initial, final) + 1,
+    maxTime: duration,
+    xTicks: [0, duration],
+    yTicks: [initial, final],
+    overlays: [{ type: "slope", from: 0, to: 1 }],
+  };
+  const correctOption = createEquationOption({ velocity: initial, intercept, acceleration, isCorrect: true });
+  const forgotHalf = createEquationOption({
+    velocity: initial,
+    intercept,
+    acceleration,
+    omitHalf: true,
+    misconception: "forgot-half",
+    feedback: t("accelerationEquation.feedback1"),
+  });
+  const usedFinal = createEquationOption({
+    velocity: final,
+    intercept,
+    acceleration,
+    misconception: "misread-graph-value",
+    feedback: t("accelerationEquation.feedback2", { final, initial }),
+  });
+  const flipped = createEquationOption({
+    velocity: initial,
+    intercept,
+    acceleration: -acceleration,
+    misconception: "slope-sign",
+    feedback: acceleration > 0 ? t("accelerationEquation.slope-sign") : t("accelerationEquation.slope-sign-alt"),
+  });
+  return {
+    representation,
+    prompt: t("accelerationEquation.prompt", { intercept }),
+    given: { position: intercept },
+    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
+    fixedOptions: shuffle(rng, [correctOption, forgotHalf, usedFinal, flipped]),
+    hints: [
+      { text: t("accelerationEquation.hint1") },
+      { highlight: { type: "slope", from: 0, to: 1 } },
+      { text: t("accelerationEquation.hint3"), values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("accelerationEquation.step1"),
+        values: { v0: [initial, "m/s"] },
+        highlight: { type: "points", indices: [0] },
+      },
+      {
+        text: t("accelerationEquation.step2"),
+        latex: "a = \\frac{\\Delta v}{\\Delta t}",
+        values: { v0: [initial, "m/s"], v1: [final, "m/s"], t: [duration, "s"], a: [acceleration, "m/s²"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      {
+        text: t("accelerationEquation.step3"),
+        values: { x0: [intercept, "m"] },
+        latex: correctOption.latex,
+      },
+    ],
+  };
+};
+
+const sketchXtTableQuestion = (rng) => {
+  const step = randomChoice(rng, [1, 2, 5]);
+  const switchTime = randomInt(rng, 2, 3);
+  const totalTime = switchTime + randomInt(rng, 2, 3);
+  const firstSpeed = step * randomInt(rng, 1, 2);
+  const secondSpeed = step * randomChoice(rng, [-1, 0, 1, 2].filter((factor) => factor * step !== firstSpeed));
+  const start = step * randomInt(rng, 0, 2);
+  const switchPosition = start + firstSpeed * switchTime;
+  const end = switchPosition + secondSpeed * (totalTime - switchTime);
+  const points = [
+    { t: 0, x: start },
+    { t: switchTime, x: switchPosition },
+    { t: totalTime, x: end },
+  ];
+  const rows = [0, 1, switchTime, totalTime].map((time) => [time.toString(), interpolateAt(points, "x", time).toString()]);
+  const positions = points.map((point) => point.x);
+  return {
+    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
+    prompt: t("sketchXtTable.prompt"),
+    sketch: {
+      type: "xt-graph",
+      points,
+      maxTime: totalTime,
+      timeStep: 1,
+      minValue: Math.min(0, ...positions),
+      maxValue: Math.max(...positions) + step,
+      valueStep: step,
+    },
+    hints: [
+      { text: t("sketchXtTable.hint1") },
+      { highlight: { type: "rows", indices: [0, 1, 2] } },
+      {
+        text: t("sketchXtTable.hint3"),
+        values: { x0: [start, "m"], ts: [switchTime, "s"], xs: [switchPosition, "m"], tt: [totalTime, "s"], xe: [end, "m"] },
+      },
+    ],
+    solution: [
+      {
+        text: t("sketchXtTable.step1"),
+        highlight: { type: "rows", indices: [0, 1, 2, 3] },
+      },
+      {
+        text: t("sketchXtTable.step2"),
+        values: { ts: [switchTime, "s"], d: [firstSpeed, "m"], x0: [start, "m"], xs: [switchPosition, "m"] },
+        highlight: { type: "rows", indices: [0, 1, 2] },
+      },
+      secondSpeed === 0
+        ? {
+            text: t("sketchXtTable.step3"),
+            values: { ts: [switchTime, "s"], tt: [totalTime, "s"], xs: [switchPosition, "m"] },
+            highlight: { type: "rows", indices: [2, 3] },
+          }
+        : {
+            text: t("sketchXtTable.step4"),
+            values: { ts: [switchTime, "s"], tt: [totalTime, "s"], xs: [switchPosition, "m"], xe: [end, "m"] },
+            highlight: { type: "rows", indices: [2, 3] },
+          },
+    ],
+  };
+};
+
+const sketchXtEquationQuestion = (rng) => {
+  const step = randomChoice(rng, [1, 2]);
+  const velocity = step * randomChoice(rng, [-3, -2, -1, 1, 2, 3]);
+  const intercept = step * randomInt(rng, -3, 3);
+  const maxTime = randomInt(rng, 4, 5);
+  const end = intercept + velocity * maxTime;
+  return {
+    representation: buildEquationRepresentation(velocity, intercept),
+    prompt: t("sketchXtEquation.prompt"),
+    sketch: {
+      type: "xt-graph",
+      points: [
+        { t: 0, x: intercept },
+        { t: maxTime, x: end },
+      ],
+      maxTime,
+      timeStep: 1,
+      minValue: Math.min(0, intercept, end),
+      maxValue: Math.max(0, intercept, end),
+      valueStep: step,
+    },
+    hints: [
+      { text: t("sketchXtEquation.hint1") },
+      { text: t("sketchXtEquation.hint2"), values: { x0: [intercept, "m"] } },
+      { text: t("sketchXtEquation.hint3"), values: { x0: [intercept, "m"], v: [velocity, "m/s"], t: [maxTime, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("sketchXtEquation.step1"),
+        latex: "x(t) = x_0 + v \\cdot t",
+        values: { x0: [intercept, "m"] },
+      },
+      {
+        text: t("sketchXtEquation.step2"),
+        values: { v: [velocity, "m/s"], dx: [velocity, "m"], t: [maxTime, "s"], x: [end, "m"] },
+      },
+      { text: t("sketchXtEquation.step3") },
+    ],
+  };
+};
+
+const sketchVtFootprintQuestion = (rng) => {
+  const pace = randomInt(rng, 1, 5);
+  const timeGap = randomInt(rng, 1, 2);
+  const tickStep = pace * timeGap;
+  const steps = Array.from({ length: 4 }, (_, idx) => ({
+    time: idx * timeGap,
+    position: tickStep * idx,
+  }));
+  const totalTime = 3 * timeGap;
+  return {
+    representation: {
+      type: "footprint",
+      steps,
+      tickPositions: buildEvenTicks(steps[steps.length - 1].position, tickStep),
+    },
+    prompt: t("sketchVtFootprint.prompt", { timeGap }),
+    sketch: {
+      type: "vt-graph",
+      points: [
+        { t: 0, v: pace },
+        { t: totalTime, v: pace },
+      ],
+      maxTime: totalTime,
+      timeStep: 1,
+      minValue: 0,
+      maxValue: pace + 2,
+      valueStep: 1,
+    },
+    hints: [
+      { text: t("sketchVtFootprint.hint1") },
+      { highlight: { type: "footprints", indices: [0, 1] } },
+      { text: t("sketchVtFootprint.hint3"), values: { d: [tickStep, "m"], t: [timeGap, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("sketchVtFootprint.step1"),
+        values: { d: [tickStep, "m"], t: [timeGap, "s"] },
+        highlight: { type: "footprints", indices: [0, 1] },
+      },
+      {
+        text: t("sketchVtFootprint.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [tickStep, "m"], t: [timeGap, "s"], v: [pace, "m/s"] },
+      },
+      { text: t("sketchVtFootprint.step3"), values: { v: [pace, "m/s"] } },
+    ],
+  };
+};
+
+const randomTwoSegmentMotion = (rng) => {
+  const firstVelocity = randomInt(rng, 1, 4);
+  const secondVelocity = randomChoice(rng, [-3, -2, -1, 1, 2, 3, 4].filter((velocity) => velocity !== firstVelocity));
+  return {
+    x0: randomInt(rng, 0, 4),
+    segments: [
+      { duration: randomInt(rng, 2, 3), velocity: firstVelocity },
+      { duration: randomInt(rng, 2, 3), velocity: secondVelocity },
+    ],
+  };
+};
+
+const matchXtToVtQuestion = (rng) => {
+  const motion = randomTwoSegmentMotion(rng);
+  const [first, second] = motion.segments;
+  const points = motionPoints(motion);
+  const timingDelta = randomChoice(rng, [-1, 1]);
+  const correctOption = createRepresentationOption(vtGraphFromMotion(motion), { isCorrect: true });
+  const copiedShape = {
+    ...vtGraphFromMotion(motion),
+    points: points.map((point) => ({ t: point.t, v: point.x })),
+    minVelocity: Math.min(0, ...points.map((point) => point.x)),
+    maxVelocity: Math.max(...points.map((point) => point.x)) + 1,
+    yTicks: [...new Set(points.map((point) => point.x))],
+  };
+  const options = pickRepresentationOptions(rng, correctOption, [
+    createRepresentationOption(vtGraphFromMotion(mirrorMotion(motion)), {
+      misconception: "slope-sign",
+      feedback: t("matchXtToVt.feedback1"),
+    }),
+    createRepresentationOption(copiedShape, {
+      misconception: "copied-graph-shape",
+      feedback: t("matchXtToVt.feedback2"),
+    }),
+    createRepresentationOption(vtGraphFromMotion(shiftSwitchTime(motion, timingDelta)), {
+      misconception: "segment-timing",
+      feedback: t("matchXtToVt.feedback3", { firstDuration: first.duration }),
+    }),
+    createRepresentationOption(vtGraphFromMotion(scaleSegmentVelocity(motion, 0, 2)), {
+      misconception: "misread-slope",
+      feedback: t("matchXtToVt.feedback4", { firstVelocity: first.velocity }),
+    }),
+  ]);
+  return {
+    representation: { ...xtGraphFromMotion(motion), overlays: [{ type: "slope", from: 0, to: 1 }, { type: "slope", from: 1, to: 2 }] },
+    prompt: t("matchXtToVt.prompt"),
+    correctAnswer: { value: correctOption.value, unit: "representation", text: t("options.vtGraph") },
+    fixedOptions: options,
+    hints: [
+      { text: t("matchXtToVt.hint1") },
+      { highlight: { type: "slope", from: 0, to: 1 } },
+      {
+        text: t("matchXtToVt.hint3"),
+        values: {
+          dx1: [first.velocity * first.duration, "m"],
+          t1: [first.duration, "s"],
+          dx2: [second.velocity * second.duration, "m"],
+          t2: [second.duration, "s"],
+        },
+      },
+    ],
+    solution: [
+      {
+        text: t("matchXtToVt.step1"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { dx: [first.velocity * first.duration, "m"], t: [first.duration, "s"], v: [first.velocity, "m/s"] },
+        highlight: { type: "slope", from: 0, to: 1 },
+      },
+      {
+        text: t("matchXtToVt.step2"),
+        values: { dx: [second.velocity * second.duration, "m"], t: [second.duration, "s"], v: [second.velocity, "m/s"] },
+        highlight: { type: "slope", from: 1, to: 2 },
+      },
+      {
+        text: t("matchXtToVt.step3"),
+        values: { ts: [first.duration, "s"] },
+      },
+    ],
+  };
+};
+
+const matchVtToXtQuestion = (rng) => {
+  const motion = randomTwoSegmentMotion(rng);
+  const [first, second] = motion.segments;
+  const points = motionPoints(motion);
+  const timingDelta = randomChoice(rng, [-1, 1]);
+  const correctOption = createRepresentationOption(xtGraphFromMotion(motion), { isCorrect: true });
+  const options = pickRepresentationOptions(rng, correctOption, [
+    createRepresentationOption(xtGraphFromMotion(mirrorMotion(motion)), {
+      misconception: "slope-sign",
+      feedback: t("matchVtToXt.feedback1"),
+    }),
+    motion.x0 !== 0
+      ? createRepresentationOption(xtGraphFromMotion({ ...motion, x0: 0 }), {
+          misconception: "forgot-intercept",
+          feedback: t("matchVtToXt.feedback2", { motionX0: motion.x0 }),
+        })
+      : createRepresentationOption(xtGraphFromMotion({ ...motion, x0: 3 }), {
+          misconception: "misread-intercept",
+          feedback: t("matchVtToXt.feedback3"),
+        }),
+    createRepresentationOption(xtGraphFromMotion(shiftSwitchTime(motion, timingDelta)), {
+      misconception: "segment-timing",
+      feedback: t("matchVtToXt.feedback4", { firstDuration: first.duration }),
+    }),
+    createRepresentationOption(xtGraphFromMotion(scaleSegmentVelocity(motion, 1, 2)), {
+      misconception: "misread-slope",
+      feedback: t("matchVtToXt.feedback5", { secondVelocity: second.velocity }),
+    }),
+  ]);
+  return {
+    representation: { ...vtGraphFromMotion(motion), overlays: [{ type: "area", from: 0, to: 1 }, { type: "area", from: 2, to: 3 }] },
+    prompt: t("matchVtToXt.prompt", { motionX0: motion.x0 }),
+    given: { position: motion.x0 },
+    correctAnswer: { value: correctOption.value, unit: "representation", text: t("options.xtGraph") },
+    fixedOptions: options,
+    hints: [
+      { text: t("matchVtToXt.hint1") },
+      { highlight: { type: "area", from: 0, to: 1 } },
+      {
+        text: t("matchVtToXt.hint3"),
+        values: {
+          x0: [motion.x0, "m"],
+          v1: [first.velocity, "m/s"],
+          t1: [first.duration, "s"],
+          v2: [second.velocity, "m/s"],
+          t2: [second.duration, "s"],
+        },
+      },
+    ],
+    solution: [
+      {
+        text: t("matchVtToXt.step1"),
+        values: {
+          v: [first.velocity, "m/s"],
+          t: [first.duration, "s"],
+          dx: [first.velocity * first.duration, "m"],
+          x0: [motion.x0, "m"],
+          x1: [points[1].x, "m"],
+        },
+        highlight: { type: "area", from: 0, to: 1 },
+      },
+      {
+        text: t("matchVtToXt.step2"),
+        values: {
+          v: [second.velocity, "m/s"],
+          t: [second.duration, "s"],
+          dx: [second.velocity * second.duration, "m"],
+          x2: [points[2].x, "m"],
+        },
+        highlight: { type: "area", from: 2, to: 3 },
+      },
+      { text: t("matchVtToXt.step3") },
+    ],
+  };
+};
+
+const matchTableToXtQuestion = (rng) => {
+  const velocity = randomChoice(rng, [-3, -2, -1, 1, 2, 3, 4]);
+  const x0 = randomInt(rng, 1, 6);
+  const times = randomTimes(rng, 4, [1, 1, 2]);
+  const motion = { x0, segments: [{ duration: times[times.length - 1], velocity }] };
+  const hasWideGap = times.some((time, index) => index > 0 && time - times[index - 1] > 1);
+  const correctOption = createRepresentationOption(xtGraphFromMotion(motion), { isCorrect: true });
+  const options = pickRepresentationOptions(rng, correctOption, [
+    hasWideGap &&
+      createRepresentationOption(xtGraphFromMotion(scaleSegmentVelocity(motion, 0, 2)), {
+        misconception: "ignored-time-step",
+        feedback: t("matchTableToXt.feedback1"),
+      }),
+    createRepresentationOption(xtGraphFromMotion({ ...motion, x0: 0 }), {
+      misconception: "forgot-intercept",
+      feedback: t("matchTableToXt.feedback2", { x0 }),
+    }),
+    createRepresentationOption(xtGraphFromMotion(mirrorMotion(motion)), {
+      misconception: "slope-sign",
+      feedback: velocity > 0 ? t("matchTableToXt.slope-sign") : t("matchTableToXt.slope-sign-alt"),
+    }),
+    createRepresentationOption(xtGraphFromMotion(scaleSegmentVelocity(motion, 0, 0.5)), {
+      misconception: "misread-slope",
+      feedback: t("matchTableToXt.feedback3", { value1: Math.abs(velocity) }),
+    }),
+  ]);
+  return {
+    representation: tableFromMotion(motion, times),
+    prompt: t("matchTableToXt.prompt"),
+    correctAnswer: { value: correctOption.value, unit: "representation", text: t("options.xtGraph") },
+    fixedOptions: options,
+    hints: [
+      { text: t("matchTableToXt.hint1") },
+      { highlight: { type: "rows", indices: [0, 1] } },
+      { text: t("matchTableToXt.hint3"), values: { x0: [x0, "m"], dx: [velocity * times[1], "m"], dt: [times[1], "s"] } },
+    ],
+    solution: [
+      {
+        text: t("matchTableToXt.step1"),
+        values: { x0: [x0, "m"] },
+        highlight: { type: "rows", indices: [0] },
+      },
+      {
+        text: t("matchTableToXt.step2"),
+        values: { v: [velocity, "m/s"] },
+        highlight: { type: "rows", indices: [0, 1] },
+      },
+      {
+        text: t("matchTableToXt.step3"),
+        values: { t: [times[times.length - 1], "s"], x: [x0 + velocity * times[times.length - 1], "m"] },
+        highlight: { type: "rows", indices: [times.length - 1] },
+      },
+    ],
+  };
+};
+
+const matchEquationToXtQuestion = (rng) => {
+  const velocity = randomChoice(rng, [-3, -2, -1, 1, 2, 3]);
+  const intercept = randomChoice(rng, [-4, -3, -2, 2, 3, 4, 5].filter((value) => value !== velocity));
+  const duration = randomInt(rng, 3, 5);
+  const motion = { x0: intercept, segments: [{ duration, velocity }] };
+  const correctOption = createRepresentationOption(xtGraphFromMotion(motion), { isCorrect: true });
+  const options = pickRepresentationOptions(rng, correctOption, [
+    createRepresentationOption(xtGraphFromMotion(mirrorMotion(motion)), {
+      misconception: "slope-sign",
+      feedback: velocity > 0 ? t("matchEquationToXt.slope-sign") : t("matchEquationToXt.slope-sign-alt"),
+    }),
+    createRepresentationOption(xtGraphFromMotion({ ...motion, x0: -intercept }), {
+      misconception: "misread-intercept",
+      feedback: t("matchEquationToXt.feedback1", { intercept }),
+    }),
+    createRepresentationOption(xtGraphFromMotion({ x0: velocity, segments: [{ duration, velocity: intercept }] }), {
+      misconception: "misread-slope",
+      feedback: t("matchEquationToXt.feedback2", { velocity, intercept }),
+    }),
+  ]);
+  return {
+    representation: buildEquationRepresentation(velocity, intercept),
+    prompt: t("matchEquationToXt.prompt"),
+    correctAnswer: { value: correctOption.value, unit: "representation", text: t("options.xtGraph") },
+    fixedOptions: options,
+    hints: [
+      { text: t("matchEquationToXt.hint1") },
+      { text: t("matchEquationToXt.hint2"), values: { x0: [intercept, "m"] } },
+      { text: t("matchEquationToXt.hint3"), values: { v: [velocity, "m/s"], t: [duration, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("matchEquationToXt.step1"),
+        latex: "x(t) = x_0 + v \\cdot t",
+        values: { x0: [intercept, "m"] },
+      },
+      {
+        text: t("matchEquationToXt.step2"),
+        values: { v: [velocity, "m/s"] },
+      },
+      {
+        text: t("matchEquationToXt.step3"),
+        values: { t: [duration, "s"], x: [intercept + velocity * duration, "m"] },
+      },
+    ],
+  };
+};
+
+const matchFootprintToVtQuestion = (rng) => {
+  const pace = randomInt(rng, 2, 4);
+  const timeGap = randomInt(rng, 1, 2);
+  const tickStep = pace * timeGap;
+  const steps = Array.from({ length: 4 }, (_, idx) => ({ time: idx * timeGap, position: tickStep * idx }));
+  const motion = { x0: 0, segments: [{ duration: 3 * timeGap, velocity: pace }] };
+  const correctOption = createRepresentationOption(vtGraphFromMotion(motion), { isCorrect: true });
+  const copiedShape = {
+    ...vtGraphFromMotion(motion),
+    points: steps.map((step) => ({ t: step.time, v: step.position })),
+    maxVelocity: steps[steps.length - 1].position + 1,
+    yTicks: [0, steps[steps.length - 1].position],
+  };
+  const options = pickRepresentationOptions(rng, correctOption, [
+    timeGap > 1
+      ? createRepresentationOption(vtGraphFromMotion(scaleSegmentVelocity(motion, 0, timeGap)), {
+          misconception: "ignored-time-step",
+          feedback: t("matchFootprintToVt.feedback1", { tickStep, timeGap, pace }),
+        })
+      : createRepresentationOption(vtGraphFromMotion(scaleSegmentVelocity(motion, 0, 2)), {
+          misconception: "misread-slope",
+          feedback: t("matchFootprintToVt.feedback2", { pace }),
+        }),
+    createRepresentationOption(copiedShape, {
+      misconception: "copied-graph-shape",
+      feedback: t("matchFootprintToVt.feedback3"),
+    }),
+    createRepresentationOption(vtGraphFromMotion(mirrorMotion(motion)), {
+      misconception: "slope-sign",
+      feedback: t("matchFootprintToVt.feedback4"),
+    }),
+  ]);
+  return {
+    representation: { type: "footprint", steps, tickPositions: buildEvenTicks(steps[steps.length - 1].position, tickStep) },
+    prompt: t("matchFootprintToVt.prompt", { timeGap }),
+    correctAnswer: { value: correctOption.value, unit: "representation", text: t("options.vtGraph") },
+    fixedOptions: options,
+    hints: [
+      { text: t("matchFootprintToVt.hint1") },
+      { highlight: { type: "footprints", indices: [0, 1] } },
+      { text: t("matchFootprintToVt.hint3"), values: { d: [tickStep, "m"], t: [timeGap, "s"] } },
+    ],
+    solution: [
+      {
+        text: t("matchFootprintToVt.step1"),
+        values: { d: [tickStep, "m"], t: [timeGap, "s"] },
+        highlight: { type: "footprints", indices: [0, 1] },
+      },
+      {
+        text: t("matchFootprintToVt.step2"),
+        latex: "v = \\frac{\\Delta x}{\\Delta t}",
+        values: { d: [tickStep, "m"], t: [timeGap, "s"], v: [pace, "m/s"] },
+      },
+    ],
+  };
+};
+
+const skillCatalog = [
+  "table-rate",
+  "average-speed",
+  "reading-slope",
+  "reading-position",
+  "distance-vs-displacement",
+  "area-under-vt",
+  "reading-vt",
+  "footprints",
+  "equations",
+  "comparing-bodies",
+  "acceleration",
+  "parabolic-xt",
+  "sketching",
+  "converting-representations",
+];
+
+const skillLabel = (skill) => t(`skills.${skill}`);
+
+const questionBuilders = [
+  { id: "table-rand", builder: tableRandomQuestion, type: "speed", skills: ["table-rate"] },
+  { id: "table-average", builder: tableAverageSpeedQuestion, type: "speed", skills: ["average-speed"] },
+  { id: "xt-constant", builder: xtConstantQuestion, type: "speed", skills: ["reading-slope"] },
+  { id: "xt-switch", builder: xtSwitchQuestion, type: "speed", skills: ["reading-slope"] },
+  { id: "xt-return", builder: xtReturnQuestion, type: "distance", skills: ["reading-position"] },
+  { id: "xt-total", builder: xtTotalDistanceQuestion, type: "distance", skills: ["distance-vs-displacement"] },
+  { id: "vt-area", builder: vtAreaQuestion, type: "distance", skills: ["area-under-vt"] },
+  { id: "vt-stop", builder: vtStopQuestion, type: "time", skills: ["reading-vt"] },
+  { id: "vt-accel", builder: vtAccelerationQuestion, type: "speed", skills: ["reading-vt"] },
+  { id: "footprint-const", builder: footprintConstantQuestion, type: "speed", skills: ["footprints"] },
+  { id: "xt-eq-pos", builder: xtEquationPositionQuestion, type: "distance", skills: ["equations"] },
+  { id: "xt-graph-eq", builder: xtGraphEquationQuestion, type: "equation", skills: ["equations", "reading-slope"] },
+  { id: "vt-graph-eq", builder: vtGraphPositionEquationQuestion, type: "equation", skills: ["equations", "reading-vt"] },
+  { id: "xt-table-eq", builder: xtTableEquationQuestion, type: "equation", skills: ["equations", "table-rate"] },
+  { id: "footprint-eq", builder: footprintEquationQuestion, type: "equation", skills: ["equations", "footprints"] },
+  { id: "xt-meet-eq", builder: meetingEquationQuestion, type: "equation", skills: ["equations", "reading-position"] },
+  { id: "footprint-var", builder: footprintVariablePaceQuestion, type: "speed", skills: ["footprints", "average-speed"] },
+  { id: "footprint-dist", builder: footprintDistanceQuestion, type: "distance", skills: ["footprints", "distance-vs-displacement"] },
+  { id: "footprint-disp", builder: footprintDisplacementQuestion, type: "distance", skills: ["footprints", "distance-vs-displacement"] },
+  { id: "dual-vt-speed", builder: dualVtSpeedQuestion, type: "speed", skills: ["comparing-bodies", "reading-vt"] },
+  { id: "dual-vt-dist", builder: dualVtDistanceQuestion, type: "distance", skills: ["comparing-bodies", "area-under-vt"] },
+  { id: "dual-xt", builder: dualXtOvertakeQuestion, type: "distance", skills: ["comparing-bodies", "reading-position"] },
+  { id: "accel-slope", builder: accelerationSlopeQuestion, type: "acceleration", skills: ["acceleration"] },
+  { id: "accel-area", builder: accelerationAreaQuestion, type: "distance", skills: ["area-under-vt", "acceleration"] },
+  { id: "accel-xt", builder: accelerationParabolaQuestion, type: "acceleration", skills: ["parabolic-xt"] },
+  { id: "accel-eq", builder: accelerationEquationQuestion, type: "equation", skills: ["equations", "acceleration"] },
+  { id: "sketch-xt-table", builder: sketchXtTableQuestion, type: "sketch", skills: ["sketching", "table-rate"] },
+  { id: "sketch-xt-eq", builder: sketchXtEquationQuestion, type: "sketch", skills: ["sketching", "equations"] },
+  { id: "sketch-vt-footprint", builder: sketchVtFootprintQuestion, type: "sketch", skills: ["sketching", "footprints"] },
+  { id: "match-xt-vt", builder: matchXtToVtQuestion, type: "representation", skills: ["converting-representations", "reading-slope"] },
+  { id: "match-vt-xt", builder: matchVtToXtQuestion, type: "representation", skills: ["converting-representations", "reading-vt"] },
+  { id: "match-table-xt", builder: matchTableToXtQuestion, type: "representation", skills: ["converting-representations", "table-rate"] },
+  { id: "match-eq-xt", builder: matchEquationToXtQuestion, type: "representation", skills: ["converting-representations", "equations"] },
+  { id: "match-footprint-vt", builder: matchFootprintToVtQuestion, type: "representation", skills: ["converting-representations", "footprints"] },
+];
+
+/**
+ * Question templates let a new question family be written as JSON instead of a builder function.
+ * A template file (listed in templates/index.json) holds one template or an array of them:
+ *
+ *   id, type ("speed" | "distance" | "time" | "acceleration"), skills  – as in questionBuilders
+ *   params       { name: { min, max, step } | { choices: [...] } }, drawn from the question's seeded generator
+ *   derived      { name: "expression" }, evaluated in order after the params
+ *   constraints  ["expression", ...]; the params are redrawn until every one holds
+ *   representation  any representation object; a string starting with "=" is an expression
+ *   prompt       text with {name} placeholders, either a string or { he, en, ar }
+ *   answer       { value: "expression", unit, check }; `check` names what the answer measures, e.g.
+ *                { quantity: "average-speed" }, so `?test` can recompute it (see templateChecks in validate.js)
+ *   distractors  [{ value, misconception, feedback, when }]; `when` is an optional condition
+ *   solution     [{ text, latex, values: { name: ["expression", unit] }, highlight }], as builders return
+ *   hints        optional, in the same shape as solution steps, shown one at a time before answering
+ *
+ * Expressions support numbers, names, + - * / % ^, comparisons, && || !, `a ? b : c` and the functions in
+ * templateFunctions. They are parsed when the template loads, so a typo is reported once, up front.
+ */
+const TEMPLATE_FORMAT = "physics-quiz-template";
+const TEMPLATE_INDEX = "templates/index.json";
+const TEMPLATE_ATTEMPTS = 200;
+const templateAnswerUnits = { speed: "m/s", distance: "m", time: "s", acceleration: "m/s²" };
+const templateRepresentationTypes = ["table", "xt-graph", "vt-graph", "footprint", "dual-xt", "dual-vt", "xt-equation"];
+
+const templateFunctions = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  sqrt: Math.sqrt,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sign: Math.sign,
+  round: (value, digits = 0) => Number(value.toFixed(digits)),
+};
+
+// Equality is checked with a tolerance so `distance / speed == round(distance / speed)` survives floating point.
+const binaryOperators = {
+  "||": [1, (a, b) => a || b],
+  "&&": [2, (a, b) => a && b],
+  "==": [3, (a, b) => Math.abs(a - b) < 1e-9],
+  "!=": [3, (a, b) => Math.abs(a - b) >= 1e-9],
+  "<": [4, (a, b) => a < b],
+  "<=": [4, (a, b) => a <= b],
+  ">": [4, (a, b) => a > b],
+  ">=": [4, (a, b) => a >= b],
+  "+": [5, (a, b) => a + b],
+  "-": [5, (a, b) => a - b],
+  "*": [6, (a, b) => a * b],
+  "/": [6, (a, b) => a / b],
+  "%": [6, (a, b) => a % b],
+};
+
+const tokenizeExpression = (source) => {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^()<>!?:,]))\s*/y;
+  const tokens = [];
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) throw new Error(`unexpected "${source.slice(start).trim()[0]}" in "${source}"`);
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: "operator", value: match[3] });
+  }
+  return tokens;
+};
+
+// Returns { evaluate(scope), names } where `names` lists every variable the expression reads.
+const compileExpression = (source) => {
+  const text = String(source);
+  const tokens = tokenizeExpression(text);
+  const names = new Set();
+  let position = 0;
+  const peek = () => tokens[position]?.value;
+  const take = (expected) => {
+    const token = tokens[position];
+    if (!token || (expected !== undefined && token.value !== expected)) {
+      throw new Error(`expected ${expected ? `"${expected}"` : "a value"} in "${text}"`);
+    }
+    position += 1;
+    return token;
+  };
+  let parseTernary;
+  const parsePrimary = () => {
+    const token = take();
+    if (token.type === "number") return () => token.value;
+    if (token.type === "name" && peek() === "(") {
+      const fn = Object.hasOwn(templateFunctions, token.value) && templateFunctions[token.value];
+      if (!fn) throw new Error(`unknown function "${token.value}" in "${text}"`);
+      take("(");
+      const args = [];
+      while (peek() !== ")") {
+        args.push(parseTernary());
+        if (peek() !== ")") take(",");
+      }
+      take(")");
+      return (scope) => fn(...args.map((arg) => arg(scope)));
+    }
+    if (token.type === "name") {
+      names.add(token.value);
+      return (scope) => scope[token.value];
+    }
+    if (token.value === "(") {
+      const inner = parseTernary();
+      take(")");
+      return inner;
+    }
+    throw new Error(`unexpected "${token.value}" in "${text}"`);
+  };
+  // Unary operators bind looser than ^, so -2^2 is -4 as on paper.
+  const parseUnary = () => {
+    if (peek() === "-" || peek() === "!" || peek() === "+") {
+      const operator = take().value;
+      const operand = parseUnary();
+      if (operator === "-") return (scope) => -operand(scope);
+      if (operator === "!") return (scope) => !operand(scope);
+      return operand;
+    }
+    const base = parsePrimary();
+    if (peek() !== "^") return base;
+    take("^");
+    const exponent = parseUnary();
+    return (scope) => base(scope) ** exponent(scope);
+  };
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    while (Object.hasOwn(binaryOperators, peek() ?? "") && binaryOperators[peek()][0] >= minPrecedence) {
+      const [precedence, apply] = binaryOperators[take().value];
+      const right = parseBinary(precedence + 1);
+      const lhs = left;
+      left = (scope) => apply(lhs(scope), right(scope));
+    }
+    return left;
+  };
+  parseTernary = () => {
+    const condition = parseBinary(1);
+    if (peek() !== "?") return condition;
+    take("?");
+    const whenTrue = parseTernary();
+    take(":");
+    const whenFalse = parseTernary();
+    return (scope) => (condition(scope) ? whenTrue(scope) : whenFalse(scope));
+  };
+  const evaluate = parseTernary();
+  if (position < tokens.length) throw new Error(`unexpected "${peek()}" in "${text}"`);
+  return { evaluate, names: [...names] };
+};
+
+const templateText = (text) =>
+  typeof text === "string" ? text : text?.[locale] ?? text?.[catalog.DEFAULT_LOCALE] ?? Object.values(text || {})[0] ?? "";
+
+// Fills {name} from the scope, except the names a solution step fills itself from its `values`.
+const fillTemplateText = (text, scope, own = {}) =>
+  templateText(text).replace(/\{(\w+)\}/g, (match, name) =>
+    name in scope && !(name in own) ? formatNumber(scope[name]) : match
+  );
+
+const compileTemplate = (definition) => {
+  const fail = (message) => {
+    throw new Error(`${definition?.id ?? "template"}: ${message}`);
+  };
+  if (!definition || definition.format !== TEMPLATE_FORMAT) fail(`"format" must be "${TEMPLATE_FORMAT}"`);
+  const { id, type } = definition;
+  if (!/^[a-z0-9-]+$/.test(id || "")) fail("the id may use only a-z, 0-9 and -");
+  if (builderById(id)) fail("a builder with this id already exists");
+  if (!templateAnswerUnits[type]) fail(`"type" must be one of ${Object.keys(templateAnswerUnits).join(", ")}`);
+  const skills = definition.skills || [];
+  if (!skills.length || skills.some((skill) => !skillCatalog.includes(skill))) fail(`"skills" must name skills from: ${skillCatalog.join(", ")}`);
+  const params = Object.entries(definition.params || {});
+  params.forEach(([name, spec]) => {
+    const isChoice = Array.isArray(spec.choices) && spec.choices.length > 0 && spec.choices.every(Number.isFinite);
+    const isRange = Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.min <= spec.max && (spec.step ?? 1) > 0;
+    if (!isChoice && !isRange) fail(`param "${name}" needs { min, max, step } or { choices }`);
+  });
+  const known = new Set(params.map(([name]) => name));
+  const expression = (source, where) => {
+    let compiled;
+    try {
+      compiled = compileExpression(source);
+    } catch (err) {
+      fail(`${where}: ${err.message}`);
+    }
+    const unknown = compiled.names.find((name) => !known.has(name));
+    if (unknown) fail(`${where}: unknown name "${unknown}"`);
+    return compiled.evaluate;
+  };
+  const derived = Object.entries(definition.derived || {}).map(([name, source]) => {
+    const evaluate = expression(source, `derived "${name}"`);
+    known.add(name);
+    return [name, evaluate];
+  });
+  const constraints = (definition.constraints || []).map((source, index) => expression(source, `constraint ${index + 1}`));
+  const shape = (value, where) => {
+    if (typeof value === "string" && value.startsWith("=")) return expression(value.slice(1), where);
+    if (Array.isArray(value)) {
+      const items = value.map((item) => shape(item, where));
+      return (scope) => items.map((item) => item(scope));
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.entries(value).map(([key, item]) => [key, shape(item, where)]);
+      return (scope) => Object.fromEntries(entries.map(([key, item]) => [key, item(scope)]));
+    }
+    return () => value;
+  };
+  if (definition.representation && !templateRepresentationTypes.includes(definition.representation.type)) {
+    fail(`representation type must be one of ${templateRepresentationTypes.join(", ")}`);
+  }
+  const representation = definition.representation ? shape(definition.representation, "representation") : () => undefined;
+  if (!definition.prompt) fail("a prompt is required");
+  if (definition.answer?.value === undefined) fail("answer.value is required");
+  const answer = expression(definition.answer.value, "answer");
+  const check = definition.answer.check ? shape(definition.answer.check, "answer check") : () => undefined;
+  const unit = definition.answer.unit || templateAnswerUnits[type];
+  const distractors = (definition.distractors || []).map((entry, index) => ({
+    value: expression(entry.value, `distractor ${index + 1}`),
+    when: entry.when === undefined ? () => true : expression(entry.when, `distractor ${index + 1} condition`),
+    misconception: entry.misconception,
+    feedback: entry.feedback,
+  }));
+  const steps = (list, label) =>
+    (list || []).map((step, index) => ({
+      text: step.text,
+      latex: step.latex,
+      values: Object.entries(step.values || {}).map(([name, [source, valueUnit]]) => [
+        name,
+        expression(source, `${label} ${index + 1} value "${name}"`),
+        valueUnit,
+      ]),
+      highlight: step.highlight ? shape(step.highlight, `${label} ${index + 1} highlight`) : null,
+    }));
+  const solution = steps(definition.solution, "solution step");
+  const hints = steps(definition.hints, "hint");
+  const sample = (rng, spec) => {
+    if (spec.choices) return spec.choices[randomInt(rng, 0, spec.choices.length - 1)];
+    const step = spec.step ?? 1;
+    const value = spec.min + step * randomInt(rng, 0, Math.floor((spec.max - spec.min) / step + 1e-9));
+    return Number(value.toPrecision(12));
+  };
+  const fillStep = (step, scope) => {
+    const values = Object.fromEntries(step.values.map(([name, evaluate, valueUnit]) => [name, [evaluate(scope), valueUnit]]));
+    return {
+      text: fillTemplateText(step.text, scope, values),
+      ...(step.latex && { latex: step.latex }),
+      values,
+      ...(step.highlight && { highlight: step.highlight(scope) }),
+    };
+  };
+  const build = (scope) => ({
+    representation: representation(scope),
+    prompt: fillTemplateText(definition.prompt, scope),
+    correctAnswer: { value: answer(scope), unit },
+    answerCheck: check(scope),
+    distractors: distractors
+      .filter((entry) => entry.when(scope))
+      .map((entry) => createDistractor(entry.value(scope), entry.misconception, fillTemplateText(entry.feedback, scope))),
+    solution: solution.map((step) => fillStep(step, scope)),
+    hints: hints.map((step) => fillStep(step, scope)),
+  });
+  const builder = (rng) => {
+    for (let attempt = 0; attempt < TEMPLATE_ATTEMPTS; attempt += 1) {
+      const scope = {};
+      params.forEach(([name, spec]) => {
+        scope[name] = sample(rng, spec);
+      });
+      derived.forEach(([name, evaluate]) => {
+        scope[name] = evaluate(scope);
+      });
+      if (constraints.every((check) => check(scope))) return build(scope);
+    }
+    throw new Error(`${id}: no parameters satisfied the constraints in ${TEMPLATE_ATTEMPTS} draws`);
+  };
+  return { id, builder, type, skills, template: true };
+};
+
+// A broken template is reported and skipped; the rest of the bank still loads.
+const registerTemplates = (data, source) =>
+  [data].flat().forEach((definition) => {
+    try {
+      questionBuilders.push(compileTemplate(definition));
+    } catch (err) {
+      console.warn(`${source}: ${err.message}`);
+    }
+  });
+const SKILL_HISTORY_LENGTH = 20;
+const MASTERY_WINDOW = 8;
+const MASTERY_THRESHOLD = 0.9;
+
+const emptySkillStats = () => ({ skills: {}, builders: {} });
+
+// Laplace-smoothed so an unseen skill sits at 50% instead of dividing by zero.
+const skillAccuracy = (history = []) => (history.filter(Boolean).length + 1) / (history.length + 2);
+
+const isSkillMastered = (history = []) => {
+  const recent = history.slice(-MASTERY_WINDOW);
+  return recent.length >= MASTERY_WINDOW && recent.filter(Boolean).length / recent.length >= MASTERY_THRESHOLD;
+};
+
+const recordSkillResult = (stats, entry, isCorrect) => {
+  const builderStats = stats.builders[entry.id] || { attempts: 0, correct: 0 };
+  builderStats.attempts += 1;
+  builderStats.correct += isCorrect ? 1 : 0;
+  stats.builders[entry.id] = builderStats;
+  entry.skills.forEach((skill) => {
+    stats.skills[skill] = [...(stats.skills[skill] || []), isCorrect ? 1 : 0].slice(-SKILL_HISTORY_LENGTH);
+  });
+};
+
+/**
+ * Weaker skills get up to four times the weight of strong ones; a builder whose skills are all
+ * mastered drops out of the rotation.
+ */
+const builderWeight = (entry, stats) => {
+  const open = entry.skills.filter((skill) => !isSkillMastered(stats.skills[skill]));
+  if (!open.length) return 0;
+  const weakness = open.reduce((sum, skill) => sum + 1 - skillAccuracy(stats.skills[skill]), 0) / open.length;
+  return 1 + 3 * weakness;
+};
+
+const pickAdaptiveBuilder = (rng, builders, stats) => {
+  const weights = builders.map((entry) => builderWeight(entry, stats));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) return randomChoice(rng, builders);
+  let remaining = rng() * total;
+  for (let i = 0; i < builders.length; i += 1) {
+    remaining -= weights[i];
+    if (remaining < 0) return builders[i];
+  }
+  return builders[builders.length - 1];
+};
+
+/**
+ * Missed questions enter a Leitner queue. Intervals are counted in answered questions rather than
+ * days, since most students practice in single sittings. Box 0 repeats the exact question; later
+ * boxes serve a freshly seeded sibling from the same builder.
+ */
+const REVIEW_INTERVALS = [3, 6, 12, 24];
+const REVIEW_QUEUE_LIMIT = 30;
+
+const emptyReviewQueue = () => ({ clock: 0, items: [] });
+
+const scheduleReview = (queue, question) => {
+  const existing = queue.items.find((item) => item.key === question.reviewKey || item.key === question.id);
+  if (existing) {
+    existing.box = 0;
+    existing.seed = question.seed;
+    existing.dueAt = queue.clock + REVIEW_INTERVALS[0];
+    return;
+  }
+  queue.items.push({
+    key: question.id,
+    builderId: question.builderId,
+    seed: question.seed,
+    box: 0,
+    dueAt: queue.clock + REVIEW_INTERVALS[0],
+  });
+  queue.items = queue.items.slice(-REVIEW_QUEUE_LIMIT);
+};
+
+const promoteReview = (queue, key) => {
+  const item = queue.items.find((entry) => entry.key === key);
+  if (!item) return;
+  item.box += 1;
+  if (item.box >= REVIEW_INTERVALS.length) {
+    queue.items = queue.items.filter((entry) => entry !== item);
+    return;
+  }
+  item.dueAt = queue.clock + REVIEW_INTERVALS[item.box];
+};
+
+const nextDueReview = (queue) =>
+  queue.items
+    .filter((item) => item.dueAt <= queue.clock)
+    .sort((a, b) => a.dueAt - b.dueAt)[0] || null;
+
+/**
+ * Exams draw round-robin from a shuffled builder list so even a short exam covers the chosen mix.
+ * Their scores are kept apart from the practice stats, skills and review queue.
+ */
+const EXAM_DEFAULTS = { length: 10, minutes: 15 };
+const EXAM_HISTORY_LIMIT = 20;
+
+const examBuilders = (skills) => questionBuilders.filter((entry) => entry.skills.some((skill) => skills.includes(skill)));
+
+const planExam = (rng, builders, length) => {
+  const order = shuffle(rng, builders);
+  return Array.from({ length }, (_, index) => ({
+    builderId: order[index % order.length].id,
+    seed: Math.floor(rng() * 0x100000000),
+  }));
+};
+
+const scoreExam = (results) => {
+  const correct = results.filter((result) => result.isCorrect).length;
+  return { correct, total: results.length, percent: results.length ? Math.round((correct / results.length) * 100) : 0 };
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+const builderById = (builderId) => questionBuilders.find((entry) => entry.id === builderId);
+
+const formatQuestionId = (builderId, seed) => `${builderId}:${seed.toString(16)}`;
+
+const parseQuestionId = (value) => {
+  const match = /^([a-z0-9-]+):([0-9a-f]{1,8})$/i.exec(value || "");
+  if (!match || !builderById(match[1])) return null;
+  return { builderId: match[1], seed: parseInt(match[2], 16) };
+};
+
+const buildQuestion = (entry, seed, { unitVariation = true } = {}) => {
+  const rng = createRng(seed);
+  const question = entry.builder(rng);
+  question.id = formatQuestionId(entry.id, seed);
+  question.builderId = entry.id;
+  question.seed = seed;
+  question.answerType = entry.type;
+  ensureMetadata(question, entry.type);
+  if (unitVariation) unitStrategy(rng, question);
+  buildOptionsForQuestion(rng, question);
+  updateExplanationUnits(question);
+  return question;
+};
+
+/**
+ * Assignment links (`?assign=builders:xt-constant,vt-area;count:10;units:off;seed:2f;mode:free`) pin the
+ * builders, the number of questions and a seed, so every student in a class gets the same set.
+ * `units:off` keeps every question in SI units; `mode` forces multiple choice or typed answers.
+ */
+const ASSIGNMENT_DEFAULTS = { count: 10, seed: 1 };
+const ASSIGNMENT_MAX_COUNT = 50;
+
+const parseAssignment = (value) => {
+  if (!value) return null;
+  const fields = Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, ...rest] = part.split(":");
+      return [key.trim(), rest.join(":").trim()];
+    })
+  );
+  const builderIds = (fields.builders || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => builderById(id));
+  if (!builderIds.length) return null;
+  const count = parseInt(fields.count, 10);
+  return {
+    builderIds,
+    count: count >= 1 ? Math.min(count, ASSIGNMENT_MAX_COUNT) : ASSIGNMENT_DEFAULTS.count,
+    unitVariation: fields.units !== "off",
+    seed: /^[0-9a-f]{1,8}$/i.test(fields.seed || "") ? parseInt(fields.seed, 16) : ASSIGNMENT_DEFAULTS.seed,
+    answerMode: ["choice", "free"].includes(fields.mode) ? fields.mode : null,
+  };
+};
+
+const formatAssignment = (spec) =>
+  [
+    `builders:${spec.builderIds.join(",")}`,
+    `count:${spec.count}`,
+    `units:${spec.unitVariation ? "on" : "off"}`,
+    `seed:${spec.seed.toString(16)}`,
+    spec.answerMode && `mode:${spec.answerMode}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+/**
+ * Attempt reports. The checksum (FNV-1a) catches files that were truncated or edited by hand;
+ * it is not a signature, since anyone can recompute it.
+ */
+const ATTEMPT_LOG_LIMIT = 1000;
+const REPORT_FORMAT = "physics-quiz-attempts";
+const ATTEMPT_FIELDS = [
+  "questionId",
+  "builderId",
+  "seed",
+  "mode",
+  "answer",
+  "misconception",
+  "isCorrect",
+  "unit",
+  "startedAt",
+  "answeredAt",
+  "context",
+  "hints",
+];
+
+const checksum = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+const reportJson = (student, exportedAt, attempts) => {
+  const body = { format: REPORT_FORMAT, version: 1, student, exportedAt, attempts };
+  return JSON.stringify({ ...body, checksum: checksum(JSON.stringify(body)) }, null, 2);
+};
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted && char === '"' && line[index + 1] === '"') {
+      field += '"';
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === "," && !quoted) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  return [...fields, field];
+};
+
+const reportCsv = (student, exportedAt, attempts) => {
+  const body = [
+    `# student: ${student}`,
+    `# exported: ${exportedAt}`,
+    ATTEMPT_FIELDS.join(","),
+    ...attempts.map((attempt) =>
+      ATTEMPT_FIELDS.map((field) => csvField(field === "isCorrect" ? Number(attempt.isCorrect) : attempt[field])).join(",")
+    ),
+  ].join("\n");
+  return `${body}\n# checksum: ${checksum(body)}\n`;
+};
+
+// Returns { student, attempts, verified } or null when the file is not a report at all.
+const parseReport = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{")) {
+    try {
+      const { checksum: expected, ...body } = JSON.parse(trimmed);
+      if (body.format !== REPORT_FORMAT || !Array.isArray(body.attempts)) return null;
+      return { student: body.student || "", attempts: body.attempts, verified: checksum(JSON.stringify(body)) === expected };
+    } catch (err) {
+      return null;
+    }
+  }
+  const lines = trimmed.split(/\r?\n/);
+  const checksumLine = lines[lines.length - 1].match(/^# checksum: ([0-9a-f]+)$/);
+  const body = (checksumLine ? lines.slice(0, -1) : lines).join("\n");
+  const rows = body.split("\n").filter((line) => !line.startsWith("#"));
+  // Columns are matched by name, so reports exported before a field was added still load.
+  const header = rows[0].split(",");
+  if (!header.includes("questionId") || header.some((field) => !ATTEMPT_FIELDS.includes(field))) return null;
+  const attempts = rows.slice(1).map((line) => {
+    const values = parseCsvLine(line);
+    const attempt = Object.fromEntries(header.map((field, index) => [field, values[index] ?? ""]));
+    return { ...attempt, isCorrect: attempt.isCorrect === "1" };
+  });
+  const student = body.match(/^# student: (.*)$/m)?.[1] ?? "";
+  return { student, attempts, verified: Boolean(checksumLine) && checksum(body) === checksumLine[1] };
+};
+
+const aggregateAttempts = (reports) => {
+  const builders = {};
+  const misconceptionCounts = {};
+  reports.forEach((report) =>
+    report.attempts.forEach((attempt) => {
+      const stats = builders[attempt.builderId] || { attempts: 0, correct: 0 };
+      stats.attempts += 1;
+      stats.correct += attempt.isCorrect ? 1 : 0;
+      builders[attempt.builderId] = stats;
+      if (!attempt.isCorrect && attempt.misconception) {
+        misconceptionCounts[attempt.misconception] = (misconceptionCounts[attempt.misconception] || 0) + 1;
+      }
+    })
+  );
+  const students = reports.map((report) => ({ student: report.student, ...scoreExam(report.attempts) }));
+  return { builders, misconceptions: misconceptionCounts, students };
+};
+
+const planAssignment = (spec) => planExam(createRng(spec.seed), spec.builderIds.map(builderById), spec.count);
+
+/**
+ * Worksheets (`?worksheet=…`) take the same spec as assignment links and print the planned questions with
+ * lettered options, followed by an answer key. A bare `?worksheet` draws a fresh seed over every builder and
+ * pins it in the URL, so reloading or sharing the page prints the same sheet.
+ */
+const WORKSHEET_DEFAULT_COUNT = 8;
+const WORKSHEET_QUESTIONS_PER_SECTION = 2;
+
+const worksheetSpec = (value) =>
+  parseAssignment(value) ?? {
+    builderIds: questionBuilders.map((entry) => entry.id),
+    count: WORKSHEET_DEFAULT_COUNT,
+    unitVariation: true,
+    seed: Math.floor(Math.random() * 0x100000000),
+    answerMode: null,
+  };
+
+const worksheetQuestions = (spec) =>
+  planAssignment(spec).map(({ builderId, seed }) =>
+    buildQuestion(builderById(builderId), seed, { unitVariation: spec.unitVariation })
+  );
+
+const optionLetter = (index) => Array.from(t("worksheet.letters"))[index] ?? String(index + 1);
+
+const axisUnit = (label) => label.match(/\(([^)]+)\)/)?.[1] ?? "";
+
+// Area under v-t is velocity × time; when the velocity unit is "per time unit" the time cancels (m/s · s = m).
+const areaUnit = (valueUnit, timeUnit) =>
+  valueUnit.endsWith(`/${timeUnit}`) ? valueUnit.slice(0, -timeUnit.length - 1) : `${valueUnit}·${timeUnit}`;
+
+const trapezoidArea = (path, valueKey) =>
+  path.slice(1).reduce((sum, point, index) => sum + ((path[index][valueKey] + point[valueKey]) / 2) * (point.t - path[index].t), 0);
+
+/**
+ * Overlays are declarative: { type: "segment" | "slope" | "area" | "reading" | "points" | "cursor", from, to, at, indices, series, t }.
+ * They address points by index rather than by value, so they survive the rescaling done by unitBehaviors,
+ * and every number they print is computed from the (possibly rescaled) points.
+ */
+const renderGraphOverlay = (overlay, graph) => {
+  const points = graph.series[overlay.series ?? 0];
+  if (!points) return "";
+  const { valueKey, scaleX, scaleY } = graph;
+  const toCoords = (path) => path.map((point) => `${scaleX(point.t)},${scaleY(point[valueKey])}`).join(" ");
+  const from = points[overlay.from];
+  const to = points[overlay.to];
+  switch (overlay.type) {
+    case "segment": {
+      const path = graph.motion ? sampleMotion(graph.motion, from.t, to.t) : points.slice(overlay.from, overlay.to + 1);
+      return `<polyline points="${toCoords(path)}" class="highlight-line" />`;
+    }
+    case "slope": {
+      const corner = { t: to.t, [valueKey]: from[valueKey] };
+      const rise = to[valueKey] - from[valueKey];
+      const run = to.t - from.t;
+      const runY = scaleY(from[valueKey]) + (rise >= 0 ? 14 : -6);
+      return `
+        <polyline points="${toCoords([from, corner, to])}" class="highlight-slope" />
+        <text x="${(scaleX(from.t) + scaleX(to.t)) / 2}" y="${runY}" class="overlay-label" text-anchor="middle">Δt = ${formatNumber(run)} ${graph.timeUnit}</text>
+        <text x="${scaleX(to.t) + 4}" y="${(scaleY(from[valueKey]) + scaleY(to[valueKey])) / 2}" class="overlay-label">Δ${valueKey} = ${formatNumber(rise)} ${graph.valueUnit}</text>
+      `;
+    }
+    case "area": {
+      const path = points.slice(overlay.from, overlay.to + 1);
+      const outline = [{ t: from.t, [valueKey]: graph.baseline }, ...path, { t: to.t, [valueKey]: graph.baseline }];
+      const labelY = (scaleY(graph.baseline) + scaleY(Math.max(...path.map((point) => point[valueKey])))) / 2;
+      return `
+        <polygon points="${toCoords(outline)}" class="highlight-area" />
+        <text x="${(scaleX(from.t) + scaleX(to.t)) / 2}" y="${labelY}" class="overlay-label" text-anchor="middle">${formatNumber(trapezoidArea(path, valueKey))} ${areaUnit(graph.valueUnit, graph.timeUnit)}</text>
+      `;
+    }
+    case "reading": {
+      const point = points[overlay.at];
+      const x = scaleX(point.t);
+      const y = scaleY(point[valueKey]);
+      const axisX = scaleX(graph.minTime);
+      const axisY = scaleY(graph.minValue);
+      return `
+        <polyline points="${axisX},${y} ${x},${y} ${x},${axisY}" class="reading-line" />
+        <circle cx="${x}" cy="${y}" r="4" class="reading-point" />
+        <text x="${axisX + 4}" y="${y - 4}" class="overlay-label">${formatNumber(point[valueKey])}</text>
+        <text x="${x + 4}" y="${axisY - 4}" class="overlay-label">${formatNumber(point.t)}</text>
+      `;
+    }
+    case "cursor": {
+      const value = graph.motion ? motionPosition(graph.motion, overlay.t) : interpolateAt(points, valueKey, overlay.t);
+      const x = scaleX(overlay.t);
+      return `
+        <line x1="${x}" y1="${scaleY(graph.minValue)}" x2="${x}" y2="${scaleY(value)}" class="playback-cursor" />
+        <circle cx="${x}" cy="${scaleY(value)}" r="5" class="playback-cursor-point" />
+      `;
+    }
+    case "points":
+      return overlay.indices
+        .map((index) => `<circle cx="${scaleX(points[index].t)}" cy="${scaleY(points[index][valueKey])}" r="7" class="highlight-point" />`)
+        .join("");
+    default:
+      return "";
+  }
+};
+
+const renderGraphOverlays = (overlays, graph) => overlays.map((overlay) => renderGraphOverlay(overlay, graph)).join("");
+
+const clampBaseline = (minValue, maxValue) => Math.min(Math.max(0, minValue), maxValue);
+
+function renderTable(data, overlays = []) {
+  const highlightedRows = overlays.filter((overlay) => overlay.type === "rows").flatMap((overlay) => overlay.indices);
+  const rows = data.rows
+    .map(
+      (row, index) => `
+        <tr${highlightedRows.includes(index) ? ' class="highlight-row"' : ""}>
+          <td>${formatNumber(Number(row[0]))}</td>
+          <td>${formatNumber(Number(row[1]))}</td>
+        </tr>`
+    )
+    .join("");
+  const headers = data.headers.map((header) => `<th>${header}</th>`).join("");
+  return `<table class="table-view">
+    <thead><tr>${headers}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// What differs between the graph representations: the plotted value, where its range is stored, and the
+// default axis label when the representation carries none.
+const graphKinds = {
+  "xt-graph": { valueKey: "x", range: "Distance", yLabel: "x (m)", title: "options.xtGraph", grid: true },
+  "vt-graph": { valueKey: "v", range: "Velocity", yLabel: "v (m/s)", title: "options.vtGraph", grid: true },
+  "dual-xt": { valueKey: "x", range: "Distance", yLabel: "x (m)" },
+  "dual-vt": { valueKey: "v", range: "Velocity", yLabel: "v (m/s)" },
+};
+
+const graphSeries = (data) => data.objects ?? [{ points: data.points, motion: data.motion }];
+
+// Stored ranges win; otherwise the data decides, except that two-object graphs always start at zero.
+const graphRange = (data) => {
+  const { valueKey, range } = graphKinds[data.type];
+  const points = graphSeries(data).flatMap((line) => line.points);
+  const floor = data.objects ? [0] : [];
+  return {
+    minTime: data.minTime ?? Math.min(...floor, ...points.map((point) => point.t)),
+    maxTime: data.maxTime ?? Math.max(...points.map((point) => point.t)),
+    minValue: data[`min${range}`] ?? Math.min(...floor, ...points.map((point) => point[valueKey])),
+    maxValue: data[`max${range}`] ?? Math.max(...points.map((point) => point[valueKey])),
+  };
+};
+
+// Chart viewBox sizes by where the chart is shown: the question view, an option thumbnail, or a printed page.
+const chartSizes = {
+  view: { width: 320, height: 220 },
+  thumbnail: { width: 260, height: 180 },
+  print: { width: 400, height: 240 },
+};
+
+// The left margin grows with the widest value label, so large values in rescaled units stay inside the view.
+const chartLayout = ({ minTime, maxTime, minValue, maxValue, yTicks = [], width, height, padding = 40 }) => {
+  const left = Math.max(padding, Math.max(...yTicks.map((tick) => formatTick(tick).length)) * 7 + 16);
+  const plotWidth = width - left - padding;
+  const plotHeight = height - padding * 2;
+  const timeSpan = maxTime - minTime || 1;
+  const valueSpan = maxValue - minValue || 1;
+  return {
+    width,
+    height,
+    padding,
+    left,
+    scaleX: (value) => left + ((value - minTime) / timeSpan) * plotWidth,
+    scaleY: (value) => height - padding - ((value - minValue) / valueSpan) * plotHeight,
+    invertY: (y) => minValue + ((height - padding - y) / plotHeight) * valueSpan,
+  };
+};
+
+/**
+ * The one chart engine behind every graph. `chart.series` holds { points, name, color, motion, className }
+ * entries over a shared time axis; ranges default to the data and ticks to nice numbers. `grid` adds light
+ * lines at the ticks (or at its own { x, y } values), named series get a legend, `timeAxisAt` moves the
+ * time axis to a value other than the minimum, and `content` is extra SVG drawn over the lines. `width` and
+ * `height` size the viewBox, one of the chartSizes.
+ */
+function renderChart(chart) {
+  const { series, valueKey, xLabel, yLabel, overlays = [] } = chart;
+  const points = series.flatMap((line) => line.points);
+  const minTime = chart.minTime ?? Math.min(...points.map((point) => point.t));
+  const maxTime = chart.maxTime ?? Math.max(...points.map((point) => point.t));
+  const minValue = chart.minValue ?? Math.min(...points.map((point) => point[valueKey]));
+  const maxValue = chart.maxValue ?? Math.max(...points.map((point) => point[valueKey]));
+  // Pinned ticks outside the range would be drawn off the axes.
+  const inRange = (min, max) => (tick) => tick >= min - 1e-9 && tick <= max + 1e-9;
+  const xTicks = (chart.xTicks ?? niceTicks(minTime, maxTime)).filter(inRange(minTime, maxTime));
+  const yTicks = (chart.yTicks ?? niceTicks(minValue, maxValue)).filter(inRange(minValue, maxValue));
+  const { width, height, padding, left, scaleX, scaleY } = chartLayout({ ...chart, minTime, maxTime, minValue, maxValue, yTicks });
+  const bottom = height - padding;
+  const right = width - padding;
+  const grid = chart.grid === true ? { x: xTicks, y: yTicks } : chart.grid;
+  const gridLines = grid
+    ? [
+        ...grid.x.map((tick) => `<line x1="${scaleX(tick)}" y1="${padding}" x2="${scaleX(tick)}" y2="${bottom}" class="chart-grid" />`),
+        ...grid.y.map((tick) => `<line x1="${left}" y1="${scaleY(tick)}" x2="${right}" y2="${scaleY(tick)}" class="chart-grid" />`),
+      ].join("")
+    : "";
+  const xTickElements = xTicks
+    .map((tick) => {
+      const x = scaleX(tick);
+      return `
+        <line x1="${x}" y1="${bottom}" x2="${x}" y2="${bottom + 6}" stroke="#333" stroke-width="1" />
+        <text x="${x}" y="${bottom + 22}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
+      `;
+    })
+    .join("");
+  const yTickElements = yTicks
+    .map((tick) => {
+      const y = scaleY(tick);
+      return `
+        <line x1="${left - 6}" y1="${y}" x2="${left}" y2="${y}" stroke="#333" stroke-width="1" />
+        <text x="${left - 12}" y="${y + 4}" class="graph-label" text-anchor="end">${formatTick(tick)}</text>
+      `;
+    })
+    .join("");
+  const lines = series
+    .map((line) => {
+      const path = line.motion ? sampleMotion(line.motion, minTime, maxTime) : line.points;
+      const coords = path.map((point) => `${scaleX(point.t)},${scaleY(point[valueKey])}`).join(" ");
+      const style = line.className
+        ? `class="${line.className}"`
+        : `fill="none" stroke="${line.color || "var(--accent)"}" stroke-width="${series.length > 1 ? 3 : 4}"`;
+      return `<polyline points="${coords}" ${style} />`;
+    })
+    .join("");
+  const legend = series
+    .filter((line) => line.name)
+    .map((line, index) => {
+      const y = 12 + index * 14;
+      return `
+        <line x1="${right - 14}" y1="${y}" x2="${right}" y2="${y}" stroke="${line.color}" stroke-width="3" />
+        <text x="${right - 18}" y="${y + 4}" class="graph-label" text-anchor="end">${escapeHtml(line.name)}</text>
+      `;
+    })
+    .join("");
+  const axisY = scaleY(chart.timeAxisAt ?? minValue);
+  const title = chart.title ? `<text x="${width / 2}" y="${padding - 12}" class="graph-label" text-anchor="middle">${chart.title}</text>` : "";
+  return `
+    <svg width="100%" viewBox="0 0 ${width} ${height}" class="chart">
+      ${gridLines}
+      <line x1="${left}" y1="${padding}" x2="${left}" y2="${bottom}" stroke="#333" stroke-width="2" />
+      <line x1="${left}" y1="${axisY}" x2="${right}" y2="${axisY}" stroke="#333" stroke-width="2" />
+      ${yTickElements}
+      ${xTickElements}
+      ${lines}
+      ${renderGraphOverlays(overlays, {
+        series: series.map((line) => line.points),
+        valueKey,
+        scaleX,
+        scaleY,
+        minTime,
+        minValue,
+        baseline: clampBaseline(minValue, maxValue),
+        motion: series[0]?.motion,
+        timeUnit: axisUnit(xLabel),
+        valueUnit: axisUnit(yLabel),
+      })}
+      ${chart.content ?? ""}
+      <text x="${right}" y="${bottom + 32}" class="graph-label">${xLabel}</text>
+      <text x="${left - 5}" y="${padding - 10}" class="graph-label">${yLabel}</text>
+      ${title}
+      ${legend}
+    </svg>
+  `;
+}
+
+function renderGraph(data, overlays = [], size = chartSizes.view) {
+  if (!data) return `<p>${t("ui.noData")}</p>`;
+  const kind = graphKinds[data.type];
+  return renderChart({
+    ...graphRange(data),
+    series: graphSeries(data),
+    valueKey: kind.valueKey,
+    xLabel: data.xLabel || "t (s)",
+    yLabel: data.yLabel || kind.yLabel,
+    xTicks: data.xTicks,
+    yTicks: data.yTicks,
+    title: kind.title && t(kind.title),
+    grid: kind.grid,
+    overlays,
+    ...size,
+  });
+}
+
+function renderEquationView(data) {
+  if (!data) return `<p>${t("ui.noEquation")}</p>`;
+  const base = {
+    velocity: data.velocity,
+    intercept: data.intercept,
+    acceleration: data.acceleration,
+    distanceLabel: data.distanceLabel || "m",
+    timeLabel: data.timeLabel || "s",
+  };
+  const eqText = formatEquation(base);
+  const latex = formatEquationLatex(base);
+  return `
+    <div class="equation-view">
+      <div class="eq-text">${latex ? `\\(${latex}\\)` : eqText}</div>
+    </div>
+  `;
+}
+
+function renderFootprint(data, overlays = []) {
+  if (!data) return `<p>${t("ui.noDiagram")}</p>`;
+  const width = 340;
+  const padding = 30;
+  const laneGap = 44;
+  const legs = footprintLegs(data.steps);
+  const axisY = 40 + Math.max(1, legs.length) * laneGap;
+  const height = axisY + 44;
+  const positions = data.steps.map((step) => step.position);
+  const timeUnit = representationTimeUnit(data);
+  const tickPositions = data.tickPositions ?? positions;
+  const minPos = Math.min(...positions, ...tickPositions);
+  const maxPos = Math.max(...positions, ...tickPositions);
+  const scale = (value) => padding + ((value - minPos) / (maxPos - minPos || 1)) * (width - padding * 2);
+  const laneY = (lane) => axisY - 30 - lane * laneGap;
+  const laneOf = (index) => Math.max(0, legs.findIndex((leg) => index > leg.start && index <= leg.end));
+  const tickMarks = tickPositions
+    .map((tick, index) => {
+      const x = scale(tick);
+      const label = index % 2 === 0 ? formatTick(tick) : "";
+      return `
+        <line x1="${x}" y1="${axisY - 6}" x2="${x}" y2="${axisY + 6}" stroke="#333" stroke-width="1" />
+        <text x="${x}" y="${axisY + 20}" class="graph-label" text-anchor="middle">${label}</text>
+      `;
+    })
+    .join("");
+  const highlightedSteps = overlays.filter((overlay) => overlay.type === "footprints").flatMap((overlay) => overlay.indices);
+  const cursors = overlays
+    .filter((overlay) => overlay.type === "cursor")
+    .map((overlay) => `<circle cx="${scale(overlay.x)}" cy="${axisY}" r="7" class="playback-cursor-point" />`)
+    .join("");
+  const points = data.steps
+    .map((step, index) => {
+      const x = scale(step.position);
+      const y = laneY(laneOf(index));
+      const highlightClass = highlightedSteps.includes(index) ? ' class="highlight-footprint"' : "";
+      const timeLabel = data.timeLabels
+        ? `<text x="${x}" y="${y + 18}" class="footprint-time-label" text-anchor="middle">${formatTick(step.time)} ${timeUnit}</text>`
+        : "";
+      return `<circle cx="${x}" cy="${y}" r="6" fill="#1f1c3b"${highlightClass} />${timeLabel}`;
+    })
+    .join("");
+  // A diagram without legs (a single footprint) still shows the direction arrow in the middle.
+  const arrows = (legs.length ? legs : [{ start: 0, end: 0, direction: 1 }])
+    .map((leg, lane) => {
+      const y = laneY(lane) - 14;
+      const from = leg.end > leg.start ? scale(data.steps[leg.start].position) : width / 2 - width * 0.05;
+      const to = leg.end > leg.start ? scale(data.steps[leg.end].position) : width / 2 + width * 0.05;
+      const turn =
+        lane > 0
+          ? `<line x1="${from}" y1="${laneY(lane - 1)}" x2="${from}" y2="${y}" class="footprint-turn" />`
+          : "";
+      // The head is drawn inline rather than as an svg marker, whose id would repeat across diagrams on a page.
+      const head = to >= from ? -8 : 8;
+      return `
+        ${turn}
+        <line x1="${from}" y1="${y}" x2="${to}" y2="${y}" stroke="#1f1c3b" stroke-width="1.5" />
+        <path d="M${to},${y} L${to + head},${y - 4} L${to + head},${y + 4} Z" fill="#1f1c3b" />
+      `;
+    })
+    .join("");
+  return `
+    <svg width="100%" viewBox="0 0 ${width} ${height}">
+      <line x1="${padding}" y1="${axisY}" x2="${width - padding}" y2="${axisY}" stroke="#333" stroke-width="2" />
+      ${tickMarks}
+      ${arrows}
+      ${points}
+      ${cursors}
+      <text x="${width - padding}" y="${axisY + 36}" class="graph-label" text-anchor="end">${data.axisLabel || "x (m)"}</text>
+    </svg>
+  `;
+}
+
+function renderMotionTrack(tracks, time, range, label) {
+  const width = 340;
+  const height = 50 + tracks.length * 24;
+  const padding = 30;
+  const axisY = height - 26;
+  const scale = (value) => padding + ((value - range.min) / (range.max - range.min || 1)) * (width - padding * 2);
+  const ticks = niceTicks(range.min, range.max)
+    .map(
+      (tick) => `
+        <line x1="${scale(tick)}" y1="${axisY - 5}" x2="${scale(tick)}" y2="${axisY + 5}" stroke="#333" stroke-width="1" />
+        <text x="${scale(tick)}" y="${axisY + 18}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
+      `
+    )
+    .join("");
+  const bodies = tracks
+    .map((track, index) => {
+      const x = scale(track.positionAt(time));
+      const y = axisY - 14 - index * 24;
+      return `
+        <circle cx="${x}" cy="${y}" r="8" fill="${track.color}" />
+        <text x="${x}" y="${y - 12}" class="graph-label" text-anchor="middle">${track.name}</text>
+      `;
+    })
+    .join("");
+  return `
+    <svg width="100%" viewBox="0 0 ${width} ${height}">
+      <line x1="${padding}" y1="${axisY}" x2="${width - padding}" y2="${axisY}" stroke="#333" stroke-width="2" />
+      ${ticks}
+      ${bodies}
+      <text x="${width - padding}" y="${axisY - 8}" class="graph-label" text-anchor="end">${label}</text>
+    </svg>
+  `;
+}
+
+// The sketch canvas is a chart whose gridlines are the snapping grid and whose time axis sits at zero.
+const sketchChart = (sketch) => ({
+  valueKey: sketchValueKey(sketch),
+  xLabel: "t (s)",
+  yLabel: `${sketchValueKey(sketch)} (${sketchValueUnit(sketch)})`,
+  minTime: 0,
+  maxTime: sketch.maxTime,
+  minValue: sketch.minValue,
+  maxValue: sketch.maxValue,
+  yTicks: niceTicks(sketch.minValue, sketch.maxValue),
+  timeAxisAt: clampBaseline(sketch.minValue, sketch.maxValue),
+  grid: { x: sketchTimes(sketch), y: sketchValueGrid(sketch) },
+  ...chartSizes.view,
+});
+
+function sketchLayout(sketch) {
+  const layout = chartLayout(sketchChart(sketch));
+  const times = sketchTimes(sketch);
+  const polyline = (values) => times.map((time, index) => `${layout.scaleX(time)},${layout.scaleY(values[index])}`).join(" ");
+  return { ...layout, times, polyline };
+}
+
+function renderSketchCanvas(sketch, values, result) {
+  const { scaleX, scaleY, times } = sketchLayout(sketch);
+  const valueKey = sketchValueKey(sketch);
+  const target = result ? [{ points: sketch.points, className: "sketch-target" }] : [];
+  const drawn = { points: times.map((time, index) => ({ t: time, [valueKey]: values[index] })), className: "sketch-line" };
+  const vertices = times
+    .map((time, index) => {
+      const state = result ? (result.vertices[index].isCorrect ? " correct" : " incorrect") : "";
+      return `<circle cx="${scaleX(time)}" cy="${scaleY(values[index])}" r="8" class="sketch-vertex${state}" data-index="${index}"
+        tabindex="0" role="slider" aria-label="t=${formatNumber(time)}" aria-valuenow="${values[index]}" />`;
+    })
+    .join("");
+  return renderChart({ ...sketchChart(sketch), series: [...target, drawn], content: vertices });
+}
+
+function renderRepresentation(representation, overlays = [], size = chartSizes.view) {
+  if (!representation) return `<p>${t("ui.noData")}</p>`;
+  switch (representation.type) {
+    case "table":
+      return renderTable(representation, overlays);
+    case "xt-graph":
+    case "vt-graph":
+    case "dual-xt":
+    case "dual-vt":
+      return renderGraph(representation, overlays, size);
+    case "xt-equation":
+      return renderEquationView(representation);
+    case "footprint":
+      return renderFootprint(representation, overlays);
+    default:
+      return `<p>${t("ui.unsupportedRepresentation")}</p>`;
+  }
+}
+
+const seriesColors = { "#2f80ed": "colors.blue", "#eb5757": "colors.red", "#27ae60": "colors.green" };
+
+// Points of a graph series as the screen-reader table reads them; a motion curve is sampled at the time ticks.
+const seriesRows = (representation, points, valueKey) => {
+  if (!representation.motion) return points.map((point) => [point.t, point[valueKey]]);
+  const { minTime, maxTime } = graphRange(representation);
+  const times = representation.xTicks ?? niceTicks(minTime, maxTime);
+  return times.map((time) => [time, motionPosition(representation.motion, time)]);
+};
+
+const graphAxes = (representation) => {
+  const { valueKey, yLabel } = graphKinds[representation.type];
+  const range = graphRange(representation);
+  const xLabel = representation.xLabel || "t (s)";
+  const valueLabel = representation.yLabel || yLabel;
+  return {
+    valueKey,
+    xLabel,
+    yLabel: valueLabel,
+    timeUnit: axisUnit(xLabel),
+    valueUnit: axisUnit(valueLabel),
+    minTime: formatNumber(range.minTime),
+    maxTime: formatNumber(range.maxTime),
+    minValue: formatNumber(range.minValue),
+    maxValue: formatNumber(range.maxValue),
+  };
+};
+
+const describeSegments = (points, valueKey, axes) =>
+  points.slice(1).map((point, index) =>
+    t("a11y.segment", {
+      number: index + 1,
+      fromTime: formatNumber(points[index].t),
+      fromValue: formatNumber(points[index][valueKey]),
+      toTime: formatNumber(point.t),
+      toValue: formatNumber(point[valueKey]),
+      timeUnit: axes.timeUnit,
+      valueUnit: axes.valueUnit,
+    })
+  );
+
+/**
+ * Plain-language text alternative for a representation: axis ranges, segment endpoints, footprint
+ * positions and which object is which color. Used as the aria-label of the view and of option cards.
+ */
+function describeRepresentation(representation) {
+  if (!representation) return t("ui.representation");
+  switch (representation.type) {
+    case "table": {
+      const [timeHeader, valueHeader] = representation.headers;
+      return t("a11y.table", { count: representation.rows.length, timeHeader, valueHeader });
+    }
+    case "xt-graph":
+    case "vt-graph": {
+      const axes = graphAxes(representation);
+      const intro = t(representation.type === "xt-graph" ? "a11y.xtGraph" : "a11y.vtGraph", axes);
+      if (representation.motion) {
+        const rows = seriesRows(representation, representation.points, "x");
+        const [first, last] = [rows[0], rows[rows.length - 1]];
+        const curve = t("a11y.curve", {
+          fromTime: formatNumber(first[0]),
+          fromValue: formatNumber(first[1]),
+          toTime: formatNumber(last[0]),
+          toValue: formatNumber(last[1]),
+          timeUnit: axes.timeUnit,
+          valueUnit: axes.valueUnit,
+        });
+        return `${intro} ${curve}`;
+      }
+      return [intro, ...describeSegments(representation.points, axes.valueKey, axes)].join(" ");
+    }
+    case "dual-xt":
+    case "dual-vt": {
+      const axes = graphAxes(representation);
+      const intro = t(representation.type === "dual-xt" ? "a11y.dualXt" : "a11y.dualVt", {
+        ...axes,
+        count: representation.objects.length,
+      });
+      const objects = representation.objects.map((object) => {
+        const color = seriesColors[object.color] ? t(seriesColors[object.color]) : object.color;
+        const segments = describeSegments(object.points, axes.valueKey, axes).join(" ");
+        return `${t("a11y.object", { name: object.name, color })} ${segments}`;
+      });
+      return [intro, ...objects].join(" ");
+    }
+    case "footprint": {
+      const { steps } = representation;
+      const unit = axisUnit(representation.axisLabel || "x (m)");
+      const positions = [...steps.map((step) => step.position), ...(representation.tickPositions ?? [])];
+      const intro = t("a11y.footprint", {
+        count: steps.length,
+        min: formatNumber(Math.min(...positions)),
+        max: formatNumber(Math.max(...positions)),
+        unit,
+      });
+      const legs = footprintLegs(steps).map((leg) => {
+        const key = { 1: "a11y.legForward", [-1]: "a11y.legBackward", 0: "a11y.legStill" }[leg.direction];
+        return t(key, {
+          from: formatNumber(steps[leg.start].position),
+          to: formatNumber(steps[leg.end].position),
+          count: leg.end - leg.start + 1,
+          unit,
+        });
+      });
+      const prints = steps.map((step, index) =>
+        t(representation.timeLabels ? "a11y.footprintTimed" : "a11y.footprintAt", {
+          number: index + 1,
+          position: formatNumber(step.position),
+          time: formatNumber(step.time),
+          timeUnit: representationTimeUnit(representation),
+          unit,
+        })
+      );
+      return [intro, ...legs, ...prints].join(" ");
+    }
+    case "xt-equation":
+      return t("a11y.equation", {
+        equation: formatEquation({
+          velocity: representation.velocity,
+          intercept: representation.intercept,
+          acceleration: representation.acceleration,
+          distanceLabel: representation.distanceLabel || "m",
+          timeLabel: representation.timeLabel || "s",
+        }),
+      });
+    default:
+      return t("ui.unsupportedRepresentation");
+  }
+}
+
+// Navigable table behind a graph or footprint diagram; tables and equations are already text.
+function renderRepresentationData(representation) {
+  if (!representation || representation.type === "table" || representation.type === "xt-equation") return "";
+  const table = (headers, rows) => `
+    <table class="table-view">
+      <thead><tr>${headers.map((header) => `<th scope="col">${escapeHtml(header)}</th>`).join("")}</tr></thead>
+      <tbody>${rows.map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`).join("")}</tbody>
+    </table>`;
+  let content;
+  if (representation.type === "footprint") {
+    // Times are listed only when the diagram itself shows them.
+    const { timeLabels, steps } = representation;
+    const timeHeader = `t (${representationTimeUnit(representation)})`;
+    const headers = [t("a11y.footprintColumn"), ...(timeLabels ? [timeHeader] : []), representation.axisLabel || "x (m)"];
+    const rows = steps.map((step, index) => [index + 1, ...(timeLabels ? [formatNumber(step.time)] : []), formatNumber(step.position)]);
+    content = table(headers, rows);
+  } else {
+    const { valueKey, xLabel, yLabel } = graphAxes(representation);
+    const series = representation.objects ?? [{ name: "", points: representation.points }];
+    content = series
+      .map((object) => {
+        const rows = seriesRows(representation, object.points, valueKey).map((row) => row.map(formatNumber));
+        const caption = object.name ? `<p class="representation-data-caption">${escapeHtml(object.name)}</p>` : "";
+        return `${caption}${table([xLabel, yLabel], rows)}`;
+      })
+      .join("");
+  }
+  return `<summary>${t("a11y.dataTable")}</summary>${content}`;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    createRng,
+    randomSeed,
+    t,
+    setLocale,
+    resolveLocale,
+    questionBuilders,
+    builderById,
+    formatQuestionId,
+    parseQuestionId,
+    buildQuestion,
+    TEMPLATE_INDEX,
+    compileTemplate,
+    registerTemplates,
+    parseAssignment,
+    planAssignment,
+    formatNumber,
+    formatOption,
+    optionKey,
+    responseUnits,
+    interpolateAt,
+    axisUnit,
+    graphKinds,
+    graphRange,
+    graphSeries,
+    scaleRepresentation,
+    scaleRepresentationTime,
+    representationTimeUnit,
+    playbackTracks,
+    playbackDuration,
+    playbackSecondsPerUnit,
+    advancePlayback,
+    renderRepresentation,
+    chartSizes,
+    renderSketchCanvas,
+    describeRepresentation,
+  };
+}
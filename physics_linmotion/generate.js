@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Builds questions outside the browser with the same code as the page (core.js) and writes one file per
+ * question: the question as JSON, or its drawn representation (and any drawn options) as standalone SVG.
+ *
+ *   node generate.js --builders xt-constant,vt-area --count 20 --seed 2f --units off
+ *   node generate.js --format svg --lang en --out figures
+ *   node generate.js --id vt-stop:1a2b --check
+ *
+ * Questions are planned like assignment links (`?assign=…`): the same builders, count and seed give the
+ * same questions as in the page. `--check` runs the `?test` checks (validate.js) and exits with 1 when any
+ * question fails.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const core = require("./core.js");
+const { validateQuestion } = require("./validate.js");
+
+const USAGE = `Usage: node generate.js [options]
+  --builders <ids>     comma-separated builder ids (default: every builder, templates included)
+  --count <n>          number of questions (default: 10)
+  --seed <hex>         plan seed, as in assignment links (default: random, printed)
+  --id <builder:seed>  build this question instead of planning; may be repeated
+  --units on|off       vary units as the page does (default: on)
+  --lang <code>        he, en or ar (default: he)
+  --format json|svg    (default: json)
+  --out <dir>          output directory (default: questions)
+  --check              report questions that fail the ?test checks
+`;
+
+const DEFAULT_COUNT = 10;
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+};
+
+const readOptions = () => {
+  try {
+    return parseArgs({
+      options: {
+        builders: { type: "string" },
+        count: { type: "string", default: String(DEFAULT_COUNT) },
+        seed: { type: "string" },
+        id: { type: "string", multiple: true },
+        units: { type: "string", default: "on" },
+        lang: { type: "string", default: "he" },
+        format: { type: "string", default: "json" },
+        out: { type: "string", default: "questions" },
+        check: { type: "boolean", default: false },
+        help: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (err) {
+    return fail(err.message);
+  }
+};
+
+// Same index and folder as the page, read from disk instead of fetched.
+const loadTemplates = () => {
+  const indexFile = path.join(__dirname, core.TEMPLATE_INDEX);
+  if (!fs.existsSync(indexFile)) return;
+  JSON.parse(fs.readFileSync(indexFile, "utf8")).forEach((file) => {
+    const source = `templates/${file}`;
+    try {
+      core.registerTemplates(JSON.parse(fs.readFileSync(path.join(__dirname, source), "utf8")), source);
+    } catch (err) {
+      console.warn(`${source}: ${err.message}`);
+    }
+  });
+};
+
+const planQuestions = (options) => {
+  if (options.id) {
+    return options.id.map((id) => core.parseQuestionId(id) ?? fail(`Unknown question id "${id}"`));
+  }
+  const builderIds = options.builders ? options.builders.split(",").map((id) => id.trim()) : core.questionBuilders.map((entry) => entry.id);
+  const unknown = builderIds.find((id) => !core.builderById(id));
+  if (unknown) fail(`Unknown builder "${unknown}"`);
+  const count = Number(options.count);
+  if (!Number.isInteger(count) || count < 1) fail(`--count must be a positive whole number`);
+  if (options.seed !== undefined && !/^[0-9a-f]{1,8}$/i.test(options.seed)) fail(`--seed must be 1–8 hex digits`);
+  const seed = options.seed === undefined ? core.randomSeed() : parseInt(options.seed, 16);
+  if (options.seed === undefined) console.error(`seed: ${seed.toString(16)}`);
+  return core.planAssignment({ builderIds, count, seed });
+};
+
+// Top-level rules from styles.css whose classes all appear in the figure, plus `:root` for the colour variables.
+const figureStyles = (stylesheet, markup) => {
+  const classes = new Set(Array.from(markup.matchAll(/class="([^"]*)"/g), (match) => match[1].split(/\s+/)).flat());
+  const rules = [];
+  let depth = 0;
+  let start = 0;
+  const css = stylesheet.replace(/\/\*[\s\S]*?\*\//g, "");
+  for (let index = 0; index < css.length; index += 1) {
+    if (css[index] === "{") depth += 1;
+    if (css[index] !== "}") continue;
+    depth -= 1;
+    if (depth > 0) continue;
+    const rule = css.slice(start, index + 1).trim();
+    start = index + 1;
+    const selector = rule.slice(0, rule.indexOf("{"));
+    if (selector.startsWith("@")) continue;
+    const used = selector.split(",").some((part) => {
+      const names = Array.from(part.matchAll(/\.([\w-]+)/g), (match) => match[1]);
+      return names.length ? names.every((name) => classes.has(name)) : part.trim() === ":root";
+    });
+    if (used) rules.push(rule);
+  }
+  return rules.join("\n");
+};
+
+const standaloneSvg = (markup, stylesheet) =>
+  markup
+    .trim()
+    .replace(/^<svg /, `<svg xmlns="${SVG_NAMESPACE}" `)
+    .replace(/^(<svg[^>]*>)/, `$1\n<style>\n${figureStyles(stylesheet, markup)}\n</style>`);
+
+const isDrawn = (markup) => markup.trim().startsWith("<svg");
+
+const questionFiles = (question, format, stylesheet) => {
+  const name = `${question.builderId}-${question.seed.toString(16)}`;
+  if (format === "json") return [[`${name}.json`, `${JSON.stringify(question, null, 2)}\n`]];
+  const figures = [[name, core.renderRepresentation(question.representation, [], core.chartSizes.print)]];
+  question.options.forEach((option, index) => {
+    if (option.representation) figures.push([`${name}-${index + 1}`, core.renderRepresentation(option.representation, [], core.chartSizes.thumbnail)]);
+  });
+  const drawn = figures.filter(([, markup]) => isDrawn(markup));
+  if (!drawn.length) console.warn(`${question.id}: ${question.representation?.type ?? "no representation"} is not drawn; skipped`);
+  return drawn.map(([figure, markup]) => [`${figure}.svg`, `${standaloneSvg(markup, stylesheet)}\n`]);
+};
+
+const main = () => {
+  const options = readOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!["json", "svg"].includes(options.format)) fail(`--format must be json or svg`);
+  if (!["on", "off"].includes(options.units)) fail(`--units must be on or off`);
+  if (core.resolveLocale(options.lang) !== options.lang) fail(`Unknown language "${options.lang}"`);
+  core.setLocale(options.lang);
+  loadTemplates();
+  const plan = planQuestions(options);
+  const stylesheet = options.format === "svg" ? fs.readFileSync(path.join(__dirname, "styles.css"), "utf8") : "";
+  fs.mkdirSync(options.out, { recursive: true });
+  let written = 0;
+  let failed = 0;
+  plan.forEach(({ builderId, seed }) => {
+    const question = core.buildQuestion(core.builderById(builderId), seed, { unitVariation: options.units === "on" });
+    if (options.check) {
+      const problems = validateQuestion(question);
+      problems.forEach((problem) => console.warn(`${question.id}: ${problem}`));
+      failed += problems.length ? 1 : 0;
+    }
+    questionFiles(question, options.format, stylesheet).forEach(([file, content]) => {
+      fs.writeFileSync(path.join(options.out, file), content);
+      written += 1;
+    });
+  });
+  console.error(`${plan.length} questions, ${written} files in ${options.out}${options.check ? `, ${failed} with problems` : ""}`);
+  if (failed) process.exitCode = 1;
+};
+
+main();
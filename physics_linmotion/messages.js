@@ -0,0 +1,1861 @@
+/**
+ * Message catalog, one entry per locale. Keys are `<area>.<name>`: question builders use the builder name
+ * without "Question", then the misconception tag a feedback explains or the solution step number.
+ * `{name}` placeholders are filled by `t` in core.js; the ones it leaves are solution-step values.
+ */
+const DEFAULT_LOCALE = "he";
+
+const messages = {
+  he: {
+    name: "עברית",
+    dir: "rtl",
+    intl: "he-IL",
+    strings: {
+      "ui.title": "תרגול פיזיקה",
+      "ui.language": "שפה",
+      "ui.finishExam": "סיום המבחן",
+      "ui.questionId": "מזהה שאלה",
+      "test.problems": "בדיקת עקביות – בעיות בשאלה {id}:",
+      "ui.shareQuestion": "העתק קישור לשאלה",
+      "ui.linkCopied": "הקישור הועתק",
+      "ui.startExam": "מצב מבחן",
+      "ui.switchToChoice": "מעבר לבחירה מרובה",
+      "ui.switchToFree": "מעבר להקלדת תשובה",
+      "ui.studentName": "שם",
+      "ui.exportJson": "ייצוא JSON",
+      "ui.exportCsv": "ייצוא CSV",
+      "ui.attemptCount": "{count} ניסיונות שמורים",
+      "ui.skillSummary": "🎯 {mastered}/{total} מיומנויות",
+      "ui.skillMastered": "✔ נשלט",
+      "ui.reviewCount": "שאלות שממתינות לחזרה",
+      "ui.assignmentProgress": "שאלה במטלה",
+      "ui.assignmentDone": "✔ סיימתם את כל {count} השאלות במטלה.",
+      "ui.reviewQuestion": "🔁 חזרה · {id}",
+      "ui.representation": "דוגמה לייצוג תנועה",
+      "ui.showOverlays": "הצגת סימוני עזר על הגרף",
+      "ui.showPlayback": "▶ הדמיית התנועה",
+      "hints.show": "💡 רמז",
+      "hints.more": "💡 רמז נוסף (נותרו {left})",
+      "hints.cost": "כל רמז מוריד רבע מהניקוד על השאלה, ותשובה בעזרת רמזים לא מאריכה את הרצף.",
+      "hints.listLabel": "רמזים",
+      "hints.highlight": "הסתכלו על החלק המסומן – שם נמצאים הנתונים שצריך.",
+      "hints.credit": "תשובה נכונה בעזרת רמזים ({count}): {credit} נקודה על השאלה, והרצף נשאר {streak}.",
+      "ui.closePlayback": "סגירת ההדמיה",
+      "ui.playbackToggle": "הפעלה או השהיה",
+      "ui.playbackScrub": "זמן בהדמיה",
+      "ui.playbackSpeed": "מהירות ההדמיה",
+      "ui.checkAnswer": "בדוק תשובה",
+      "ui.confirmSelection": "בטוחים? לחצו לאישור",
+      "ui.nextQuestion": "שאלה הבאה",
+      "ui.freeResponseLabel": "כתבו מספר ויחידה (למשל 12 km/h או 0.5 min)",
+      "ui.missingNumber": "לא זוהה מספר בתשובה. כתבו מספר ואחריו יחידה.",
+      "ui.missingUnit": "חסרה יחידה. כתבו למשל 12 km/h.",
+      "ui.unknownUnit": "היחידה \"{unit}\" לא מוכרת.",
+      "ui.correctAnswerWas": "התשובה הנכונה: {answer}.",
+      "ui.sketchHint": "גררו כל נקודה למעלה או למטה (או השתמשו בחיצים). הנקודות נצמדות לקווי הרשת.",
+      "ui.checkSketch": "בדוק שרטוט",
+      "ui.sketchMissed": "{missed} מתוך {total} הנקודות לא במקום. למשל, ב־t={time} s הערך הנכון הוא {value} {unit}.",
+      "ui.sketchCorrectLine": "הקו המקווקו הירוק בשרטוט",
+      "ui.representationAnswer": "ייצוג {number}",
+      "ui.solutionTitle": "דרך הפתרון",
+      "ui.nextStep": "הצעד הבא",
+      "ui.allSteps": "הצג את כל הפתרון",
+      "ui.examQuestion": "שאלה {number}",
+      "ui.yourAnswer": "התשובה שלך:",
+      "ui.unanswered": "לא נענתה",
+      "ui.correctAnswer": "התשובה הנכונה:",
+      "ui.questionAndSolution": "השאלה ודרך הפתרון",
+      "ui.examResults": "תוצאות המבחן",
+      "ui.totalTime": "זמן כולל {duration}",
+      "ui.previousExams": "מבחנים קודמים",
+      "ui.backToPractice": "חזרה לתרגול",
+      "ui.anotherExam": "מבחן נוסף",
+      "ui.noData": "אין נתונים",
+      "ui.noEquation": "אין משוואה",
+      "ui.noDiagram": "אין תרשים",
+      "ui.unsupportedRepresentation": "ייצוג לא נתמך",
+
+      "verdicts.correct": "✅ תשובה נכונה",
+      "verdicts.wrong-unit": "⚠️ המספר נכון, אבל היחידה לא מתאימה לו",
+      "verdicts.sign": "⚠️ טעות בסימן – בדקו את כיוון התנועה",
+      "verdicts.rounding": "⚠️ כמעט – התוצאה קרובה, אבל העיגול לא מדויק",
+      "verdicts.wrong": "⚠️ תשובה לא נכונה",
+      "verdicts.sketchCorrect": "✅ השרטוט נכון",
+      "verdicts.sketchWrong": "⚠️ השרטוט לא מתאים לתנועה",
+
+      "exam.title": "מבחן",
+      "exam.length": "מספר שאלות",
+      "exam.minutes": "זמן בדקות (0 – ללא הגבלה)",
+      "exam.skills": "נושאים",
+      "exam.start": "התחלת המבחן",
+      "exam.cancel": "ביטול",
+      "exam.noSkills": "בחרו לפחות נושא אחד.",
+      "exam.invalidSettings": "מספר השאלות צריך להיות בין 1 ל־40, והזמן לא יכול להיות שלילי.",
+
+      "teacher.title": "דוח כיתתי",
+      "teacher.hint": "בחרו קובצי JSON או CSV שהתלמידים ייצאו. הדוח מסכם את הדיוק לפי סוג שאלה ואת הטעויות הנפוצות.",
+      "teacher.students": "תלמידים",
+      "teacher.student": "תלמיד/ה",
+      "teacher.attempts": "ניסיונות",
+      "teacher.correct": "נכונות",
+      "teacher.accuracy": "דיוק",
+      "teacher.byBuilder": "לפי סוג שאלה",
+      "teacher.builder": "מחולל",
+      "teacher.misconceptions": "טעויות נפוצות",
+      "teacher.misconception": "תפיסה שגויה",
+      "teacher.mistakes": "מספר טעויות",
+      "teacher.noMisconceptions": "לא תויגו טעויות.",
+      "teacher.invalidFile": "✖ הקובץ אינו דוח תקין",
+      "teacher.verified": "✔ {count} ניסיונות, החתימה תקינה",
+      "teacher.unverified": "⚠ {count} ניסיונות, החתימה לא תואמת – ייתכן שהקובץ שונה",
+      "teacher.worksheetLink": "הדפסת דף עבודה עם מפתח תשובות",
+      "teacher.editorLink": "כתיבת שאלות משלכם",
+
+      "worksheet.title": "דף עבודה – תנועה בקו ישר",
+      "worksheet.fields": "שם: ____________________   כיתה: ________   תאריך: ____________",
+      "worksheet.print": "הדפסה / שמירה כ־PDF",
+      "worksheet.reshuffle": "דף אחר",
+      "worksheet.answerKey": "מפתח תשובות",
+      "worksheet.answerLine": "תשובה (כולל יחידות): ______________________",
+      "worksheet.code": "קוד הדף: {code}",
+      "worksheet.letters": "אבגדהוזח",
+      "editor.title": "עורך שאלות",
+      "editor.id": "מזהה (אותיות לטיניות, ספרות ומקף)",
+      "editor.type": "מה מחשבים",
+      "editor.typeSpeed": "מהירות",
+      "editor.typeDistance": "דרך או מקום",
+      "editor.typeTime": "זמן",
+      "editor.typeAcceleration": "תאוצה",
+      "editor.representation": "ייצוג",
+      "editor.representationNone": "ללא",
+      "editor.representationTable": "טבלת מקום־זמן",
+      "editor.representationFootprint": "דיאגרמת עקבות",
+      "editor.dataTable": "שורות הטבלה – בכל שורה: t (s), x (m)",
+      "editor.dataXt": "נקודות הגרף – בכל שורה: t (s), x (m)",
+      "editor.dataVt": "נקודות הגרף – בכל שורה: t (s), v (m/s)",
+      "editor.dataFootprint": "עקבות – בכל שורה: t (s), x (m)",
+      "editor.tickStep": "מרחק בין שנתות (מ׳)",
+      "editor.timeLabels": "להציג זמן מתחת לכל עקבה",
+      "editor.prompt": "נוסח השאלה",
+      "editor.answer": "התשובה הנכונה ({unit})",
+      "editor.distractors": "מסיחים (לא חובה – השאר יושלמו אוטומטית)",
+      "editor.distractorValue": "ערך מסיח {number}",
+      "editor.distractorMisconception": "תפיסה שגויה של מסיח {number}",
+      "editor.distractorFeedback": "משוב למסיח {number}",
+      "editor.solution": "פתרון – צעד בכל שורה",
+      "editor.save": "שמירה בדפדפן",
+      "editor.download": "הורדת קובץ JSON",
+      "editor.new": "שאלה חדשה",
+      "editor.preview": "תצוגה מקדימה",
+      "editor.saved": "שאלות שמורות",
+      "editor.noneSaved": "עדיין לא נשמרו שאלות בדפדפן הזה.",
+      "editor.edit": "עריכה",
+      "editor.practice": "תרגול",
+      "editor.delete": "מחיקה",
+      "editor.correctOption": "התשובה הנכונה",
+      "editor.generatedOption": "מסיח שנוצר אוטומטית",
+      "editor.previewBlocked": "התצוגה המקדימה תופיע אחרי תיקון השגיאות.",
+      "editor.fixErrors": "יש לתקן את השגיאות לפני השמירה.",
+      "editor.savedStatus": "השאלה {id} נשמרה ונוספה למאגר התרגול בדפדפן הזה.",
+      "editor.downloadedStatus": "הקובץ {file} הורד. כדי לשתף אותו עם כל התלמידים, העתיקו אותו לתיקייה templates והוסיפו את שמו ל־templates/index.json.",
+      "editor.deletedStatus": "השאלה {id} נמחקה.",
+      "editor.errorId": "המזהה יכול להכיל רק אותיות לטיניות קטנות, ספרות ומקף.",
+      "editor.errorIdTaken": "המזהה {id} כבר שייך לשאלה מובנית.",
+      "editor.errorSkills": "יש לבחור לפחות נושא אחד.",
+      "editor.errorPrompt": "חסר נוסח השאלה.",
+      "editor.errorAnswer": "התשובה הנכונה צריכה להיות מספר.",
+      "editor.errorDistractor": "הערך של מסיח {number} אינו מספר.",
+      "editor.errorLine": "בשורה {line} של הנתונים צריכים להיות בדיוק שני מספרים.",
+      "editor.errorRows": "יש להזין לפחות שתי שורות נתונים.",
+      "editor.errorTimes": "הזמנים צריכים לעלות משורה לשורה.",
+      "editor.errorFootprintGaps": "בדיאגרמת עקבות פרקי הזמן בין עקבות עוקבות חייבים להיות שווים.",
+      "editor.errorTickStep": "המרחק בין השנתות צריך להיות חיובי.",
+      "editor.errorFootprintTick": "העקבה במקום {position} אינה נופלת על שנתה. כל עקבה צריכה לעמוד מעל שנתה.",
+      "editor.warnTableRate": "המהירות אינה קבועה לאורך הטבלה – ודאו שהשאלה אינה מציגה אותה כקבועה.",
+      "editor.warnTableSpeed": "לפי הטבלה המהירות היא {speed} m/s, אבל התשובה הנכונה שונה.",
+      "editor.warnDistractorAnswer": "מסיח {number} שווה לתשובה הנכונה ולא יוצג.",
+      "editor.warnFootprintGap": "פרק הזמן בין העקבות ({gap} s) לא מופיע בנוסח השאלה. ציינו אותו בשאלה או הציגו זמן מתחת לכל עקבה.",
+
+      "a11y.table": "טבלה עם {count} שורות, עמודות {timeHeader} ו־{valueHeader}.",
+      "a11y.xtGraph": "גרף מקום־זמן. ציר הזמן מ־{minTime} עד {maxTime} {timeUnit}, ציר המקום מ־{minValue} עד {maxValue} {valueUnit}.",
+      "a11y.vtGraph": "גרף מהירות־זמן. ציר הזמן מ־{minTime} עד {maxTime} {timeUnit}, ציר המהירות מ־{minValue} עד {maxValue} {valueUnit}.",
+      "a11y.dualXt": "גרף מקום־זמן של {count} גופים. ציר הזמן מ־{minTime} עד {maxTime} {timeUnit}, ציר המקום מ־{minValue} עד {maxValue} {valueUnit}.",
+      "a11y.dualVt": "גרף מהירות־זמן של {count} גופים. ציר הזמן מ־{minTime} עד {maxTime} {timeUnit}, ציר המהירות מ־{minValue} עד {maxValue} {valueUnit}.",
+      "a11y.segment": "קטע {number}: מ־({fromTime} {timeUnit}, {fromValue} {valueUnit}) עד ({toTime} {timeUnit}, {toValue} {valueUnit}).",
+      "a11y.curve": "עקומה (תאוצה קבועה) מ־({fromTime} {timeUnit}, {fromValue} {valueUnit}) עד ({toTime} {timeUnit}, {toValue} {valueUnit}).",
+      "a11y.object": "{name}, קו {color}:",
+      "a11y.footprint": "דיאגרמת עקבות עם {count} עקבות על ציר מקום מ־{min} עד {max} {unit}.",
+      "a11y.legForward": "תנועה בכיוון החיובי מ־{from} עד {to} {unit} ({count} עקבות).",
+      "a11y.legBackward": "תנועה בכיוון השלילי מ־{from} עד {to} {unit} ({count} עקבות).",
+      "a11y.legStill": "עמידה במקום ב־{from} {unit} ({count} עקבות).",
+      "a11y.footprintAt": "עקבה {number} ב־{position} {unit}.",
+      "a11y.footprintTimed": "עקבה {number} ב־{position} {unit}, בזמן {time} {timeUnit}.",
+      "a11y.equation": "משוואת מקום: {equation}",
+      "a11y.dataTable": "הנתונים כטבלה",
+      "a11y.footprintColumn": "עקבה",
+
+      "colors.blue": "כחול",
+      "colors.red": "אדום",
+      "colors.green": "ירוק",
+
+      "objects.a": "גוף A",
+      "objects.b": "גוף B",
+
+      "options.multipleCorrect": "יש יותר מאפשרות אחת נכונה",
+      "options.noneCorrect": "אין תשובה מתאימה בין האפשרויות",
+      "options.equal": "שווים",
+      "options.noInfo": "אין מידע",
+      "options.noAnswer": "אין תשובה",
+      "options.vtGraph": "גרף v־t",
+      "options.xtGraph": "גרף x־t",
+
+      "shapes.triangle": "משולש",
+      "shapes.trapezoid": "טרפז",
+
+      "units.secondsShort": "{gap} שנ׳",
+
+      "conversion.multiply": "להכפיל ב־{multiplier}",
+      "conversion.divide": "לחלק ב־{divisor}",
+
+      "skills.table-rate": "קצב שינוי בטבלה",
+      "skills.average-speed": "מהירות ממוצעת",
+      "skills.reading-slope": "קריאת שיפוע",
+      "skills.reading-position": "קריאת מיקום מגרף",
+      "skills.distance-vs-displacement": "דרך לעומת העתק",
+      "skills.area-under-vt": "שטח מתחת לגרף v־t",
+      "skills.reading-vt": "קריאת גרף v־t",
+      "skills.footprints": "תרשים עקבות",
+      "skills.equations": "משוואת מקום־זמן",
+      "skills.comparing-bodies": "השוואה בין גופים",
+      "skills.acceleration": "תאוצה משיפוע v־t",
+      "skills.parabolic-xt": "גרף x־t פרבולי",
+      "skills.sketching": "שרטוט גרף מתיאור",
+      "skills.converting-representations": "מעבר בין ייצוגים",
+
+      "misconceptions.arithmetic-slip": "טעות חישוב",
+      "misconceptions.wrong-factor": "הכפלה או חלוקה בגורם שגוי",
+      "misconceptions.rounding": "עיגול לא מדויק",
+      "misconceptions.unit-label": "יחידה שגויה למספר הנכון",
+      "misconceptions.unit-not-converted": "שכחו להמיר יחידות",
+      "misconceptions.unit-conversion-inverted": "המרת יחידות בכיוון ההפוך",
+      "misconceptions.position-for-rate": "מיקום במקום קצב שינוי",
+      "misconceptions.forgot-intercept": "התעלמות מהמיקום ההתחלתי",
+      "misconceptions.position-as-intercept": "מיקום בזמן אחר שימש כמיקום התחלתי",
+      "misconceptions.misread-intercept": "קריאה שגויה של המיקום ההתחלתי",
+      "misconceptions.misread-slope": "קריאה שגויה של השיפוע",
+      "misconceptions.slope-sign": "טעות בסימן השיפוע",
+      "misconceptions.ignored-time-step": "התעלמות מגודל מרווח הזמן",
+      "misconceptions.counted-footprints": "ספירת עקבות במקום מרווחים",
+      "misconceptions.averaged-speeds": "ממוצע מהירויות במקום דרך חלקי זמן",
+      "misconceptions.single-segment": "התייחסות לקטע אחד בלבד",
+      "misconceptions.displacement-for-distance": "העתק במקום דרך",
+      "misconceptions.distance-for-displacement": "דרך במקום מיקום או העתק",
+      "misconceptions.ignored-reversal": "התעלמות משינוי כיוון",
+      "misconceptions.displacement-sign": "טעות בסימן ההעתק",
+      "misconceptions.read-axis-value": "ערך מהציר הלא נכון",
+      "misconceptions.misread-graph-value": "קריאה שגויה של ערך מהגרף",
+      "misconceptions.area-as-triangle": "נוסחת שטח שגויה",
+      "misconceptions.area-for-value": "שטח במקום ערך",
+      "misconceptions.slope-for-value": "שיפוע במקום ערך",
+      "misconceptions.change-for-rate": "שינוי במקום קצב שינוי",
+      "misconceptions.velocity-for-acceleration": "מהירות במקום תאוצה",
+      "misconceptions.forgot-half": "השמטת ה־½ בנוסחת המקום",
+      "misconceptions.compared-wrong-quantity": "השוואה של גודל לא נכון",
+      "misconceptions.meeting-condition": "בדיקה שגויה של תנאי המפגש",
+      "misconceptions.graph-has-information": "המידע מופיע בייצוג",
+      "misconceptions.copied-graph-shape": "העתקת צורת הגרף במקום לתרגם אותה",
+      "misconceptions.segment-timing": "זמן שגוי לשינוי המהירות",
+
+      "generateNumericDistractors.feedback1": "ההפרש מהתשובה קטן – בדקו את העיגול ואת קריאת הערכים.",
+      "generateNumericDistractors.feedback2": "התוצאה קרובה אבל לא מדויקת – בדקו שוב את החישוב.",
+      "generateNumericDistractors.feedback3": "התוצאה רחוקה מהתשובה פי כמה – בדקו אם הכפלתם או חילקתם בגורם מיותר.",
+      "generateNumericDistractors.feedback4": "{value} הוא הערך ב־{baseUnit}. כדי לעבור ל־{label} יש {step}.",
+      "generateNumericDistractors.feedback5": "ההמרה בוצעה בכיוון ההפוך. כדי לעבור מ־{baseUnit} ל־{label} יש {step}.",
+      "generateNumericDistractors.feedback6": "המספר {value} מתאים ליחידה {baseUnit}. ב־{label} הערך הוא {converted}.",
+
+      "updateExplanationUnits.step1": "ביחידות התשובה: {baseValue} = {displayValue} {unit}.",
+      "updateExplanationUnits.baseUnits": "השלבים כתובים ב־{units}, ולא ביחידות שבייצוג ({shown}), כדי שהחישובים יצאו מדויקים.",
+
+      "tableRandom.prompt": "לפניכם טבלת מיקום-זמן של גוף הנע במהירות קבועה. מה מהירות הגוף?",
+      "tableRandom.forgot-intercept": "חילקתם את המיקום האחרון ({lastPosition} מ׳) בזמן, אבל הגוף התחיל ב־x={startDistance} מ׳. השינוי במיקום הוא {value1} מ׳ ב־{lastTime} שניות.",
+      "tableRandom.ignored-time-step": "בין חלק מהשורות עוברות 2 שניות. שינוי של {value1} מ׳ בשתי שניות הוא {speed} מ׳ בכל שניה.",
+      "tableRandom.position-for-rate": "{lastPosition} מ׳ הוא המיקום בשורה האחרונה. המהירות היא השינוי במיקום בכל שניה.",
+      "tableRandom.step1": "בוחרים שתי שורות: ב־{t0} הגוף ב־{x0}, וב־{t1} הוא ב־{x1}.",
+      "tableRandom.step2": "המהירות היא השינוי במיקום חלקי הזמן שחלף: {dx} ב־{dt}.",
+      "tableRandom.step3": "ולכן מהירות הגוף היא {v}.",
+      "tableRandom.hint1": "מה מקבלים כשמחלקים את השינוי במיקום בזמן שחלף?",
+      "tableRandom.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "tableAverageSpeed.prompt": "על פי טבלת המיקום-זמן שלפניכם, מה המהירות הממוצעת של הגוף?",
+      "tableAverageSpeed.averaged-speeds": "זה הממוצע של המהירויות בקטעים ({value1} m/s). הקטעים נמשכים זמנים שונים, ולכן מחלקים את הדרך הכוללת בזמן הכולל.",
+      "tableAverageSpeed.single-segment": "{value1} m/s היא המהירות בקטע האחרון בלבד. המהירות הממוצעת מתייחסת לכל התנועה.",
+      "tableAverageSpeed.position-for-rate": "{distance} מ׳ הוא המרחק הכולל. כדי לקבל מהירות יש לחלק אותו ב־{time} שניות.",
+      "tableAverageSpeed.step1": "מהשורה הראשונה לאחרונה הגוף עבר {d} במשך {t}.",
+      "tableAverageSpeed.step2": "המהירות הממוצעת היא הדרך הכוללת חלקי הזמן הכולל: {v}.",
+      "tableAverageSpeed.hint1": "המהירות הממוצעת היא ממוצע המהירויות, או ההעתק הכולל חלקי הזמן הכולל?",
+      "tableAverageSpeed.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "xtConstant.prompt": "מה מהירות הגוף לפי שיפוע הגרף?",
+      "xtConstant.position-for-rate": "{endX} מ׳ הוא המיקום בסוף התנועה. המהירות היא השיפוע: השינוי במיקום חלקי משך הזמן.",
+      "xtConstant.forgot-intercept": "חילקתם את המיקום הסופי בזמן, אבל הגוף התחיל ב־x={startX} מ׳. השינוי במיקום הוא {distance} מ׳.",
+      "xtConstant.slope-sign": "הגרף עולה – המיקום גדל עם הזמן, ולכן המהירות חיובית.",
+      "xtConstant.slope-sign-alt": "הגרף יורד – המיקום קטן עם הזמן, ולכן המהירות שלילית.",
+      "xtConstant.step1": "קוראים מהגרף שתי נקודות: ב־{t0} הגוף ב־{x0}, וב־{t1} הוא ב־{x1}.",
+      "xtConstant.step2": "המהירות היא שיפוע הגרף: שינוי של {dx} במשך {dt}.",
+      "xtConstant.step3": "ולכן מהירות הגוף היא {v}.",
+      "xtConstant.hint1": "איזה גודל מייצג השיפוע של גרף x־t?",
+      "xtConstant.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "xtSwitch.prompt": "מה המהירות המקסימלית של הגוף?",
+      "xtSwitch.single-segment": "{slowerSpeed} m/s היא המהירות בקטע המתון יותר. המהירות המקסימלית שייכת לקטע התלול יותר.",
+      "xtSwitch.averaged-speeds": "{averageSpeed} m/s היא המהירות הממוצעת על פני כל התנועה, לא המהירות הגבוהה ביותר.",
+      "xtSwitch.position-for-rate": "{value1} מ׳ הוא המיקום הסופי. המהירות נקבעת לפי השיפוע של כל קטע.",
+      "xtSwitch.step1": "בקטע הראשון הגוף עובר {d} במשך {t}, כלומר {v}.",
+      "xtSwitch.step2": "בקטע השני הגוף עובר {d} במשך {t}, כלומר {v}.",
+      "xtSwitch.step3": "הקטע התלול יותר הוא המהיר יותר, ולכן המהירות המקסימלית היא {v}.",
+      "xtSwitch.hint1": "איזה קטע בגרף x־t תלול יותר – ומה מייצגת התלילות?",
+      "xtSwitch.hint3": "השוו בין השיפועים: {d1} / {t1} בקטע הראשון ו־{d2} / {t2} בשני.",
+
+      "xtReturn.prompt": "מה המיקום של הגוף ברגע t={sampleTime}s?",
+      "xtReturn.distance-for-displacement": "{pathUntilSample} מ׳ היא הדרך שהגוף עבר עד t={sampleTime}s. בקטע החזרה המיקום יורד, ולכן יש להחסיר את מה שהגוף חזר.",
+      "xtReturn.ignored-reversal": "חישבתם כאילו הגוף ממשיך קדימה כל הזמן. אחרי t={forwardTime}s הגרף יורד – הגוף חוזר אחורה.",
+      "xtReturn.read-axis-value": "{sampleTime} הוא ערך הזמן. את המיקום קוראים מהציר האנכי של הגרף.",
+      "xtReturn.step1": "עד {tf} הגרף עולה: הגוף נע קדימה במהירות {vf} ומגיע ל־{xf}.",
+      "xtReturn.step2": "הרגע {ts} נמצא בקטע העולה, ולכן המיקום הוא {vf} · {ts} = {x}.",
+      "xtReturn.step3": "אחרי נקודת המפנה הגוף חוזר במהירות {vb}. עד {ts} הוא חוזר {back}, ולכן המיקום הוא {xf} − {back} = {x}.",
+      "xtReturn.hint1": "המיקום נקרא על הציר האנכי. באיזה קטע של הגרף נמצא הרגע שבשאלה?",
+      "xtReturn.hint3": "x = v · t = {vf} · {ts} = ?",
+      "xtReturn.hint3-back": "x = x₁ − v · (t − t₁) = {xf} − {vb} · ({ts} − {tf}) = ?",
+
+      "xtTotalDistance.prompt": "כמה מטרים נסע הגוף בסך הכל?",
+      "xtTotalDistance.displacement-for-distance": "{value1} מ׳ הוא גודל ההעתק. הדרך סופרת גם את הקטע שבו הגוף חזר: {forwardDistance} + {backwardDistance}.",
+      "xtTotalDistance.single-segment": "{forwardDistance} מ׳ היא רק הדרך קדימה. אחרי t={forwardTime}s הגוף חזר עוד {backwardDistance} מ׳.",
+      "xtTotalDistance.step1": "בקטע הראשון הגוף נע קדימה מ־{x0} עד {x1}: דרך של {d}.",
+      "xtTotalDistance.step2": "בקטע השני הגוף חוזר מ־{x1} עד {x2}: עוד {d}.",
+      "xtTotalDistance.step3": "הדרך סופרת את שני הקטעים: {d1} + {d2} = {d}.",
+      "xtTotalDistance.hint1": "הדרך סופרת כל מטר שהגוף עבר. מה קורה כשהוא מסתובב וחוזר?",
+      "xtTotalDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "vtArea.prompt": "לפניכם גרף מהירות-זמן של תנועת גוף. איזה מרחק עובר הגוף בזמן התנועה?",
+      "vtArea.read-axis-value": "{velocity} m/s היא המהירות שקוראים מהגרף. המרחק הוא השטח מתחת לגרף: מהירות × זמן.",
+      "vtArea.area-as-triangle": "השטח מתחת לקו אופקי הוא מלבן, לא משולש – אין לחלק ב־2.",
+      "vtArea.step1": "המהירות קבועה, {v}, לאורך {t}.",
+      "vtArea.step2": "הדרך היא השטח מתחת לגרף – מלבן: {v} · {t} = {d}.",
+      "vtArea.hint1": "מה מייצג השטח מתחת לגרף v־t?",
+      "vtArea.hint3": "Δx = v · Δt = {v} · {t} = ?",
+
+      "vtStop.prompt": "באיזה רגע הגוף נעצר?",
+      "vtStop.read-axis-value": "{duration} שניות הוא סוף הגרף. הגוף נעצר כשהמהירות מתאפסת – בנקודה שבה הקו מגיע לציר הזמן.",
+      "vtStop.read-axis-value-2": "{initial} הוא ערך המהירות ההתחלתית על הציר האנכי, לא זמן.",
+      "vtStop.step1": "הגוף נעצר כשהמהירות מתאפסת – בנקודה שבה הקו מגיע לציר הזמן.",
+      "vtStop.step2": "שיפוע הקו: ({v1} − {v0}) / {t} = {a}. כלומר המהירות קטנה ב־{rate} בכל שניה.",
+      "vtStop.step3": "כדי לרדת מ־{v0} לאפס נדרשים {v0} / {rate} = {ts}.",
+      "vtStop.hint1": "מה המהירות של גוף שעומד, ומה מייצג השיפוע של גרף v־t?",
+      "vtStop.hint3": "המהירות יורדת מ־{v0} ל־{v1} ב־{t}, כלומר ב־{rate}. כמה זמן נדרש כדי לרדת מ־{v0} לאפס?",
+
+      "vtAcceleration.prompt": "מה המהירות בסוף קו התאוצה?",
+      "vtAcceleration.slope-for-value": "{value1} הוא השיפוע של הגרף (התאוצה). השאלה שואלת על ערך המהירות בסוף הקו.",
+      "vtAcceleration.read-axis-value": "{duration} הוא הזמן בסוף הקו (ציר t). את המהירות קוראים מהציר האנכי.",
+      "vtAcceleration.area-for-value": "השטח מתחת לגרף v־t הוא הדרך, לא המהירות.",
+      "vtAcceleration.step1": "קו התאוצה מסתיים ב־{t}.",
+      "vtAcceleration.step2": "את המהירות קוראים על הציר האנכי בגובה הנקודה: {v}.",
+      "vtAcceleration.hint1": "על איזה ציר בגרף v־t קוראים את המהירות?",
+      "vtAcceleration.hint3": "מה גובה הגרף ב־t = {t}?",
+
+      "footprintConstant.prompt": "מה המהירות לפי תרשים העקבות? פער הזמן בין כל שתי עקבות הוא {timeGap} שניות.",
+      "footprintConstant.ignored-time-step": "{tickStep} מ׳ הוא המרחק בין שתי עקבות, והוא נעבר ב־{timeGap} שניות. בשניה אחת הגוף עובר {pace} מ׳.",
+      "footprintConstant.counted-footprints": "בתרשים {stepsLength} עקבות אבל רק {value1} מרווחי זמן, ולכן הזמן הכולל הוא {value2} שניות.",
+      "footprintConstant.position-for-rate": "{maxPos} מ׳ הוא המיקום של העקבה האחרונה, לא המהירות.",
+      "footprintConstant.step1": "בין כל שתי עקבות סמוכות הגוף עובר {d} במשך {t}.",
+      "footprintConstant.step2": "המהירות היא {d} / {t} = {v}.",
+      "footprintConstant.hint1": "מהירות היא דרך ליחידת זמן. כמה זמן עובר בין שתי עקבות?",
+      "footprintConstant.hint3": "v = Δx / Δt = {d} / {t} = ?",
+
+      "footprintVariablePace.prompt": "מה המהירות הממוצעת? פער הזמן בין העקבות הוא {timeGap} שניות.",
+      "footprintVariablePace.counted-footprints": "בתרשים {stepsLength} עקבות אבל רק {value1} מרווחי זמן, ולכן הזמן הכולל הוא {totalTime} שניות.",
+      "footprintVariablePace.ignored-time-step": "חילקתם במספר המרווחים, אבל כל מרווח נמשך {timeGap} שניות.",
+      "footprintVariablePace.single-segment": "זו המהירות בין שתי העקבות האחרונות בלבד. המהירות הממוצעת היא הדרך הכוללת חלקי הזמן הכולל.",
+      "footprintVariablePace.step1": "מהעקבה הראשונה לאחרונה הגוף עבר {d}.",
+      "footprintVariablePace.step2": "בין {stepsLength} העקבות יש {value1} מרווחים של {gap}, ולכן הזמן הכולל הוא {t}.",
+      "footprintVariablePace.step3": "המהירות הממוצעת: {d} / {t} = {v}.",
+      "footprintVariablePace.hint1": "מהירות ממוצעת היא ההעתק הכולל חלקי הזמן הכולל. כמה פרקי זמן יש בין העקבה הראשונה לאחרונה?",
+      "footprintVariablePace.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "footprintDistance.prompt": "בתרשים העקבות הגוף משנה כיוון. מה הדרך שהגוף עבר מהעקבה הראשונה עד האחרונה?",
+      "footprintDistance.displacement-for-distance": "{value1} מ׳ הוא גודל ההעתק – המרחק בין העקבה הראשונה לאחרונה. הדרך סופרת גם את הקטע שבו הגוף חזר.",
+      "footprintDistance.single-segment": "{motionOutDistance} מ׳ היא רק הדרך עד נקודת המפנה. אחריה הגוף חזר עוד {motionBackDistance} מ׳.",
+      "footprintDistance.position-for-rate": "{motionEnd} מ׳ הוא המיקום של העקבה האחרונה, לא הדרך שנעברה.",
+      "footprintDistance.step1": "עד נקודת המפנה הגוף נע מ־{x0} ל־{x1}: דרך של {d}.",
+      "footprintDistance.step2": "אחר כך הגוף חוזר מ־{x1} ל־{x2}: עוד {d}.",
+      "footprintDistance.step3": "הדרך סופרת את שני הקטעים: {d1} + {d2} = {d}.",
+      "footprintDistance.hint1": "הדרך מצרפת את כל קטעי התנועה, גם אחרי שינוי הכיוון.",
+      "footprintDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "footprintDisplacement.prompt": "בתרשים העקבות הגוף משנה כיוון. מה ההעתק של הגוף מהעקבה הראשונה עד האחרונה? (הכיוון החיובי הוא ימינה)",
+      "footprintDisplacement.distance-for-displacement": "{totalDistance} מ׳ היא הדרך שהגוף עבר. ההעתק תלוי רק במיקום ההתחלתי ובמיקום הסופי.",
+      "footprintDisplacement.displacement-sign": "ההעתק הוא המיקום הסופי פחות המיקום ההתחלתי: {motionEnd} − ({motionStart}), ולא להפך.",
+      "footprintDisplacement.forgot-intercept": "{motionEnd} מ׳ הוא המיקום הסופי. הגוף לא התחיל בראשית הציר אלא ב־{motionStart} מ׳.",
+      "footprintDisplacement.ignored-reversal": "זה ההעתק עד נקודת המפנה בלבד. אחריה הגוף חזר בכיוון ההפוך.",
+      "footprintDisplacement.step1": "העקבה הראשונה נמצאת ב־{x0} והאחרונה ב־{x1}.",
+      "footprintDisplacement.step2": "ההעתק הוא המיקום הסופי פחות ההתחלתי: {x1} − ({x0}) = {dx}. החזרה באמצע הדרך לא משנה אותו.",
+      "footprintDisplacement.hint1": "ההעתק תלוי רק בנקודת ההתחלה ובנקודת הסיום של התנועה.",
+      "footprintDisplacement.hint3": "Δx = x₂ − x₁, כאשר x₁ = {x0} ו־x₂ = {x1}.",
+
+      "xtEquationPosition.prompt": "נתונה משוואת מיקום-זמן של גוף בתנועה קבועה. מה מיקום הגוף בזמן t={sampleTime}s?",
+      "xtEquationPosition.forgot-intercept": "{velocity}·{sampleTime} הוא רק השינוי במיקום. צריך להוסיף את המיקום ההתחלתי x₀={intercept} מ׳.",
+      "xtEquationPosition.misread-intercept": "סימן המיקום ההתחלתי התהפך: לפי המשוואה x₀={intercept} מ׳.",
+      "xtEquationPosition.step1": "במשוואה המיקום ההתחלתי הוא {x0} והמהירות {v}.",
+      "xtEquationPosition.step2": "מציבים {t}: השינוי במיקום הוא {v} · {t} = {dx}.",
+      "xtEquationPosition.step3": "מוסיפים את המיקום ההתחלתי: {x0} + ({dx}) = {x}.",
+      "xtEquationPosition.hint1": "במשוואה x(t) = x₀ + v·t, איזה מספר הוא המיקום ההתחלתי ואיזה הוא המהירות?",
+      "xtEquationPosition.hint2": "מציבים במשוואה t = {t}.",
+      "xtEquationPosition.hint3": "x = x₀ + v·t, עם x₀ = {x0}, v = {v} ו־t = {t}.",
+
+      "xtGraphEquation.feedback1": "במשוואה זו המהירות {value1} m/s, אבל לפי הגרף המיקום משתנה ב־{velocity} מ׳ בכל שניה.",
+      "xtGraphEquation.feedback2": "במשוואה זו הגוף מתחיל ב־x=0, אבל לפי הגרף ב־t=0 הגוף נמצא ב־x={intercept} m.",
+      "xtGraphEquation.feedback3": "{end} m הוא המיקום בסוף התנועה (t={time}s). החותך הוא המיקום ב־t=0.",
+      "xtGraphEquation.slope-sign": "הגרף עולה, ולכן המהירות חיובית.",
+      "xtGraphEquation.slope-sign-alt": "הגרף יורד, ולכן המהירות שלילית.",
+      "xtGraphEquation.prompt": "לפי גרף x/t, איזו משוואה מתארת את התנועה?",
+      "xtGraphEquation.step1": "ב־t=0 הגוף נמצא ב־{x0} – זה המיקום ההתחלתי x₀.",
+      "xtGraphEquation.step2": "שיפוע הגרף: שינוי של {dx} במשך {t}, כלומר v = {v}.",
+      "xtGraphEquation.step3": "מציבים את x₀ ואת v במשוואה x(t) = x₀ + v·t:",
+      "xtGraphEquation.hint1": "במשוואה x(t) = x₀ + v·t: איפה קוראים את x₀ בגרף x־t, ומה נותן את v?",
+      "xtGraphEquation.hint3": "x₀ = {x0}, ו־v = Δx / Δt = {dx} / {t} = ?",
+
+      "vtGraphPositionEquation.feedback1": "במשוואה זו המהירות {value} m/s, אבל בגרף v־t הקו נמצא בגובה {velocity} m/s.",
+      "vtGraphPositionEquation.feedback2": "x={positionAtTime}m הוא המיקום בזמן t={referenceTime}s, לא ב־t=0. המיקום ההתחלתי הוא {positionAtTime} − {velocity}·{referenceTime} = {intercept} m.",
+      "vtGraphPositionEquation.prompt": "גרף v/t מראה תנועה קבועה. ידוע כי x={positionAtTime}m בזמן t={referenceTime} s. מה משוואת התנועה המתאימה?",
+      "vtGraphPositionEquation.step1": "בגרף v־t גובה הקו הוא המהירות: v = {v}.",
+      "vtGraphPositionEquation.step2": "עד {t} הגוף מתקדם {v} · {t} = {dx}.",
+      "vtGraphPositionEquation.step3": "בזמן זה הוא ב־{x}, ולכן התחיל ב־{x} − {dx} = {x0}.",
+      "vtGraphPositionEquation.step4": "מציבים את x₀ ואת v במשוואה x(t) = x₀ + v·t:",
+      "vtGraphPositionEquation.hint1": "גרף v־t נותן את v. מה המיקום הנתון בשאלה מלמד על x₀?",
+      "vtGraphPositionEquation.hint3": "x₀ = x(t) − v · t = {x} − {v} · {t} = ?",
+
+      "xtTableEquation.feedback1": "x={value1} m הוא המיקום בזמן t={value2}s. המיקום ההתחלתי מופיע בשורה של t=0.",
+      "xtTableEquation.feedback2": "בין t={value1}s ל־t={value2}s עוברות 2 שניות, ולכן יש לחלק את שינוי המיקום ב־2.",
+      "xtTableEquation.feedback3": "לפי הטבלה המיקום משתנה ב־{velocity} מ׳ בכל שניה, לא ב־{value1}.",
+      "xtTableEquation.slope-sign": "המיקום בטבלה גדל עם הזמן, ולכן המהירות חיובית.",
+      "xtTableEquation.slope-sign-alt": "המיקום בטבלה קטן עם הזמן, ולכן המהירות שלילית.",
+      "xtTableEquation.prompt": "גוף נע במהירות קבועה כמתואר בטבלה. מה משוואת x(t) המתאימה לתנועת הגוף?",
+      "xtTableEquation.step1": "בשורה של t=0 המיקום הוא {x0} – זה x₀.",
+      "xtTableEquation.step2": "בין שתי השורות הראשונות המיקום משתנה ב־{dx} במשך {dt}, כלומר v = {v}.",
+      "xtTableEquation.step3": "מציבים את x₀ ואת v במשוואה x(t) = x₀ + v·t:",
+      "xtTableEquation.hint1": "במשוואה x(t) = x₀ + v·t, איזו שורה בטבלה נותנת את x₀?",
+      "xtTableEquation.hint3": "x₀ = {x0}, ו־v = Δx / Δt = {dx} / {dt} = ?",
+
+      "footprintEquation.feedback1": "{tickStep} מ׳ הוא המרחק בין שתי עקבות, שנעבר ב־{timeGap} שניות. המהירות היא {pace} m/s.",
+      "footprintEquation.feedback2": "בין כל שתי עקבות עוברת שניה אחת והגוף מתקדם {pace} מ׳, ולכן המהירות {pace} m/s.",
+      "footprintEquation.feedback3": "העקבה הראשונה נמצאת ב־x={start} m, ולא בראשית הציר.",
+      "footprintEquation.feedback4": "העקבה הראשונה (t=0) נמצאת בראשית הציר, ולכן המיקום ההתחלתי הוא 0.",
+      "footprintEquation.feedback5": "כל {timeGap} שניות מתווספים {tickStep} מ׳, ולכן המהירות {pace} m/s.",
+      "footprintEquation.prompt": "בתרשים עקבות זה, העקבה הראשונה היא בזמן t=0s. פער הזמן בין כל שתי עקבות הוא {timeGap} שניות. מהי משוואת x(t) המתאימה לתנועת הגוף?",
+      "footprintEquation.step1": "העקבה הראשונה (t=0) נמצאת ב־{x0} – זה x₀.",
+      "footprintEquation.step2": "בין שתי עקבות הגוף עובר {d} במשך {t}, כלומר v = {v}.",
+      "footprintEquation.step3": "מציבים את x₀ ואת v במשוואה x(t) = x₀ + v·t:",
+      "footprintEquation.hint1": "איפה נמצאת העקבה הראשונה, וכמה זמן עובר בין שתי עקבות?",
+      "footprintEquation.hint3": "x₀ = {x0}, ו־v = {d} / {t} = ?",
+
+      "meetingEquation.meeting-condition": "משוואה זו אכן מגיעה ל־x={meetPosition} m בזמן t={meetTime}s, אבל היא לא האפשרות היחידה שמתאימה.",
+      "meetingEquation.meeting-condition-alt": "לפי משוואה זו, בזמן t={meetTime}s הגוף נמצא ב־x={positionAtMeet} m ולא ב־x={meetPosition} m – הגופים לא נפגשים.",
+      "meetingEquation.feedback1": "הציבו t={meetTime} בכל משוואה: לא יותר ממשוואה אחת מגיעה ל־x={meetPosition} m.",
+      "meetingEquation.feedback2": "הציבו t={meetTime} בכל משוואה: יש משוואה שמגיעה ל־x={meetPosition} m.",
+      "meetingEquation.step1": "רק משוואה אחת מגיעה לנקודה הזו:",
+      "meetingEquation.step2": "יותר ממשוואה אחת עומדת בתנאי, ולכן התשובה היא \"יש יותר מאפשרות אחת נכונה\".",
+      "meetingEquation.step3": "אף משוואה מוצעת לא מגיעה לנקודה הזו, ולכן התשובה היא \"אין תשובה מתאימה בין האפשרויות\".",
+      "meetingEquation.step4": "קוראים מהגרף: בזמן {t} גוף A נמצא ב־{x}. זו נקודת המפגש.",
+      "meetingEquation.step5": "גוף B חייב להיות באותו מקום באותו זמן: מציבים {t} בכל משוואה ובודקים אם מתקבל {x}.",
+      "meetingEquation.prompt": "נתון לפניכם גרף מקום-זמן של גוף A. גוף B נפגש עם גוף A בזמן t={meetTime}s. איזו משוואה יכולה לתאר את גוף B?",
+      "meetingEquation.hint1": "שני גופים נפגשים כשהם באותו מיקום באותו רגע.",
+      "meetingEquation.hint3": "ב־t = {t} הגוף שבגרף נמצא ב־x = {x}. מציבים t = {t} בכל משוואה ובודקים אם מתקבל {x}.",
+
+      "dualVtSpeed.prompt": "איזה גוף מהיר יותר?",
+      "dualVtSpeed.feedback1": "הקו של גוף A נמצא בגובה {speedA} m/s, נמוך מהקו של גוף B ({speedB} m/s).",
+      "dualVtSpeed.feedback2": "שני הקווים בגבהים שונים, ולכן המהירויות שונות.",
+      "dualVtSpeed.feedback3": "גרף v־t מראה ישירות את המהירות של כל גוף – הגובה של כל קו.",
+      "dualVtSpeed.step1": "בגרף v־t גובה הקו הוא המהירות. גוף A נע ב־{v}.",
+      "dualVtSpeed.step2": "גוף B נע ב־{v}, כלומר הוא המהיר יותר.",
+      "dualVtSpeed.hint1": "בגרף v־t, מה מייצג הגובה של כל קו?",
+      "dualVtSpeed.hint3": "השוו: גוף A נע ב־{vA} וגוף B ב־{vB}.",
+
+      "dualVtDistance.prompt": "מי עובר מרחק גדול יותר אחרי {duration} שניות?",
+      "dualVtDistance.feedback1": "הדרך היא השטח מתחת לכל קו. הזמן זהה, והקו של גוף B גבוה יותר: {distB} מ׳ לעומת {distA} מ׳.",
+      "dualVtDistance.feedback2": "זמן התנועה שווה, אבל המהירויות שונות – ולכן גם השטחים מתחת לקווים שונים.",
+      "dualVtDistance.feedback3": "את הדרך אפשר לחשב מהשטח מתחת לכל קו בגרף v־t.",
+      "dualVtDistance.step1": "הדרך היא השטח מתחת לקו. גוף A: {v} · {t} = {d}.",
+      "dualVtDistance.step2": "גוף B: {v} · {t} = {d}, ולכן גוף B עובר מרחק גדול יותר.",
+      "dualVtDistance.hint1": "איזה חלק של גרף v־t נותן את הדרך שהגוף עבר?",
+      "dualVtDistance.hint3": "Δx = v · Δt: לגוף A {vA} · {t}, לגוף B {vB} · {t}.",
+
+      "dualXtOvertake.prompt": "איזה גוף רחוק יותר לאחר {time} שניות?",
+      "dualXtOvertake.compared-wrong-quantity": "בזמן t={time}s גוף A נמצא ב־x={posA} m וגוף B ב־x={posB} m. משווים מיקומים, לא שיפועים.",
+      "dualXtOvertake.feedback1": "הקווים לא נחתכים ב־t={time}s: {positionsFeedback}",
+      "dualXtOvertake.feedback2": "גרף x־t מראה את המיקום של כל גוף בכל רגע.",
+      "dualXtOvertake.step1": "בזמן {t} גוף A נמצא ב־{x}.",
+      "dualXtOvertake.step2": "באותו זמן גוף B נמצא ב־{x}.",
+      "dualXtOvertake.step3": "{leader} נמצא רחוק יותר מהראשית.",
+      "dualXtOvertake.hint1": "בגרף x־t, איך יודעים איזה גוף מקדים ברגע מסוים?",
+      "dualXtOvertake.hint3": "ב־t = {t}: גוף A ב־{xA}, גוף B ב־{xB}.",
+
+      "accelerationSlope.prompt": "לפניכם גרף מהירות-זמן של גוף הנע בתאוצה קבועה. מה תאוצת הגוף?",
+      "accelerationSlope.forgot-intercept": "חילקתם את המהירות הסופית בזמן, אבל הגוף התחיל ב־{initial} m/s. השינוי במהירות הוא {change} m/s.",
+      "accelerationSlope.change-for-rate": "{change} m/s הוא השינוי במהירות. התאוצה היא השינוי חלקי הזמן: {change} / {duration}.",
+      "accelerationSlope.velocity-for-acceleration": "{final} m/s היא המהירות בסוף הקו, לא התאוצה.",
+      "accelerationSlope.slope-sign": "המהירות גדלה עם הזמן, ולכן התאוצה חיובית.",
+      "accelerationSlope.slope-sign-alt": "המהירות קטנה עם הזמן, ולכן התאוצה שלילית.",
+      "accelerationSlope.step1": "המהירות משתנה מ־{v0} ל־{v1} במשך {t}.",
+      "accelerationSlope.step2": "התאוצה היא שיפוע הגרף: {dv} / {t} = {a}.",
+      "accelerationSlope.hint1": "איזה גודל מייצג השיפוע של גרף v־t?",
+      "accelerationSlope.hint3": "a = Δv / Δt = ({v1} − {v0}) / {t} = ?",
+
+      "accelerationArea.prompt": "הגוף מאיץ בתאוצה קבועה כמתואר בגרף המהירות-זמן. איזה מרחק עבר הגוף?",
+      "accelerationArea.area-as-triangle": "{final} × {duration} הוא שטח של מלבן בגובה המהירות הסופית. השטח מתחת לקו המשופע הוא {shape}.",
+      "accelerationArea.area-as-triangle-2": "חישבתם רק את המשולש שמעל {initial} m/s, בלי המלבן שמתחתיו.",
+      "accelerationArea.read-axis-value": "{final} m/s היא המהירות בסוף התנועה. המרחק הוא השטח מתחת לגרף.",
+      "accelerationArea.step1": "הדרך היא השטח מתחת לגרף v־t, וכאן הוא {shape}.",
+      "accelerationArea.step2": "שטח המשולש: ½ · {t} · {v1} = {d}.",
+      "accelerationArea.step3": "שטח הטרפז: ({v0} + {v1}) / 2 · {t} = {d}.",
+      "accelerationArea.hint1": "מה מייצג השטח מתחת לגרף v־t, ואיזו צורה הוא יוצר כאן?",
+      "accelerationArea.hint3": "Δx = ½ · v · Δt = ½ · {v1} · {t} = ?",
+      "accelerationArea.hint3-trapezoid": "Δx = (v₀ + v) / 2 · Δt = ({v0} + {v1}) / 2 · {t} = ?",
+
+      "accelerationParabola.prompt": "גוף יוצא ממנוחה ונע בתאוצה קבועה, כמתואר בגרף המקום-זמן. מה תאוצת הגוף?",
+      "accelerationParabola.forgot-half": "x = ½·a·t², ולכן a = 2x / t². חילקתם ב־t² בלי להכפיל ב־2.",
+      "accelerationParabola.velocity-for-acceleration": "{value1} m/s היא המהירות הממוצעת (המיקום חלקי הזמן), לא התאוצה.",
+      "accelerationParabola.velocity-for-acceleration-2": "{value1} m/s היא המהירות ברגע t={time}s, לא התאוצה.",
+      "accelerationParabola.step1": "הגוף יוצא ממנוחה מהראשית, ולכן המיקום שלו הוא:",
+      "accelerationParabola.step2": "קוראים מהגרף: בזמן {t} הגוף נמצא ב־{x}.",
+      "accelerationParabola.step3": "מבודדים את התאוצה: 2 · {x} / ({t})² = {a}.",
+      "accelerationParabola.hint1": "גוף שמתחיל ממנוחה בתאוצה קבועה: איך המיקום שלו תלוי בזמן?",
+      "accelerationParabola.hint3": "a = 2x / t² = 2 · {x} / ({t})² = ?",
+
+      "accelerationEquation.feedback1": "באיבר התאוצה יש מקדם ½: x(t) = x₀ + v₀·t + ½·a·t².",
+      "accelerationEquation.feedback2": "{final} m/s היא המהירות בסוף הקו. במשוואה מופיעה המהירות ההתחלתית v₀={initial} m/s.",
+      "accelerationEquation.slope-sign": "המהירות גדלה, ולכן התאוצה חיובית.",
+      "accelerationEquation.slope-sign-alt": "המהירות קטנה, ולכן התאוצה שלילית.",
+      "accelerationEquation.prompt": "גרף v־t מתאר תנועה בתאוצה קבועה. ב־t=0 הגוף נמצא ב־x={intercept}m. מה משוואת המקום של הגוף?",
+      "accelerationEquation.step1": "ב־t=0 המהירות היא {v0} – זו v₀.",
+      "accelerationEquation.step2": "התאוצה היא שיפוע הגרף: ({v1} − {v0}) / {t} = {a}.",
+      "accelerationEquation.step3": "מציבים x₀ = {x0}, v₀ ו־a במשוואה x(t) = x₀ + v₀·t + ½·a·t²:",
+      "accelerationEquation.hint1": "במשוואה x(t) = x₀ + v₀·t + ½·a·t², איפה בגרף v־t מוצאים את v₀ ואת a?",
+      "accelerationEquation.hint3": "v₀ = {v0}, ו־a = ({v1} − {v0}) / {t} = ?",
+
+      "sketchXtTable.prompt": "בין כל שתי שורות בטבלה הגוף נע במהירות קבועה. שרטטו את גרף המקום-זמן של התנועה.",
+      "sketchXtTable.step1": "כל שורה בטבלה היא נקודה על הגרף: t על הציר האופקי ו־x על הציר האנכי.",
+      "sketchXtTable.step2": "עד {ts} המיקום גדל ב־{d} בכל שניה – קו ישר מ־{x0} עד {xs}.",
+      "sketchXtTable.step3": "מ־{ts} עד {tt} המיקום לא משתנה – קו אופקי בגובה {xs}.",
+      "sketchXtTable.step4": "מ־{ts} עד {tt} המיקום משתנה מ־{xs} ל־{xe} – קו ישר בשיפוע אחר.",
+      "sketchXtTable.hint1": "כשהמיקום משתנה באותה מידה בכל שניה, איך נראה הקטע בגרף x־t?",
+      "sketchXtTable.hint3": "סמנו את הנקודות (0, {x0}), ({ts}, {xs}) ו־({tt}, {xe}), וחברו אותן בקווים ישרים.",
+
+      "sketchXtEquation.prompt": "שרטטו את גרף המקום-זמן של הגוף שמשוואת תנועתו נתונה.",
+      "sketchXtEquation.step1": "לפי המשוואה x₀ = {x0}: זו הנקודה של t=0.",
+      "sketchXtEquation.step2": "המהירות {v}, כלומר המיקום משתנה ב־{dx} בכל שניה. ב־{t} הגוף ב־{x}.",
+      "sketchXtEquation.step3": "המהירות קבועה, ולכן כל הנקודות נמצאות על קו ישר אחד.",
+      "sketchXtEquation.hint1": "במשוואה x(t) = x₀ + v·t, איפה הקו מתחיל ומה קובע את השיפוע שלו?",
+      "sketchXtEquation.hint2": "הקו מתחיל ב־x₀ = {x0} כש־t = 0.",
+      "sketchXtEquation.hint3": "x(t) = x₀ + v·t עם x₀ = {x0} ו־v = {v}: חשבו את x ב־t = {t} ומתחו קו ישר עד לשם.",
+
+      "sketchVtFootprint.prompt": "שרטטו את גרף המהירות-זמן לפי תרשים העקבות. פער הזמן בין כל שתי עקבות הוא {timeGap} שניות.",
+      "sketchVtFootprint.step1": "בין כל שתי עקבות הגוף עובר {d} במשך {t}. המרווחים שווים, ולכן המהירות קבועה.",
+      "sketchVtFootprint.step2": "המהירות היא {d} / {t} = {v}.",
+      "sketchVtFootprint.step3": "בגרף v־t מהירות קבועה היא קו אופקי בגובה {v}.",
+      "sketchVtFootprint.hint1": "מהירות היא דרך ליחידת זמן. כמה רחוק וכמה זמן בין שתי עקבות?",
+      "sketchVtFootprint.hint3": "v = {d} / {t} = ? – קו אופקי בגובה הזה.",
+
+      "matchXtToVt.feedback1": "בגרף זה סימני המהירויות הפוכים. כשגרף x־t עולה המהירות חיובית, וכשהוא יורד – שלילית.",
+      "matchXtToVt.feedback2": "זה גרף x־t שהועתק כמו שהוא. בגרף v־t גובה הקו הוא השיפוע של גרף x־t, ומהירות קבועה היא קו אופקי.",
+      "matchXtToVt.feedback3": "המהירות משתנה ב־t={firstDuration}s – בנקודת השבירה של גרף x־t.",
+      "matchXtToVt.feedback4": "בקטע הראשון המיקום משתנה ב־{firstVelocity} מ׳ בכל שניה, ולכן המהירות {firstVelocity} m/s.",
+      "matchXtToVt.prompt": "איזה גרף מהירות-זמן מתאים לגרף המקום-זמן שלפניכם?",
+      "matchXtToVt.step1": "בקטע הראשון השיפוע הוא {dx} ב־{t}, כלומר מהירות קבועה {v}.",
+      "matchXtToVt.step2": "בקטע השני השיפוע הוא {dx} ב־{t}, כלומר {v}.",
+      "matchXtToVt.step3": "בגרף v־t כל קטע הוא קו אופקי בגובה המהירות שלו, והמעבר ביניהם ב־{ts}.",
+      "matchXtToVt.hint1": "איזה גודל מייצג השיפוע של כל קטע בגרף x־t?",
+      "matchXtToVt.hint3": "v₁ = {dx1} / {t1}, v₂ = {dx2} / {t2}.",
+
+      "matchVtToXt.feedback1": "בגרף זה הכיוונים הפוכים. מהירות חיובית פירושה שהמיקום גדל – הגרף עולה.",
+      "matchVtToXt.feedback2": "הגוף מתחיל ב־x={motionX0} m, ולא בראשית הציר.",
+      "matchVtToXt.feedback3": "הגוף מתחיל בראשית הציר, x=0.",
+      "matchVtToXt.feedback4": "לפי גרף v־t המהירות משתנה ב־t={firstDuration}s, ושם צריכה להיות נקודת השבירה.",
+      "matchVtToXt.feedback5": "בקטע השני המהירות {secondVelocity} m/s, ולכן המיקום משתנה ב־{secondVelocity} מ׳ בכל שניה.",
+      "matchVtToXt.prompt": "ב־t=0 הגוף נמצא ב־x={motionX0}m. איזה גרף מקום-זמן מתאים לגרף המהירות-זמן שלפניכם?",
+      "matchVtToXt.step1": "בקטע הראשון המהירות {v} במשך {t}: המיקום משתנה ב־{dx}, מ־{x0} ל־{x1}.",
+      "matchVtToXt.step2": "בקטע השני המהירות {v} במשך {t}: המיקום משתנה ב־{dx}, עד {x2}.",
+      "matchVtToXt.step3": "מהירות קבועה בכל קטע היא קו ישר בגרף x־t, ומחברים את הנקודות לפי הסדר.",
+      "matchVtToXt.hint1": "מה מלמד השטח מתחת לכל קטע בגרף v־t על השינוי במיקום?",
+      "matchVtToXt.hint3": "מתחילים ב־x₀ = {x0}; Δx₁ = {v1} · {t1}, Δx₂ = {v2} · {t2}.",
+
+      "matchTableToXt.feedback1": "בין חלק מהשורות עוברות 2 שניות. צריך לחלק את שינוי המיקום במשך הזמן בין השורות.",
+      "matchTableToXt.feedback2": "בשורה של t=0 הגוף נמצא ב־x={x0} m, ולא בראשית.",
+      "matchTableToXt.slope-sign": "המיקום בטבלה גדל עם הזמן, ולכן הגרף עולה.",
+      "matchTableToXt.slope-sign-alt": "המיקום בטבלה קטן עם הזמן, ולכן הגרף יורד.",
+      "matchTableToXt.feedback3": "לפי הטבלה המיקום משתנה ב־{value1} מ׳ בכל שניה.",
+      "matchTableToXt.prompt": "גוף נע במהירות קבועה כמתואר בטבלה. איזה גרף מקום-זמן מתאר את תנועתו?",
+      "matchTableToXt.step1": "בשורה של t=0 הגוף ב־{x0}: הגרף מתחיל בנקודה הזו.",
+      "matchTableToXt.step2": "המיקום משתנה ב־{v} בכל שניה, ולכן הגרף הוא קו ישר בשיפוע {v}.",
+      "matchTableToXt.step3": "בשורה האחרונה, ב־{t}, הגוף ב־{x} – נקודת הסיום של הקו.",
+      "matchTableToXt.hint1": "איזו שורה נותנת את המיקום ההתחלתי, וכמה משתנה x בכל שניה?",
+      "matchTableToXt.hint3": "x₀ = {x0}, ו־v = Δx / Δt = {dx} / {dt} = ?",
+
+      "matchEquationToXt.slope-sign": "המהירות במשוואה חיובית, ולכן הגרף עולה.",
+      "matchEquationToXt.slope-sign-alt": "המהירות במשוואה שלילית, ולכן הגרף יורד.",
+      "matchEquationToXt.feedback1": "האיבר החופשי במשוואה הוא x₀={intercept} m – שימו לב לסימן.",
+      "matchEquationToXt.feedback2": "המקדם של t הוא המהירות ({velocity} m/s), והאיבר החופשי הוא המיקום ההתחלתי ({intercept} m).",
+      "matchEquationToXt.prompt": "איזה גרף מקום-זמן מתאר את התנועה שמשוואתה נתונה?",
+      "matchEquationToXt.step1": "האיבר החופשי הוא x₀ = {x0}: הגרף חותך את הציר האנכי בגובה הזה.",
+      "matchEquationToXt.step2": "המקדם של t הוא המהירות {v}, ולכן הגרף הוא קו ישר בשיפוע הזה.",
+      "matchEquationToXt.step3": "בדיקה: ב־{t} הגוף ב־{x}.",
+      "matchEquationToXt.hint1": "במשוואה x(t) = x₀ + v·t, איזה מספר קובע היכן הגרף מתחיל, ואיזה את השיפוע?",
+      "matchEquationToXt.hint2": "הגרף מתחיל ב־x₀ = {x0} כש־t = 0.",
+      "matchEquationToXt.hint3": "השיפוע הוא v = {v}: בכל שניה המיקום משתנה ב־v. כך עד t = {t}.",
+
+      "matchFootprintToVt.feedback1": "{tickStep} מ׳ הוא המרחק בין שתי עקבות, שנעבר ב־{timeGap} שניות. המהירות היא {pace} m/s.",
+      "matchFootprintToVt.feedback2": "בין כל שתי עקבות עוברת שניה אחת והגוף מתקדם {pace} מ׳, ולכן המהירות {pace} m/s.",
+      "matchFootprintToVt.feedback3": "בגרף זה המהירות גדלה, אבל המרווחים בין העקבות שווים – המהירות קבועה והגרף אופקי.",
+      "matchFootprintToVt.feedback4": "העקבות מתקדמות בכיוון החץ, ולכן המהירות חיובית.",
+      "matchFootprintToVt.prompt": "איזה גרף מהירות-זמן מתאים לתרשים העקבות? פער הזמן בין כל שתי עקבות הוא {timeGap} שניות.",
+      "matchFootprintToVt.step1": "המרווחים בין העקבות שווים: {d} בכל {t}. לכן המהירות קבועה.",
+      "matchFootprintToVt.step2": "המהירות היא {d} / {t} = {v}, ובגרף v־t זה קו אופקי בגובה הזה.",
+      "matchFootprintToVt.hint1": "גרף v־t מראה מהירות. האם היא קבועה בין העקבות?",
+      "matchFootprintToVt.hint3": "v = {d} / {t} = ?",
+    },
+  },
+  en: {
+    name: "English",
+    dir: "ltr",
+    intl: "en-GB",
+    strings: {
+      "ui.title": "Physics practice",
+      "ui.language": "Language",
+      "ui.finishExam": "Finish exam",
+      "ui.questionId": "Question id",
+      "test.problems": "Consistency check – problems in question {id}:",
+      "ui.shareQuestion": "Copy question link",
+      "ui.linkCopied": "Link copied",
+      "ui.startExam": "Exam mode",
+      "ui.switchToChoice": "Switch to multiple choice",
+      "ui.switchToFree": "Switch to typed answers",
+      "ui.studentName": "Name",
+      "ui.exportJson": "Export JSON",
+      "ui.exportCsv": "Export CSV",
+      "ui.attemptCount": "{count} saved attempts",
+      "ui.skillSummary": "🎯 {mastered}/{total} skills",
+      "ui.skillMastered": "✔ Mastered",
+      "ui.reviewCount": "Questions waiting for review",
+      "ui.assignmentProgress": "Assignment question",
+      "ui.assignmentDone": "✔ You have finished all {count} questions in the assignment.",
+      "ui.reviewQuestion": "🔁 Review · {id}",
+      "ui.representation": "Motion representation",
+      "ui.showOverlays": "Show guide marks on the graph",
+      "ui.showPlayback": "▶ Play the motion",
+      "hints.show": "💡 Hint",
+      "hints.more": "💡 Another hint ({left} left)",
+      "hints.cost": "Each hint takes a quarter off this question's score, and an answer found with hints does not extend the streak.",
+      "hints.listLabel": "Hints",
+      "hints.highlight": "Look at the highlighted part – the numbers you need are there.",
+      "hints.credit": "Correct with hints ({count}): {credit} point for this question, and the streak stays at {streak}.",
+      "ui.closePlayback": "Close the animation",
+      "ui.playbackToggle": "Play or pause",
+      "ui.playbackScrub": "Animation time",
+      "ui.playbackSpeed": "Animation speed",
+      "ui.checkAnswer": "Check answer",
+      "ui.confirmSelection": "Sure? Click to confirm",
+      "ui.nextQuestion": "Next question",
+      "ui.freeResponseLabel": "Type a number and a unit (e.g. 12 km/h or 0.5 min)",
+      "ui.missingNumber": "No number found in the answer. Type a number followed by a unit.",
+      "ui.missingUnit": "The unit is missing. Type, for example, 12 km/h.",
+      "ui.unknownUnit": "The unit \"{unit}\" is not recognised.",
+      "ui.correctAnswerWas": "The correct answer: {answer}.",
+      "ui.sketchHint": "Drag each point up or down (or use the arrow keys). Points snap to the grid lines.",
+      "ui.checkSketch": "Check sketch",
+      "ui.sketchMissed": "{missed} of {total} points are off. For example, at t={time} s the correct value is {value} {unit}.",
+      "ui.sketchCorrectLine": "The dashed green line in the sketch",
+      "ui.representationAnswer": "Representation {number}",
+      "ui.solutionTitle": "Solution",
+      "ui.nextStep": "Next step",
+      "ui.allSteps": "Show the full solution",
+      "ui.examQuestion": "Question {number}",
+      "ui.yourAnswer": "Your answer:",
+      "ui.unanswered": "Not answered",
+      "ui.correctAnswer": "Correct answer:",
+      "ui.questionAndSolution": "Question and solution",
+      "ui.examResults": "Exam results",
+      "ui.totalTime": "total time {duration}",
+      "ui.previousExams": "Previous exams",
+      "ui.backToPractice": "Back to practice",
+      "ui.anotherExam": "Another exam",
+      "ui.noData": "No data",
+      "ui.noEquation": "No equation",
+      "ui.noDiagram": "No diagram",
+      "ui.unsupportedRepresentation": "Unsupported representation",
+
+      "verdicts.correct": "✅ Correct",
+      "verdicts.wrong-unit": "⚠️ The number is right, but the unit does not match it",
+      "verdicts.sign": "⚠️ Sign error – check the direction of motion",
+      "verdicts.rounding": "⚠️ Almost – the result is close, but the rounding is off",
+      "verdicts.wrong": "⚠️ Incorrect",
+      "verdicts.sketchCorrect": "✅ The sketch is correct",
+      "verdicts.sketchWrong": "⚠️ The sketch does not match the motion",
+
+      "exam.title": "Exam",
+      "exam.length": "Number of questions",
+      "exam.minutes": "Time in minutes (0 – no limit)",
+      "exam.skills": "Topics",
+      "exam.start": "Start the exam",
+      "exam.cancel": "Cancel",
+      "exam.noSkills": "Choose at least one topic.",
+      "exam.invalidSettings": "The number of questions must be between 1 and 40, and the time cannot be negative.",
+
+      "teacher.title": "Class report",
+      "teacher.hint": "Choose the JSON or CSV files your students exported. The report summarises accuracy by question type and the most common mistakes.",
+      "teacher.students": "Students",
+      "teacher.student": "Student",
+      "teacher.attempts": "Attempts",
+      "teacher.correct": "Correct",
+      "teacher.accuracy": "Accuracy",
+      "teacher.byBuilder": "By question type",
+      "teacher.builder": "Generator",
+      "teacher.misconceptions": "Common mistakes",
+      "teacher.misconception": "Misconception",
+      "teacher.mistakes": "Mistakes",
+      "teacher.noMisconceptions": "No mistakes were tagged.",
+      "teacher.invalidFile": "✖ The file is not a valid report",
+      "teacher.verified": "✔ {count} attempts, checksum valid",
+      "teacher.unverified": "⚠ {count} attempts, checksum mismatch – the file may have been edited",
+      "teacher.worksheetLink": "Print a worksheet with an answer key",
+      "teacher.editorLink": "Write your own questions",
+
+      "worksheet.title": "Worksheet – motion in a straight line",
+      "worksheet.fields": "Name: ____________________   Class: ________   Date: ____________",
+      "worksheet.print": "Print / save as PDF",
+      "worksheet.reshuffle": "Another sheet",
+      "worksheet.answerKey": "Answer key",
+      "worksheet.answerLine": "Answer (with units): ______________________",
+      "worksheet.code": "Sheet code: {code}",
+      "worksheet.letters": "ABCDEFGH",
+      "editor.title": "Question editor",
+      "editor.id": "Id (lowercase Latin letters, digits and hyphens)",
+      "editor.type": "What the student calculates",
+      "editor.typeSpeed": "Speed",
+      "editor.typeDistance": "Distance or position",
+      "editor.typeTime": "Time",
+      "editor.typeAcceleration": "Acceleration",
+      "editor.representation": "Representation",
+      "editor.representationNone": "None",
+      "editor.representationTable": "Position–time table",
+      "editor.representationFootprint": "Footprint diagram",
+      "editor.dataTable": "Table rows – one per line: t (s), x (m)",
+      "editor.dataXt": "Graph points – one per line: t (s), x (m)",
+      "editor.dataVt": "Graph points – one per line: t (s), v (m/s)",
+      "editor.dataFootprint": "Footprints – one per line: t (s), x (m)",
+      "editor.tickStep": "Distance between ticks (m)",
+      "editor.timeLabels": "Show the time under each footprint",
+      "editor.prompt": "Question text",
+      "editor.answer": "Correct answer ({unit})",
+      "editor.distractors": "Distractors (optional – the rest are generated)",
+      "editor.distractorValue": "Distractor {number} value",
+      "editor.distractorMisconception": "Distractor {number} misconception",
+      "editor.distractorFeedback": "Distractor {number} feedback",
+      "editor.solution": "Solution – one step per line",
+      "editor.save": "Save in this browser",
+      "editor.download": "Download JSON file",
+      "editor.new": "New question",
+      "editor.preview": "Preview",
+      "editor.saved": "Saved questions",
+      "editor.noneSaved": "No questions saved in this browser yet.",
+      "editor.edit": "Edit",
+      "editor.practice": "Practice",
+      "editor.delete": "Delete",
+      "editor.correctOption": "Correct answer",
+      "editor.generatedOption": "Generated distractor",
+      "editor.previewBlocked": "The preview appears once the errors are fixed.",
+      "editor.fixErrors": "Fix the errors before saving.",
+      "editor.savedStatus": "Question {id} was saved and added to the practice bank in this browser.",
+      "editor.downloadedStatus": "Downloaded {file}. To share it with every student, copy it into the templates folder and add its name to templates/index.json.",
+      "editor.deletedStatus": "Question {id} was deleted.",
+      "editor.errorId": "The id may use only lowercase Latin letters, digits and hyphens.",
+      "editor.errorIdTaken": "The id {id} already belongs to a built-in question.",
+      "editor.errorSkills": "Choose at least one topic.",
+      "editor.errorPrompt": "The question text is missing.",
+      "editor.errorAnswer": "The correct answer must be a number.",
+      "editor.errorDistractor": "Distractor {number} is not a number.",
+      "editor.errorLine": "Line {line} of the data needs exactly two numbers.",
+      "editor.errorRows": "Enter at least two lines of data.",
+      "editor.errorTimes": "Times must increase from line to line.",
+      "editor.errorFootprintGaps": "In a footprint diagram the time between consecutive footprints must be constant.",
+      "editor.errorTickStep": "The distance between ticks must be positive.",
+      "editor.errorFootprintTick": "The footprint at {position} is not on a tick. Every footprint must sit above a tick.",
+      "editor.warnTableRate": "The speed is not constant across the table – make sure the question does not present it as constant.",
+      "editor.warnTableSpeed": "The table gives a speed of {speed} m/s, but the correct answer differs.",
+      "editor.warnDistractorAnswer": "Distractor {number} equals the correct answer and will not be shown.",
+      "editor.warnFootprintGap": "The time between footprints ({gap} s) is not in the question text. State it there or show the time under each footprint.",
+
+      "a11y.table": "Table with {count} rows, columns {timeHeader} and {valueHeader}.",
+      "a11y.xtGraph": "Position–time graph. Time axis from {minTime} to {maxTime} {timeUnit}, position axis from {minValue} to {maxValue} {valueUnit}.",
+      "a11y.vtGraph": "Velocity–time graph. Time axis from {minTime} to {maxTime} {timeUnit}, velocity axis from {minValue} to {maxValue} {valueUnit}.",
+      "a11y.dualXt": "Position–time graph of {count} bodies. Time axis from {minTime} to {maxTime} {timeUnit}, position axis from {minValue} to {maxValue} {valueUnit}.",
+      "a11y.dualVt": "Velocity–time graph of {count} bodies. Time axis from {minTime} to {maxTime} {timeUnit}, velocity axis from {minValue} to {maxValue} {valueUnit}.",
+      "a11y.segment": "Segment {number}: from ({fromTime} {timeUnit}, {fromValue} {valueUnit}) to ({toTime} {timeUnit}, {toValue} {valueUnit}).",
+      "a11y.curve": "Curve (constant acceleration) from ({fromTime} {timeUnit}, {fromValue} {valueUnit}) to ({toTime} {timeUnit}, {toValue} {valueUnit}).",
+      "a11y.object": "{name}, {color} line:",
+      "a11y.footprint": "Footprint diagram with {count} footprints on a position axis from {min} to {max} {unit}.",
+      "a11y.legForward": "Moving in the positive direction from {from} to {to} {unit} ({count} footprints).",
+      "a11y.legBackward": "Moving in the negative direction from {from} to {to} {unit} ({count} footprints).",
+      "a11y.legStill": "Standing still at {from} {unit} ({count} footprints).",
+      "a11y.footprintAt": "Footprint {number} at {position} {unit}.",
+      "a11y.footprintTimed": "Footprint {number} at {position} {unit}, at {time} {timeUnit}.",
+      "a11y.equation": "Position equation: {equation}",
+      "a11y.dataTable": "Data as a table",
+      "a11y.footprintColumn": "Footprint",
+
+      "colors.blue": "blue",
+      "colors.red": "red",
+      "colors.green": "green",
+
+      "objects.a": "Body A",
+      "objects.b": "Body B",
+
+      "options.multipleCorrect": "More than one option is correct",
+      "options.noneCorrect": "None of the options fits",
+      "options.equal": "Equal",
+      "options.noInfo": "Not enough information",
+      "options.noAnswer": "Cannot be determined",
+      "options.vtGraph": "v–t graph",
+      "options.xtGraph": "x–t graph",
+
+      "shapes.triangle": "a triangle",
+      "shapes.trapezoid": "a trapezoid",
+
+      "units.secondsShort": "{gap} s",
+
+      "conversion.multiply": "multiply by {multiplier}",
+      "conversion.divide": "divide by {divisor}",
+
+      "skills.table-rate": "Rate of change in a table",
+      "skills.average-speed": "Average speed",
+      "skills.reading-slope": "Reading a slope",
+      "skills.reading-position": "Reading position from a graph",
+      "skills.distance-vs-displacement": "Distance vs. displacement",
+      "skills.area-under-vt": "Area under a v–t graph",
+      "skills.reading-vt": "Reading a v–t graph",
+      "skills.footprints": "Footprint diagrams",
+      "skills.equations": "Position–time equations",
+      "skills.comparing-bodies": "Comparing bodies",
+      "skills.acceleration": "Acceleration from a v–t slope",
+      "skills.parabolic-xt": "Parabolic x–t graphs",
+      "skills.sketching": "Sketching a graph from a description",
+      "skills.converting-representations": "Converting between representations",
+
+      "misconceptions.arithmetic-slip": "Arithmetic slip",
+      "misconceptions.wrong-factor": "Multiplied or divided by the wrong factor",
+      "misconceptions.rounding": "Inexact rounding",
+      "misconceptions.unit-label": "Wrong unit for the right number",
+      "misconceptions.unit-not-converted": "Forgot to convert units",
+      "misconceptions.unit-conversion-inverted": "Unit conversion in the wrong direction",
+      "misconceptions.position-for-rate": "Position instead of rate of change",
+      "misconceptions.forgot-intercept": "Ignored the initial position",
+      "misconceptions.position-as-intercept": "Used a later position as the initial position",
+      "misconceptions.misread-intercept": "Misread the initial position",
+      "misconceptions.misread-slope": "Misread the slope",
+      "misconceptions.slope-sign": "Wrong sign of the slope",
+      "misconceptions.ignored-time-step": "Ignored the size of the time step",
+      "misconceptions.counted-footprints": "Counted footprints instead of gaps",
+      "misconceptions.averaged-speeds": "Averaged speeds instead of distance over time",
+      "misconceptions.single-segment": "Considered only one segment",
+      "misconceptions.displacement-for-distance": "Displacement instead of distance",
+      "misconceptions.distance-for-displacement": "Distance instead of position or displacement",
+      "misconceptions.ignored-reversal": "Ignored a change of direction",
+      "misconceptions.displacement-sign": "Wrong sign of the displacement",
+      "misconceptions.read-axis-value": "Value from the wrong axis",
+      "misconceptions.misread-graph-value": "Misread a value from the graph",
+      "misconceptions.area-as-triangle": "Wrong area formula",
+      "misconceptions.area-for-value": "Area instead of a value",
+      "misconceptions.slope-for-value": "Slope instead of a value",
+      "misconceptions.change-for-rate": "Change instead of rate of change",
+      "misconceptions.velocity-for-acceleration": "Velocity instead of acceleration",
+      "misconceptions.forgot-half": "Dropped the ½ in the position formula",
+      "misconceptions.compared-wrong-quantity": "Compared the wrong quantity",
+      "misconceptions.meeting-condition": "Checked the meeting condition incorrectly",
+      "misconceptions.graph-has-information": "The information is in the representation",
+      "misconceptions.copied-graph-shape": "Copied the graph's shape instead of translating it",
+      "misconceptions.segment-timing": "Wrong time for the change in velocity",
+
+      "generateNumericDistractors.feedback1": "The difference from the answer is small – check the rounding and the values you read.",
+      "generateNumericDistractors.feedback2": "The result is close but not exact – check the calculation again.",
+      "generateNumericDistractors.feedback3": "The result is several times off – check whether you multiplied or divided by an extra factor.",
+      "generateNumericDistractors.feedback4": "{value} is the value in {baseUnit}. To get {label} you need to {step}.",
+      "generateNumericDistractors.feedback5": "The conversion went the wrong way. To go from {baseUnit} to {label} you need to {step}.",
+      "generateNumericDistractors.feedback6": "The number {value} belongs to the unit {baseUnit}. In {label} the value is {converted}.",
+
+      "updateExplanationUnits.step1": "In the answer's units: {baseValue} = {displayValue} {unit}.",
+      "updateExplanationUnits.baseUnits": "The steps work in {units} rather than the units shown ({shown}), so the arithmetic comes out exact.",
+
+      "tableRandom.prompt": "The table shows position against time for a body moving at constant velocity. What is the body's velocity?",
+      "tableRandom.forgot-intercept": "You divided the last position ({lastPosition} m) by the time, but the body started at x={startDistance} m. The change in position is {value1} m in {lastTime} seconds.",
+      "tableRandom.ignored-time-step": "Some rows are 2 seconds apart. A change of {value1} m in two seconds is {speed} m every second.",
+      "tableRandom.position-for-rate": "{lastPosition} m is the position in the last row. The velocity is the change in position each second.",
+      "tableRandom.step1": "Pick two rows: at {t0} the body is at {x0}, and at {t1} it is at {x1}.",
+      "tableRandom.step2": "Velocity is the change in position divided by the elapsed time: {dx} in {dt}.",
+      "tableRandom.step3": "So the body's velocity is {v}.",
+      "tableRandom.hint1": "What do you get when you divide the change in position by the elapsed time?",
+      "tableRandom.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "tableAverageSpeed.prompt": "From the position–time table, what is the body's average speed?",
+      "tableAverageSpeed.averaged-speeds": "That is the average of the segment speeds ({value1} m/s). The segments last different times, so divide the total distance by the total time.",
+      "tableAverageSpeed.single-segment": "{value1} m/s is the speed in the last segment only. Average speed refers to the whole motion.",
+      "tableAverageSpeed.position-for-rate": "{distance} m is the total distance. To get a speed, divide it by {time} seconds.",
+      "tableAverageSpeed.step1": "From the first row to the last the body covered {d} in {t}.",
+      "tableAverageSpeed.step2": "Average speed is total distance divided by total time: {v}.",
+      "tableAverageSpeed.hint1": "Is the average velocity the mean of the speeds, or the total displacement over the total time?",
+      "tableAverageSpeed.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "xtConstant.prompt": "What is the body's velocity, from the slope of the graph?",
+      "xtConstant.position-for-rate": "{endX} m is the position at the end of the motion. The velocity is the slope: the change in position divided by the elapsed time.",
+      "xtConstant.forgot-intercept": "You divided the final position by the time, but the body started at x={startX} m. The change in position is {distance} m.",
+      "xtConstant.slope-sign": "The graph rises – the position grows with time, so the velocity is positive.",
+      "xtConstant.slope-sign-alt": "The graph falls – the position shrinks with time, so the velocity is negative.",
+      "xtConstant.step1": "Read two points off the graph: at {t0} the body is at {x0}, and at {t1} it is at {x1}.",
+      "xtConstant.step2": "The velocity is the slope of the graph: a change of {dx} over {dt}.",
+      "xtConstant.step3": "So the body's velocity is {v}.",
+      "xtConstant.hint1": "Which quantity does the slope of an x–t graph represent?",
+      "xtConstant.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "xtSwitch.prompt": "What is the body's maximum speed?",
+      "xtSwitch.single-segment": "{slowerSpeed} m/s is the speed in the gentler segment. The maximum speed belongs to the steeper segment.",
+      "xtSwitch.averaged-speeds": "{averageSpeed} m/s is the average speed over the whole motion, not the highest speed.",
+      "xtSwitch.position-for-rate": "{value1} m is the final position. The speed is set by the slope of each segment.",
+      "xtSwitch.step1": "In the first segment the body covers {d} in {t}, i.e. {v}.",
+      "xtSwitch.step2": "In the second segment the body covers {d} in {t}, i.e. {v}.",
+      "xtSwitch.step3": "The steeper segment is the faster one, so the maximum speed is {v}.",
+      "xtSwitch.hint1": "Which part of the x–t graph is steeper – and what does steepness represent?",
+      "xtSwitch.hint3": "Compare the slopes: {d1} / {t1} in the first part and {d2} / {t2} in the second.",
+
+      "xtReturn.prompt": "What is the body's position at t={sampleTime}s?",
+      "xtReturn.distance-for-displacement": "{pathUntilSample} m is the distance the body travelled up to t={sampleTime}s. On the way back the position drops, so subtract how far the body returned.",
+      "xtReturn.ignored-reversal": "You calculated as if the body keeps moving forward. After t={forwardTime}s the graph falls – the body is coming back.",
+      "xtReturn.read-axis-value": "{sampleTime} is the time value. The position is read from the vertical axis of the graph.",
+      "xtReturn.step1": "Up to {tf} the graph rises: the body moves forward at {vf} and reaches {xf}.",
+      "xtReturn.step2": "The moment {ts} is on the rising segment, so the position is {vf} · {ts} = {x}.",
+      "xtReturn.step3": "After the turning point the body returns at {vb}. By {ts} it has come back {back}, so the position is {xf} − {back} = {x}.",
+      "xtReturn.hint1": "The position is read on the vertical axis. Which part of the graph holds the moment in the question?",
+      "xtReturn.hint3": "x = v · t = {vf} · {ts} = ?",
+      "xtReturn.hint3-back": "x = x₁ − v · (t − t₁) = {xf} − {vb} · ({ts} − {tf}) = ?",
+
+      "xtTotalDistance.prompt": "How many metres did the body travel in total?",
+      "xtTotalDistance.displacement-for-distance": "{value1} m is the size of the displacement. Distance also counts the part where the body came back: {forwardDistance} + {backwardDistance}.",
+      "xtTotalDistance.single-segment": "{forwardDistance} m is only the distance forward. After t={forwardTime}s the body came back another {backwardDistance} m.",
+      "xtTotalDistance.step1": "In the first segment the body moves forward from {x0} to {x1}: a distance of {d}.",
+      "xtTotalDistance.step2": "In the second segment the body returns from {x1} to {x2}: another {d}.",
+      "xtTotalDistance.step3": "Distance counts both segments: {d1} + {d2} = {d}.",
+      "xtTotalDistance.hint1": "Distance counts every metre travelled. What happens when the body turns back?",
+      "xtTotalDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "vtArea.prompt": "The graph shows velocity against time for a moving body. How far does the body travel during the motion?",
+      "vtArea.read-axis-value": "{velocity} m/s is the velocity read from the graph. The distance is the area under the graph: velocity × time.",
+      "vtArea.area-as-triangle": "The area under a horizontal line is a rectangle, not a triangle – do not divide by 2.",
+      "vtArea.step1": "The velocity is constant, {v}, for {t}.",
+      "vtArea.step2": "The distance is the area under the graph – a rectangle: {v} · {t} = {d}.",
+      "vtArea.hint1": "What does the area under a v–t graph represent?",
+      "vtArea.hint3": "Δx = v · Δt = {v} · {t} = ?",
+
+      "vtStop.prompt": "At what moment does the body stop?",
+      "vtStop.read-axis-value": "{duration} seconds is the end of the graph. The body stops when its velocity reaches zero – where the line reaches the time axis.",
+      "vtStop.read-axis-value-2": "{initial} is the initial velocity on the vertical axis, not a time.",
+      "vtStop.step1": "The body stops when its velocity reaches zero – where the line reaches the time axis.",
+      "vtStop.step2": "The slope of the line: ({v1} − {v0}) / {t} = {a}. So the velocity drops by {rate} every second.",
+      "vtStop.step3": "Getting from {v0} down to zero takes {v0} / {rate} = {ts}.",
+      "vtStop.hint1": "What is the velocity of a body at rest, and what does the slope of a v–t graph represent?",
+      "vtStop.hint3": "The velocity falls from {v0} to {v1} in {t}, that is by {rate}. How long does it take to fall from {v0} to zero?",
+
+      "vtAcceleration.prompt": "What is the velocity at the end of the acceleration line?",
+      "vtAcceleration.slope-for-value": "{value1} is the slope of the graph (the acceleration). The question asks for the velocity at the end of the line.",
+      "vtAcceleration.read-axis-value": "{duration} is the time at the end of the line (t axis). The velocity is read from the vertical axis.",
+      "vtAcceleration.area-for-value": "The area under a v–t graph is the distance, not the velocity.",
+      "vtAcceleration.step1": "The acceleration line ends at {t}.",
+      "vtAcceleration.step2": "Read the velocity on the vertical axis at the height of the point: {v}.",
+      "vtAcceleration.hint1": "On which axis of a v–t graph do you read the velocity?",
+      "vtAcceleration.hint3": "How high is the graph at t = {t}?",
+
+      "footprintConstant.prompt": "What is the velocity according to the footprint diagram? The time between any two footprints is {timeGap} seconds.",
+      "footprintConstant.ignored-time-step": "{tickStep} m is the distance between two footprints, covered in {timeGap} seconds. In one second the body covers {pace} m.",
+      "footprintConstant.counted-footprints": "The diagram has {stepsLength} footprints but only {value1} time gaps, so the total time is {value2} seconds.",
+      "footprintConstant.position-for-rate": "{maxPos} m is the position of the last footprint, not the velocity.",
+      "footprintConstant.step1": "Between any two neighbouring footprints the body covers {d} in {t}.",
+      "footprintConstant.step2": "The velocity is {d} / {t} = {v}.",
+      "footprintConstant.hint1": "Velocity is distance per unit of time. How much time passes between two footprints?",
+      "footprintConstant.hint3": "v = Δx / Δt = {d} / {t} = ?",
+
+      "footprintVariablePace.prompt": "What is the average speed? The time between footprints is {timeGap} seconds.",
+      "footprintVariablePace.counted-footprints": "The diagram has {stepsLength} footprints but only {value1} time gaps, so the total time is {totalTime} seconds.",
+      "footprintVariablePace.ignored-time-step": "You divided by the number of gaps, but each gap lasts {timeGap} seconds.",
+      "footprintVariablePace.single-segment": "That is the speed between the last two footprints only. Average speed is total distance divided by total time.",
+      "footprintVariablePace.step1": "From the first footprint to the last the body covered {d}.",
+      "footprintVariablePace.step2": "Between the {stepsLength} footprints there are {value1} gaps of {gap}, so the total time is {t}.",
+      "footprintVariablePace.step3": "Average speed: {d} / {t} = {v}.",
+      "footprintVariablePace.hint1": "Average velocity is total displacement over total time. How many time gaps lie between the first and the last footprint?",
+      "footprintVariablePace.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "footprintDistance.prompt": "In the footprint diagram the body changes direction. What distance does the body cover from the first footprint to the last?",
+      "footprintDistance.displacement-for-distance": "{value1} m is the size of the displacement – the gap between the first and last footprints. Distance also counts the part where the body came back.",
+      "footprintDistance.single-segment": "{motionOutDistance} m is only the distance up to the turning point. After it the body came back another {motionBackDistance} m.",
+      "footprintDistance.position-for-rate": "{motionEnd} m is the position of the last footprint, not the distance covered.",
+      "footprintDistance.step1": "Up to the turning point the body moves from {x0} to {x1}: a distance of {d}.",
+      "footprintDistance.step2": "Then the body returns from {x1} to {x2}: another {d}.",
+      "footprintDistance.step3": "Distance counts both segments: {d1} + {d2} = {d}.",
+      "footprintDistance.hint1": "Distance adds up every leg of the motion, even after the turn.",
+      "footprintDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "footprintDisplacement.prompt": "In the footprint diagram the body changes direction. What is the body's displacement from the first footprint to the last? (The positive direction is to the right.)",
+      "footprintDisplacement.distance-for-displacement": "{totalDistance} m is the distance the body covered. Displacement depends only on the initial and final positions.",
+      "footprintDisplacement.displacement-sign": "Displacement is the final position minus the initial position: {motionEnd} − ({motionStart}), not the other way round.",
+      "footprintDisplacement.forgot-intercept": "{motionEnd} m is the final position. The body did not start at the origin but at {motionStart} m.",
+      "footprintDisplacement.ignored-reversal": "That is the displacement up to the turning point only. After it the body went back the other way.",
+      "footprintDisplacement.step1": "The first footprint is at {x0} and the last one at {x1}.",
+      "footprintDisplacement.step2": "Displacement is the final position minus the initial one: {x1} − ({x0}) = {dx}. Turning back on the way does not change it.",
+      "footprintDisplacement.hint1": "Displacement depends only on where the motion starts and where it ends.",
+      "footprintDisplacement.hint3": "Δx = x₂ − x₁, with x₁ = {x0} and x₂ = {x1}.",
+
+      "xtEquationPosition.prompt": "Here is the position–time equation of a body moving at constant velocity. Where is the body at t={sampleTime}s?",
+      "xtEquationPosition.forgot-intercept": "{velocity}·{sampleTime} is only the change in position. Add the initial position x₀={intercept} m.",
+      "xtEquationPosition.misread-intercept": "The sign of the initial position was flipped: according to the equation x₀={intercept} m.",
+      "xtEquationPosition.step1": "In the equation the initial position is {x0} and the velocity is {v}.",
+      "xtEquationPosition.step2": "Substitute {t}: the change in position is {v} · {t} = {dx}.",
+      "xtEquationPosition.step3": "Add the initial position: {x0} + ({dx}) = {x}.",
+      "xtEquationPosition.hint1": "In x(t) = x₀ + v·t, which number is the starting position and which is the velocity?",
+      "xtEquationPosition.hint2": "Substitute t = {t} into the equation.",
+      "xtEquationPosition.hint3": "x = x₀ + v·t, with x₀ = {x0}, v = {v} and t = {t}.",
+
+      "xtGraphEquation.feedback1": "In this equation the velocity is {value1} m/s, but according to the graph the position changes by {velocity} m every second.",
+      "xtGraphEquation.feedback2": "In this equation the body starts at x=0, but according to the graph the body is at x={intercept} m at t=0.",
+      "xtGraphEquation.feedback3": "{end} m is the position at the end of the motion (t={time}s). The intercept is the position at t=0.",
+      "xtGraphEquation.slope-sign": "The graph rises, so the velocity is positive.",
+      "xtGraphEquation.slope-sign-alt": "The graph falls, so the velocity is negative.",
+      "xtGraphEquation.prompt": "According to the x/t graph, which equation describes the motion?",
+      "xtGraphEquation.step1": "At t=0 the body is at {x0} – that is the initial position x₀.",
+      "xtGraphEquation.step2": "The slope of the graph: a change of {dx} over {t}, i.e. v = {v}.",
+      "xtGraphEquation.step3": "Substitute x₀ and v into x(t) = x₀ + v·t:",
+      "xtGraphEquation.hint1": "In x(t) = x₀ + v·t: where do you read x₀ on the x–t graph, and what gives v?",
+      "xtGraphEquation.hint3": "x₀ = {x0}, and v = Δx / Δt = {dx} / {t} = ?",
+
+      "vtGraphPositionEquation.feedback1": "In this equation the velocity is {value} m/s, but on the v–t graph the line is at {velocity} m/s.",
+      "vtGraphPositionEquation.feedback2": "x={positionAtTime}m is the position at t={referenceTime}s, not at t=0. The initial position is {positionAtTime} − {velocity}·{referenceTime} = {intercept} m.",
+      "vtGraphPositionEquation.prompt": "The v/t graph shows motion at constant velocity. We know that x={positionAtTime}m at t={referenceTime} s. Which equation of motion fits?",
+      "vtGraphPositionEquation.step1": "On a v–t graph the height of the line is the velocity: v = {v}.",
+      "vtGraphPositionEquation.step2": "By {t} the body advances {v} · {t} = {dx}.",
+      "vtGraphPositionEquation.step3": "At that time it is at {x}, so it started at {x} − {dx} = {x0}.",
+      "vtGraphPositionEquation.step4": "Substitute x₀ and v into x(t) = x₀ + v·t:",
+      "vtGraphPositionEquation.hint1": "The v–t graph gives v. What does the position given in the question tell you about x₀?",
+      "vtGraphPositionEquation.hint3": "x₀ = x(t) − v · t = {x} − {v} · {t} = ?",
+
+      "xtTableEquation.feedback1": "x={value1} m is the position at t={value2}s. The initial position is in the t=0 row.",
+      "xtTableEquation.feedback2": "Between t={value1}s and t={value2}s 2 seconds pass, so divide the change in position by 2.",
+      "xtTableEquation.feedback3": "According to the table the position changes by {velocity} m every second, not by {value1}.",
+      "xtTableEquation.slope-sign": "The position in the table grows with time, so the velocity is positive.",
+      "xtTableEquation.slope-sign-alt": "The position in the table shrinks with time, so the velocity is negative.",
+      "xtTableEquation.prompt": "A body moves at constant velocity as described in the table. Which x(t) equation fits its motion?",
+      "xtTableEquation.step1": "In the t=0 row the position is {x0} – that is x₀.",
+      "xtTableEquation.step2": "Between the first two rows the position changes by {dx} over {dt}, i.e. v = {v}.",
+      "xtTableEquation.step3": "Substitute x₀ and v into x(t) = x₀ + v·t:",
+      "xtTableEquation.hint1": "In x(t) = x₀ + v·t, which row of the table gives x₀?",
+      "xtTableEquation.hint3": "x₀ = {x0}, and v = Δx / Δt = {dx} / {dt} = ?",
+
+      "footprintEquation.feedback1": "{tickStep} m is the distance between two footprints, covered in {timeGap} seconds. The velocity is {pace} m/s.",
+      "footprintEquation.feedback2": "One second passes between any two footprints and the body advances {pace} m, so the velocity is {pace} m/s.",
+      "footprintEquation.feedback3": "The first footprint is at x={start} m, not at the origin.",
+      "footprintEquation.feedback4": "The first footprint (t=0) is at the origin, so the initial position is 0.",
+      "footprintEquation.feedback5": "Every {timeGap} seconds {tickStep} m are added, so the velocity is {pace} m/s.",
+      "footprintEquation.prompt": "In this footprint diagram the first footprint is at t=0s. The time between any two footprints is {timeGap} seconds. Which x(t) equation fits the body's motion?",
+      "footprintEquation.step1": "The first footprint (t=0) is at {x0} – that is x₀.",
+      "footprintEquation.step2": "Between two footprints the body covers {d} in {t}, i.e. v = {v}.",
+      "footprintEquation.step3": "Substitute x₀ and v into x(t) = x₀ + v·t:",
+      "footprintEquation.hint1": "Where is the first footprint, and how much time passes between two footprints?",
+      "footprintEquation.hint3": "x₀ = {x0}, and v = {d} / {t} = ?",
+
+      "meetingEquation.meeting-condition": "This equation does reach x={meetPosition} m at t={meetTime}s, but it is not the only option that fits.",
+      "meetingEquation.meeting-condition-alt": "By this equation, at t={meetTime}s the body is at x={positionAtMeet} m, not x={meetPosition} m – the bodies do not meet.",
+      "meetingEquation.feedback1": "Substitute t={meetTime} into each equation: no more than one equation reaches x={meetPosition} m.",
+      "meetingEquation.feedback2": "Substitute t={meetTime} into each equation: one equation does reach x={meetPosition} m.",
+      "meetingEquation.step1": "Only one equation reaches this point:",
+      "meetingEquation.step2": "More than one equation meets the condition, so the answer is \"More than one option is correct\".",
+      "meetingEquation.step3": "None of the equations reaches this point, so the answer is \"None of the options fits\".",
+      "meetingEquation.step4": "Read from the graph: at {t} body A is at {x}. That is the meeting point.",
+      "meetingEquation.step5": "Body B must be at the same place at the same time: substitute {t} into each equation and check whether you get {x}.",
+      "meetingEquation.prompt": "Here is the position–time graph of body A. Body B meets body A at t={meetTime}s. Which equation could describe body B?",
+      "meetingEquation.hint1": "Two bodies meet when they are at the same position at the same moment.",
+      "meetingEquation.hint3": "At t = {t} the body on the graph is at x = {x}. Substitute t = {t} into each equation and check whether you get {x}.",
+
+      "dualVtSpeed.prompt": "Which body is faster?",
+      "dualVtSpeed.feedback1": "Body A's line is at {speedA} m/s, lower than body B's line ({speedB} m/s).",
+      "dualVtSpeed.feedback2": "The two lines are at different heights, so the velocities differ.",
+      "dualVtSpeed.feedback3": "A v–t graph shows each body's velocity directly – the height of each line.",
+      "dualVtSpeed.step1": "On a v–t graph the height of the line is the velocity. Body A moves at {v}.",
+      "dualVtSpeed.step2": "Body B moves at {v}, so it is the faster one.",
+      "dualVtSpeed.hint1": "On a v–t graph, what does the height of each line represent?",
+      "dualVtSpeed.hint3": "Compare: body A moves at {vA} and body B at {vB}.",
+
+      "dualVtDistance.prompt": "Which body covers more distance after {duration} seconds?",
+      "dualVtDistance.feedback1": "Distance is the area under each line. The time is the same and body B's line is higher: {distB} m against {distA} m.",
+      "dualVtDistance.feedback2": "The time of motion is equal, but the velocities differ – so the areas under the lines differ too.",
+      "dualVtDistance.feedback3": "The distance can be found from the area under each line of the v–t graph.",
+      "dualVtDistance.step1": "Distance is the area under the line. Body A: {v} · {t} = {d}.",
+      "dualVtDistance.step2": "Body B: {v} · {t} = {d}, so body B covers more distance.",
+      "dualVtDistance.hint1": "Which part of a v–t graph gives the distance a body travels?",
+      "dualVtDistance.hint3": "Δx = v · Δt: body A {vA} · {t}, body B {vB} · {t}.",
+
+      "dualXtOvertake.prompt": "Which body is farther away after {time} seconds?",
+      "dualXtOvertake.compared-wrong-quantity": "At t={time}s body A is at x={posA} m and body B at x={posB} m. Compare positions, not slopes.",
+      "dualXtOvertake.feedback1": "The lines do not cross at t={time}s: {positionsFeedback}",
+      "dualXtOvertake.feedback2": "An x–t graph shows where each body is at every moment.",
+      "dualXtOvertake.step1": "At {t} body A is at {x}.",
+      "dualXtOvertake.step2": "At the same time body B is at {x}.",
+      "dualXtOvertake.step3": "{leader} is farther from the origin.",
+      "dualXtOvertake.hint1": "On an x–t graph, how can you tell which body is ahead at a given moment?",
+      "dualXtOvertake.hint3": "At t = {t}: body A is at {xA}, body B at {xB}.",
+
+      "accelerationSlope.prompt": "The graph shows velocity against time for a body with constant acceleration. What is the body's acceleration?",
+      "accelerationSlope.forgot-intercept": "You divided the final velocity by the time, but the body started at {initial} m/s. The change in velocity is {change} m/s.",
+      "accelerationSlope.change-for-rate": "{change} m/s is the change in velocity. Acceleration is the change divided by the time: {change} / {duration}.",
+      "accelerationSlope.velocity-for-acceleration": "{final} m/s is the velocity at the end of the line, not the acceleration.",
+      "accelerationSlope.slope-sign": "The velocity grows with time, so the acceleration is positive.",
+      "accelerationSlope.slope-sign-alt": "The velocity shrinks with time, so the acceleration is negative.",
+      "accelerationSlope.step1": "The velocity changes from {v0} to {v1} over {t}.",
+      "accelerationSlope.step2": "Acceleration is the slope of the graph: {dv} / {t} = {a}.",
+      "accelerationSlope.hint1": "Which quantity does the slope of a v–t graph represent?",
+      "accelerationSlope.hint3": "a = Δv / Δt = ({v1} − {v0}) / {t} = ?",
+
+      "accelerationArea.prompt": "The body accelerates uniformly as shown in the velocity–time graph. How far did the body travel?",
+      "accelerationArea.area-as-triangle": "{final} × {duration} is the area of a rectangle as tall as the final velocity. The area under the sloped line is {shape}.",
+      "accelerationArea.area-as-triangle-2": "You calculated only the triangle above {initial} m/s, without the rectangle beneath it.",
+      "accelerationArea.read-axis-value": "{final} m/s is the velocity at the end of the motion. The distance is the area under the graph.",
+      "accelerationArea.step1": "The distance is the area under the v–t graph, and here it is {shape}.",
+      "accelerationArea.step2": "Area of the triangle: ½ · {t} · {v1} = {d}.",
+      "accelerationArea.step3": "Area of the trapezoid: ({v0} + {v1}) / 2 · {t} = {d}.",
+      "accelerationArea.hint1": "What does the area under a v–t graph represent, and what shape does it make here?",
+      "accelerationArea.hint3": "Δx = ½ · v · Δt = ½ · {v1} · {t} = ?",
+      "accelerationArea.hint3-trapezoid": "Δx = (v₀ + v) / 2 · Δt = ({v0} + {v1}) / 2 · {t} = ?",
+
+      "accelerationParabola.prompt": "A body starts from rest and moves with constant acceleration, as shown in the position–time graph. What is the body's acceleration?",
+      "accelerationParabola.forgot-half": "x = ½·a·t², so a = 2x / t². You divided by t² without multiplying by 2.",
+      "accelerationParabola.velocity-for-acceleration": "{value1} m/s is the average velocity (position divided by time), not the acceleration.",
+      "accelerationParabola.velocity-for-acceleration-2": "{value1} m/s is the velocity at t={time}s, not the acceleration.",
+      "accelerationParabola.step1": "The body starts from rest at the origin, so its position is:",
+      "accelerationParabola.step2": "Read from the graph: at {t} the body is at {x}.",
+      "accelerationParabola.step3": "Solve for the acceleration: 2 · {x} / ({t})² = {a}.",
+      "accelerationParabola.hint1": "A body starting from rest with constant acceleration: how does its position depend on time?",
+      "accelerationParabola.hint3": "a = 2x / t² = 2 · {x} / ({t})² = ?",
+
+      "accelerationEquation.feedback1": "The acceleration term has a factor of ½: x(t) = x₀ + v₀·t + ½·a·t².",
+      "accelerationEquation.feedback2": "{final} m/s is the velocity at the end of the line. The equation uses the initial velocity v₀={initial} m/s.",
+      "accelerationEquation.slope-sign": "The velocity grows, so the acceleration is positive.",
+      "accelerationEquation.slope-sign-alt": "The velocity shrinks, so the acceleration is negative.",
+      "accelerationEquation.prompt": "The v–t graph describes motion with constant acceleration. At t=0 the body is at x={intercept}m. What is the body's position equation?",
+      "accelerationEquation.step1": "At t=0 the velocity is {v0} – that is v₀.",
+      "accelerationEquation.step2": "Acceleration is the slope of the graph: ({v1} − {v0}) / {t} = {a}.",
+      "accelerationEquation.step3": "Substitute x₀ = {x0}, v₀ and a into x(t) = x₀ + v₀·t + ½·a·t²:",
+      "accelerationEquation.hint1": "In x(t) = x₀ + v₀·t + ½·a·t², where on the v–t graph do you find v₀ and a?",
+      "accelerationEquation.hint3": "v₀ = {v0}, and a = ({v1} − {v0}) / {t} = ?",
+
+      "sketchXtTable.prompt": "Between any two rows of the table the body moves at constant velocity. Sketch the position–time graph of the motion.",
+      "sketchXtTable.step1": "Each row of the table is a point on the graph: t on the horizontal axis and x on the vertical axis.",
+      "sketchXtTable.step2": "Up to {ts} the position grows by {d} every second – a straight line from {x0} to {xs}.",
+      "sketchXtTable.step3": "From {ts} to {tt} the position does not change – a horizontal line at {xs}.",
+      "sketchXtTable.step4": "From {ts} to {tt} the position changes from {xs} to {xe} – a straight line with a different slope.",
+      "sketchXtTable.hint1": "When the position changes by the same amount every second, what does that part of an x–t graph look like?",
+      "sketchXtTable.hint3": "Mark the points (0, {x0}), ({ts}, {xs}) and ({tt}, {xe}), and join them with straight lines.",
+
+      "sketchXtEquation.prompt": "Sketch the position–time graph of the body whose equation of motion is given.",
+      "sketchXtEquation.step1": "From the equation x₀ = {x0}: that is the point at t=0.",
+      "sketchXtEquation.step2": "The velocity is {v}, so the position changes by {dx} every second. At {t} the body is at {x}.",
+      "sketchXtEquation.step3": "The velocity is constant, so all the points lie on one straight line.",
+      "sketchXtEquation.hint1": "In x(t) = x₀ + v·t, where does the line start and what sets its slope?",
+      "sketchXtEquation.hint2": "The line starts at x₀ = {x0} when t = 0.",
+      "sketchXtEquation.hint3": "x(t) = x₀ + v·t with x₀ = {x0} and v = {v}: work out x at t = {t} and draw a straight line to there.",
+
+      "sketchVtFootprint.prompt": "Sketch the velocity–time graph from the footprint diagram. The time between any two footprints is {timeGap} seconds.",
+      "sketchVtFootprint.step1": "Between any two footprints the body covers {d} in {t}. The gaps are equal, so the velocity is constant.",
+      "sketchVtFootprint.step2": "The velocity is {d} / {t} = {v}.",
+      "sketchVtFootprint.step3": "On a v–t graph a constant velocity is a horizontal line at {v}.",
+      "sketchVtFootprint.hint1": "Velocity is distance per unit of time. How far apart are two footprints, and how much time lies between them?",
+      "sketchVtFootprint.hint3": "v = {d} / {t} = ? – a horizontal line at that height.",
+
+      "matchXtToVt.feedback1": "In this graph the signs of the velocities are reversed. When the x–t graph rises the velocity is positive, and when it falls – negative.",
+      "matchXtToVt.feedback2": "This is the x–t graph copied as is. On a v–t graph the height of the line is the slope of the x–t graph, and a constant velocity is a horizontal line.",
+      "matchXtToVt.feedback3": "The velocity changes at t={firstDuration}s – at the break in the x–t graph.",
+      "matchXtToVt.feedback4": "In the first segment the position changes by {firstVelocity} m every second, so the velocity is {firstVelocity} m/s.",
+      "matchXtToVt.prompt": "Which velocity–time graph matches the position–time graph shown?",
+      "matchXtToVt.step1": "In the first segment the slope is {dx} in {t}, i.e. a constant velocity of {v}.",
+      "matchXtToVt.step2": "In the second segment the slope is {dx} in {t}, i.e. {v}.",
+      "matchXtToVt.step3": "On a v–t graph each segment is a horizontal line at its velocity, and the switch between them is at {ts}.",
+      "matchXtToVt.hint1": "Which quantity does the slope of each part of the x–t graph represent?",
+      "matchXtToVt.hint3": "v₁ = {dx1} / {t1}, v₂ = {dx2} / {t2}.",
+
+      "matchVtToXt.feedback1": "In this graph the directions are reversed. A positive velocity means the position grows – the graph rises.",
+      "matchVtToXt.feedback2": "The body starts at x={motionX0} m, not at the origin.",
+      "matchVtToXt.feedback3": "The body starts at the origin, x=0.",
+      "matchVtToXt.feedback4": "According to the v–t graph the velocity changes at t={firstDuration}s, and that is where the break should be.",
+      "matchVtToXt.feedback5": "In the second segment the velocity is {secondVelocity} m/s, so the position changes by {secondVelocity} m every second.",
+      "matchVtToXt.prompt": "At t=0 the body is at x={motionX0}m. Which position–time graph matches the velocity–time graph shown?",
+      "matchVtToXt.step1": "In the first segment the velocity is {v} for {t}: the position changes by {dx}, from {x0} to {x1}.",
+      "matchVtToXt.step2": "In the second segment the velocity is {v} for {t}: the position changes by {dx}, up to {x2}.",
+      "matchVtToXt.step3": "A constant velocity in each segment is a straight line on the x–t graph; join the points in order.",
+      "matchVtToXt.hint1": "What does the area under each part of the v–t graph tell you about the change in position?",
+      "matchVtToXt.hint3": "Start at x₀ = {x0}; Δx₁ = {v1} · {t1}, Δx₂ = {v2} · {t2}.",
+
+      "matchTableToXt.feedback1": "Some rows are 2 seconds apart. Divide the change in position by the time between the rows.",
+      "matchTableToXt.feedback2": "In the t=0 row the body is at x={x0} m, not at the origin.",
+      "matchTableToXt.slope-sign": "The position in the table grows with time, so the graph rises.",
+      "matchTableToXt.slope-sign-alt": "The position in the table shrinks with time, so the graph falls.",
+      "matchTableToXt.feedback3": "According to the table the position changes by {value1} m every second.",
+      "matchTableToXt.prompt": "A body moves at constant velocity as described in the table. Which position–time graph describes its motion?",
+      "matchTableToXt.step1": "In the t=0 row the body is at {x0}: the graph starts at that point.",
+      "matchTableToXt.step2": "The position changes by {v} every second, so the graph is a straight line with slope {v}.",
+      "matchTableToXt.step3": "In the last row, at {t}, the body is at {x} – the end point of the line.",
+      "matchTableToXt.hint1": "Which row gives the starting position, and how much does x change each second?",
+      "matchTableToXt.hint3": "x₀ = {x0}, and v = Δx / Δt = {dx} / {dt} = ?",
+
+      "matchEquationToXt.slope-sign": "The velocity in the equation is positive, so the graph rises.",
+      "matchEquationToXt.slope-sign-alt": "The velocity in the equation is negative, so the graph falls.",
+      "matchEquationToXt.feedback1": "The constant term in the equation is x₀={intercept} m – watch the sign.",
+      "matchEquationToXt.feedback2": "The coefficient of t is the velocity ({velocity} m/s), and the constant term is the initial position ({intercept} m).",
+      "matchEquationToXt.prompt": "Which position–time graph describes the motion with the given equation?",
+      "matchEquationToXt.step1": "The constant term is x₀ = {x0}: the graph crosses the vertical axis at that height.",
+      "matchEquationToXt.step2": "The coefficient of t is the velocity {v}, so the graph is a straight line with that slope.",
+      "matchEquationToXt.step3": "Check: at {t} the body is at {x}.",
+      "matchEquationToXt.hint1": "In x(t) = x₀ + v·t, which number sets where the graph starts, and which sets its slope?",
+      "matchEquationToXt.hint2": "The graph starts at x₀ = {x0} when t = 0.",
+      "matchEquationToXt.hint3": "The slope is v = {v}: the position changes by v every second, up to t = {t}.",
+
+      "matchFootprintToVt.feedback1": "{tickStep} m is the distance between two footprints, covered in {timeGap} seconds. The velocity is {pace} m/s.",
+      "matchFootprintToVt.feedback2": "One second passes between any two footprints and the body advances {pace} m, so the velocity is {pace} m/s.",
+      "matchFootprintToVt.feedback3": "In this graph the velocity grows, but the gaps between the footprints are equal – the velocity is constant and the graph is horizontal.",
+      "matchFootprintToVt.feedback4": "The footprints advance in the direction of the arrow, so the velocity is positive.",
+      "matchFootprintToVt.prompt": "Which velocity–time graph matches the footprint diagram? The time between any two footprints is {timeGap} seconds.",
+      "matchFootprintToVt.step1": "The gaps between the footprints are equal: {d} every {t}. So the velocity is constant.",
+      "matchFootprintToVt.step2": "The velocity is {d} / {t} = {v}, and on a v–t graph that is a horizontal line at that height.",
+      "matchFootprintToVt.hint1": "A v–t graph shows velocity. Is it constant between the footprints?",
+      "matchFootprintToVt.hint3": "v = {d} / {t} = ?",
+    },
+  },
+  ar: {
+    name: "العربية",
+    dir: "rtl",
+    intl: "ar",
+    strings: {
+      "ui.title": "تدريب في الفيزياء",
+      "ui.language": "اللغة",
+      "ui.finishExam": "إنهاء الامتحان",
+      "ui.questionId": "معرّف السؤال",
+      "test.problems": "فحص الاتساق – مشكلات في السؤال {id}:",
+      "ui.shareQuestion": "نسخ رابط السؤال",
+      "ui.linkCopied": "تم نسخ الرابط",
+      "ui.startExam": "وضع الامتحان",
+      "ui.switchToChoice": "التبديل إلى الاختيار من متعدد",
+      "ui.switchToFree": "التبديل إلى كتابة الإجابة",
+      "ui.studentName": "الاسم",
+      "ui.exportJson": "تصدير JSON",
+      "ui.exportCsv": "تصدير CSV",
+      "ui.attemptCount": "{count} محاولات محفوظة",
+      "ui.skillSummary": "🎯 {mastered}/{total} مهارات",
+      "ui.skillMastered": "✔ متقَنة",
+      "ui.reviewCount": "أسئلة بانتظار المراجعة",
+      "ui.assignmentProgress": "سؤال في المهمة",
+      "ui.assignmentDone": "✔ أنهيتم جميع أسئلة المهمة وعددها {count}.",
+      "ui.reviewQuestion": "🔁 مراجعة · {id}",
+      "ui.representation": "تمثيل للحركة",
+      "ui.showOverlays": "إظهار علامات مساعدة على الرسم",
+      "ui.showPlayback": "▶ محاكاة الحركة",
+      "hints.show": "💡 تلميح",
+      "hints.more": "💡 تلميح آخر (بقي {left})",
+      "hints.cost": "كل تلميح يخصم ربع علامة هذا السؤال، والإجابة بمساعدة التلميحات لا تطيل السلسلة.",
+      "hints.listLabel": "تلميحات",
+      "hints.highlight": "انظروا إلى الجزء المميَّز – هناك المعطيات التي تحتاجونها.",
+      "hints.credit": "إجابة صحيحة بمساعدة التلميحات ({count}): {credit} نقطة لهذا السؤال، وتبقى السلسلة {streak}.",
+      "ui.closePlayback": "إغلاق المحاكاة",
+      "ui.playbackToggle": "تشغيل أو إيقاف مؤقت",
+      "ui.playbackScrub": "الزمن في المحاكاة",
+      "ui.playbackSpeed": "سرعة المحاكاة",
+      "ui.checkAnswer": "تحقق من الإجابة",
+      "ui.confirmSelection": "متأكدون؟ اضغطوا للتأكيد",
+      "ui.nextQuestion": "السؤال التالي",
+      "ui.freeResponseLabel": "اكتبوا عددًا ووحدة (مثلًا 12 km/h أو 0.5 min)",
+      "ui.missingNumber": "لم يُعثر على عدد في الإجابة. اكتبوا عددًا ثم وحدة.",
+      "ui.missingUnit": "الوحدة ناقصة. اكتبوا مثلًا 12 km/h.",
+      "ui.unknownUnit": "الوحدة \"{unit}\" غير معروفة.",
+      "ui.correctAnswerWas": "الإجابة الصحيحة: {answer}.",
+      "ui.sketchHint": "اسحبوا كل نقطة إلى أعلى أو إلى أسفل (أو استعملوا الأسهم). تلتصق النقاط بخطوط الشبكة.",
+      "ui.checkSketch": "تحقق من الرسم",
+      "ui.sketchMissed": "{missed} من أصل {total} نقاط ليست في مكانها. مثلًا، عند t={time} s القيمة الصحيحة هي {value} {unit}.",
+      "ui.sketchCorrectLine": "الخط الأخضر المتقطع في الرسم",
+      "ui.representationAnswer": "التمثيل {number}",
+      "ui.solutionTitle": "طريقة الحل",
+      "ui.nextStep": "الخطوة التالية",
+      "ui.allSteps": "إظهار الحل كاملًا",
+      "ui.examQuestion": "السؤال {number}",
+      "ui.yourAnswer": "إجابتك:",
+      "ui.unanswered": "لم تتم الإجابة",
+      "ui.correctAnswer": "الإجابة الصحيحة:",
+      "ui.questionAndSolution": "السؤال وطريقة الحل",
+      "ui.examResults": "نتائج الامتحان",
+      "ui.totalTime": "الزمن الكلي {duration}",
+      "ui.previousExams": "امتحانات سابقة",
+      "ui.backToPractice": "العودة إلى التدريب",
+      "ui.anotherExam": "امتحان آخر",
+      "ui.noData": "لا توجد بيانات",
+      "ui.noEquation": "لا توجد معادلة",
+      "ui.noDiagram": "لا يوجد مخطط",
+      "ui.unsupportedRepresentation": "تمثيل غير مدعوم",
+
+      "verdicts.correct": "✅ إجابة صحيحة",
+      "verdicts.wrong-unit": "⚠️ العدد صحيح، لكن الوحدة لا تناسبه",
+      "verdicts.sign": "⚠️ خطأ في الإشارة – تحققوا من اتجاه الحركة",
+      "verdicts.rounding": "⚠️ تقريبًا – النتيجة قريبة، لكن التقريب غير دقيق",
+      "verdicts.wrong": "⚠️ إجابة غير صحيحة",
+      "verdicts.sketchCorrect": "✅ الرسم صحيح",
+      "verdicts.sketchWrong": "⚠️ الرسم لا يطابق الحركة",
+
+      "exam.title": "امتحان",
+      "exam.length": "عدد الأسئلة",
+      "exam.minutes": "الزمن بالدقائق (0 – بلا حد)",
+      "exam.skills": "المواضيع",
+      "exam.start": "بدء الامتحان",
+      "exam.cancel": "إلغاء",
+      "exam.noSkills": "اختاروا موضوعًا واحدًا على الأقل.",
+      "exam.invalidSettings": "يجب أن يكون عدد الأسئلة بين 1 و40، ولا يمكن أن يكون الزمن سالبًا.",
+
+      "teacher.title": "تقرير الصف",
+      "teacher.hint": "اختاروا ملفات JSON أو CSV التي صدّرها الطلاب. يلخّص التقرير الدقة حسب نوع السؤال والأخطاء الشائعة.",
+      "teacher.students": "الطلاب",
+      "teacher.student": "الطالب/ة",
+      "teacher.attempts": "المحاولات",
+      "teacher.correct": "الصحيحة",
+      "teacher.accuracy": "الدقة",
+      "teacher.byBuilder": "حسب نوع السؤال",
+      "teacher.builder": "المولّد",
+      "teacher.misconceptions": "أخطاء شائعة",
+      "teacher.misconception": "تصور خاطئ",
+      "teacher.mistakes": "عدد الأخطاء",
+      "teacher.noMisconceptions": "لم تُصنَّف أي أخطاء.",
+      "teacher.invalidFile": "✖ الملف ليس تقريرًا صالحًا",
+      "teacher.verified": "✔ {count} محاولات، التوقيع سليم",
+      "teacher.unverified": "⚠ {count} محاولات، التوقيع لا يتطابق – ربما عُدّل الملف",
+      "teacher.worksheetLink": "طباعة ورقة عمل مع مفتاح الإجابات",
+      "teacher.editorLink": "اكتبوا أسئلتكم الخاصة",
+
+      "worksheet.title": "ورقة عمل – الحركة في خط مستقيم",
+      "worksheet.fields": "الاسم: ____________________   الصف: ________   التاريخ: ____________",
+      "worksheet.print": "طباعة / حفظ كـ PDF",
+      "worksheet.reshuffle": "ورقة أخرى",
+      "worksheet.answerKey": "مفتاح الإجابات",
+      "worksheet.answerLine": "الإجابة (مع الوحدات): ______________________",
+      "worksheet.code": "رمز الورقة: {code}",
+      "worksheet.letters": "أبجدهوزح",
+      "editor.title": "محرّر الأسئلة",
+      "editor.id": "المعرّف (حروف لاتينية صغيرة وأرقام وشرطة)",
+      "editor.type": "ما الذي يحسبه الطالب",
+      "editor.typeSpeed": "السرعة",
+      "editor.typeDistance": "المسافة أو الموقع",
+      "editor.typeTime": "الزمن",
+      "editor.typeAcceleration": "التسارع",
+      "editor.representation": "التمثيل",
+      "editor.representationNone": "بدون",
+      "editor.representationTable": "جدول موقع–زمن",
+      "editor.representationFootprint": "مخطط آثار الأقدام",
+      "editor.dataTable": "صفوف الجدول – في كل سطر: t (s), x (m)",
+      "editor.dataXt": "نقاط الرسم – في كل سطر: t (s), x (m)",
+      "editor.dataVt": "نقاط الرسم – في كل سطر: t (s), v (m/s)",
+      "editor.dataFootprint": "آثار الأقدام – في كل سطر: t (s), x (m)",
+      "editor.tickStep": "المسافة بين التدريجات (م)",
+      "editor.timeLabels": "إظهار الزمن تحت كل أثر",
+      "editor.prompt": "نص السؤال",
+      "editor.answer": "الإجابة الصحيحة ({unit})",
+      "editor.distractors": "المشتّتات (اختياري – يُكمَل الباقي تلقائيًا)",
+      "editor.distractorValue": "قيمة المشتّت {number}",
+      "editor.distractorMisconception": "المفهوم الخاطئ للمشتّت {number}",
+      "editor.distractorFeedback": "التغذية الراجعة للمشتّت {number}",
+      "editor.solution": "الحل – خطوة في كل سطر",
+      "editor.save": "حفظ في المتصفح",
+      "editor.download": "تنزيل ملف JSON",
+      "editor.new": "سؤال جديد",
+      "editor.preview": "معاينة",
+      "editor.saved": "الأسئلة المحفوظة",
+      "editor.noneSaved": "لم تُحفظ أسئلة في هذا المتصفح بعد.",
+      "editor.edit": "تحرير",
+      "editor.practice": "تدرّب",
+      "editor.delete": "حذف",
+      "editor.correctOption": "الإجابة الصحيحة",
+      "editor.generatedOption": "مشتّت مولَّد تلقائيًا",
+      "editor.previewBlocked": "تظهر المعاينة بعد تصحيح الأخطاء.",
+      "editor.fixErrors": "صحّحوا الأخطاء قبل الحفظ.",
+      "editor.savedStatus": "حُفظ السؤال {id} وأُضيف إلى بنك التدريب في هذا المتصفح.",
+      "editor.downloadedStatus": "نُزّل الملف {file}. لمشاركته مع جميع الطلاب، انسخوه إلى مجلد templates وأضيفوا اسمه إلى templates/index.json.",
+      "editor.deletedStatus": "حُذف السؤال {id}.",
+      "editor.errorId": "يمكن أن يحتوي المعرّف على حروف لاتينية صغيرة وأرقام وشرطة فقط.",
+      "editor.errorIdTaken": "المعرّف {id} مستخدم لسؤال مدمج.",
+      "editor.errorSkills": "اختاروا موضوعًا واحدًا على الأقل.",
+      "editor.errorPrompt": "نص السؤال ناقص.",
+      "editor.errorAnswer": "يجب أن تكون الإجابة الصحيحة عددًا.",
+      "editor.errorDistractor": "قيمة المشتّت {number} ليست عددًا.",
+      "editor.errorLine": "يجب أن يحتوي السطر {line} من البيانات على عددين بالضبط.",
+      "editor.errorRows": "أدخلوا سطرين من البيانات على الأقل.",
+      "editor.errorTimes": "يجب أن تزداد الأزمنة من سطر إلى آخر.",
+      "editor.errorFootprintGaps": "في مخطط آثار الأقدام يجب أن تكون الفترات الزمنية بين الآثار المتتالية متساوية.",
+      "editor.errorTickStep": "يجب أن تكون المسافة بين التدريجات موجبة.",
+      "editor.errorFootprintTick": "الأثر عند {position} لا يقع على تدريج. يجب أن يقع كل أثر فوق تدريج.",
+      "editor.warnTableRate": "السرعة ليست ثابتة على طول الجدول – تأكّدوا أن السؤال لا يعرضها كسرعة ثابتة.",
+      "editor.warnTableSpeed": "السرعة بحسب الجدول هي {speed} m/s، لكن الإجابة الصحيحة مختلفة.",
+      "editor.warnDistractorAnswer": "المشتّت {number} يساوي الإجابة الصحيحة ولن يُعرض.",
+      "editor.warnFootprintGap": "الفترة الزمنية بين الآثار ({gap} s) غير مذكورة في نص السؤال. اذكروها فيه أو أظهروا الزمن تحت كل أثر.",
+
+      "a11y.table": "جدول من {count} صفوف، عموداه {timeHeader} و{valueHeader}.",
+      "a11y.xtGraph": "رسم بياني للموقع مقابل الزمن. محور الزمن من {minTime} إلى {maxTime} {timeUnit}، ومحور الموقع من {minValue} إلى {maxValue} {valueUnit}.",
+      "a11y.vtGraph": "رسم بياني للسرعة مقابل الزمن. محور الزمن من {minTime} إلى {maxTime} {timeUnit}، ومحور السرعة من {minValue} إلى {maxValue} {valueUnit}.",
+      "a11y.dualXt": "رسم بياني للموقع مقابل الزمن لـ {count} أجسام. محور الزمن من {minTime} إلى {maxTime} {timeUnit}، ومحور الموقع من {minValue} إلى {maxValue} {valueUnit}.",
+      "a11y.dualVt": "رسم بياني للسرعة مقابل الزمن لـ {count} أجسام. محور الزمن من {minTime} إلى {maxTime} {timeUnit}، ومحور السرعة من {minValue} إلى {maxValue} {valueUnit}.",
+      "a11y.segment": "المقطع {number}: من ({fromTime} {timeUnit}، {fromValue} {valueUnit}) إلى ({toTime} {timeUnit}، {toValue} {valueUnit}).",
+      "a11y.curve": "منحنى (تسارع ثابت) من ({fromTime} {timeUnit}، {fromValue} {valueUnit}) إلى ({toTime} {timeUnit}، {toValue} {valueUnit}).",
+      "a11y.object": "{name}، الخط {color}:",
+      "a11y.footprint": "مخطط آثار أقدام فيه {count} آثار على محور موقع من {min} إلى {max} {unit}.",
+      "a11y.legForward": "حركة في الاتجاه الموجب من {from} إلى {to} {unit} ({count} آثار).",
+      "a11y.legBackward": "حركة في الاتجاه السالب من {from} إلى {to} {unit} ({count} آثار).",
+      "a11y.legStill": "وقوف في الموقع {from} {unit} ({count} آثار).",
+      "a11y.footprintAt": "الأثر {number} عند {position} {unit}.",
+      "a11y.footprintTimed": "الأثر {number} عند {position} {unit}، في الزمن {time} {timeUnit}.",
+      "a11y.equation": "معادلة الموقع: {equation}",
+      "a11y.dataTable": "البيانات في جدول",
+      "a11y.footprintColumn": "الأثر",
+
+      "colors.blue": "الأزرق",
+      "colors.red": "الأحمر",
+      "colors.green": "الأخضر",
+
+      "objects.a": "الجسم A",
+      "objects.b": "الجسم B",
+
+      "options.multipleCorrect": "يوجد أكثر من خيار صحيح",
+      "options.noneCorrect": "لا توجد إجابة مناسبة بين الخيارات",
+      "options.equal": "متساويان",
+      "options.noInfo": "لا توجد معلومات",
+      "options.noAnswer": "لا توجد إجابة",
+      "options.vtGraph": "رسم v–t",
+      "options.xtGraph": "رسم x–t",
+
+      "shapes.triangle": "مثلث",
+      "shapes.trapezoid": "شبه منحرف",
+
+      "units.secondsShort": "{gap} ث",
+
+      "conversion.multiply": "الضرب في {multiplier}",
+      "conversion.divide": "القسمة على {divisor}",
+
+      "skills.table-rate": "معدل التغير في جدول",
+      "skills.average-speed": "السرعة المتوسطة",
+      "skills.reading-slope": "قراءة الميل",
+      "skills.reading-position": "قراءة الموضع من رسم بياني",
+      "skills.distance-vs-displacement": "المسافة مقابل الإزاحة",
+      "skills.area-under-vt": "المساحة تحت رسم v–t",
+      "skills.reading-vt": "قراءة رسم v–t",
+      "skills.footprints": "مخطط آثار الأقدام",
+      "skills.equations": "معادلة الموضع–الزمن",
+      "skills.comparing-bodies": "المقارنة بين الأجسام",
+      "skills.acceleration": "التسارع من ميل v–t",
+      "skills.parabolic-xt": "رسم x–t على شكل قطع مكافئ",
+      "skills.sketching": "رسم منحنى من وصف",
+      "skills.converting-representations": "الانتقال بين التمثيلات",
+
+      "misconceptions.arithmetic-slip": "خطأ حسابي",
+      "misconceptions.wrong-factor": "ضرب أو قسمة في عامل خاطئ",
+      "misconceptions.rounding": "تقريب غير دقيق",
+      "misconceptions.unit-label": "وحدة خاطئة للعدد الصحيح",
+      "misconceptions.unit-not-converted": "نسيان تحويل الوحدات",
+      "misconceptions.unit-conversion-inverted": "تحويل الوحدات في الاتجاه المعاكس",
+      "misconceptions.position-for-rate": "الموضع بدل معدل التغير",
+      "misconceptions.forgot-intercept": "تجاهل الموضع الابتدائي",
+      "misconceptions.position-as-intercept": "استعمال موضع في زمن آخر كموضع ابتدائي",
+      "misconceptions.misread-intercept": "قراءة خاطئة للموضع الابتدائي",
+      "misconceptions.misread-slope": "قراءة خاطئة للميل",
+      "misconceptions.slope-sign": "خطأ في إشارة الميل",
+      "misconceptions.ignored-time-step": "تجاهل طول الفترة الزمنية",
+      "misconceptions.counted-footprints": "عدّ الآثار بدل الفواصل",
+      "misconceptions.averaged-speeds": "متوسط السرعات بدل المسافة مقسومة على الزمن",
+      "misconceptions.single-segment": "الاكتفاء بمقطع واحد",
+      "misconceptions.displacement-for-distance": "الإزاحة بدل المسافة",
+      "misconceptions.distance-for-displacement": "المسافة بدل الموضع أو الإزاحة",
+      "misconceptions.ignored-reversal": "تجاهل تغيّر الاتجاه",
+      "misconceptions.displacement-sign": "خطأ في إشارة الإزاحة",
+      "misconceptions.read-axis-value": "قيمة من المحور الخطأ",
+      "misconceptions.misread-graph-value": "قراءة خاطئة لقيمة من الرسم",
+      "misconceptions.area-as-triangle": "صيغة مساحة خاطئة",
+      "misconceptions.area-for-value": "المساحة بدل القيمة",
+      "misconceptions.slope-for-value": "الميل بدل القيمة",
+      "misconceptions.change-for-rate": "التغير بدل معدل التغير",
+      "misconceptions.velocity-for-acceleration": "السرعة بدل التسارع",
+      "misconceptions.forgot-half": "حذف ½ من صيغة الموضع",
+      "misconceptions.compared-wrong-quantity": "مقارنة كمية غير صحيحة",
+      "misconceptions.meeting-condition": "فحص خاطئ لشرط الالتقاء",
+      "misconceptions.graph-has-information": "المعلومة موجودة في التمثيل",
+      "misconceptions.copied-graph-shape": "نسخ شكل الرسم بدل ترجمته",
+      "misconceptions.segment-timing": "زمن خاطئ لتغيّر السرعة",
+
+      "generateNumericDistractors.feedback1": "الفرق عن الإجابة صغير – تحققوا من التقريب ومن قراءة القيم.",
+      "generateNumericDistractors.feedback2": "النتيجة قريبة لكنها غير دقيقة – تحققوا من الحساب مرة أخرى.",
+      "generateNumericDistractors.feedback3": "النتيجة بعيدة عن الإجابة بعدة أضعاف – تحققوا إن كنتم ضربتم أو قسمتم في عامل زائد.",
+      "generateNumericDistractors.feedback4": "{value} هي القيمة بوحدة {baseUnit}. للانتقال إلى {label} يجب {step}.",
+      "generateNumericDistractors.feedback5": "تم التحويل في الاتجاه المعاكس. للانتقال من {baseUnit} إلى {label} يجب {step}.",
+      "generateNumericDistractors.feedback6": "العدد {value} يناسب الوحدة {baseUnit}. بوحدة {label} القيمة هي {converted}.",
+
+      "updateExplanationUnits.step1": "بوحدات الإجابة: {baseValue} = {displayValue} {unit}.",
+      "updateExplanationUnits.baseUnits": "تُكتب الخطوات بـ{units} وليس بالوحدات المعروضة ({shown})، لتكون الحسابات دقيقة.",
+
+      "tableRandom.prompt": "أمامكم جدول الموضع–الزمن لجسم يتحرك بسرعة ثابتة. ما سرعة الجسم؟",
+      "tableRandom.forgot-intercept": "قسمتم الموضع الأخير ({lastPosition} م) على الزمن، لكن الجسم بدأ عند x={startDistance} م. التغير في الموضع هو {value1} م خلال {lastTime} ثوانٍ.",
+      "tableRandom.ignored-time-step": "بين بعض الصفوف تمرّ ثانيتان. تغيّر قدره {value1} م خلال ثانيتين يساوي {speed} م في كل ثانية.",
+      "tableRandom.position-for-rate": "{lastPosition} م هو الموضع في الصف الأخير. السرعة هي التغير في الموضع في كل ثانية.",
+      "tableRandom.step1": "نختار صفين: عند {t0} يكون الجسم في {x0}، وعند {t1} يكون في {x1}.",
+      "tableRandom.step2": "السرعة هي التغير في الموضع مقسومًا على الزمن المنقضي: {dx} خلال {dt}.",
+      "tableRandom.step3": "إذن سرعة الجسم هي {v}.",
+      "tableRandom.hint1": "ماذا نحصل عندما نقسم التغيّر في الموقع على الزمن المنقضي؟",
+      "tableRandom.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "tableAverageSpeed.prompt": "حسب جدول الموضع–الزمن الذي أمامكم، ما السرعة المتوسطة للجسم؟",
+      "tableAverageSpeed.averaged-speeds": "هذا متوسط سرعات المقاطع ({value1} m/s). المقاطع تستغرق أزمنة مختلفة، لذلك نقسم المسافة الكلية على الزمن الكلي.",
+      "tableAverageSpeed.single-segment": "{value1} m/s هي السرعة في المقطع الأخير فقط. السرعة المتوسطة تخص الحركة كلها.",
+      "tableAverageSpeed.position-for-rate": "{distance} م هي المسافة الكلية. للحصول على السرعة يجب قسمتها على {time} ثوانٍ.",
+      "tableAverageSpeed.step1": "من الصف الأول إلى الأخير قطع الجسم {d} خلال {t}.",
+      "tableAverageSpeed.step2": "السرعة المتوسطة هي المسافة الكلية مقسومة على الزمن الكلي: {v}.",
+      "tableAverageSpeed.hint1": "هل السرعة المتوسطة هي متوسط السرعات، أم الإزاحة الكلية على الزمن الكلي؟",
+      "tableAverageSpeed.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "xtConstant.prompt": "ما سرعة الجسم حسب ميل الرسم؟",
+      "xtConstant.position-for-rate": "{endX} م هو الموضع في نهاية الحركة. السرعة هي الميل: التغير في الموضع مقسومًا على مدة الزمن.",
+      "xtConstant.forgot-intercept": "قسمتم الموضع النهائي على الزمن، لكن الجسم بدأ عند x={startX} م. التغير في الموضع هو {distance} م.",
+      "xtConstant.slope-sign": "الرسم صاعد – الموضع يزداد مع الزمن، لذلك السرعة موجبة.",
+      "xtConstant.slope-sign-alt": "الرسم هابط – الموضع يتناقص مع الزمن، لذلك السرعة سالبة.",
+      "xtConstant.step1": "نقرأ من الرسم نقطتين: عند {t0} يكون الجسم في {x0}، وعند {t1} يكون في {x1}.",
+      "xtConstant.step2": "السرعة هي ميل الرسم: تغيّر قدره {dx} خلال {dt}.",
+      "xtConstant.step3": "إذن سرعة الجسم هي {v}.",
+      "xtConstant.hint1": "أي كمية يمثّلها ميل رسم x–t؟",
+      "xtConstant.hint3": "v = Δx / Δt = {dx} / {dt} = ?",
+
+      "xtSwitch.prompt": "ما السرعة القصوى للجسم؟",
+      "xtSwitch.single-segment": "{slowerSpeed} m/s هي السرعة في المقطع الأقل انحدارًا. السرعة القصوى تخص المقطع الأشد انحدارًا.",
+      "xtSwitch.averaged-speeds": "{averageSpeed} m/s هي السرعة المتوسطة على امتداد الحركة كلها، وليست أعلى سرعة.",
+      "xtSwitch.position-for-rate": "{value1} م هو الموضع النهائي. تتحدد السرعة حسب ميل كل مقطع.",
+      "xtSwitch.step1": "في المقطع الأول يقطع الجسم {d} خلال {t}، أي {v}.",
+      "xtSwitch.step2": "في المقطع الثاني يقطع الجسم {d} خلال {t}، أي {v}.",
+      "xtSwitch.step3": "المقطع الأشد انحدارًا هو الأسرع، لذلك السرعة القصوى هي {v}.",
+      "xtSwitch.hint1": "أي جزء من رسم x–t أشدّ انحدارًا – وماذا يمثّل الانحدار؟",
+      "xtSwitch.hint3": "قارنوا بين الميلين: {d1} / {t1} في الجزء الأول و{d2} / {t2} في الثاني.",
+
+      "xtReturn.prompt": "ما موضع الجسم عند اللحظة t={sampleTime}s؟",
+      "xtReturn.distance-for-displacement": "{pathUntilSample} م هي المسافة التي قطعها الجسم حتى t={sampleTime}s. في مقطع العودة يتناقص الموضع، لذلك يجب طرح ما عاده الجسم.",
+      "xtReturn.ignored-reversal": "حسبتم كأن الجسم يواصل التقدم طوال الوقت. بعد t={forwardTime}s يهبط الرسم – الجسم يعود إلى الخلف.",
+      "xtReturn.read-axis-value": "{sampleTime} هي قيمة الزمن. يُقرأ الموضع من المحور العمودي للرسم.",
+      "xtReturn.step1": "حتى {tf} الرسم صاعد: الجسم يتقدم بسرعة {vf} ويصل إلى {xf}.",
+      "xtReturn.step2": "اللحظة {ts} تقع في المقطع الصاعد، لذلك الموضع هو {vf} · {ts} = {x}.",
+      "xtReturn.step3": "بعد نقطة الانعطاف يعود الجسم بسرعة {vb}. حتى {ts} يعود {back}، لذلك الموضع هو {xf} − {back} = {x}.",
+      "xtReturn.hint1": "يُقرأ الموقع على المحور العمودي. في أي جزء من الرسم تقع اللحظة المذكورة في السؤال؟",
+      "xtReturn.hint3": "x = v · t = {vf} · {ts} = ?",
+      "xtReturn.hint3-back": "x = x₁ − v · (t − t₁) = {xf} − {vb} · ({ts} − {tf}) = ?",
+
+      "xtTotalDistance.prompt": "كم مترًا قطع الجسم إجمالًا؟",
+      "xtTotalDistance.displacement-for-distance": "{value1} م هو مقدار الإزاحة. المسافة تحسب أيضًا المقطع الذي عاد فيه الجسم: {forwardDistance} + {backwardDistance}.",
+      "xtTotalDistance.single-segment": "{forwardDistance} م هي المسافة إلى الأمام فقط. بعد t={forwardTime}s عاد الجسم {backwardDistance} م أخرى.",
+      "xtTotalDistance.step1": "في المقطع الأول يتقدم الجسم من {x0} إلى {x1}: مسافة قدرها {d}.",
+      "xtTotalDistance.step2": "في المقطع الثاني يعود الجسم من {x1} إلى {x2}: {d} أخرى.",
+      "xtTotalDistance.step3": "المسافة تحسب المقطعين: {d1} + {d2} = {d}.",
+      "xtTotalDistance.hint1": "المسافة تحسب كل متر قطعه الجسم. ماذا يحدث عندما يستدير ويعود؟",
+      "xtTotalDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "vtArea.prompt": "أمامكم رسم السرعة–الزمن لحركة جسم. ما المسافة التي يقطعها الجسم خلال الحركة؟",
+      "vtArea.read-axis-value": "{velocity} m/s هي السرعة المقروءة من الرسم. المسافة هي المساحة تحت الرسم: السرعة × الزمن.",
+      "vtArea.area-as-triangle": "المساحة تحت خط أفقي هي مستطيل وليست مثلثًا – لا نقسم على 2.",
+      "vtArea.step1": "السرعة ثابتة، {v}، خلال {t}.",
+      "vtArea.step2": "المسافة هي المساحة تحت الرسم – مستطيل: {v} · {t} = {d}.",
+      "vtArea.hint1": "ماذا تمثّل المساحة تحت رسم v–t؟",
+      "vtArea.hint3": "Δx = v · Δt = {v} · {t} = ?",
+
+      "vtStop.prompt": "في أي لحظة يتوقف الجسم؟",
+      "vtStop.read-axis-value": "{duration} ثوانٍ هي نهاية الرسم. يتوقف الجسم عندما تصبح السرعة صفرًا – عند النقطة التي يصل فيها الخط إلى محور الزمن.",
+      "vtStop.read-axis-value-2": "{initial} هي قيمة السرعة الابتدائية على المحور العمودي، وليست زمنًا.",
+      "vtStop.step1": "يتوقف الجسم عندما تصبح السرعة صفرًا – عند النقطة التي يصل فيها الخط إلى محور الزمن.",
+      "vtStop.step2": "ميل الخط: ({v1} − {v0}) / {t} = {a}. أي أن السرعة تقل بمقدار {rate} في كل ثانية.",
+      "vtStop.step3": "للنزول من {v0} إلى الصفر نحتاج {v0} / {rate} = {ts}.",
+      "vtStop.hint1": "ما سرعة جسم ساكن، وماذا يمثّل ميل رسم v–t؟",
+      "vtStop.hint3": "تنخفض السرعة من {v0} إلى {v1} خلال {t}، أي بمقدار {rate}. كم من الوقت يلزم لتنخفض من {v0} إلى الصفر؟",
+
+      "vtAcceleration.prompt": "ما السرعة في نهاية خط التسارع؟",
+      "vtAcceleration.slope-for-value": "{value1} هو ميل الرسم (التسارع). السؤال يسأل عن قيمة السرعة في نهاية الخط.",
+      "vtAcceleration.read-axis-value": "{duration} هو الزمن في نهاية الخط (محور t). تُقرأ السرعة من المحور العمودي.",
+      "vtAcceleration.area-for-value": "المساحة تحت رسم v–t هي المسافة وليست السرعة.",
+      "vtAcceleration.step1": "ينتهي خط التسارع عند {t}.",
+      "vtAcceleration.step2": "نقرأ السرعة على المحور العمودي عند ارتفاع النقطة: {v}.",
+      "vtAcceleration.hint1": "على أي محور في رسم v–t نقرأ السرعة؟",
+      "vtAcceleration.hint3": "ما ارتفاع الرسم عند t = {t}؟",
+
+      "footprintConstant.prompt": "ما السرعة حسب مخطط آثار الأقدام؟ الفاصل الزمني بين كل أثرين هو {timeGap} ثوانٍ.",
+      "footprintConstant.ignored-time-step": "{tickStep} م هي المسافة بين أثرين، ويقطعها الجسم خلال {timeGap} ثوانٍ. في ثانية واحدة يقطع الجسم {pace} م.",
+      "footprintConstant.counted-footprints": "في المخطط {stepsLength} آثار لكن {value1} فواصل زمنية فقط، لذلك الزمن الكلي هو {value2} ثوانٍ.",
+      "footprintConstant.position-for-rate": "{maxPos} م هو موضع الأثر الأخير، وليس السرعة.",
+      "footprintConstant.step1": "بين كل أثرين متجاورين يقطع الجسم {d} خلال {t}.",
+      "footprintConstant.step2": "السرعة هي {d} / {t} = {v}.",
+      "footprintConstant.hint1": "السرعة هي المسافة لكل وحدة زمن. كم من الوقت يمرّ بين أثرين؟",
+      "footprintConstant.hint3": "v = Δx / Δt = {d} / {t} = ?",
+
+      "footprintVariablePace.prompt": "ما السرعة المتوسطة؟ الفاصل الزمني بين الآثار هو {timeGap} ثوانٍ.",
+      "footprintVariablePace.counted-footprints": "في المخطط {stepsLength} آثار لكن {value1} فواصل زمنية فقط، لذلك الزمن الكلي هو {totalTime} ثوانٍ.",
+      "footprintVariablePace.ignored-time-step": "قسمتم على عدد الفواصل، لكن كل فاصل يستغرق {timeGap} ثوانٍ.",
+      "footprintVariablePace.single-segment": "هذه السرعة بين الأثرين الأخيرين فقط. السرعة المتوسطة هي المسافة الكلية مقسومة على الزمن الكلي.",
+      "footprintVariablePace.step1": "من الأثر الأول إلى الأخير قطع الجسم {d}.",
+      "footprintVariablePace.step2": "بين الآثار الـ{stepsLength} توجد {value1} فواصل كل منها {gap}، لذلك الزمن الكلي هو {t}.",
+      "footprintVariablePace.step3": "السرعة المتوسطة: {d} / {t} = {v}.",
+      "footprintVariablePace.hint1": "السرعة المتوسطة هي الإزاحة الكلية على الزمن الكلي. كم فترة زمنية بين الأثر الأول والأخير؟",
+      "footprintVariablePace.hint3": "v̄ = Δx / Δt = {d} / {t} = ?",
+
+      "footprintDistance.prompt": "في مخطط الآثار يغيّر الجسم اتجاهه. ما المسافة التي قطعها الجسم من الأثر الأول حتى الأخير؟",
+      "footprintDistance.displacement-for-distance": "{value1} م هو مقدار الإزاحة – البعد بين الأثر الأول والأخير. المسافة تحسب أيضًا المقطع الذي عاد فيه الجسم.",
+      "footprintDistance.single-segment": "{motionOutDistance} م هي المسافة حتى نقطة الانعطاف فقط. بعدها عاد الجسم {motionBackDistance} م أخرى.",
+      "footprintDistance.position-for-rate": "{motionEnd} م هو موضع الأثر الأخير، وليس المسافة المقطوعة.",
+      "footprintDistance.step1": "حتى نقطة الانعطاف يتحرك الجسم من {x0} إلى {x1}: مسافة قدرها {d}.",
+      "footprintDistance.step2": "بعد ذلك يعود الجسم من {x1} إلى {x2}: {d} أخرى.",
+      "footprintDistance.step3": "المسافة تحسب المقطعين: {d1} + {d2} = {d}.",
+      "footprintDistance.hint1": "المسافة تجمع كل أجزاء الحركة، حتى بعد تغيير الاتجاه.",
+      "footprintDistance.hint3": "s = |Δx₁| + |Δx₂| = {d1} + {d2} = ?",
+
+      "footprintDisplacement.prompt": "في مخطط الآثار يغيّر الجسم اتجاهه. ما إزاحة الجسم من الأثر الأول حتى الأخير؟ (الاتجاه الموجب إلى اليمين)",
+      "footprintDisplacement.distance-for-displacement": "{totalDistance} م هي المسافة التي قطعها الجسم. الإزاحة تعتمد فقط على الموضع الابتدائي والموضع النهائي.",
+      "footprintDisplacement.displacement-sign": "الإزاحة هي الموضع النهائي ناقص الموضع الابتدائي: {motionEnd} − ({motionStart})، وليس العكس.",
+      "footprintDisplacement.forgot-intercept": "{motionEnd} م هو الموضع النهائي. الجسم لم يبدأ من نقطة الأصل بل من {motionStart} م.",
+      "footprintDisplacement.ignored-reversal": "هذه هي الإزاحة حتى نقطة الانعطاف فقط. بعدها عاد الجسم في الاتجاه المعاكس.",
+      "footprintDisplacement.step1": "الأثر الأول عند {x0} والأخير عند {x1}.",
+      "footprintDisplacement.step2": "الإزاحة هي الموضع النهائي ناقص الابتدائي: {x1} − ({x0}) = {dx}. العودة في منتصف الطريق لا تغيّرها.",
+      "footprintDisplacement.hint1": "الإزاحة تتعلّق فقط بنقطة بداية الحركة ونقطة نهايتها.",
+      "footprintDisplacement.hint3": "Δx = x₂ − x₁، حيث x₁ = {x0} وx₂ = {x1}.",
+
+      "xtEquationPosition.prompt": "معطاة معادلة الموضع–الزمن لجسم يتحرك بسرعة ثابتة. ما موضع الجسم عند الزمن t={sampleTime}s؟",
+      "xtEquationPosition.forgot-intercept": "{velocity}·{sampleTime} هو التغير في الموضع فقط. يجب إضافة الموضع الابتدائي x₀={intercept} م.",
+      "xtEquationPosition.misread-intercept": "انقلبت إشارة الموضع الابتدائي: حسب المعادلة x₀={intercept} م.",
+      "xtEquationPosition.step1": "في المعادلة الموضع الابتدائي هو {x0} والسرعة {v}.",
+      "xtEquationPosition.step2": "نعوّض {t}: التغير في الموضع هو {v} · {t} = {dx}.",
+      "xtEquationPosition.step3": "نضيف الموضع الابتدائي: {x0} + ({dx}) = {x}.",
+      "xtEquationPosition.hint1": "في المعادلة x(t) = x₀ + v·t، أي عدد هو الموقع الابتدائي وأيّها السرعة؟",
+      "xtEquationPosition.hint2": "نعوّض t = {t} في المعادلة.",
+      "xtEquationPosition.hint3": "x = x₀ + v·t، مع x₀ = {x0} وv = {v} وt = {t}.",
+
+      "xtGraphEquation.feedback1": "في هذه المعادلة السرعة {value1} m/s، لكن حسب الرسم يتغير الموضع بمقدار {velocity} م في كل ثانية.",
+      "xtGraphEquation.feedback2": "في هذه المعادلة يبدأ الجسم عند x=0، لكن حسب الرسم يكون الجسم عند t=0 في x={intercept} m.",
+      "xtGraphEquation.feedback3": "{end} m هو الموضع في نهاية الحركة (t={time}s). نقطة التقاطع هي الموضع عند t=0.",
+      "xtGraphEquation.slope-sign": "الرسم صاعد، لذلك السرعة موجبة.",
+      "xtGraphEquation.slope-sign-alt": "الرسم هابط، لذلك السرعة سالبة.",
+      "xtGraphEquation.prompt": "حسب رسم x/t، أي معادلة تصف الحركة؟",
+      "xtGraphEquation.step1": "عند t=0 يكون الجسم في {x0} – هذا هو الموضع الابتدائي x₀.",
+      "xtGraphEquation.step2": "ميل الرسم: تغيّر قدره {dx} خلال {t}، أي v = {v}.",
+      "xtGraphEquation.step3": "نعوّض x₀ وv في المعادلة x(t) = x₀ + v·t:",
+      "xtGraphEquation.hint1": "في المعادلة x(t) = x₀ + v·t: أين نقرأ x₀ في رسم x–t، وما الذي يعطي v؟",
+      "xtGraphEquation.hint3": "x₀ = {x0}، وv = Δx / Δt = {dx} / {t} = ?",
+
+      "vtGraphPositionEquation.feedback1": "في هذه المعادلة السرعة {value} m/s، لكن في رسم v–t يقع الخط على ارتفاع {velocity} m/s.",
+      "vtGraphPositionEquation.feedback2": "x={positionAtTime}m هو الموضع عند الزمن t={referenceTime}s، وليس عند t=0. الموضع الابتدائي هو {positionAtTime} − {velocity}·{referenceTime} = {intercept} m.",
+      "vtGraphPositionEquation.prompt": "رسم v/t يبيّن حركة بسرعة ثابتة. معلوم أن x={positionAtTime}m عند الزمن t={referenceTime} s. ما معادلة الحركة المناسبة؟",
+      "vtGraphPositionEquation.step1": "في رسم v–t ارتفاع الخط هو السرعة: v = {v}.",
+      "vtGraphPositionEquation.step2": "حتى {t} يتقدم الجسم {v} · {t} = {dx}.",
+      "vtGraphPositionEquation.step3": "في هذا الزمن يكون في {x}، لذلك بدأ من {x} − {dx} = {x0}.",
+      "vtGraphPositionEquation.step4": "نعوّض x₀ وv في المعادلة x(t) = x₀ + v·t:",
+      "vtGraphPositionEquation.hint1": "رسم v–t يعطي v. ماذا يخبرنا الموقع المعطى في السؤال عن x₀؟",
+      "vtGraphPositionEquation.hint3": "x₀ = x(t) − v · t = {x} − {v} · {t} = ?",
+
+      "xtTableEquation.feedback1": "x={value1} m هو الموضع عند الزمن t={value2}s. الموضع الابتدائي يظهر في صف t=0.",
+      "xtTableEquation.feedback2": "بين t={value1}s وt={value2}s تمرّ ثانيتان، لذلك يجب قسمة التغير في الموضع على 2.",
+      "xtTableEquation.feedback3": "حسب الجدول يتغير الموضع بمقدار {velocity} م في كل ثانية، وليس بمقدار {value1}.",
+      "xtTableEquation.slope-sign": "الموضع في الجدول يزداد مع الزمن، لذلك السرعة موجبة.",
+      "xtTableEquation.slope-sign-alt": "الموضع في الجدول يتناقص مع الزمن، لذلك السرعة سالبة.",
+      "xtTableEquation.prompt": "جسم يتحرك بسرعة ثابتة كما هو موصوف في الجدول. ما معادلة x(t) المناسبة لحركة الجسم؟",
+      "xtTableEquation.step1": "في صف t=0 الموضع هو {x0} – هذا هو x₀.",
+      "xtTableEquation.step2": "بين الصفين الأولين يتغير الموضع بمقدار {dx} خلال {dt}، أي v = {v}.",
+      "xtTableEquation.step3": "نعوّض x₀ وv في المعادلة x(t) = x₀ + v·t:",
+      "xtTableEquation.hint1": "في المعادلة x(t) = x₀ + v·t، أي سطر في الجدول يعطي x₀؟",
+      "xtTableEquation.hint3": "x₀ = {x0}، وv = Δx / Δt = {dx} / {dt} = ?",
+
+      "footprintEquation.feedback1": "{tickStep} م هي المسافة بين أثرين، ويقطعها الجسم خلال {timeGap} ثوانٍ. السرعة هي {pace} m/s.",
+      "footprintEquation.feedback2": "بين كل أثرين تمرّ ثانية واحدة ويتقدم الجسم {pace} م، لذلك السرعة {pace} m/s.",
+      "footprintEquation.feedback3": "الأثر الأول يقع عند x={start} m، وليس في نقطة الأصل.",
+      "footprintEquation.feedback4": "الأثر الأول (t=0) يقع في نقطة الأصل، لذلك الموضع الابتدائي هو 0.",
+      "footprintEquation.feedback5": "كل {timeGap} ثوانٍ تُضاف {tickStep} م، لذلك السرعة {pace} m/s.",
+      "footprintEquation.prompt": "في مخطط الآثار هذا، الأثر الأول عند الزمن t=0s. الفاصل الزمني بين كل أثرين هو {timeGap} ثوانٍ. ما معادلة x(t) المناسبة لحركة الجسم؟",
+      "footprintEquation.step1": "الأثر الأول (t=0) يقع عند {x0} – هذا هو x₀.",
+      "footprintEquation.step2": "بين أثرين يقطع الجسم {d} خلال {t}، أي v = {v}.",
+      "footprintEquation.step3": "نعوّض x₀ وv في المعادلة x(t) = x₀ + v·t:",
+      "footprintEquation.hint1": "أين يقع الأثر الأول، وكم من الوقت يمرّ بين أثرين؟",
+      "footprintEquation.hint3": "x₀ = {x0}، وv = {d} / {t} = ?",
+
+      "meetingEquation.meeting-condition": "هذه المعادلة تصل فعلًا إلى x={meetPosition} m عند الزمن t={meetTime}s، لكنها ليست الخيار الوحيد المناسب.",
+      "meetingEquation.meeting-condition-alt": "حسب هذه المعادلة، عند الزمن t={meetTime}s يكون الجسم في x={positionAtMeet} m وليس في x={meetPosition} m – الجسمان لا يلتقيان.",
+      "meetingEquation.feedback1": "عوّضوا t={meetTime} في كل معادلة: لا تصل أكثر من معادلة واحدة إلى x={meetPosition} m.",
+      "meetingEquation.feedback2": "عوّضوا t={meetTime} في كل معادلة: توجد معادلة تصل إلى x={meetPosition} m.",
+      "meetingEquation.step1": "معادلة واحدة فقط تصل إلى هذه النقطة:",
+      "meetingEquation.step2": "أكثر من معادلة تحقق الشرط، لذلك الإجابة هي \"يوجد أكثر من خيار صحيح\".",
+      "meetingEquation.step3": "لا تصل أي معادلة مقترحة إلى هذه النقطة، لذلك الإجابة هي \"لا توجد إجابة مناسبة بين الخيارات\".",
+      "meetingEquation.step4": "نقرأ من الرسم: عند الزمن {t} يكون الجسم A في {x}. هذه نقطة الالتقاء.",
+      "meetingEquation.step5": "يجب أن يكون الجسم B في المكان نفسه وفي الزمن نفسه: نعوّض {t} في كل معادلة ونتحقق إن كنا نحصل على {x}.",
+      "meetingEquation.prompt": "أمامكم رسم الموضع–الزمن للجسم A. يلتقي الجسم B بالجسم A عند الزمن t={meetTime}s. أي معادلة يمكن أن تصف الجسم B؟",
+      "meetingEquation.hint1": "يلتقي جسمان عندما يكونان في الموقع نفسه في اللحظة نفسها.",
+      "meetingEquation.hint3": "عند t = {t} يكون الجسم في الرسم عند x = {x}. عوّضوا t = {t} في كل معادلة وتحقّقوا إن كان الناتج {x}.",
+
+      "dualVtSpeed.prompt": "أي جسم أسرع؟",
+      "dualVtSpeed.feedback1": "خط الجسم A على ارتفاع {speedA} m/s، أخفض من خط الجسم B ({speedB} m/s).",
+      "dualVtSpeed.feedback2": "الخطان على ارتفاعين مختلفين، لذلك السرعتان مختلفتان.",
+      "dualVtSpeed.feedback3": "رسم v–t يبيّن مباشرة سرعة كل جسم – ارتفاع كل خط.",
+      "dualVtSpeed.step1": "في رسم v–t ارتفاع الخط هو السرعة. الجسم A يتحرك بسرعة {v}.",
+      "dualVtSpeed.step2": "الجسم B يتحرك بسرعة {v}، أي أنه الأسرع.",
+      "dualVtSpeed.hint1": "في رسم v–t، ماذا يمثّل ارتفاع كل خط؟",
+      "dualVtSpeed.hint3": "قارنوا: الجسم A يتحرك بسرعة {vA} والجسم B بسرعة {vB}.",
+
+      "dualVtDistance.prompt": "أي جسم يقطع مسافة أكبر بعد {duration} ثوانٍ؟",
+      "dualVtDistance.feedback1": "المسافة هي المساحة تحت كل خط. الزمن متساوٍ، وخط الجسم B أعلى: {distB} م مقابل {distA} م.",
+      "dualVtDistance.feedback2": "زمن الحركة متساوٍ، لكن السرعتين مختلفتان – لذلك المساحتان تحت الخطين مختلفتان أيضًا.",
+      "dualVtDistance.feedback3": "يمكن حساب المسافة من المساحة تحت كل خط في رسم v–t.",
+      "dualVtDistance.step1": "المسافة هي المساحة تحت الخط. الجسم A: {v} · {t} = {d}.",
+      "dualVtDistance.step2": "الجسم B: {v} · {t} = {d}، لذلك يقطع الجسم B مسافة أكبر.",
+      "dualVtDistance.hint1": "أي جزء من رسم v–t يعطي المسافة التي قطعها الجسم؟",
+      "dualVtDistance.hint3": "Δx = v · Δt: للجسم A {vA} · {t}، وللجسم B {vB} · {t}.",
+
+      "dualXtOvertake.prompt": "أي جسم أبعد بعد {time} ثوانٍ؟",
+      "dualXtOvertake.compared-wrong-quantity": "عند الزمن t={time}s يكون الجسم A في x={posA} m والجسم B في x={posB} m. نقارن المواضع وليس الميول.",
+      "dualXtOvertake.feedback1": "الخطان لا يتقاطعان عند t={time}s: {positionsFeedback}",
+      "dualXtOvertake.feedback2": "رسم x–t يبيّن موضع كل جسم في كل لحظة.",
+      "dualXtOvertake.step1": "عند الزمن {t} يكون الجسم A في {x}.",
+      "dualXtOvertake.step2": "في الزمن نفسه يكون الجسم B في {x}.",
+      "dualXtOvertake.step3": "{leader} أبعد عن نقطة الأصل.",
+      "dualXtOvertake.hint1": "في رسم x–t، كيف نعرف أي جسم متقدّم في لحظة معيّنة؟",
+      "dualXtOvertake.hint3": "عند t = {t}: الجسم A عند {xA}، والجسم B عند {xB}.",
+
+      "accelerationSlope.prompt": "أمامكم رسم السرعة–الزمن لجسم يتحرك بتسارع ثابت. ما تسارع الجسم؟",
+      "accelerationSlope.forgot-intercept": "قسمتم السرعة النهائية على الزمن، لكن الجسم بدأ بسرعة {initial} m/s. التغير في السرعة هو {change} m/s.",
+      "accelerationSlope.change-for-rate": "{change} m/s هو التغير في السرعة. التسارع هو التغير مقسومًا على الزمن: {change} / {duration}.",
+      "accelerationSlope.velocity-for-acceleration": "{final} m/s هي السرعة في نهاية الخط، وليست التسارع.",
+      "accelerationSlope.slope-sign": "السرعة تزداد مع الزمن، لذلك التسارع موجب.",
+      "accelerationSlope.slope-sign-alt": "السرعة تتناقص مع الزمن، لذلك التسارع سالب.",
+      "accelerationSlope.step1": "تتغير السرعة من {v0} إلى {v1} خلال {t}.",
+      "accelerationSlope.step2": "التسارع هو ميل الرسم: {dv} / {t} = {a}.",
+      "accelerationSlope.hint1": "أي كمية يمثّلها ميل رسم v–t؟",
+      "accelerationSlope.hint3": "a = Δv / Δt = ({v1} − {v0}) / {t} = ?",
+
+      "accelerationArea.prompt": "يتسارع الجسم بتسارع ثابت كما يبيّن رسم السرعة–الزمن. ما المسافة التي قطعها الجسم؟",
+      "accelerationArea.area-as-triangle": "{final} × {duration} هي مساحة مستطيل بارتفاع السرعة النهائية. المساحة تحت الخط المائل هي {shape}.",
+      "accelerationArea.area-as-triangle-2": "حسبتم المثلث فوق {initial} m/s فقط، من دون المستطيل الذي تحته.",
+      "accelerationArea.read-axis-value": "{final} m/s هي السرعة في نهاية الحركة. المسافة هي المساحة تحت الرسم.",
+      "accelerationArea.step1": "المسافة هي المساحة تحت رسم v–t، وهي هنا {shape}.",
+      "accelerationArea.step2": "مساحة المثلث: ½ · {t} · {v1} = {d}.",
+      "accelerationArea.step3": "مساحة شبه المنحرف: ({v0} + {v1}) / 2 · {t} = {d}.",
+      "accelerationArea.hint1": "ماذا تمثّل المساحة تحت رسم v–t، وأي شكل تكوّن هنا؟",
+      "accelerationArea.hint3": "Δx = ½ · v · Δt = ½ · {v1} · {t} = ?",
+      "accelerationArea.hint3-trapezoid": "Δx = (v₀ + v) / 2 · Δt = ({v0} + {v1}) / 2 · {t} = ?",
+
+      "accelerationParabola.prompt": "ينطلق جسم من السكون ويتحرك بتسارع ثابت، كما يبيّن رسم الموضع–الزمن. ما تسارع الجسم؟",
+      "accelerationParabola.forgot-half": "x = ½·a·t²، لذلك a = 2x / t². قسمتم على t² من دون الضرب في 2.",
+      "accelerationParabola.velocity-for-acceleration": "{value1} m/s هي السرعة المتوسطة (الموضع مقسومًا على الزمن)، وليست التسارع.",
+      "accelerationParabola.velocity-for-acceleration-2": "{value1} m/s هي السرعة عند اللحظة t={time}s، وليست التسارع.",
+      "accelerationParabola.step1": "ينطلق الجسم من السكون من نقطة الأصل، لذلك موضعه هو:",
+      "accelerationParabola.step2": "نقرأ من الرسم: عند الزمن {t} يكون الجسم في {x}.",
+      "accelerationParabola.step3": "نعزل التسارع: 2 · {x} / ({t})² = {a}.",
+      "accelerationParabola.hint1": "جسم يبدأ من السكون بتسارع ثابت: كيف يتعلّق موقعه بالزمن؟",
+      "accelerationParabola.hint3": "a = 2x / t² = 2 · {x} / ({t})² = ?",
+
+      "accelerationEquation.feedback1": "في حد التسارع يوجد المعامل ½: x(t) = x₀ + v₀·t + ½·a·t².",
+      "accelerationEquation.feedback2": "{final} m/s هي السرعة في نهاية الخط. في المعادلة تظهر السرعة الابتدائية v₀={initial} m/s.",
+      "accelerationEquation.slope-sign": "السرعة تزداد، لذلك التسارع موجب.",
+      "accelerationEquation.slope-sign-alt": "السرعة تتناقص، لذلك التسارع سالب.",
+      "accelerationEquation.prompt": "رسم v–t يصف حركة بتسارع ثابت. عند t=0 يكون الجسم في x={intercept}m. ما معادلة موضع الجسم؟",
+      "accelerationEquation.step1": "عند t=0 السرعة هي {v0} – هذه هي v₀.",
+      "accelerationEquation.step2": "التسارع هو ميل الرسم: ({v1} − {v0}) / {t} = {a}.",
+      "accelerationEquation.step3": "نعوّض x₀ = {x0} وv₀ وa في المعادلة x(t) = x₀ + v₀·t + ½·a·t²:",
+      "accelerationEquation.hint1": "في المعادلة x(t) = x₀ + v₀·t + ½·a·t²، أين نجد v₀ وa في رسم v–t؟",
+      "accelerationEquation.hint3": "v₀ = {v0}، وa = ({v1} − {v0}) / {t} = ?",
+
+      "sketchXtTable.prompt": "بين كل صفين في الجدول يتحرك الجسم بسرعة ثابتة. ارسموا رسم الموضع–الزمن للحركة.",
+      "sketchXtTable.step1": "كل صف في الجدول هو نقطة على الرسم: t على المحور الأفقي وx على المحور العمودي.",
+      "sketchXtTable.step2": "حتى {ts} يزداد الموضع بمقدار {d} في كل ثانية – خط مستقيم من {x0} إلى {xs}.",
+      "sketchXtTable.step3": "من {ts} إلى {tt} لا يتغير الموضع – خط أفقي على ارتفاع {xs}.",
+      "sketchXtTable.step4": "من {ts} إلى {tt} يتغير الموضع من {xs} إلى {xe} – خط مستقيم بميل آخر.",
+      "sketchXtTable.hint1": "عندما يتغيّر الموقع بالمقدار نفسه كل ثانية، كيف يبدو ذلك الجزء من رسم x–t؟",
+      "sketchXtTable.hint3": "حدّدوا النقاط (0, {x0}) و({ts}, {xs}) و({tt}, {xe})، وصِلوا بينها بخطوط مستقيمة.",
+
+      "sketchXtEquation.prompt": "ارسموا رسم الموضع–الزمن للجسم المعطاة معادلة حركته.",
+      "sketchXtEquation.step1": "حسب المعادلة x₀ = {x0}: هذه هي النقطة عند t=0.",
+      "sketchXtEquation.step2": "السرعة {v}، أي أن الموضع يتغير بمقدار {dx} في كل ثانية. عند {t} يكون الجسم في {x}.",
+      "sketchXtEquation.step3": "السرعة ثابتة، لذلك تقع جميع النقاط على خط مستقيم واحد.",
+      "sketchXtEquation.hint1": "في المعادلة x(t) = x₀ + v·t، أين يبدأ الخط وما الذي يحدّد ميله؟",
+      "sketchXtEquation.hint2": "يبدأ الخط عند x₀ = {x0} عندما t = 0.",
+      "sketchXtEquation.hint3": "x(t) = x₀ + v·t مع x₀ = {x0} وv = {v}: احسبوا x عند t = {t} وارسموا خطًا مستقيمًا حتى هناك.",
+
+      "sketchVtFootprint.prompt": "ارسموا رسم السرعة–الزمن حسب مخطط الآثار. الفاصل الزمني بين كل أثرين هو {timeGap} ثوانٍ.",
+      "sketchVtFootprint.step1": "بين كل أثرين يقطع الجسم {d} خلال {t}. الفواصل متساوية، لذلك السرعة ثابتة.",
+      "sketchVtFootprint.step2": "السرعة هي {d} / {t} = {v}.",
+      "sketchVtFootprint.step3": "في رسم v–t السرعة الثابتة هي خط أفقي على ارتفاع {v}.",
+      "sketchVtFootprint.hint1": "السرعة هي المسافة لكل وحدة زمن. كم تبعد الآثار بعضها عن بعض، وكم من الوقت بينها؟",
+      "sketchVtFootprint.hint3": "v = {d} / {t} = ? – خط أفقي على هذا الارتفاع.",
+
+      "matchXtToVt.feedback1": "في هذا الرسم إشارات السرعات معكوسة. عندما يصعد رسم x–t تكون السرعة موجبة، وعندما يهبط – سالبة.",
+      "matchXtToVt.feedback2": "هذا رسم x–t منسوخ كما هو. في رسم v–t ارتفاع الخط هو ميل رسم x–t، والسرعة الثابتة خط أفقي.",
+      "matchXtToVt.feedback3": "تتغير السرعة عند t={firstDuration}s – عند نقطة الانكسار في رسم x–t.",
+      "matchXtToVt.feedback4": "في المقطع الأول يتغير الموضع بمقدار {firstVelocity} م في كل ثانية، لذلك السرعة {firstVelocity} m/s.",
+      "matchXtToVt.prompt": "أي رسم سرعة–زمن يناسب رسم الموضع–الزمن الذي أمامكم؟",
+      "matchXtToVt.step1": "في المقطع الأول الميل هو {dx} خلال {t}، أي سرعة ثابتة {v}.",
+      "matchXtToVt.step2": "في المقطع الثاني الميل هو {dx} خلال {t}، أي {v}.",
+      "matchXtToVt.step3": "في رسم v–t كل مقطع هو خط أفقي على ارتفاع سرعته، والانتقال بينهما عند {ts}.",
+      "matchXtToVt.hint1": "أي كمية يمثّلها ميل كل جزء في رسم x–t؟",
+      "matchXtToVt.hint3": "v₁ = {dx1} / {t1}، v₂ = {dx2} / {t2}.",
+
+      "matchVtToXt.feedback1": "في هذا الرسم الاتجاهات معكوسة. السرعة الموجبة تعني أن الموضع يزداد – الرسم صاعد.",
+      "matchVtToXt.feedback2": "يبدأ الجسم عند x={motionX0} m، وليس في نقطة الأصل.",
+      "matchVtToXt.feedback3": "يبدأ الجسم في نقطة الأصل، x=0.",
+      "matchVtToXt.feedback4": "حسب رسم v–t تتغير السرعة عند t={firstDuration}s، وهناك يجب أن تكون نقطة الانكسار.",
+      "matchVtToXt.feedback5": "في المقطع الثاني السرعة {secondVelocity} m/s، لذلك يتغير الموضع بمقدار {secondVelocity} م في كل ثانية.",
+      "matchVtToXt.prompt": "عند t=0 يكون الجسم في x={motionX0}m. أي رسم موضع–زمن يناسب رسم السرعة–الزمن الذي أمامكم؟",
+      "matchVtToXt.step1": "في المقطع الأول السرعة {v} خلال {t}: يتغير الموضع بمقدار {dx}، من {x0} إلى {x1}.",
+      "matchVtToXt.step2": "في المقطع الثاني السرعة {v} خلال {t}: يتغير الموضع بمقدار {dx}، حتى {x2}.",
+      "matchVtToXt.step3": "السرعة الثابتة في كل مقطع هي خط مستقيم في رسم x–t، ونصل النقاط حسب الترتيب.",
+      "matchVtToXt.hint1": "ماذا تخبرنا المساحة تحت كل جزء من رسم v–t عن التغيّر في الموقع؟",
+      "matchVtToXt.hint3": "نبدأ من x₀ = {x0}؛ Δx₁ = {v1} · {t1}، Δx₂ = {v2} · {t2}.",
+
+      "matchTableToXt.feedback1": "بين بعض الصفوف تمرّ ثانيتان. يجب قسمة التغير في الموضع على الزمن بين الصفوف.",
+      "matchTableToXt.feedback2": "في صف t=0 يكون الجسم في x={x0} m، وليس في نقطة الأصل.",
+      "matchTableToXt.slope-sign": "الموضع في الجدول يزداد مع الزمن، لذلك الرسم صاعد.",
+      "matchTableToXt.slope-sign-alt": "الموضع في الجدول يتناقص مع الزمن، لذلك الرسم هابط.",
+      "matchTableToXt.feedback3": "حسب الجدول يتغير الموضع بمقدار {value1} م في كل ثانية.",
+      "matchTableToXt.prompt": "جسم يتحرك بسرعة ثابتة كما هو موصوف في الجدول. أي رسم موضع–زمن يصف حركته؟",
+      "matchTableToXt.step1": "في صف t=0 يكون الجسم في {x0}: يبدأ الرسم من هذه النقطة.",
+      "matchTableToXt.step2": "يتغير الموضع بمقدار {v} في كل ثانية، لذلك الرسم خط مستقيم ميله {v}.",
+      "matchTableToXt.step3": "في الصف الأخير، عند {t}، يكون الجسم في {x} – نقطة نهاية الخط.",
+      "matchTableToXt.hint1": "أي سطر يعطي الموقع الابتدائي، وكم يتغيّر x كل ثانية؟",
+      "matchTableToXt.hint3": "x₀ = {x0}، وv = Δx / Δt = {dx} / {dt} = ?",
+
+      "matchEquationToXt.slope-sign": "السرعة في المعادلة موجبة، لذلك الرسم صاعد.",
+      "matchEquationToXt.slope-sign-alt": "السرعة في المعادلة سالبة، لذلك الرسم هابط.",
+      "matchEquationToXt.feedback1": "الحد الحر في المعادلة هو x₀={intercept} m – انتبهوا للإشارة.",
+      "matchEquationToXt.feedback2": "معامل t هو السرعة ({velocity} m/s)، والحد الحر هو الموضع الابتدائي ({intercept} m).",
+      "matchEquationToXt.prompt": "أي رسم موضع–زمن يصف الحركة المعطاة معادلتها؟",
+      "matchEquationToXt.step1": "الحد الحر هو x₀ = {x0}: يقطع الرسم المحور العمودي عند هذا الارتفاع.",
+      "matchEquationToXt.step2": "معامل t هو السرعة {v}، لذلك الرسم خط مستقيم بهذا الميل.",
+      "matchEquationToXt.step3": "تحقق: عند {t} يكون الجسم في {x}.",
+      "matchEquationToXt.hint1": "في المعادلة x(t) = x₀ + v·t، أي عدد يحدّد بداية الرسم، وأيّها يحدّد ميله؟",
+      "matchEquationToXt.hint2": "يبدأ الرسم عند x₀ = {x0} عندما t = 0.",
+      "matchEquationToXt.hint3": "الميل هو v = {v}: يتغيّر الموقع بمقدار v كل ثانية، حتى t = {t}.",
+
+      "matchFootprintToVt.feedback1": "{tickStep} م هي المسافة بين أثرين، ويقطعها الجسم خلال {timeGap} ثوانٍ. السرعة هي {pace} m/s.",
+      "matchFootprintToVt.feedback2": "بين كل أثرين تمرّ ثانية واحدة ويتقدم الجسم {pace} م، لذلك السرعة {pace} m/s.",
+      "matchFootprintToVt.feedback3": "في هذا الرسم السرعة تزداد، لكن الفواصل بين الآثار متساوية – السرعة ثابتة والرسم أفقي.",
+      "matchFootprintToVt.feedback4": "الآثار تتقدم في اتجاه السهم، لذلك السرعة موجبة.",
+      "matchFootprintToVt.prompt": "أي رسم سرعة–زمن يناسب مخطط الآثار؟ الفاصل الزمني بين كل أثرين هو {timeGap} ثوانٍ.",
+      "matchFootprintToVt.step1": "الفواصل بين الآثار متساوية: {d} في كل {t}. لذلك السرعة ثابتة.",
+      "matchFootprintToVt.step2": "السرعة هي {d} / {t} = {v}، وفي رسم v–t هذا خط أفقي على هذا الارتفاع.",
+      "matchFootprintToVt.hint1": "رسم v–t يبيّن السرعة. هل هي ثابتة بين الآثار؟",
+      "matchFootprintToVt.hint3": "v = {d} / {t} = ?",
+    },
+  },
+};
+
+if (typeof module !== "undefined") {
+  module.exports = { DEFAULT_LOCALE, messages };
+}
@@ -1,1568 +1,1731 @@
 /**
- * Rules for footprint graphs:
- * The time gaps between two footprints are always constant and is specified in the main part of the question.
- * Every footprint appears above a tick mark on the position axis.
- * The ticks are always evenly spaced, and at least some of them have labels.
- * The direction of movement is always constant in the context of the question (no back-and-forth)
- * and is specified in the main part of the question and using an arrow.
+ * The page: quiz state, storage, rendering into the document and event handling. Questions and their
+ * representations come from core.js and the `?test` checks from validate.js, both loaded before this file.
  */
 
-const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+let questionCount = 0;
+let correctCount = 0;
+let currentStreak = 0;
+let currentQuestion = null;
+let answered = false;
+let selectedOptionIndex = null;
+let answerMode = "choice";
+let skillStats = emptySkillStats();
+let reviewQueue = emptyReviewQueue();
+let lastWasReview = false;
+let revealedSteps = 0;
+let hintsShown = 0;
+let overlaysVisible = false;
+let sketchValues = [];
+let activeHighlight = null;
+let playback = null;
+let exam = null;
+let examHistory = [];
+let attemptLog = [];
+let studentName = "";
+let questionShownAt = Date.now();
+let storedLocale = null;
+let customTemplates = [];
+const STATS_STORAGE_KEY = "physics-quiz-stats";
+const SKILL_STORAGE_KEY = "physics-quiz-skills";
+const REVIEW_STORAGE_KEY = "physics-quiz-review";
+const ANSWER_MODE_STORAGE_KEY = "physics-quiz-answer-mode";
+const EXAM_STORAGE_KEY = "physics-quiz-exams";
+const ASSIGNMENT_STORAGE_KEY = "physics-quiz-assignment";
+const ATTEMPT_STORAGE_KEY = "physics-quiz-attempts";
+const STUDENT_STORAGE_KEY = "physics-quiz-student";
+const LOCALE_STORAGE_KEY = "physics-quiz-locale";
+const CUSTOM_TEMPLATE_STORAGE_KEY = "physics-quiz-custom-templates";
 
-const shuffle = (array) => {
-  const copy = [...array];
-  for (let i = copy.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
+const loadPersistedStats = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY) || "null");
+    if (typeof parsed?.correctCount === "number") correctCount = parsed.correctCount;
+    if (typeof parsed?.currentStreak === "number") currentStreak = parsed.currentStreak;
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    if (localStorage.getItem(ANSWER_MODE_STORAGE_KEY) === "free") answerMode = "free";
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SKILL_STORAGE_KEY) || "null");
+    if (parsed?.skills && parsed?.builders) skillStats = parsed;
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    const parsed = JSON.parse(localStorage.getItem(REVIEW_STORAGE_KEY) || "null");
+    if (typeof parsed?.clock === "number" && Array.isArray(parsed?.items)) {
+      reviewQueue = { clock: parsed.clock, items: parsed.items };
+    }
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    const parsed = JSON.parse(localStorage.getItem(EXAM_STORAGE_KEY) || "null");
+    if (Array.isArray(parsed)) examHistory = parsed;
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ATTEMPT_STORAGE_KEY) || "null");
+    if (Array.isArray(parsed)) attemptLog = parsed;
+    studentName = localStorage.getItem(STUDENT_STORAGE_KEY) || "";
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    storedLocale = localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch (err) {
+    // ignore persistence errors
+  }
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATE_STORAGE_KEY) || "null");
+    if (Array.isArray(parsed)) customTemplates = parsed;
+  } catch (err) {
+    // ignore persistence errors
   }
-  return copy;
 };
 
-const axisSegments = 4;
+loadPersistedStats();
 
-const buildTicks = (minValue, maxValue, segments = axisSegments) => {
-  const span = maxValue - minValue;
-  if (span === 0) {
-    return [minValue];
+const testReportEl = document.getElementById("test-report");
+const representationEl = document.getElementById("representation");
+const representationDataEl = document.getElementById("representation-data");
+const promptEl = document.getElementById("prompt");
+const optionsEl = document.getElementById("options");
+const feedbackEl = document.getElementById("feedback");
+const hintBtn = document.getElementById("show-hint");
+const hintListEl = document.getElementById("hint-list");
+const hintNoteEl = document.getElementById("hint-note");
+const solutionEl = document.getElementById("solution");
+const overlayBtn = document.getElementById("show-overlays");
+const playbackBtn = document.getElementById("show-playback");
+const playbackEl = document.getElementById("playback");
+const playbackTrackEl = document.getElementById("playback-track");
+const playbackToggleBtn = document.getElementById("playback-toggle");
+const playbackScrub = document.getElementById("playback-scrub");
+const playbackTimeEl = document.getElementById("playback-time");
+const playbackSpeedSelect = document.getElementById("playback-speed");
+const submitBtn = document.getElementById("submit-answer");
+const correctCountEl = document.getElementById("correct-count");
+const streakEl = document.getElementById("streak-count");
+const reviewCountEl = document.getElementById("review-count");
+const assignmentProgressEl = document.getElementById("assignment-progress");
+const questionIdEl = document.getElementById("question-id");
+const skillSummaryEl = document.getElementById("skill-summary");
+const skillListEl = document.getElementById("skill-list");
+const shareBtn = document.getElementById("share-question");
+const answerModeBtn = document.getElementById("answer-mode-toggle");
+const quizCardEl = document.getElementById("quiz");
+const examBtn = document.getElementById("start-exam");
+const examBarEl = document.getElementById("exam-bar");
+const examProgressEl = document.getElementById("exam-progress");
+const examTimerEl = document.getElementById("exam-timer");
+const finishExamBtn = document.getElementById("finish-exam");
+const examSetupEl = document.getElementById("exam-setup");
+const examForm = document.getElementById("exam-form");
+const examLengthInput = document.getElementById("exam-length");
+const examMinutesInput = document.getElementById("exam-minutes");
+const examSkillsEl = document.getElementById("exam-skills");
+const examSetupErrorEl = document.getElementById("exam-setup-error");
+const cancelExamBtn = document.getElementById("cancel-exam");
+const examSummaryEl = document.getElementById("exam-summary");
+const studentNameInput = document.getElementById("student-name");
+const attemptCountEl = document.getElementById("attempt-count");
+const exportJsonBtn = document.getElementById("export-json");
+const exportCsvBtn = document.getElementById("export-csv");
+const teacherEl = document.getElementById("teacher");
+const worksheetEl = document.getElementById("worksheet");
+const teacherFilesInput = document.getElementById("teacher-files");
+const teacherFilesEl = document.getElementById("teacher-files-list");
+const teacherReportEl = document.getElementById("teacher-report");
+const localeSelect = document.getElementById("locale-select");
+const editorEl = document.getElementById("editor");
+const editorForm = document.getElementById("editor-form");
+const editorIdInput = document.getElementById("editor-id");
+const editorTypeSelect = document.getElementById("editor-type");
+const editorSkillsEl = document.getElementById("editor-skills");
+const editorRepresentationSelect = document.getElementById("editor-representation");
+const editorDataField = document.getElementById("editor-data-field");
+const editorDataLabel = document.getElementById("editor-data-label");
+const editorDataInput = document.getElementById("editor-data");
+const editorFootprintFields = document.getElementById("editor-footprint-fields");
+const editorTickStepInput = document.getElementById("editor-tick-step");
+const editorTimeLabelsInput = document.getElementById("editor-time-labels");
+const editorPromptInput = document.getElementById("editor-prompt");
+const editorAnswerLabel = document.getElementById("editor-answer-label");
+const editorAnswerInput = document.getElementById("editor-answer");
+const editorDistractorsEl = document.getElementById("editor-distractors");
+const editorSolutionInput = document.getElementById("editor-solution");
+const editorIssuesEl = document.getElementById("editor-issues");
+const editorStatusEl = document.getElementById("editor-status");
+const editorPreviewEl = document.getElementById("editor-preview");
+const editorSavedEl = document.getElementById("editor-saved");
+
+// Swaps each \(...\) in the element's text for `latexToHtml`, leaving the surrounding nodes (and their listeners) intact.
+const renderMathFallback = (element) => {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeValue.includes("\\(")) nodes.push(walker.currentNode);
   }
-  return Array.from({ length: segments + 1 }, (_, index) => minValue + (span * index) / segments);
+  nodes.forEach((node) => {
+    const span = document.createElement("span");
+    span.innerHTML = node.nodeValue
+      .split(/\\\((.+?)\\\)/s)
+      .map((part, index) => (index % 2 ? latexToHtml(part) : escapeHtml(part)))
+      .join("");
+    node.replaceWith(span);
+  });
 };
 
-const formatNumber = (value) => {
-  if (Number.isInteger(value)) {
-    return value.toString();
+// Once MathJax has failed to load (offline classroom), later calls go straight to the fallback.
+let mathFallback = false;
+
+const typesetMath = (element, retries = 6) => {
+  if (!element) return;
+  const mj = window.MathJax;
+  if (mj?.typesetPromise) {
+    mj.typesetPromise([element]).catch(() => {});
+    return;
+  }
+  if (typeof mj?.typeset === "function") {
+    mj.typeset([element]);
+    return;
   }
-  const absVal = Math.abs(value);
-  let decimals = 2;
-  if (absVal >= 10) {
-    decimals = 1;
-  } else if (absVal < 1) {
-    decimals = 3;
+  if (mathFallback || retries <= 0) {
+    mathFallback = true;
+    renderMathFallback(element);
+    return;
   }
-  const fixed = value.toFixed(decimals);
-  return fixed.replace(/\.?0+$/, "");
+  setTimeout(() => typesetMath(element, retries - 1), 200);
 };
-const formatTick = (value) => formatNumber(value);
-
-const resolveUnit = (option, question) => option.displayUnit || question.answerUnit || { multiplier: 1, label: option.unit };
-
-const formatOption = (option, question) => {
-  if (option.text) {
-    if (option.latex) {
-      return `\\(${option.latex}\\)`;
-    }
-    return option.text;
-  }
-  const unitInfo = resolveUnit(option, question);
-  const displayValue = option.value * (unitInfo.multiplier ?? 1);
-  const text = formatNumber(displayValue);
-  return `${text} ${unitInfo.label}`;
-};
-
-const randomTimes = (count, stepOptions = [1, 1, 2]) => {
-  const times = [0];
-  for (let i = 1; i < count; i += 1) {
-    const step = stepOptions[randomInt(0, stepOptions.length - 1)];
-    times.push(times[i - 1] + step);
-  }
-  return times;
-};
-
-const ensureMetadata = (question, defaultType = "speed") => {
-  question.answerType = question.answerType || defaultType;
-  question.baseUnit = question.baseUnit || question.correctAnswer?.unit;
-  question.correctValue = question.correctValue ?? question.correctAnswer?.value;
-  question.explanationBase = question.explanationBase || question.explanation;
-  question.answerUnit = question.answerUnit || { multiplier: 1, label: question.baseUnit };
-};
-
-const scaleRepresentation = (representation, factor, label) => {
-  if (!representation) return;
-  switch (representation.type) {
-    case "table":
-      representation.rows = representation.rows.map((row) => [row[0], (Number(row[1]) * factor).toString()]);
-      representation.headers = ["t (s)", label];
-      break;
-    case "xt-graph":
-      representation.points = representation.points.map((point) => ({ t: point.t, x: point.x * factor }));
-      if (representation.maxDistance !== undefined) {
-        representation.maxDistance *= factor;
-      } else {
-        representation.maxDistance = Math.max(...representation.points.map((p) => p.x));
-      }
-      if (representation.minDistance !== undefined) {
-        representation.minDistance *= factor;
-      } else {
-        representation.minDistance = Math.min(...representation.points.map((p) => p.x));
-      }
-      representation.yLabel = label;
-      if (Array.isArray(representation.yTicks)) {
-        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "vt-graph":
-      representation.points = representation.points.map((point) => ({ t: point.t, v: point.v * factor }));
-      if (representation.maxVelocity !== undefined) {
-        representation.maxVelocity *= factor;
-      } else {
-        representation.maxVelocity = Math.max(...representation.points.map((p) => p.v));
-      }
-      if (representation.minVelocity !== undefined) {
-        representation.minVelocity *= factor;
-      } else {
-        representation.minVelocity = Math.min(...representation.points.map((p) => p.v));
-      }
-      representation.yLabel = label;
-      if (Array.isArray(representation.yTicks)) {
-        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "footprint":
-      representation.steps = representation.steps.map((step) => ({ ...step, position: step.position * factor }));
-      representation.axisLabel = label;
-      representation.tickPositions = representation.steps.map((step) => step.position);
-      break;
-    case "dual-xt":
-      representation.objects = representation.objects.map((object) => ({
-        ...object,
-        points: object.points.map((point) => ({ t: point.t, x: point.x * factor })),
-      }));
-      representation.maxDistance *= factor;
-      if (representation.minDistance !== undefined) {
-        representation.minDistance *= factor;
-      }
-      if (Array.isArray(representation.yTicks)) {
-        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "dual-vt":
-      representation.objects = representation.objects.map((object) => ({
-        ...object,
-        points: object.points.map((point) => ({ t: point.t, v: point.v * factor })),
-      }));
-      representation.maxVelocity *= factor;
-      if (representation.minVelocity !== undefined) {
-        representation.minVelocity *= factor;
-      }
-      if (Array.isArray(representation.yTicks)) {
-        representation.yTicks = representation.yTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "xt-equation":
-      representation.velocity *= factor;
-      representation.intercept *= factor;
-      representation.distanceLabel = label.replace(/.*\(([^)]+)\).*/, "$1").trim() || label;
-      break;
-    default:
-      break;
-  }
-};
-
-const scaleRepresentationTime = (representation, factor, label) => {
-  if (!representation) return;
-  switch (representation.type) {
-    case "table":
-      representation.rows = representation.rows.map((row) => [(Number(row[0]) * factor).toString(), row[1]]);
-      representation.headers = [label, representation.headers[1]];
-      break;
-    case "xt-graph":
-      representation.points = representation.points.map((point) => ({ t: point.t * factor, x: point.x }));
-      representation.maxTime *= factor;
-      representation.xLabel = label;
-      if (Array.isArray(representation.xTicks)) {
-        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "vt-graph":
-      representation.points = representation.points.map((point) => ({ t: point.t * factor, v: point.v }));
-      representation.maxTime *= factor;
-      representation.xLabel = label;
-      if (Array.isArray(representation.xTicks)) {
-        representation.xTicks = representation.xTicks.map((tick) => tick * factor);
-      }
-      break;
-    case "dual-xt":
-      representation.objects = representation.objects.map((object) => ({
-        ...object,
-        points: object.points.map((point) => ({ t: point.t * factor, x: point.x })),
-      }));
-      representation.maxTime *= factor;
-      break;
-    case "dual-vt":
-      representation.objects = representation.objects.map((object) => ({
-        ...object,
-        points: object.points.map((point) => ({ t: point.t * factor, v: point.v })),
-      }));
-      representation.maxTime *= factor;
-      break;
-    case "xt-equation":
-      representation.velocity /= factor || 1;
-      representation.timeLabel = label.replace(/.*\(([^)]+)\).*/, "$1").trim() || label;
-      break;
-    default:
-      break;
-  }
-};
-
-const alternateUnits = {
-  speed: [
-    { multiplier: 3.6, label: "km/h" },
-    { multiplier: 100, label: "cm/s" },
-    { multiplier: 60, label: "m/min" },
-  ],
-  distance: [
-    { multiplier: 100, label: "cm" },
-  ],
-  time: [
-    { multiplier: 1 / 60, label: "min" },
-  ],
-};
-
-const randomChoice = (items) => items[randomInt(0, items.length - 1)];
-
-const createOption = (value, unit, overrides = {}) => ({
-  value,
-  unit,
-  isCorrect: false,
-  ...overrides,
-});
 
-const optionKey = (option) => {
-  const unitLabel = option.displayUnit?.label || option.unit;
-  return `${option.text || ""}|${unitLabel}|${option.value}`;
+const urlParams = new URLSearchParams(window.location.search);
+const isTestMode = urlParams.has("test");
+const isTeacherMode = urlParams.has("teacher");
+const isWorksheetMode = urlParams.has("worksheet");
+const isEditorMode = urlParams.has("editor");
+// Resolved at start-up, once template builders are registered, so links may name them.
+let sharedQuestion = null;
+let assignment = null;
+
+// An assignment resumes from its saved progress, so a `q` left in its link is ignored.
+const readLinkState = () => {
+  const spec = parseAssignment(urlParams.get("assign"));
+  assignment = spec ? { spec, key: formatAssignment(spec), plan: planAssignment(spec) } : null;
+  sharedQuestion = assignment ? null : parseQuestionId(urlParams.get("q"));
 };
 
-const formatEquation = ({ velocity, intercept, distanceLabel = "m", timeLabel = "s" }) => {
-  const vText = formatNumber(velocity);
-  const x0Text = formatNumber(Math.abs(intercept));
-  const sign = intercept >= 0 ? "+" : "-";
-  const velocityUnit = `${distanceLabel}/${timeLabel}`;
-  return `x(t) = ${vText} ${velocityUnit} · t ${sign} ${x0Text} ${distanceLabel}`;
+const renderSkillPanel = () => {
+  const mastered = skillCatalog.filter((skill) => isSkillMastered(skillStats.skills[skill]));
+  skillSummaryEl.textContent = t("ui.skillSummary", { mastered: mastered.length, total: skillCatalog.length });
+  skillListEl.innerHTML = skillCatalog
+    .map((skill) => {
+      const history = skillStats.skills[skill] || [];
+      const percent = history.length ? Math.round((history.filter(Boolean).length / history.length) * 100) : 0;
+      const status = mastered.includes(skill) ? t("ui.skillMastered") : `${history.length ? `${percent}%` : "—"}`;
+      return `
+        <li class="skill-row${mastered.includes(skill) ? " mastered" : ""}">
+          <span>${skillLabel(skill)}</span>
+          <span class="skill-bar"><span style="width: ${percent}%"></span></span>
+          <span class="skill-status">${status}</span>
+        </li>`;
+    })
+    .join("");
+  try {
+    localStorage.setItem(SKILL_STORAGE_KEY, JSON.stringify(skillStats));
+  } catch (err) {
+    // ignore persistence errors
+  }
 };
 
-const formatEquationLatex = ({ velocity, intercept, distanceLabel = "m", timeLabel = "s" }) => {
-  const vText = formatNumber(velocity);
-  const absX0 = formatNumber(Math.abs(intercept));
-  const sign = intercept >= 0 ? "+" : "-";
-  const velocityTerm = `${vText}\\,\\frac{${distanceLabel}}{${timeLabel}}`;
-  const interceptTerm = `${absX0}\\,${distanceLabel}`;
-  return `x(t)=${velocityTerm}\\,t\\,${sign}\\,${interceptTerm}`;
+const updateStats = () => {
+  correctCountEl.textContent = `⬆️ ${formatNumber(correctCount)}`;
+  reviewCountEl.textContent = `🔁 ${reviewQueue.items.length}`;
+  reviewCountEl.title = t("ui.reviewCount");
+  if (currentStreak >= 3) {
+    streakEl.textContent = `🔥 ${currentStreak}`;
+    streakEl.classList.add("streak-hot");
+  } else {
+    streakEl.textContent = `🔥 ${currentStreak}`;
+    streakEl.classList.remove("streak-hot");
+  }
+  try {
+    localStorage.setItem(
+      STATS_STORAGE_KEY,
+      JSON.stringify({ correctCount, currentStreak })
+    );
+    localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(reviewQueue));
+  } catch (err) {
+    // ignore persistence errors
+  }
 };
 
-const createEquationOption = ({ velocity, intercept, distanceLabel = "m", timeLabel = "s", isCorrect = false }) => {
-  const base = { velocity, intercept, distanceLabel, timeLabel };
-  const text = formatEquation(base);
-  const latex = formatEquationLatex(base);
-  return { value: text, unit: "equation", text, latex, isCorrect };
+const buildReviewQuestion = (item) => {
+  const seed = item.box === 0 ? item.seed : randomSeed();
+  const question = buildQuestion(builderById(item.builderId), seed);
+  question.reviewKey = item.key;
+  return question;
 };
 
-const buildEquationRepresentation = (velocity, intercept, distanceLabel = "m", timeLabel = "s") => ({
-  type: "xt-equation",
-  velocity,
-  intercept,
-  distanceLabel,
-  timeLabel,
-});
-
-const generateNumericDistractors = (correctOption, question, existingOptions = []) => {
-  const distractors = [];
-  const targetCount = Math.max(4, existingOptions.length + 2);
-  const ensureUnique = (candidate) => {
-    if (!candidate) return;
-    const baseCorrect = question.correctValue ?? correctOption.value;
-    const isSameMagnitude = Math.abs(candidate.value - baseCorrect) < 1e-9;
-    if (!candidate.isCorrect && isSameMagnitude) {
-      return;
-    }
-    if (["distance", "time"].includes(question.answerType) && baseCorrect >= 0 && candidate.value < 0) {
-      return;
-    }
-    const currentKeys = new Set([...existingOptions, ...distractors].map(optionKey));
-    if (!currentKeys.has(optionKey(candidate))) {
-      distractors.push(candidate);
-    }
-  };
+const assignmentBuildOptions = () => (assignment ? { unitVariation: assignment.spec.unitVariation } : {});
 
-  const magnitude = Math.max(1, Math.abs(correctOption.value));
-  const fractionalNudge = () => {
-    const delta = (Math.random() * 0.6 + 0.2) * (Math.random() < 0.5 ? -1 : 1);
-    const shift = Number((delta).toFixed(2));
-    return createOption(correctOption.value + shift, question.baseUnit);
-  };
-  const additive = () => {
-    const span = Math.max(1, Math.round(magnitude * 0.25));
-    const delta = randomInt(1, span) * (Math.random() < 0.5 ? -1 : 1);
-    return createOption(correctOption.value + delta, question.baseUnit);
-  };
-  const multiplicative = () => {
-    const factors = [0.5, 0.75, 1.25, 1.5, 2];
-    return createOption(Number((correctOption.value * randomChoice(factors)).toFixed(2)), question.baseUnit);
-  };
-  const differentUnit = () => {
-    const pool = alternateUnits[question.answerType] || [];
-    const filtered = pool.filter((unit) => unit.label !== question.answerUnit?.label);
-    if (!filtered.length) return null;
-    const altUnit = randomChoice(filtered);
-    return createOption(correctOption.value, question.baseUnit, { displayUnit: altUnit });
-  };
+const isAssignmentComplete = () => Boolean(assignment) && questionCount >= assignment.plan.length;
 
-  const strategies = [additive, multiplicative, fractionalNudge, differentUnit];
-  let guard = 0;
-  while (distractors.length + existingOptions.length < targetCount && guard < 30) {
-    const candidate = randomChoice(strategies)();
-    ensureUnique(candidate);
-    guard += 1;
+const updateAssignmentProgress = () => {
+  assignmentProgressEl.hidden = false;
+  assignmentProgressEl.textContent = `📋 ${questionCount}/${assignment.plan.length}`;
+  assignmentProgressEl.title = t("ui.assignmentProgress");
+  try {
+    localStorage.setItem(ASSIGNMENT_STORAGE_KEY, JSON.stringify({ key: assignment.key, index: questionCount }));
+  } catch (err) {
+    // ignore persistence errors
   }
-  return distractors;
 };
 
-const randomFootprintGaps = (count, gapChoices = [1, 1, 2]) =>
-  Array.from({ length: count - 1 }, () => gapChoices[randomInt(0, gapChoices.length - 1)]);
-
-const formatGaps = (gaps) => gaps.map((gap) => `${gap} שנ׳`).join(", ");
+// A reload resumes the assignment at the question the student was on.
+const loadAssignmentProgress = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ASSIGNMENT_STORAGE_KEY) || "null");
+    if (parsed?.key === assignment.key && typeof parsed.index === "number") {
+      return Math.min(Math.max(parsed.index - 1, 0), assignment.plan.length - 1);
+    }
+  } catch (err) {
+    // ignore persistence errors
+  }
+  return 0;
+};
 
-const buildEvenTicks = (maxValue, step) => {
-  const ticks = [];
-  for (let value = 0; value <= maxValue; value += step) {
-    ticks.push(value);
+// Assignments follow their fixed plan and skip the review queue, like `?test`.
+const generateQuestion = () => {
+  if (assignment) {
+    const item = assignment.plan[Math.min(questionCount, assignment.plan.length - 1)];
+    questionCount += 1;
+    updateAssignmentProgress();
+    return buildQuestion(builderById(item.builderId), item.seed, assignmentBuildOptions());
   }
-  if (ticks[ticks.length - 1] !== maxValue) {
-    ticks.push(maxValue);
+  const dueReview = isTestMode || lastWasReview ? null : nextDueReview(reviewQueue);
+  lastWasReview = Boolean(dueReview);
+  if (dueReview) {
+    questionCount += 1;
+    return buildReviewQuestion(dueReview);
   }
-  return ticks;
+  const entry = isTestMode
+    ? questionBuilders[questionCount % questionBuilders.length]
+    : pickAdaptiveBuilder(Math.random, questionBuilders, skillStats);
+  questionCount += 1;
+  return buildQuestion(entry, randomSeed());
 };
 
-const unitBehaviors = [
-  {
-    appliesTo: "speed",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 3.6, label: "km/h" };
-      if (question.representation && ["vt-graph", "dual-vt"].includes(question.representation.type)) {
-        scaleRepresentation(question.representation, 3.6, "v (km/h)");
-      }
-    },
-  },
-  {
-    appliesTo: "distance",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 0.001, label: "km" };
-      if (question.representation) scaleRepresentation(question.representation, 0.001, "x (km)");
-    },
-  },
-  {
-    appliesTo: "speed",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 100, label: "cm/s" };
-      if (question.representation && ["vt-graph", "dual-vt"].includes(question.representation.type)) {
-        scaleRepresentation(question.representation, 100, "v (cm/s)");
-      }
-    },
-  },
-  {
-    appliesTo: "speed",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 60, label: "m/min" };
-      if (question.representation) {
-        scaleRepresentationTime(question.representation, 1 / 60, "t (min)");
-        if (["vt-graph", "dual-vt"].includes(question.representation.type)) {
-          scaleRepresentation(question.representation, 60, "v (m/min)");
-        }
-      }
-    },
-  },
-  {
-    appliesTo: "distance",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 0.01, label: "cm" };
-      if (question.representation) scaleRepresentation(question.representation, 0.01, "x (cm)");
-    },
-  },
-  {
-    appliesTo: "time",
-    apply: (question) => {
-      question.answerUnit = { multiplier: 1 / 60, label: "min" };
-      if (question.representation) scaleRepresentationTime(question.representation, 1 / 60, "t (min)");
-    },
-  },
-];
+const questionLink = (question) => {
+  const params = new URLSearchParams(window.location.search);
+  params.set("q", question.id);
+  // Keep links readable: `?test&q=xt-return:8f3a` rather than `?test=&q=xt-return%3A8f3a`.
+  const query = params
+    .toString()
+    .replace(/%3A/gi, ":")
+    .replace(/%2C/gi, ",")
+    .replace(/%3B/gi, ";")
+    .replace(/=(?=&|$)/g, "");
+  return `${window.location.pathname}?${query}`;
+};
 
-const buildOptionsForQuestion = (question) => {
-  if (Array.isArray(question.fixedOptions) && question.fixedOptions.length > 0) {
-    question.options = shuffle(question.fixedOptions);
-    return;
+// Assignment links stay as the teacher shared them; the plan position lives in storage instead.
+// An exam question never reaches the address bar, where it could be reopened in practice with its solution.
+const syncQuestionUrl = (question) => {
+  if (assignment || exam) return;
+  try {
+    window.history.replaceState(null, "", questionLink(question));
+  } catch (err) {
+    // ignore history errors (e.g. file:// pages)
   }
-  const baseUnit = question.baseUnit || question.correctAnswer?.unit;
-  const correctOption = createOption(question.correctAnswer.value, baseUnit, {
-    isCorrect: true,
-    text: question.correctAnswer.text,
-  });
-  const providedDistractors = (question.distractors || []).map((entry) => {
-    if (typeof entry === "number") {
-      return createOption(entry, baseUnit);
-    }
-    if (typeof entry === "object" && entry !== null) {
-      return createOption(entry.value ?? entry, entry.unit || baseUnit, { text: entry.text, displayUnit: entry.displayUnit });
-    }
-    return null;
-  }).filter(Boolean);
-
-  const generated = generateNumericDistractors(correctOption, question, [correctOption, ...providedDistractors]);
-  question.options = shuffle([correctOption, ...providedDistractors, ...generated]);
 };
 
-const updateExplanationUnits = (question) => {
-  const baseUnit = question.baseUnit ?? question.correctAnswer?.unit;
-  const baseValue = question.correctValue ?? question.correctAnswer?.value;
-  const baseText = question.explanationBase ?? question.explanation;
-  if (!question.answerUnit || !baseUnit || baseValue === undefined) {
-    question.explanation = baseText;
-    return;
-  }
-  if (question.answerUnit.label === baseUnit) {
-    question.explanation = baseText;
-    return;
-  }
-  const displayValue = formatNumber(baseValue * question.answerUnit.multiplier);
-  question.explanation = `${baseText} (${displayValue} ${question.answerUnit.label} = ${formatNumber(baseValue)} ${baseUnit})`;
-};
-
-const unitStrategy = (sequenceNumber, question) => {
-  const seqMap = [
-    { mod: 7, behavior: unitBehaviors[0], type: "speed" },
-    { mod: 6, behavior: unitBehaviors[1], type: "distance" },
-    { mod: 5, behavior: unitBehaviors[2], type: "speed" },
-    { mod: 4, behavior: unitBehaviors[3], type: "speed" },
-    { mod: 3, behavior: unitBehaviors[4], type: "distance" },
-    { mod: 2, behavior: unitBehaviors[5], type: "time" },
-  ];
-  for (const entry of seqMap) {
-    if (sequenceNumber % entry.mod === 0 && question.answerType === entry.type) {
-      entry.behavior.apply(question);
-      break;
-    }
+const copyQuestionLink = () => {
+  if (!currentQuestion) return;
+  const url = new URL(questionLink(currentQuestion), window.location.href).toString();
+  const done = () => {
+    shareBtn.textContent = t("ui.linkCopied");
+    setTimeout(() => {
+      shareBtn.textContent = t("ui.shareQuestion");
+    }, 1500);
+  };
+  if (navigator.clipboard?.writeText) {
+    navigator.clipboard.writeText(url).then(done).catch(() => {});
   }
 };
 
-const tableRandomQuestion = () => {
-  const speed = randomInt(3, 7);
-  const startDistance = randomInt(0, 6);
-  const times = randomTimes(4, [1, 1, 2]);
-  const rows = times.map((time) => [time.toString(), (startDistance + speed * time).toString()]);
-  const question = {
-    id: `table-rand-${Date.now()}-${speed}`,
-    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
-    prompt: "לפניכם טבלת מיקום-זמן של גוף הנע במהירות קבועה. מה מהירות הגוף?",
-    correctAnswer: { value: speed, unit: "m/s" },
-    explanation: `המרחק גדל ב־${speed} מ׳ בכל שניה.`,
-  };
-  return question;
+const usesFreeResponse = (question) => answerMode === "free" && supportsFreeResponse(question);
+
+const renderFreeResponse = () => {
+  optionsEl.innerHTML = `
+    <form class="free-response" id="free-response" novalidate>
+      <label for="free-response-input">${t("ui.freeResponseLabel")}</label>
+      <div class="free-response-row">
+        <input id="free-response-input" type="text" autocomplete="off" dir="ltr" />
+        <button class="secondary" type="submit">${t("ui.checkAnswer")}</button>
+      </div>
+    </form>
+    <div class="confirm-area" id="confirm-area"></div>
+  `;
+  document.getElementById("free-response").addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitFreeResponse();
+  });
 };
 
-const tableAverageSpeedQuestion = () => {
-  const speeds = [randomInt(3, 6), randomInt(4, 7), randomInt(5, 8)];
-  const times = [randomInt(1, 5), randomInt(1, 3), randomInt(5, 9)];
-  const rows = [];
-  let distance = 0;
-  let time = 0;
-  rows.push(["0", "0"]);
-  speeds.forEach((speed, index) => {
-    distance += speed * times[index];
-    time += times[index];
-    rows.push([time.toString(), distance.toString()]);
+const updateSketchVertex = (index, value) => {
+  sketchValues[index] = value;
+  const layout = sketchLayout(currentQuestion.sketch);
+  const vertex = optionsEl.querySelector(`.sketch-vertex[data-index="${index}"]`);
+  vertex.setAttribute("cy", layout.scaleY(value));
+  vertex.setAttribute("aria-valuenow", value);
+  optionsEl.querySelector(".sketch-line").setAttribute("points", layout.polyline(sketchValues));
+};
+
+// Vertices sit on the time grid and move only vertically, snapping to the value grid (pointer or arrow keys).
+const attachSketchHandlers = (sketch) => {
+  const svg = optionsEl.querySelector(".sketch-canvas svg");
+  const layout = sketchLayout(sketch);
+  const grid = sketchValueGrid(sketch);
+  let dragIndex = null;
+  svg.addEventListener("pointerdown", (event) => {
+    if (answered || !event.target.classList.contains("sketch-vertex")) return;
+    dragIndex = Number(event.target.dataset.index);
+    svg.setPointerCapture(event.pointerId);
+  });
+  svg.addEventListener("pointermove", (event) => {
+    if (dragIndex === null) return;
+    const rect = svg.getBoundingClientRect();
+    const viewY = ((event.clientY - rect.top) / rect.height) * layout.height;
+    updateSketchVertex(dragIndex, snapToGrid(grid, layout.invertY(viewY)));
+  });
+  svg.addEventListener("pointerup", () => {
+    dragIndex = null;
+  });
+  svg.querySelectorAll(".sketch-vertex").forEach((vertex) => {
+    vertex.addEventListener("keydown", (event) => {
+      const direction = { ArrowUp: 1, ArrowDown: -1 }[event.key];
+      if (answered || !direction) return;
+      event.preventDefault();
+      const index = Number(vertex.dataset.index);
+      const gridIndex = grid.indexOf(snapToGrid(grid, sketchValues[index])) + direction;
+      if (gridIndex >= 0 && gridIndex < grid.length) updateSketchVertex(index, grid[gridIndex]);
+    });
   });
-  const averageSpeed = Number((distance / time).toFixed(2));
-  return {
-    id: `table-average-${Date.now()}`,
-    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
-    prompt: "על פי טבלת המיקום-זמן שלפניכם, מה המהירות הממוצעת של הגוף?",
-    correctAnswer: { value: averageSpeed, unit: "m/s" },
-    explanation: `המרחק הכולל ${distance} מטרים ב־${time} שניות → ${averageSpeed} m/s.`,
-  };
 };
 
-const xtConstantQuestion = () => {
-  const time = randomInt(3, 6);
-  const speed = randomInt(-7, 7);
-  const startX = randomInt(-10, 10);
-  const distance = time * speed;
-  return {
-    id: `xt-constant-${Date.now()}-${speed}`,
-    representation: {
-      type: "xt-graph",
-      points: [
-        { t: 0, x: startX },
-        { t: time, x: startX + distance },
-      ],
-      minDistance: Math.min(startX, startX + distance),
-      maxDistance: Math.max(startX, startX + distance),
-      maxTime: time,
-      xTicks: [0, time / 2, time],
-      yTicks: [Math.min(startX, startX + distance), Math.max(startX, startX + distance)],
-    },
-    prompt: "מה מהירות הגוף לפי שיפוע הגרף?",
-    correctAnswer: { value: speed, unit: "m/s" },
-    explanation: `${distance} מטרים ב־${time} שניות → ${speed} m/s.`,
-  };
+const renderSketchAnswer = (question) => {
+  sketchValues = initialSketchValues(question.sketch);
+  optionsEl.innerHTML = `
+    <div class="sketch-answer">
+      <p class="sketch-hint">${t("ui.sketchHint")}</p>
+      <div class="sketch-canvas">${renderSketchCanvas(question.sketch, sketchValues)}</div>
+      <button class="secondary" type="button" id="submit-sketch">${t("ui.checkSketch")}</button>
+    </div>
+    <div class="confirm-area" id="confirm-area"></div>
+  `;
+  attachSketchHandlers(question.sketch);
+  document.getElementById("submit-sketch").addEventListener("click", submitSketch);
 };
 
-const xtSwitchQuestion = () => {
-  const firstSpeed = randomInt(2, 4);
-  const secondSpeed = randomInt(firstSpeed - 2, firstSpeed + 4);
-  const switchTime = randomInt(2, 3);
-  const totalTime = switchTime + randomInt(2, 4);
-  const firstDistance = firstSpeed * switchTime;
-  const secondDistance = secondSpeed * (totalTime - switchTime);
-  return {
-    id: `xt-switch-${Date.now()}-${Math.max(firstSpeed, secondSpeed)}`,
-    representation: {
-      type: "xt-graph",
-      points: [
-        { t: 0, x: 0 },
-        { t: switchTime, x: firstDistance },
-        { t: totalTime, x: firstDistance + secondDistance },
-      ],
-      maxTime: totalTime,
-      minDistance: 0,
-      maxDistance: firstDistance + secondDistance,
-      xTicks: [0, switchTime, totalTime],
-      yTicks: [0, firstDistance, firstDistance + secondDistance],
-    },
-    prompt: "מה המהירות המקסימלית של הגוף?",
-    correctAnswer: { value: Math.max(firstSpeed, secondSpeed), unit: "m/s" },
-    explanation: `מהירות ראשונה: ${firstSpeed} m/s, מהירות שנייה: ${secondSpeed} m/s → מקסימום: ${Math.max(firstSpeed, secondSpeed)} m/s.`,
-  };
+// Arrow keys follow the visual order, so Left/Right swap meaning in right-to-left locales.
+const optionKeySteps = () => {
+  const forward = messages[locale].dir === "rtl" ? "ArrowLeft" : "ArrowRight";
+  const backward = forward === "ArrowLeft" ? "ArrowRight" : "ArrowLeft";
+  return { [forward]: 1, [backward]: -1, ArrowDown: 1, ArrowUp: -1 };
 };
 
-const xtReturnQuestion = () => {
-  const forwardSpeed = randomInt(4, 7);
-  const backwardSpeed = randomInt(2, 4);
-  const forwardTime = randomInt(2, 3);
-  const backwardTime = randomInt(2, 4);
-  const sampleTime = randomInt(0, forwardTime + backwardTime);
-  const posAtSampleTime = (() => {
-    if (sampleTime <= forwardTime) {
-      return forwardSpeed * sampleTime;
+// The cards form a radio group with a roving tab stop: arrows move focus, Enter/Space selects,
+// and Enter on the already selected card confirms it.
+const handleOptionKeydown = (event) => {
+  const buttons = Array.from(optionsEl.querySelectorAll(".option-card"));
+  const index = Number(event.currentTarget.dataset.index);
+  const step = optionKeySteps()[event.key];
+  let target = null;
+  if (step) {
+    target = (index + step + buttons.length) % buttons.length;
+  } else if (event.key === "Home") {
+    target = 0;
+  } else if (event.key === "End") {
+    target = buttons.length - 1;
+  } else if (event.key === "Enter" || event.key === " ") {
+    event.preventDefault();
+    if (event.key === "Enter" && selectedOptionIndex === index) {
+      confirmSelection();
     } else {
-      return forwardSpeed * forwardTime - backwardSpeed * (sampleTime - forwardTime);
+      handleOptionSelect(index);
     }
-  })();
-  const forwardDistance = forwardSpeed * forwardTime;
-  const backwardDistance = backwardSpeed * backwardTime;
-  const finalPos = forwardDistance - backwardDistance;
-  return {
-    id: `xt-return-${Date.now()}-${finalPos}`,
-    representation: {
-      type: "xt-graph",
-      points: [
-        { t: 0, x: 0 },
-        { t: forwardTime, x: forwardDistance },
-        { t: forwardTime + backwardTime, x: finalPos },
-      ],
-      minDistance: Math.min(0, finalPos),
-      maxDistance: Math.max(forwardDistance, finalPos),
-      maxTime: forwardTime + backwardTime,
-      xTicks: [0, forwardTime, forwardTime + backwardTime],
-      yTicks: [finalPos, forwardDistance],
-    },
-    prompt: `מה המיקום של הגוף ברגע t=${sampleTime}s?`,
-    correctAnswer: { value: posAtSampleTime, unit: "m" },
-    explanation: ``,
-  };
+    return;
+  }
+  if (target === null) return;
+  event.preventDefault();
+  buttons.forEach((btn, position) => btn.setAttribute("tabindex", position === target ? "0" : "-1"));
+  buttons[target].focus();
 };
 
-const xtTotalDistanceQuestion = () => {
-  const speedForward = randomInt(3, 6);
-  const backwardSpeed = randomInt(2, 4);
-  const forwardTime = randomInt(2, 4);
-  const backwardTime = randomInt(2, 3);
-  const forwardDistance = speedForward * forwardTime;
-  const backwardDistance = backwardSpeed * backwardTime;
-  const totalDistance = forwardDistance + backwardDistance;
-  return {
-    id: `xt-total-${Date.now()}-${totalDistance}`,
-    representation: {
-      type: "xt-graph",
-      points: [
-        { t: 0, x: 0 },
-        { t: forwardTime, x: forwardDistance },
-        { t: forwardTime + backwardTime, x: forwardDistance - backwardDistance },
-      ],
-      maxTime: forwardTime + backwardTime,
-      minDistance: Math.min(0, forwardDistance - backwardDistance),
-      maxDistance: forwardDistance,
-      xTicks: [0, forwardTime, forwardTime + backwardTime],
-      yTicks: [forwardDistance - backwardDistance, forwardDistance],
-    },
-    prompt: "כמה מטרים נסע הגוף בסך הכל?",
-    correctAnswer: { value: totalDistance, unit: "m" },
-    explanation: `${forwardDistance} מ׳ קדימה + ${backwardDistance} מ׳ אחורה = ${totalDistance} מ׳.`,
-  };
+const renderOptionCards = (question) => {
+  optionsEl.innerHTML = `
+    <div class="option-grid" role="radiogroup" aria-labelledby="prompt">
+      ${question.options
+        .map((option, index) => {
+          const label = option.representation
+            ? ` aria-label="${escapeHtml(describeRepresentation(option.representation))}"`
+            : "";
+          return `
+            <button class="option-card" data-index="${index}" role="radio" aria-checked="false"
+              tabindex="${index === 0 ? "0" : "-1"}"${label}>
+              ${formatOption(option, question)}
+            </button>`;
+        })
+        .join("")}
+    </div>
+    <div class="confirm-area" id="confirm-area"></div>
+  `;
+  typesetMath(optionsEl);
+  document.querySelectorAll(".option-card").forEach((btn) => {
+    btn.addEventListener("click", () => handleOptionSelect(Number(btn.dataset.index)));
+    btn.addEventListener("keydown", handleOptionKeydown);
+  });
 };
 
-const vtAreaQuestion = () => {
-  const velocity = randomInt(3, 6);
-  const duration = randomInt(3, 5);
-  const distance = velocity * duration;
-  return {
-    id: `vt-area-${Date.now()}-${distance}`,
-    representation: {
-      type: "vt-graph",
-      points: [
-        { t: 0, v: velocity },
-        { t: duration, v: velocity },
-      ],
-      minVelocity: 0,
-      maxVelocity: velocity + 2,
-      maxTime: duration,
-      xTicks: [0, duration],
-      yTicks: [velocity],
-    },
-    prompt: "לפניכם גרף מהירות-זמן של תנועת גוף. איזה מרחק עובר הגוף בזמן התנועה?",
-    correctAnswer: { value: distance, unit: "m" },
-    explanation: `שטח = ${velocity} × ${duration} = ${distance} מ׳.`,
-  };
+// `?test` checks each question it shows; problems go to the console as well, so a sweep can be read from the log.
+const reportQuestionProblems = (question) => {
+  const problems = validateQuestion(question);
+  testReportEl.hidden = problems.length === 0;
+  testReportEl.innerHTML = problems.length
+    ? `<strong>${t("test.problems", { id: escapeHtml(question.id) })}</strong>
+       <ul>${problems.map((problem) => `<li>${escapeHtml(problem)}</li>`).join("")}</ul>`
+    : "";
+  if (problems.length) console.warn(`${question.id}: ${problems.join("; ")}`);
 };
 
-const vtStopQuestion = () => {
-  const initial = randomInt(6, 9);
-  const stopTime = randomInt(3, 5);
-  const durationFactor = randomInt(1, 3);
-  const duration = stopTime * durationFactor;
-  const finalSpeed = initial * (1 - durationFactor);
-  return {
-    id: `vt-stop-${Date.now()}-${duration}`,
-    representation: {
-      type: "vt-graph",
-      points: [
-        { t: 0, v: initial },
-        { t: duration, v: finalSpeed },
-      ],
-      minVelocity: finalSpeed,
-      maxVelocity: initial,
-      maxTime: duration,
-      xTicks: [0, duration],
-      yTicks: [0, initial],
-    },
-    prompt: "באיזה רגע הגוף נעצר?",
-    correctAnswer: { value: stopTime, unit: "s" },
-    explanation: ``,
-  };
+const renderCurrentQuestion = () => {
+  currentQuestion = currentQuestion ?? generateQuestion();
+  const question = currentQuestion;
+  questionIdEl.textContent = question.reviewKey ? t("ui.reviewQuestion", { id: question.id }) : question.id;
+  syncQuestionUrl(question);
+  promptEl.textContent = question.prompt;
+  questionShownAt = Date.now();
+  overlaysVisible = false;
+  activeHighlight = null;
+  // Overlays are hints, so exams keep them hidden.
+  overlayBtn.hidden = Boolean(exam) || !question.representation?.overlays?.length;
+  closePlayback();
+  playbackBtn.hidden = playbackTracks(question.representation).length === 0;
+  renderRepresentationView();
+  describeRepresentationView(question.representation);
+  if (isTestMode) reportQuestionProblems(question);
+  if (question.sketch) {
+    renderSketchAnswer(question);
+  } else if (usesFreeResponse(question)) {
+    renderFreeResponse();
+  } else {
+    renderOptionCards(question);
+  }
+  selectedOptionIndex = null;
+  submitBtn.style.display = "none";
+  feedbackEl.textContent = "";
+  solutionEl.innerHTML = "";
+  revealedSteps = 0;
+  answered = false;
+  hintsShown = 0;
+  hintNoteEl.textContent = "";
+  renderHints();
 };
 
-const vtAccelerationQuestion = () => {
-  const duration = randomInt(3, 5);
-  const finalVelocity = randomInt(5, 9);
-  return {
-    id: `vt-accel-${Date.now()}-${finalVelocity}`,
-    representation: {
-      type: "vt-graph",
-      points: [
-        { t: 0, v: 0 },
-        { t: duration, v: finalVelocity },
-      ],
-      minVelocity: 0,
-      maxVelocity: finalVelocity,
-      maxTime: duration,
-      xTicks: [0, duration],
-      yTicks: [0, finalVelocity],
-    },
-    prompt: "מה המהירות בסוף קו התאוצה?",
-    correctAnswer: { value: finalVelocity, unit: "m/s" },
-    explanation: `המהירות הסופית היא ${finalVelocity} m/s.`,
-  };
+// The representation's own overlays appear once answered (or on request); a solution step adds its highlight on top.
+const playbackCursors = () => {
+  if (!playback) return [];
+  const { representation } = currentQuestion;
+  if (representation.type === "footprint") return [{ type: "cursor", x: playback.tracks[0].positionAt(playback.time) }];
+  return playback.tracks.map((_, series) => ({ type: "cursor", series, t: playback.time }));
 };
 
-const footprintConstantQuestion = () => {
-  const pace = randomInt(2, 5);
-  const timeGap = randomInt(1, 2);
-  const tickStep = pace * timeGap;
-  const steps = Array.from({ length: 4 }, (_, idx) => ({
-    time: idx * timeGap,
-    position: pace * timeGap * idx,
-  }));
-  const maxPos = steps[steps.length - 1].position;
-  return {
-    id: `footprint-const-${Date.now()}-${pace}`,
-    representation: {
-      type: "footprint",
-      steps,
-      tickPositions: buildEvenTicks(maxPos, tickStep),
-    },
-    prompt: `מה המהירות לפי תרשים העקבות? פער הזמן בין כל שתי עקבות הוא ${timeGap} שניות.`,
-    correctAnswer: { value: pace, unit: "m/s" },
-    explanation: `מהירות קבועה ${pace} m/s. כל ${timeGap} שניות מוסיפים ${pace * timeGap} מ׳.`,
-  };
+const currentOverlays = () => {
+  const overlays = overlaysVisible ? [...(currentQuestion.representation?.overlays || [])] : [];
+  if (activeHighlight && !overlays.some((overlay) => JSON.stringify(overlay) === JSON.stringify(activeHighlight))) {
+    overlays.push(activeHighlight);
+  }
+  return [...overlays, ...playbackCursors()];
 };
 
-const footprintVariablePaceQuestion = () => {
-  const segmentCount = randomInt(3, 5);
-  const timeGap = randomInt(1, 3);
-  const baseStep = randomInt(2, 4);
-  const segmentDistances = Array.from({ length: segmentCount }, () => baseStep * randomInt(1, 4));
-  const steps = [{ time: 0, position: 0 }];
-  segmentDistances.forEach((dist) => {
-    const prev = steps[steps.length - 1];
-    steps.push({ time: prev.time + timeGap, position: prev.position + dist });
-  });
-  const totalTime = timeGap * (steps.length - 1);
-  const totalDistance = steps[steps.length - 1].position - steps[0].position;
-  const avg = Number((totalDistance / totalTime).toFixed(2));
-  const maxPos = steps[steps.length - 1].position;
-  const tickStep = baseStep * randomInt(1, 2);
-  return {
-    id: `footprint-var-${Date.now()}-${avg}`,
-    representation: {
-      type: "footprint",
-      steps,
-      tickPositions: buildEvenTicks(maxPos, baseStep),
-    },
-    prompt: `מה המהירות הממוצעת? פער הזמן בין העקבות הוא ${timeGap} שניות.`,
-    correctAnswer: { value: avg, unit: "m/s" },
-    explanation: `הגוף עבר ${totalDistance} מ׳ ב־${totalTime} שניות, ולכן מהירותו היא ${avg} m/s.`,
-  };
+const renderRepresentationView = () => {
+  representationEl.innerHTML = renderRepresentation(currentQuestion.representation, currentOverlays(), chartSizes.view);
+  typesetMath(representationEl);
 };
 
-
-const footprintDistanceQuestion = () => {
-  const pace = randomInt(2, 4);
-  const steps = [
-    { time: 0, position: 0 },
-    { time: 1, position: pace },
-    { time: 2, position: 3 * pace },
-    { time: 3, position: 2 * pace },
-  ];
-  const totalDistance = pace + 2 * pace + pace;
-  return {
-    id: `footprint-total-${Date.now()}-${totalDistance}`,
-    representation: {
-      type: "footprint",
-      steps,
-      timeBetween: 1,
-      tickPositions: steps.map((step) => step.position),
-    },
-    prompt: "כמה מטרים נסע הגוף בסך הכל?",
-    correctAnswer: { value: totalDistance, unit: "m" },
-    explanation: `קדימה ${pace}, עוד ${2 * pace}, אחורה ${pace} → ${totalDistance} מ׳.`,
-  };
+// A table stays a table for screen readers; everything else is an image labelled by its description.
+const describeRepresentationView = (representation) => {
+  representationEl.setAttribute("role", representation?.type === "table" ? "group" : "img");
+  representationEl.setAttribute("aria-label", describeRepresentation(representation));
+  representationDataEl.open = false;
+  representationDataEl.innerHTML = renderRepresentationData(representation);
+  representationDataEl.hidden = !representationDataEl.innerHTML;
 };
 
-const xtEquationPositionQuestion = () => {
-  const velocity = (() => {
-    const val = randomInt(-6, 8);
-    return val === 0 ? 4 : val;
-  })();
-  const intercept = randomInt(-10, 10);
-  const sampleTime = randomInt(2, 6);
-  const position = Number((velocity * sampleTime + intercept).toFixed(2));
-  const equationText = formatEquation({ velocity, intercept });
-  return {
-    id: `xt-eq-pos-${Date.now()}-${position}`,
-    representation: buildEquationRepresentation(velocity, intercept),
-    prompt: `נתונה משוואת מיקום-זמן של גוף בתנועה קבועה. מה מיקום הגוף בזמן t=${sampleTime}s?`,
-    correctAnswer: { value: position, unit: "m" },
-    explanation: `${equationText} → x(${sampleTime}) = ${velocity}·${sampleTime} ${intercept >= 0 ? '+' : '-'} ${Math.abs(intercept)} = ${position} m.`,
-  };
+const showOverlays = () => {
+  overlaysVisible = true;
+  overlayBtn.hidden = true;
+  renderRepresentationView();
 };
 
-const xtGraphEquationQuestion = () => {
-  const velocity = (() => {
-    const val = randomInt(-6, 7);
-    return val === 0 ? 5 : val;
-  })();
-  const intercept = randomInt(-5, 6);
-  const time = randomInt(3, 7);
-  const start = intercept;
-  const end = intercept + velocity * time;
-  const representation = {
-    type: "xt-graph",
-    points: [
-      { t: 0, x: start },
-      { t: time, x: end },
-    ],
-    minDistance: Math.min(start, end),
-    maxDistance: Math.max(start, end),
-    maxTime: time,
-    xTicks: [0, time / 2, time],
-    yTicks: [Math.min(start, end), Math.max(start, end)],
-  };
-  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
-  const wrongSlope = createEquationOption({ velocity: velocity + randomChoice([2, -2, 3]), intercept });
-  const wrongIntercept = createEquationOption({ velocity, intercept: intercept + randomChoice([3, -3, 5]) });
-  const flipped = createEquationOption({ velocity: -velocity || velocity + 1, intercept });
-  const options = shuffle([correctOption, wrongSlope, wrongIntercept, flipped]);
-  return {
-    id: `xt-graph-eq-${Date.now()}-${velocity}`,
-    representation,
-    prompt: "לפי גרף x/t, איזו משוואה מתארת את התנועה?",
-    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
-    fixedOptions: options,
-    explanation: `שיפוע הגרף הוא ${velocity} m/s והחותך ${intercept} m → ${correctOption.text}.`,
-  };
+const showSolutionStep = (index) => {
+  activeHighlight = currentQuestion.solutionSteps[index]?.highlight ?? null;
+  renderRepresentationView();
+  solutionEl.querySelectorAll(".solution-step").forEach((item) => {
+    item.classList.toggle("active", Number(item.dataset.index) === index);
+  });
 };
 
-const vtGraphPositionEquationQuestion = () => {
-  const velocity = randomInt(2, 7);
-  const duration = randomInt(4, 7);
-  const referenceTime = randomInt(2, duration);
-  const positionAtTime = randomInt(-6, 12);
-  const intercept = Number((positionAtTime - velocity * referenceTime).toFixed(2));
-  const representation = {
-    type: "vt-graph",
-    points: [
-      { t: 0, v: velocity },
-      { t: duration, v: velocity },
-    ],
-    minVelocity: 0,
-    maxVelocity: velocity + 2,
-    maxTime: duration,
-    xTicks: [0, duration],
-    yTicks: [velocity],
-  };
-  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
-  const tooFast = createEquationOption({ velocity: velocity + randomInt(1, 3), intercept });
-  const tooSlow = createEquationOption({ velocity: Math.max(1, velocity - randomInt(1, 2)), intercept });
-  const wrongIntercept = createEquationOption({ velocity, intercept: intercept + randomChoice([3, -3, 5]) });
-  const options = shuffle([correctOption, tooFast, tooSlow, wrongIntercept]);
-  return {
-    id: `vt-graph-eq-${Date.now()}-${velocity}`,
-    representation,
-    prompt: `גרף v/t מראה תנועה קבועה. ידוע כי x=${positionAtTime}m בזמן t=${referenceTime} s. מה משוואת התנועה המתאימה?`,
-    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
-    fixedOptions: options,
-    explanation: `${formatEquation(velocity, intercept)}, ובזמן ${referenceTime} מתקבל ${positionAtTime} → x₀=${intercept} → ${correctOption.text}.`,
-  };
+// Playable representations have no LaTeX, so frames skip typesetting.
+const drawPlaybackFrame = () => {
+  const { representation } = currentQuestion;
+  representationEl.innerHTML = renderRepresentation(representation, currentOverlays(), chartSizes.view);
+  const label = representation.yLabel || representation.axisLabel || "x (m)";
+  playbackTrackEl.innerHTML = renderMotionTrack(playback.tracks, playback.time, playback.range, label);
+  playbackScrub.value = playback.time;
+  playbackTimeEl.textContent = `t = ${formatNumber(playback.time)} ${playback.timeUnit}`;
+  playbackToggleBtn.textContent = playback.playing ? "⏸" : "▶";
 };
 
-const xtTableEquationQuestion = () => {
-  const velocity = (() => {
-    const val = randomInt(-5, 7);
-    return val === 0 ? 3 : val;
-  })();
-  const intercept = randomInt(-4, 6);
-  const times = randomTimes(4, [1, 1, 2]);
-  const rows = times.map((time) => [time.toString(), (intercept + velocity * time).toString()]);
-  const correctOption = createEquationOption({ velocity, intercept, isCorrect: true });
-  const shiftedStart = createEquationOption({ velocity, intercept: intercept + randomChoice([2, -2, 4]) });
-  const wrongSlope = createEquationOption({ velocity: velocity + randomChoice([2, -2]), intercept });
-  const mirrored = createEquationOption({ velocity: -velocity || velocity + 1, intercept });
-  const options = shuffle([correctOption, shiftedStart, wrongSlope, mirrored]);
-  return {
-    id: `xt-table-eq-${Date.now()}-${velocity}`,
-    representation: { type: "table", headers: ["t (s)", "x (m)"], rows },
-    prompt: "גוף נע במהירות קבועה כמתואר בטבלה. מה משוואת x(t) המתאימה לתנועת הגוף?",
-    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
-    fixedOptions: options,
-    explanation: `ההפרש בין כל שתי שורות קבוע: מהירות ${velocity} m/s והחותך ${intercept} m → ${correctOption.text}.`,
-  };
+const stepPlayback = (timestamp) => {
+  if (!playback?.playing) return;
+  if (playback.lastFrame !== null) {
+    const elapsedSeconds = (timestamp - playback.lastFrame) / 1000;
+    playback.time = advancePlayback(playback, elapsedSeconds);
+  }
+  playback.lastFrame = timestamp;
+  if (playback.time >= playback.duration) playback.playing = false;
+  drawPlaybackFrame();
+  if (playback.playing) playback.frame = requestAnimationFrame(stepPlayback);
 };
 
-const footprintEquationQuestion = () => {
-  const timeGap = randomInt(1, 3);
-  const pace = randomInt(2, 5);
-  const start = randomInt(-3, 3);
-  const steps = Array.from({ length: 4 }, (_, idx) => ({
-    time: idx * timeGap,
-    position: start + pace * idx * timeGap,
-  }));
-  const maxPos = Math.max(...steps.map((s) => s.position));
-  const tickStep = pace * timeGap;
-  const correctOption = createEquationOption({ velocity: pace, intercept: start, isCorrect: true });
-  const faster = createEquationOption({ velocity: pace + 2, intercept: start });
-  const shifted = createEquationOption({ velocity: pace, intercept: start + randomChoice([3, -3]) });
-  const slower = createEquationOption({ velocity: pace - 1 || pace + 1, intercept: start });
-  const options = shuffle([correctOption, faster, shifted, slower]);
-  return {
-    id: `footprint-eq-${Date.now()}-${pace}`,
-    representation: {
-      type: "footprint",
-      steps,
-      tickPositions: steps.map((step) => step.position),
-    },
-    prompt: `בתרשים עקבות זה, העקבה הראשונה היא בזמן t=0s. פער הזמן בין כל שתי עקבות הוא ${timeGap} שניות. מהי משוואת x(t) המתאימה לתנועת הגוף?`,
-    correctAnswer: { value: correctOption.text, unit: "equation", text: correctOption.text },
-    fixedOptions: options,
-    explanation: `כל ${timeGap} שניות מתווספים ${pace * timeGap} מ׳ → מהירות ${pace} m/s והתחלה ב־${start} m → ${correctOption.text}.`,
-  };
+const setPlaybackPlaying = (playing) => {
+  if (!playback) return;
+  cancelAnimationFrame(playback.frame);
+  if (playing && playback.time >= playback.duration) playback.time = 0;
+  playback.playing = playing;
+  playback.lastFrame = null;
+  drawPlaybackFrame();
+  if (playing) playback.frame = requestAnimationFrame(stepPlayback);
 };
 
-const meetingEquationQuestion = () => {
-  const velocityA = randomInt(2, 3);
-  const interceptA = randomInt(-7, 7);
-  const meetTime = randomInt(3, 7);
-  const meetPosition = interceptA + velocityA * meetTime;
-  const maxTime = meetTime + randomInt(2, 4);
-  const representation = {
-    type: "xt-graph",
-    points: [
-      { t: 0, x: interceptA },
-      { t: maxTime, x: interceptA + velocityA * maxTime },
-    ],
-    minDistance: Math.min(interceptA, interceptA + velocityA * maxTime),
-    maxDistance: Math.max(interceptA, interceptA + velocityA * maxTime),
-    maxTime,
-    xTicks: [0, maxTime],
-    yTicks: [0, interceptA, interceptA + velocityA * maxTime],
-  };
-  const makeEquationOption = (velocity, intercept) =>
-    createEquationOption({ velocity, intercept });
-
-  const meetingOption = () => {
-    const v = randomChoice([randomInt(-3, 2), randomInt(3, 7)]);
-    const adjusted = v === 0 ? 1 : v;
-    const vel = adjusted === velocityA ? adjusted + 1 : adjusted;
-    const intercept = Number((meetPosition - vel * meetTime).toFixed(2));
-    return { option: makeEquationOption(vel, intercept), meets: true };
-  };
-  const nonMeetingOption = () => {
-    const v = randomChoice([randomInt(-3, 2), randomInt(3, 7)]);
-    const adjusted = v === 0 ? 2 : v;
-    const vel = adjusted === velocityA ? adjusted + 2 : adjusted;
-    const intercept = Number((meetPosition - vel * meetTime + randomChoice([3, -3, 5])).toFixed(2));
-    return { option: makeEquationOption(vel, intercept), meets: false };
+const openPlayback = () => {
+  const { representation } = currentQuestion;
+  const tracks = playbackTracks(representation);
+  const duration = playbackDuration(representation);
+  const timeUnit = representationTimeUnit(representation);
+  playback = {
+    tracks,
+    duration,
+    timeUnit,
+    secondsPerUnit: playbackSecondsPerUnit(timeUnit),
+    range: playbackPositionRange(tracks, duration),
+    speed: Number(playbackSpeedSelect.value),
+    time: 0,
+    playing: false,
+    lastFrame: null,
+    frame: null,
   };
+  playbackScrub.max = duration;
+  playbackScrub.step = duration / 200;
+  playbackEl.hidden = false;
+  playbackBtn.textContent = t("ui.closePlayback");
+  setPlaybackPlaying(true);
+};
 
-  const includeMultiple = Math.random() < 0.25;
-  const includeNone = Math.random() < 0.25;
-  let correctChoice = "equation";
-  if (includeMultiple && Math.random() < 0.2) {
-    correctChoice = "multiple";
-  } else if (includeNone && Math.random() < 0.2) {
-    correctChoice = "none";
-  }
-
-  const options = [];
-  const validA = meetingOption();
-  const validB = meetingOption();
-  const invalidA = nonMeetingOption();
-  const invalidB = nonMeetingOption();
-  const invalidC = nonMeetingOption();
-
-  if (correctChoice === "equation") {
-    validA.option.isCorrect = true;
-    options.push(validA.option, invalidA.option, invalidB.option, invalidC.option);
-  } else if (correctChoice === "multiple") {
-    options.push(validA.option, validB.option, invalidA.option);
-  } else {
-    options.push(invalidA.option, invalidB.option, makeEquationOption(velocityA, interceptA + 5));
-  }
+const closePlayback = () => {
+  if (playback) cancelAnimationFrame(playback.frame);
+  playback = null;
+  playbackEl.hidden = true;
+  playbackBtn.textContent = t("ui.showPlayback");
+};
 
-  if (includeMultiple) {
-    options.push({ value: "multiple", unit: "equation", text: "יש יותר מאפשרות אחת נכונה", isCorrect: correctChoice === "multiple" });
-  }
-  if (includeNone) {
-    options.push({ value: "none", unit: "equation", text: "אין תשובה מתאימה בין האפשרויות", isCorrect: correctChoice === "none" });
-  }
+// Each hint takes a quarter off the question's credit, and an answer found with hints leaves the streak alone.
+const HINT_PENALTY = 0.25;
 
-  const finalOptions = shuffle(options);
-  const correctOption = finalOptions.find((opt) => opt.isCorrect);
-  const explanationBase = `בזמן t=${meetTime} הגוף הראשון ב־x=${meetPosition} m.`;
-  let explanation = `${explanationBase} משוואה שמגיעה לנקודה הזו: ${correctOption?.text || "—"}.`;
-  if (correctChoice === "multiple") {
-    explanation = `${explanationBase} יותר ממשוואה אחת עומדת בתנאי, ולכן האפשרות הנכונה היא "יש יותר מאפשרות אחת נכונה".`;
-  } else if (correctChoice === "none") {
-    explanation = `${explanationBase} אף אחת מהמשוואות המוצעות לא פוגשת בנקודה הזו, ולכן יש לבחור "אין תשובה מתאימה בין האפשרויות".`;
-  }
+const hintCredit = (count) => Math.max(0, 1 - HINT_PENALTY * count);
 
-  return {
-    id: `xt-meet-eq-${Date.now()}-${velocityA}`,
-    representation,
-    prompt: `נתון לפניכם גרף מקום-זמן של גוף A. גוף B נפגש עם גוף A בזמן t=${meetTime}s. איזו משוואה יכולה לתאר את גוף B?`,
-    correctAnswer: correctOption || { value: "none", unit: "equation", text: "אין תשובה מתאימה בין האפשרויות" },
-    fixedOptions: finalOptions,
-    explanation,
-  };
+// Hints are practice help, so exams never offer them; an answered question keeps the ones already shown.
+const renderHints = () => {
+  const { hints } = currentQuestion;
+  hintListEl.innerHTML = hints
+    .slice(0, hintsShown)
+    .map((hint) => `<li class="hint">${escapeHtml(hint.text)}${hint.latex ? `<div class="solution-latex">\\(${hint.latex}\\)</div>` : ""}</li>`)
+    .join("");
+  hintListEl.hidden = hintsShown === 0;
+  hintBtn.hidden = Boolean(exam) || answered || hintsShown >= hints.length;
+  hintBtn.textContent = hintsShown ? t("hints.more", { left: hints.length - hintsShown }) : t("hints.show");
+  typesetMath(hintListEl);
 };
 
-const dualVtSpeedQuestion = () => {
-  const speedA = randomInt(3, 5);
-  const speedB = randomInt(speedA + 1, speedA + 3);
-  const duration = randomInt(3, 6);
-  return {
-    id: `dual-vt-speed-${Date.now()}-${speedB}`,
-    representation: {
-      type: "dual-vt",
-      objects: [
-        { name: "גוף A", color: "#2f80ed", points: [{ t: 0, v: speedA }, { t: duration, v: speedA }] },
-        { name: "גוף B", color: "#eb5757", points: [{ t: 0, v: speedB }, { t: duration, v: speedB }] },
-      ],
-      maxTime: duration,
-      maxVelocity: Math.max(speedA, speedB) + 2,
-      xTicks: [0, duration],
-      yTicks: [speedA, speedB],
-    },
-    prompt: "איזה גוף מהיר יותר?",
-    correctAnswer: { value: speedB, unit: "m/s", text: "גוף B" },
-    fixedOptions: [
-      { value: speedA, unit: "m/s", text: "גוף A", isCorrect: false },
-      { value: speedB, unit: "m/s", text: "גוף B", isCorrect: true },
-      { value: 0, unit: "m/s", text: "שווים", isCorrect: false },
-      { value: 0, unit: "m/s", text: "אין מידע", isCorrect: false },
-    ],
-    explanation: `גוף B מתנייד ב־${speedB} m/s, יותר מ־${speedA} m/s של גוף A.`,
-  };
+// A hint that marks part of the representation keeps its mark while later hints are read.
+const showHints = (count) => {
+  hintsShown = Math.min(count, currentQuestion.hints.length);
+  const marked = currentQuestion.hints.slice(0, hintsShown).filter((hint) => hint.highlight);
+  activeHighlight = marked.length ? marked[marked.length - 1].highlight : null;
+  renderRepresentationView();
+  renderHints();
 };
 
-const dualVtDistanceQuestion = () => {
-  const speedA = randomInt(3, 5);
-  const speedB = randomInt(speedA + 1, speedA + 4);
-  const duration = randomInt(3, 5);
-  const distA = speedA * duration;
-  const distB = speedB * duration;
-  return {
-    id: `dual-vt-dist-${Date.now()}-${distB}`,
-    representation: {
-      type: "dual-vt",
-      objects: [
-        { name: "גוף A", color: "#2f80ed", points: [{ t: 0, v: speedA }, { t: duration, v: speedA }] },
-        { name: "גוף B", color: "#eb5757", points: [{ t: 0, v: speedB }, { t: duration, v: speedB }] },
-      ],
-      maxTime: duration,
-      maxVelocity: Math.max(speedA, speedB) + 2,
-      xTicks: [0, duration],
-      yTicks: [speedA, speedB],
-    },
-    prompt: "מי עובר מרחק גדול יותר אחרי " + duration + " שניות?",
-    correctAnswer: { value: distB, unit: "m", text: "גוף B" },
-    fixedOptions: [
-      { value: distA, unit: "m", text: "גוף A", isCorrect: false },
-      { value: distB, unit: "m", text: "גוף B", isCorrect: true },
-      { value: Math.min(distA, distB), unit: "m", text: "שווים", isCorrect: false },
-      { value: 0, unit: "m", text: "אין תשובה", isCorrect: false },
-    ],
-    explanation: `גוף B עובר ${distB} מ׳ vs ${distA} מ׳ של גוף A.`,
-  };
+// Steps are revealed one at a time; the newest step (or any clicked step) drives the highlight on the representation.
+const renderSolution = () => {
+  const steps = currentQuestion.solutionSteps;
+  if (steps.length === 0) {
+    solutionEl.innerHTML = "";
+    return;
+  }
+  const items = steps
+    .slice(0, revealedSteps)
+    .map(
+      (step, index) => `
+        <li class="solution-step" data-index="${index}">
+          ${escapeHtml(step.text)}
+          ${step.latex ? `<div class="solution-latex">\\(${step.latex}\\)</div>` : ""}
+        </li>`
+    )
+    .join("");
+  const controls = revealedSteps < steps.length
+    ? `<button class="link-button" type="button" id="next-step">${t("ui.nextStep")}</button>
+       <button class="link-button" type="button" id="all-steps">${t("ui.allSteps")}</button>`
+    : "";
+  solutionEl.innerHTML = `
+    <h3 class="solution-title">${t("ui.solutionTitle")}</h3>
+    <ol class="solution-steps">${items}</ol>
+    <div class="solution-actions">${controls}</div>
+  `;
+  solutionEl.querySelectorAll(".solution-step").forEach((item) => {
+    item.addEventListener("click", () => showSolutionStep(Number(item.dataset.index)));
+  });
+  if (controls) {
+    document.getElementById("next-step").addEventListener("click", () => revealSolution(revealedSteps + 1));
+    document.getElementById("all-steps").addEventListener("click", () => revealSolution(steps.length));
+  }
+  typesetMath(solutionEl);
+  showSolutionStep(revealedSteps - 1);
 };
 
-const dualXtOvertakeQuestion = () => {
-  const speedA = randomInt(3, 5);
-  const speedB = randomInt(2, 4);
-  const time = randomInt(3, 6);
-  const posA = speedA * time;
-  const posB = speedB * time + 2;
-  const leader = posA > posB ? "גוף A" : "גוף B";
-  return {
-    id: `dual-xt-${Date.now()}-${leader}`,
-    representation: {
-      type: "dual-xt",
-      objects: [
-        { name: "גוף A", color: "#2f80ed", points: [{ t: 0, x: 0 }, { t: time, x: posA }] },
-        { name: "גוף B", color: "#27ae60", points: [{ t: 0, x: 2 }, { t: time, x: posB }] },
-      ],
-      maxTime: time,
-      maxDistance: Math.max(posA, posB),
-      xTicks: [0, time],
-      yTicks: [Math.min(posB, posA), Math.max(posB, posA)],
-    },
-    prompt: "איזה גוף רחוק יותר לאחר " + time + " שניות?",
-    correctAnswer: { value: Math.max(posA, posB), unit: "m", text: leader },
-    fixedOptions: [
-      { value: posA, unit: "m", text: "גוף A", isCorrect: leader === "גוף A" },
-      { value: posB, unit: "m", text: "גוף B", isCorrect: leader === "גוף B" },
-      { value: 0, unit: "m", text: "שווים", isCorrect: false },
-      { value: 0, unit: "m", text: "אין מידע", isCorrect: false },
-    ],
-    explanation: `גוף ${leader} נמצא ב־${Math.max(posA, posB)} מטר.`,
-  };
+const revealSolution = (count) => {
+  revealedSteps = Math.min(count, currentQuestion.solutionSteps.length);
+  renderSolution();
 };
 
-const questionBuilders = [
-  { builder: tableRandomQuestion, type: "speed" },
-  { builder: tableAverageSpeedQuestion, type: "speed" },
-  { builder: xtConstantQuestion, type: "speed" },
-  { builder: xtSwitchQuestion, type: "speed" },
-  { builder: xtReturnQuestion, type: "distance" },
-  { builder: xtTotalDistanceQuestion, type: "distance" },
-  { builder: vtAreaQuestion, type: "distance" },
-  { builder: vtStopQuestion, type: "time" },
-  { builder: vtAccelerationQuestion, type: "speed" },
-  { builder: footprintConstantQuestion, type: "speed" },
-  { builder: xtEquationPositionQuestion, type: "distance" },
-  { builder: xtGraphEquationQuestion, type: "equation" },
-  { builder: vtGraphPositionEquationQuestion, type: "equation" },
-  { builder: xtTableEquationQuestion, type: "equation" },
-  { builder: footprintEquationQuestion, type: "equation" },
-  { builder: meetingEquationQuestion, type: "equation" },
-  { builder: footprintVariablePaceQuestion, type: "speed" },
-  { builder: dualVtSpeedQuestion, type: "speed" },
-  { builder: dualVtDistanceQuestion, type: "distance" },
-  { builder: dualXtOvertakeQuestion, type: "distance" },
-];
+const markOptionsAfterAnswer = () => {
+  const buttons = Array.from(document.querySelectorAll(".option-card"));
+  buttons.forEach((btn) => {
+    const idx = Number(btn.dataset.index);
+    const option = currentQuestion.options[idx];
+    btn.disabled = true;
+    if (option.isCorrect) {
+      btn.classList.add("correct");
+    }
+    if (!option.isCorrect && idx === selectedOptionIndex) {
+      btn.classList.add("incorrect");
+    }
+  });
+};
 
-let questionCount = 0;
-let correctCount = 0;
-let currentStreak = 0;
-let currentQuestion = null;
-let answered = false;
-let selectedOptionIndex = null;
-const STATS_STORAGE_KEY = "physics-quiz-stats";
+const showNextButton = () => {
+  const confirmArea = document.getElementById("confirm-area");
+  if (isAssignmentComplete()) {
+    confirmArea.innerHTML = `<p class="assignment-done">${t("ui.assignmentDone", { count: assignment.plan.length })}</p>`;
+    return;
+  }
+  confirmArea.innerHTML = `<button class="primary" id="next-question">${t("ui.nextQuestion")}</button>`;
+  document.getElementById("next-question").addEventListener("click", () => {
+    currentQuestion = generateQuestion();
+    renderCurrentQuestion();
+  });
+};
 
-const loadPersistedStats = () => {
+const logAttempt = (isCorrect, { mode, answer, misconception }) => {
+  attemptLog = [
+    ...attemptLog,
+    {
+      questionId: currentQuestion.id,
+      builderId: currentQuestion.builderId,
+      seed: currentQuestion.seed.toString(16),
+      mode,
+      answer,
+      misconception: isCorrect ? "" : misconception || "",
+      isCorrect,
+      unit: currentQuestion.sketch ? "" : currentQuestion.answerUnit?.label || "",
+      startedAt: new Date(questionShownAt).toISOString(),
+      answeredAt: new Date().toISOString(),
+      context: exam ? "exam" : assignment ? `assignment:${assignment.key}` : "practice",
+      hints: hintsShown,
+    },
+  ].slice(-ATTEMPT_LOG_LIMIT);
   try {
-    const raw = localStorage.getItem(STATS_STORAGE_KEY);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (typeof parsed.correctCount === "number") correctCount = parsed.correctCount;
-    if (typeof parsed.currentStreak === "number") currentStreak = parsed.currentStreak;
+    localStorage.setItem(ATTEMPT_STORAGE_KEY, JSON.stringify(attemptLog));
   } catch (err) {
     // ignore persistence errors
   }
+  updateAttemptCount();
 };
 
-loadPersistedStats();
+const recordAnswer = (isCorrect, details) => {
+  logAttempt(isCorrect, details);
+  if (isCorrect) {
+    correctCount += hintCredit(hintsShown);
+    if (hintsShown === 0) currentStreak += 1;
+  } else {
+    currentStreak = 0;
+  }
+  const entry = builderById(currentQuestion.builderId);
+  if (entry) recordSkillResult(skillStats, entry, isCorrect);
+  reviewQueue.clock += 1;
+  if (!isCorrect) {
+    scheduleReview(reviewQueue, currentQuestion);
+  } else if (currentQuestion.reviewKey) {
+    promoteReview(reviewQueue, currentQuestion.reviewKey);
+  }
+  renderSkillPanel();
+  updateStats();
+  answered = true;
+  renderHints();
+  if (isCorrect && hintsShown > 0) {
+    hintNoteEl.textContent = t("hints.credit", {
+      count: hintsShown,
+      credit: formatNumber(hintCredit(hintsShown)),
+      streak: currentStreak,
+    });
+  }
+  showOverlays();
+};
 
-const representationEl = document.getElementById("representation");
-const promptEl = document.getElementById("prompt");
-const optionsEl = document.getElementById("options");
-const feedbackEl = document.getElementById("feedback");
-const submitBtn = document.getElementById("submit-answer");
-const correctCountEl = document.getElementById("correct-count");
-const streakEl = document.getElementById("streak-count");
+const confirmSelection = () => {
+  if (selectedOptionIndex === null || answered) return;
+  const selectedOption = currentQuestion.options[selectedOptionIndex];
+  const details = {
+    mode: "choice",
+    answer: selectedOption.representation
+      ? t("ui.representationAnswer", { number: selectedOptionIndex + 1 })
+      : selectedOption.text ?? formatOption(selectedOption, currentQuestion),
+    misconception: selectedOption.misconception,
+  };
+  if (exam) {
+    recordExamAnswer(
+      { isCorrect: selectedOption.isCorrect, answerHtml: formatOption(selectedOption, currentQuestion) },
+      details
+    );
+    return;
+  }
+  // Answering disables the cards, so a keyboard user's focus moves on to the next-question button.
+  const hadFocus = optionsEl.contains(document.activeElement);
+  recordAnswer(selectedOption.isCorrect, details);
+  const correctness = t(selectedOption.isCorrect ? "verdicts.correct" : "verdicts.wrong");
+  const detail = !selectedOption.isCorrect && selectedOption.feedback ? ` ${selectedOption.feedback}` : "";
+  feedbackEl.textContent = `${correctness}.${detail}`;
+  revealSolution(1);
+  markOptionsAfterAnswer();
+  showNextButton();
+  if (hadFocus) document.getElementById("next-question")?.focus();
+};
 
-const typesetMath = (element, retries = 6) => {
-  if (!element || retries <= 0) return;
-  const mj = window.MathJax;
-  if (mj?.typesetPromise) {
-    mj.typesetPromise([element]).catch(() => {});
+const freeResponseMisconceptions = {
+  "wrong-unit": "unit-label",
+  rounding: "rounding",
+};
+
+const submitFreeResponse = () => {
+  if (answered) return;
+  const input = document.getElementById("free-response-input");
+  const result = gradeNumericAnswer(currentQuestion, input.value);
+  if (result.error === "number") {
+    feedbackEl.textContent = t("ui.missingNumber");
     return;
   }
-  if (typeof mj?.typeset === "function") {
-    mj.typeset([element]);
+  if (result.error === "missing-unit") {
+    feedbackEl.textContent = t("ui.missingUnit");
     return;
   }
-  setTimeout(() => typesetMath(element, retries - 1), 200);
+  if (result.error === "unknown-unit") {
+    feedbackEl.textContent = t("ui.unknownUnit", { unit: result.unitLabel });
+    return;
+  }
+  const isCorrect = result.verdict === "correct";
+  // A typed value that lands on one of the tagged distractors gets that misconception's explanation.
+  const matchedDistractor = result.verdict === "wrong"
+    ? currentQuestion.options.find(
+        (option) => !option.isCorrect && !option.displayUnit && option.feedback && isClose(result.baseValue, option.value, FREE_RESPONSE_TOLERANCE)
+      )
+    : null;
+  const details = {
+    mode: "free",
+    answer: input.value.trim(),
+    misconception: matchedDistractor?.misconception ?? freeResponseMisconceptions[result.verdict],
+  };
+  if (exam) {
+    recordExamAnswer({ isCorrect, answerHtml: escapeHtml(input.value) }, details);
+    return;
+  }
+  recordAnswer(isCorrect, details);
+  input.disabled = true;
+  input.classList.add(isCorrect ? "correct" : "incorrect");
+  const correctOption = currentQuestion.options.find((option) => option.isCorrect);
+  const answerText = isCorrect ? "" : ` ${t("ui.correctAnswerWas", { answer: formatOption(correctOption, currentQuestion) })}`;
+  const detail = matchedDistractor ? ` ${matchedDistractor.feedback}` : "";
+  feedbackEl.textContent = `${t(`verdicts.${result.verdict}`)}.${answerText}${detail}`;
+  revealSolution(1);
+  showNextButton();
 };
 
-const isTestMode = new URLSearchParams(window.location.search).has("test");
+const submitSketch = () => {
+  if (answered) return;
+  const { sketch } = currentQuestion;
+  const result = gradeSketch(sketch, sketchValues);
+  const details = { mode: "sketch", answer: sketchValues.map(formatNumber).join(" "), misconception: "" };
+  if (exam) {
+    recordExamAnswer(
+      {
+        isCorrect: result.isCorrect,
+        answerHtml: `<div class="sketch-canvas">${renderSketchCanvas(sketch, sketchValues, result)}</div>`,
+      },
+      details
+    );
+    return;
+  }
+  recordAnswer(result.isCorrect, details);
+  optionsEl.querySelector(".sketch-canvas").innerHTML = renderSketchCanvas(sketch, sketchValues, result);
+  document.getElementById("submit-sketch").disabled = true;
+  const missed = result.vertices.filter((vertex) => !vertex.isCorrect);
+  const detail = missed.length
+    ? ` ${t("ui.sketchMissed", {
+        missed: missed.length,
+        total: result.vertices.length,
+        time: formatNumber(missed[0].t),
+        value: formatNumber(missed[0].target),
+        unit: sketchValueUnit(sketch),
+      })}`
+    : "";
+  feedbackEl.textContent = `${t(result.isCorrect ? "verdicts.sketchCorrect" : "verdicts.sketchWrong")}.${detail}`;
+  revealSolution(1);
+  showNextButton();
+};
 
-const updateStats = () => {
-  correctCountEl.textContent = `⬆️ ${correctCount}`;
-  if (currentStreak >= 3) {
-    streakEl.textContent = `🔥 ${currentStreak}`;
-    streakEl.classList.add("streak-hot");
+const renderExamSkills = () => {
+  examSkillsEl.innerHTML = skillCatalog
+    .map(
+      (skill) => `
+        <label class="exam-skill">
+          <input type="checkbox" value="${skill}" checked />
+          ${skillLabel(skill)}
+        </label>`
+    )
+    .join("");
+};
+
+const openExamSetup = () => {
+  closePlayback();
+  examLengthInput.value = EXAM_DEFAULTS.length;
+  examMinutesInput.value = EXAM_DEFAULTS.minutes;
+  examSetupErrorEl.textContent = "";
+  renderExamSkills();
+  quizCardEl.hidden = true;
+  examSummaryEl.hidden = true;
+  examSetupEl.hidden = false;
+};
+
+const closeExamSetup = () => {
+  examSetupEl.hidden = true;
+  quizCardEl.hidden = false;
+};
+
+const updateExamBar = () => {
+  const now = Date.now();
+  examProgressEl.textContent = `📝 ${Math.min(exam.index + 1, exam.plan.length)}/${exam.plan.length}`;
+  examTimerEl.textContent = exam.deadline ? `⏱ ${formatDuration(exam.deadline - now)}` : `⏱ ${formatDuration(now - exam.startedAt)}`;
+  examTimerEl.classList.toggle("streak-hot", Boolean(exam.deadline) && exam.deadline - now < 60000);
+};
+
+const showExamQuestion = () => {
+  const item = exam.plan[exam.index];
+  currentQuestion = buildQuestion(builderById(item.builderId), item.seed);
+  exam.questionStartedAt = Date.now();
+  renderCurrentQuestion();
+  updateExamBar();
+};
+
+const startExam = (config) => {
+  const rng = createRng(randomSeed());
+  const now = Date.now();
+  exam = {
+    config,
+    plan: planExam(rng, examBuilders(config.skills), config.length),
+    index: 0,
+    results: [],
+    startedAt: now,
+    deadline: config.minutes > 0 ? now + config.minutes * 60000 : null,
+    questionStartedAt: now,
+    timer: null,
+  };
+  exam.timer = setInterval(() => {
+    updateExamBar();
+    if (exam.deadline && Date.now() >= exam.deadline) finishExam();
+  }, 1000);
+  examSetupEl.hidden = true;
+  quizCardEl.hidden = false;
+  examBarEl.hidden = false;
+  document.body.classList.add("exam-active");
+  showExamQuestion();
+};
+
+const recordExamAnswer = (answer, details) => {
+  logAttempt(answer.isCorrect, details);
+  answered = true;
+  exam.results.push({ question: currentQuestion, ...answer, timeSpent: Date.now() - exam.questionStartedAt });
+  exam.index += 1;
+  if (exam.index >= exam.plan.length) {
+    finishExam();
   } else {
-    streakEl.textContent = `🔥 ${currentStreak}`;
-    streakEl.classList.remove("streak-hot");
+    showExamQuestion();
+  }
+};
+
+// Questions left when time runs out (or the student ends early) count as unanswered.
+const finishExam = () => {
+  clearInterval(exam.timer);
+  const now = Date.now();
+  const results = [...exam.results];
+  for (let index = results.length; index < exam.plan.length; index += 1) {
+    const item = exam.plan[index];
+    const isCurrent = index === exam.index;
+    results.push({
+      question: isCurrent ? currentQuestion : buildQuestion(builderById(item.builderId), item.seed),
+      isCorrect: false,
+      answerHtml: null,
+      timeSpent: isCurrent ? now - exam.questionStartedAt : 0,
+    });
   }
+  const score = scoreExam(results);
+  const duration = now - exam.startedAt;
+  examHistory = [
+    ...examHistory,
+    { date: new Date(now).toISOString(), correct: score.correct, total: score.total, duration, skills: exam.config.skills },
+  ].slice(-EXAM_HISTORY_LIMIT);
   try {
-    localStorage.setItem(
-      STATS_STORAGE_KEY,
-      JSON.stringify({ correctCount, currentStreak })
-    );
+    localStorage.setItem(EXAM_STORAGE_KEY, JSON.stringify(examHistory));
   } catch (err) {
     // ignore persistence errors
   }
+  exam = null;
+  closePlayback();
+  document.body.classList.remove("exam-active");
+  examBarEl.hidden = true;
+  quizCardEl.hidden = true;
+  renderExamSummary(results, score, duration);
 };
 
-const generateQuestion = () => {
-  const index = isTestMode ? questionCount % questionBuilders.length : randomInt(0, questionBuilders.length - 1);
-  const entry = questionBuilders[index];
-  const question = entry.builder();
-  question.answerType = entry.type;
-  questionCount += 1;
-  ensureMetadata(question, entry.type);
-  unitStrategy(questionCount, question);
-  buildOptionsForQuestion(question);
-  updateExplanationUnits(question);
-  return question;
+const renderExamResult = (result, index) => {
+  const { question } = result;
+  const correctOption = question.options.find((option) => option.isCorrect);
+  const correctHtml = question.sketch ? t("ui.sketchCorrectLine") : formatOption(correctOption, question);
+  const verdict = result.answerHtml === null ? "⏳" : result.isCorrect ? "✅" : "❌";
+  const steps = question.solutionSteps
+    .map(
+      (step) => `
+        <li>
+          ${escapeHtml(step.text)}
+          ${step.latex ? `<div class="solution-latex">\\(${step.latex}\\)</div>` : ""}
+        </li>`
+    )
+    .join("");
+  return `
+    <li class="exam-result${result.isCorrect ? " correct" : " incorrect"}">
+      <div class="exam-result-head">
+        <span>${verdict} ${t("ui.examQuestion", { number: index + 1 })}</span>
+        <span class="question-id">${question.id}</span>
+        <span class="exam-result-time">⏱ ${formatDuration(result.timeSpent)}</span>
+      </div>
+      <p class="exam-result-prompt">${escapeHtml(question.prompt)}</p>
+      <div class="exam-answers">
+        <div><strong>${t("ui.yourAnswer")}</strong> ${result.answerHtml ?? t("ui.unanswered")}</div>
+        <div><strong>${t("ui.correctAnswer")}</strong> ${correctHtml}</div>
+      </div>
+      <details>
+        <summary>${t("ui.questionAndSolution")}</summary>
+        <div class="option-thumbnail">${renderRepresentation(question.representation, [], chartSizes.thumbnail)}</div>
+        <ol class="solution-steps">${steps}</ol>
+      </details>
+    </li>`;
 };
 
-const renderCurrentQuestion = () => {
-  currentQuestion = currentQuestion ?? generateQuestion();
-  const question = currentQuestion;
-  promptEl.textContent = question.prompt;
-  representationEl.innerHTML = renderRepresentation(question.representation);
-  typesetMath(representationEl);
-  optionsEl.innerHTML = `
-    <div class="option-grid">
-      ${question.options
-        .map(
-          (option, index) => `
-            <button class="option-card" data-index="${index}">
-              ${formatOption(option, question)}
-            </button>`
-        )
-        .join("")}
+const renderExamSummary = (results, score, duration) => {
+  const history = examHistory
+    .slice(0, -1)
+    .slice(-5)
+    .reverse()
+    .map(
+      (entry) =>
+        `<li>${new Date(entry.date).toLocaleDateString(messages[locale].intl)} · ${entry.correct}/${entry.total} · ${formatDuration(entry.duration)}</li>`
+    )
+    .join("");
+  examSummaryEl.innerHTML = `
+    <h2 class="exam-title">${t("ui.examResults")}</h2>
+    <p class="exam-score">${score.correct}/${score.total} (${score.percent}%) · ${t("ui.totalTime", { duration: formatDuration(duration) })}</p>
+    <ol class="exam-results">${results.map(renderExamResult).join("")}</ol>
+    ${history ? `<h3 class="exam-title">${t("ui.previousExams")}</h3><ul class="exam-history">${history}</ul>` : ""}
+    <div class="actions">
+      <button class="primary" type="button" id="exam-done">${t("ui.backToPractice")}</button>
+      <button class="secondary" type="button" id="exam-again">${t("ui.anotherExam")}</button>
     </div>
-    <div class="confirm-area" id="confirm-area"></div>
   `;
-  typesetMath(optionsEl);
-  selectedOptionIndex = null;
-  submitBtn.style.display = "none";
-  document.querySelectorAll(".option-card").forEach((btn) => {
-    btn.addEventListener("click", () => handleOptionSelect(Number(btn.dataset.index)));
+  examSummaryEl.hidden = false;
+  typesetMath(examSummaryEl);
+  document.getElementById("exam-done").addEventListener("click", () => {
+    examSummaryEl.hidden = true;
+    quizCardEl.hidden = false;
+    currentQuestion = generateQuestion();
+    renderCurrentQuestion();
   });
-  feedbackEl.textContent = "";
-  answered = false;
+  document.getElementById("exam-again").addEventListener("click", openExamSetup);
 };
 
-const markOptionsAfterAnswer = () => {
-  const buttons = Array.from(document.querySelectorAll(".option-card"));
-  buttons.forEach((btn) => {
-    const idx = Number(btn.dataset.index);
-    const option = currentQuestion.options[idx];
-    btn.disabled = true;
-    if (option.isCorrect) {
-      btn.classList.add("correct");
-    }
-    if (!option.isCorrect && idx === selectedOptionIndex) {
-      btn.classList.add("incorrect");
-    }
+// Paper has no drag handles, so a sketch question prints an empty grid and the key prints the target line.
+const renderWorksheetSketch = (sketch, withTarget) =>
+  renderChart({
+    ...sketchChart(sketch),
+    ...chartSizes.print,
+    series: withTarget ? [{ points: sketch.points, className: "sketch-target" }] : [],
   });
-};
 
-const showNextButton = () => {
-  const confirmArea = document.getElementById("confirm-area");
-  confirmArea.innerHTML = `<button class="primary" id="next-question">שאלה הבאה</button>`;
-  document.getElementById("next-question").addEventListener("click", () => {
-    currentQuestion = generateQuestion();
-    renderCurrentQuestion();
-  });
+const renderWorksheetQuestion = (question, index, spec) => {
+  let answer;
+  if (question.sketch) {
+    answer = `<div class="worksheet-sketch">${renderWorksheetSketch(question.sketch, false)}</div>`;
+  } else if (spec.answerMode === "free" && supportsFreeResponse(question)) {
+    answer = `<p class="worksheet-answer-line">${t("worksheet.answerLine")}</p>`;
+  } else {
+    const options = question.options
+      .map(
+        (option, optionIndex) => `
+          <li class="worksheet-option">
+            <span class="worksheet-letter">${optionLetter(optionIndex)}</span>
+            <div>${formatOption(option, question)}</div>
+          </li>`
+      )
+      .join("");
+    answer = `<ol class="worksheet-options${question.options.some((option) => option.representation) ? " graphic" : ""}">${options}</ol>`;
+  }
+  const representation = question.representation
+    ? `<div class="worksheet-representation">${renderRepresentation(question.representation, [], chartSizes.print)}</div>`
+    : "";
+  return `
+    <li class="worksheet-question">
+      <h3 class="worksheet-number">${t("ui.examQuestion", { number: index + 1 })}</h3>
+      <p class="worksheet-prompt">${escapeHtml(question.prompt)}</p>
+      ${representation}
+      ${answer}
+    </li>`;
 };
 
-const confirmSelection = () => {
-  if (selectedOptionIndex === null || answered) return;
-  const selectedOption = currentQuestion.options[selectedOptionIndex];
-  if (selectedOption.isCorrect) {
-    correctCount += 1;
-    currentStreak += 1;
+const renderWorksheetKeyEntry = (question, index, spec) => {
+  const correctIndex = question.options.findIndex((option) => option.isCorrect);
+  let answer;
+  if (question.sketch) {
+    answer = `<div class="worksheet-sketch">${renderWorksheetSketch(question.sketch, true)}</div>`;
+  } else if (spec.answerMode === "free" && supportsFreeResponse(question)) {
+    answer = formatOption(question.options[correctIndex], question);
   } else {
-    currentStreak = 0;
+    answer = `<span class="worksheet-letter">${optionLetter(correctIndex)}</span>`;
   }
-  updateStats();
-  const correctness = selectedOption.isCorrect ? "✅ תשובה נכונה" : "⚠️ תשובה לא נכונה";
-  feedbackEl.textContent = `${correctness}. ${currentQuestion.explanation}`;
-  answered = true;
-  markOptionsAfterAnswer();
-  showNextButton();
+  const steps = question.solutionSteps
+    .map(
+      (step) => `
+        <li>
+          ${escapeHtml(step.text)}
+          ${step.latex ? `<div class="solution-latex">\\(${step.latex}\\)</div>` : ""}
+        </li>`
+    )
+    .join("");
+  return `
+    <li class="worksheet-key-entry">
+      <div class="worksheet-key-head">
+        <strong>${t("ui.examQuestion", { number: index + 1 })}</strong>
+        ${answer}
+        <span class="question-id">${question.id}</span>
+      </div>
+      <ol class="solution-steps">${steps}</ol>
+    </li>`;
 };
 
-const handleOptionSelect = (index) => {
-  if (answered) return;
-  selectedOptionIndex = index;
-  document.querySelectorAll(".option-card").forEach((btn) => btn.classList.remove("selected"));
-  const selectedBtn = document.querySelector(`.option-card[data-index="${index}"]`);
-  if (selectedBtn) selectedBtn.classList.add("selected");
-  const confirmArea = document.getElementById("confirm-area");
-  confirmArea.innerHTML = `<button class="secondary" id="confirm-selection">בטוחים? לחצו לאישור</button>`;
-  document.getElementById("confirm-selection").addEventListener("click", confirmSelection);
+const renderWorksheet = (spec) => {
+  const questions = worksheetQuestions(spec);
+  const sections = [];
+  for (let start = 0; start < questions.length; start += WORKSHEET_QUESTIONS_PER_SECTION) {
+    const items = questions
+      .slice(start, start + WORKSHEET_QUESTIONS_PER_SECTION)
+      .map((question, offset) => renderWorksheetQuestion(question, start + offset, spec))
+      .join("");
+    sections.push(`<ol class="worksheet-section" start="${start + 1}">${items}</ol>`);
+  }
+  const code = formatAssignment(spec);
+  worksheetEl.innerHTML = `
+    <div class="worksheet-toolbar">
+      <button class="primary" type="button" id="worksheet-print">${t("worksheet.print")}</button>
+      <button class="secondary" type="button" id="worksheet-reshuffle">${t("worksheet.reshuffle")}</button>
+    </div>
+    <header class="worksheet-header">
+      <h2 class="exam-title">${t("worksheet.title")}</h2>
+      <p class="worksheet-fields">${t("worksheet.fields")}</p>
+    </header>
+    ${sections.join("")}
+    <section class="worksheet-key">
+      <h2 class="exam-title">${t("worksheet.answerKey")}</h2>
+      <p class="worksheet-code">${t("worksheet.code", { code: escapeHtml(code) })}</p>
+      <ol class="worksheet-key-list">${questions.map((question, index) => renderWorksheetKeyEntry(question, index, spec)).join("")}</ol>
+    </section>
+  `;
+  typesetMath(worksheetEl);
+  document.getElementById("worksheet-print").addEventListener("click", () => window.print());
+  document.getElementById("worksheet-reshuffle").addEventListener("click", () => {
+    renderWorksheet({ ...spec, seed: Math.floor(Math.random() * 0x100000000) });
+  });
+  const params = new URLSearchParams(window.location.search);
+  params.set("worksheet", code);
+  try {
+    window.history.replaceState(null, "", `${window.location.pathname}?${params}`);
+  } catch (err) {
+    // ignore history errors (e.g. file:// pages)
+  }
+};
+
+const updateAttemptCount = () => {
+  attemptCountEl.textContent = t("ui.attemptCount", { count: attemptLog.length });
 };
 
-function renderTable(data) {
-  const rows = data.rows
+const downloadFile = (fileName, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const exportAttempts = (format) => {
+  const exportedAt = new Date().toISOString();
+  const baseName = `physics-quiz-${(studentName || "student").replace(/[^\p{L}\p{N}-]+/gu, "-")}-${exportedAt.slice(0, 10)}`;
+  if (format === "csv") {
+    downloadFile(`${baseName}.csv`, "text/csv", reportCsv(studentName, exportedAt, attemptLog));
+  } else {
+    downloadFile(`${baseName}.json`, "application/json", reportJson(studentName, exportedAt, attemptLog));
+  }
+};
+
+const renderTeacherReport = (reports) => {
+  if (!reports.length) {
+    teacherReportEl.innerHTML = "";
+    return;
+  }
+  const { builders, misconceptions: counts, students } = aggregateAttempts(reports);
+  const percent = (stats) => Math.round((stats.correct / stats.attempts) * 100);
+  const builderRows = Object.entries(builders)
+    .sort(([, a], [, b]) => percent(a) - percent(b))
     .map(
-      (row) => `
+      ([builderId, stats]) => `
         <tr>
-          <td>${formatNumber(Number(row[0]))}</td>
-          <td>${formatNumber(Number(row[1]))}</td>
+          <td class="question-id">${escapeHtml(builderId)}</td>
+          <td>${stats.attempts}</td>
+          <td>${stats.correct}</td>
+          <td>${percent(stats)}%</td>
         </tr>`
     )
     .join("");
-  const headers = data.headers.map((header) => `<th>${header}</th>`).join("");
-  return `<table class="table-view">
-    <thead><tr>${headers}</tr></thead>
-    <tbody>${rows}</tbody>
-  </table>`;
-}
-
-function renderXTGraph(data) {
-  if (!data) return "<p>אין נתונים</p>";
-  const width = 320;
-  const height = 220;
-  const padding = 40;
-  const minTime = data.minTime ?? Math.min(...data.points.map((p) => p.t));
-  const maxTime = data.maxTime ?? Math.max(...data.points.map((p) => p.t));
-  const minDistance = data.minDistance ?? Math.min(...data.points.map((p) => p.x));
-  const maxDistance = data.maxDistance ?? Math.max(...data.points.map((p) => p.x));
-  const xTicks = data.xTicks ?? buildTicks(minTime, maxTime);
-  const yTicks = data.yTicks ?? buildTicks(minDistance, maxDistance);
-  const scaleX = (value) => padding + ((value - minTime) / (maxTime - minTime || 1)) * (width - padding * 2);
-  const scaleY = (value) => height - padding - ((value - minDistance) / (maxDistance - minDistance || 1)) * (height - padding * 2);
-  const points = data.points.map((point) => `${scaleX(point.t)},${scaleY(point.x)}`).join(" ");
-  const xTickElements = xTicks
-    .map((tick) => {
-      const x = scaleX(tick);
-      return `
-        <line x1="${x}" y1="${height - padding}" x2="${x}" y2="${height - padding + 6}" stroke="#333" stroke-width="1" />
-        <text x="${x}" y="${height - padding + 22}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
-      `;
-    })
+  const misconceptionRows = Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(
+      ([key, count]) => `
+        <tr>
+          <td>${escapeHtml(misconceptionLabel(key))}</td>
+          <td>${count}</td>
+        </tr>`
+    )
     .join("");
-  const yTickElements = yTicks
-    .map((tick) => {
-      const y = scaleY(tick);
-      return `
-        <line x1="${padding - 6}" y1="${y}" x2="${padding}" y2="${y}" stroke="#333" stroke-width="1" />
-        <text x="${padding - 12}" y="${y + 4}" class="graph-label" text-anchor="end">${formatTick(tick)}</text>
-      `;
-    })
+  const studentRows = students
+    .map(
+      (entry) => `
+        <tr>
+          <td>${escapeHtml(entry.student || "—")}</td>
+          <td>${entry.total}</td>
+          <td>${entry.correct}</td>
+          <td>${entry.percent}%</td>
+        </tr>`
+    )
     .join("");
-  const xLabel = data.xLabel || "t (s)";
-  const yLabel = data.yLabel || "x (m)";
-  return `
-    <svg width="100%" viewBox="0 0 ${width} ${height}">
-      <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      ${yTickElements}
-      ${xTickElements}
-      <polyline points="${points}" fill="none" stroke="var(--accent)" stroke-width="4" />
-      <text x="${width - padding}" y="${height - padding + 32}" class="graph-label">${xLabel}</text>
-      <text x="${padding - 5}" y="${padding - 10}" class="graph-label">${yLabel}</text>
-      <text x="${width / 2}" y="${padding - 12}" class="graph-label" text-anchor="middle">גרף x־t</text>
-    </svg>
+  teacherReportEl.innerHTML = `
+    <h3 class="exam-title">${t("teacher.students")}</h3>
+    <table class="report-table">
+      <thead><tr><th>${t("teacher.student")}</th><th>${t("teacher.attempts")}</th><th>${t("teacher.correct")}</th><th>${t("teacher.accuracy")}</th></tr></thead>
+      <tbody>${studentRows}</tbody>
+    </table>
+    <h3 class="exam-title">${t("teacher.byBuilder")}</h3>
+    <table class="report-table">
+      <thead><tr><th>${t("teacher.builder")}</th><th>${t("teacher.attempts")}</th><th>${t("teacher.correct")}</th><th>${t("teacher.accuracy")}</th></tr></thead>
+      <tbody>${builderRows}</tbody>
+    </table>
+    <h3 class="exam-title">${t("teacher.misconceptions")}</h3>
+    ${
+      misconceptionRows
+        ? `<table class="report-table">
+            <thead><tr><th>${t("teacher.misconception")}</th><th>${t("teacher.mistakes")}</th></tr></thead>
+            <tbody>${misconceptionRows}</tbody>
+          </table>`
+        : `<p>${t("teacher.noMisconceptions")}</p>`
+    }
   `;
-}
+};
 
-function renderVTGraph(data) {
-  if (!data) return "<p>אין נתונים</p>";
-  const width = 320;
-  const height = 220;
-  const padding = 40;
-  const minTime = data.minTime ?? Math.min(...data.points.map((p) => p.t));
-  const maxTime = data.maxTime ?? Math.max(...data.points.map((p) => p.t));
-  const minVelocity = data.minVelocity ?? Math.min(...data.points.map((p) => p.v));
-  const maxVelocity = data.maxVelocity ?? Math.max(...data.points.map((p) => p.v));
-  const xTicks = data.xTicks ?? buildTicks(minTime, maxTime);
-  const yTicks = data.yTicks ?? buildTicks(minVelocity, maxVelocity);
-  const scaleX = (value) => padding + ((value - minTime) / (maxTime - minTime || 1)) * (width - padding * 2);
-  const scaleY = (value) => height - padding - ((value - minVelocity) / (maxVelocity - minVelocity || 1)) * (height - padding * 2);
-  const points = data.points.map((point) => `${scaleX(point.t)},${scaleY(point.v)}`).join(" ");
-  const xTickElements = xTicks
-    .map((tick) => {
-      const x = scaleX(tick);
-      return `
-        <line x1="${x}" y1="${height - padding}" x2="${x}" y2="${height - padding + 6}" stroke="#333" stroke-width="1" />
-        <text x="${x}" y="${height - padding + 22}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
-      `;
-    })
-    .join("");
-  const yTickElements = yTicks
-    .map((tick) => {
-      const y = scaleY(tick);
-      return `
-        <line x1="${padding - 6}" y1="${y}" x2="${padding}" y2="${y}" stroke="#333" stroke-width="1" />
-        <text x="${padding - 12}" y="${y + 4}" class="graph-label" text-anchor="end">${formatTick(tick)}</text>
-      `;
+// Kept so a locale switch can redraw the file list and report without re-reading the files.
+let teacherImports = [];
+
+const renderTeacherImports = () => {
+  teacherFilesEl.innerHTML = teacherImports
+    .map(({ name, report }) => {
+      const status = !report
+        ? t("teacher.invalidFile")
+        : report.verified
+          ? t("teacher.verified", { count: report.attempts.length })
+          : t("teacher.unverified", { count: report.attempts.length });
+      return `<li><span class="question-id">${escapeHtml(name)}</span> ${escapeHtml(report?.student || "")} · ${status}</li>`;
     })
     .join("");
-  const xLabel = data.xLabel || "t (s)";
-  const yLabel = data.yLabel || "v (m/s)";
-  return `
-    <svg width="100%" viewBox="0 0 ${width} ${height}">
-      <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      ${yTickElements}
-      ${xTickElements}
-      <polyline points="${points}" fill="none" stroke="var(--accent)" stroke-width="4" />
-      <text x="${width - padding}" y="${height - padding + 32}" class="graph-label">${xLabel}</text>
-      <text x="${padding - 5}" y="${padding - 10}" class="graph-label">${yLabel}</text>
-      <text x="${width / 2}" y="${padding - 12}" class="graph-label" text-anchor="middle">גרף v־t</text>
-    </svg>
-  `;
-}
+  renderTeacherReport(teacherImports.map((entry) => entry.report).filter(Boolean));
+};
+
+const importReports = (files) =>
+  Promise.all(
+    files.map((file) =>
+      file
+        .text()
+        .then((text) => ({ name: file.name, report: parseReport(text) }))
+        .catch(() => ({ name: file.name, report: null }))
+    )
+  ).then((entries) => {
+    teacherImports = entries;
+    renderTeacherImports();
+  });
 
-function renderEquationView(data) {
-  if (!data) return "<p>אין משוואה</p>";
-  const base = {
-    velocity: data.velocity,
-    intercept: data.intercept,
-    distanceLabel: data.distanceLabel || "m",
-    timeLabel: data.timeLabel || "s",
+// The editor writes the template format of templates/*.json with fixed numbers instead of parameters, so a
+// downloaded question can go straight into the template folder. Saved ones also join this browser's bank.
+const EDITOR_PREVIEW_ID = "editor-preview";
+const EDITOR_DISTRACTOR_COUNT = OPTION_COUNT - 1;
+const editorDataLabels = { table: "editor.dataTable", "xt-graph": "editor.dataXt", "vt-graph": "editor.dataVt", footprint: "editor.dataFootprint" };
+
+const emptyEditorForm = () => ({
+  id: "",
+  type: "speed",
+  skills: [],
+  representation: "table",
+  data: "",
+  tickStep: 1,
+  timeLabels: false,
+  prompt: "",
+  answer: "",
+  distractors: [],
+  solution: [],
+});
+
+// The definition being edited, so saving in one language keeps the texts written in the others.
+let editorBase = null;
+
+const readEditorForm = () => ({
+  id: editorIdInput.value.trim(),
+  type: editorTypeSelect.value,
+  skills: Array.from(editorSkillsEl.querySelectorAll("input:checked")).map((input) => input.value),
+  representation: editorRepresentationSelect.value,
+  data: editorDataInput.value,
+  tickStep: Number(editorTickStepInput.value),
+  timeLabels: editorTimeLabelsInput.checked,
+  prompt: editorPromptInput.value.trim(),
+  answer: editorAnswerInput.value.trim(),
+  distractors: Array.from(editorDistractorsEl.querySelectorAll(".editor-distractor")).map((row) => ({
+    value: row.querySelector(".editor-distractor-value").value.trim(),
+    misconception: row.querySelector(".editor-distractor-misconception").value,
+    feedback: row.querySelector(".editor-distractor-feedback").value.trim(),
+  })),
+  solution: editorSolutionInput.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean),
+});
+
+// One "time, value" pair per line; commas, semicolons and spaces all separate.
+const parseEditorPairs = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(/[\s,;]+/).map(Number));
+
+const editorPairs = (representation) => {
+  if (!representation) return [];
+  if (representation.type === "table") return representation.rows.map((row) => row.map(Number));
+  if (representation.type === "footprint") return representation.steps.map((step) => [step.time, step.position]);
+  const { valueKey } = graphKinds[representation.type];
+  return representation.points.map((point) => [point.t, point[valueKey]]);
+};
+
+const editorRepresentation = ({ representation, tickStep, timeLabels }, pairs) => {
+  const times = pairs.map(([time]) => time);
+  const values = pairs.map(([, value]) => value);
+  if (representation === "table") {
+    return { type: "table", headers: ["t (s)", "x (m)"], rows: pairs.map((pair) => pair.map(String)) };
+  }
+  if (representation === "footprint") {
+    return {
+      type: "footprint",
+      steps: pairs.map(([time, position]) => ({ time, position })),
+      tickPositions: buildEvenTicks(Math.max(...values), tickStep, Math.min(...values)),
+      ...(timeLabels && { timeLabels: true }),
+    };
+  }
+  const { valueKey, range } = graphKinds[representation];
+  return {
+    type: representation,
+    points: pairs.map(([time, value]) => ({ t: time, [valueKey]: value })),
+    [`min${range}`]: Math.min(0, ...values),
+    [`max${range}`]: Math.max(0, ...values),
+    maxTime: Math.max(...times),
+    xTicks: [...new Set(times)],
+    yTicks: [...new Set(values)],
   };
-  const eqText = formatEquation(base);
-  const latex = formatEquationLatex(base);
-  return `
-    <div class="equation-view">
-      <div class="eq-text">${latex ? `\\(${latex}\\)` : eqText}</div>
-    </div>
-  `;
-}
+};
 
-function renderFootprint(data) {
-  if (!data) return "<p>אין תרשים</p>";
-  const width = 340;
-  const height = 200;
-  const padding = 30;
-  const axisY = height / 2;
-  const positions = data.steps.map((step) => step.position);
-  const minPos = Math.min(...positions);
-  const maxPos = Math.max(...positions);
-  const scale = (value) => padding + ((value - minPos) / (maxPos - minPos || 1)) * (width - padding * 2);
-  const tickPositions = data.tickPositions ?? positions;
-  const tickMarks = tickPositions
-    .map((tick, index) => {
-      const x = scale(tick);
-      const label = index % 2 === 0 ? formatTick(tick) : "";
-      return `
-        <line x1="${x}" y1="${axisY - 6}" x2="${x}" y2="${axisY + 6}" stroke="#333" stroke-width="1" />
-        <text x="${x}" y="${axisY + 20}" class="graph-label" text-anchor="middle">${label}</text>
-      `;
-    })
-    .join("");
-  const footprintY = axisY - 20;
-  const points = data.steps
-    .map((step) => `<circle cx="${scale(step.position)}" cy="${footprintY}" r="6" fill="#1f1c3b" />`)
-    .join("");
-  const arrowY = axisY - 40;
-  const arrowLength = width * 0.1;
-  const arrowCenter = width / 2;
-  const arrowStart = arrowCenter - arrowLength / 2;
-  const arrowEnd = arrowCenter + arrowLength / 2;
-  return `
-    <svg width="100%" viewBox="0 0 ${width} ${height}">
-      <defs>
-        <marker id="footprint-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
-          <path d="M0,0 L8,4 L0,8 Z" fill="#1f1c3b" />
-        </marker>
-      </defs>
-      <line x1="${padding}" y1="${axisY}" x2="${width - padding}" y2="${axisY}" stroke="#333" stroke-width="2" />
-      ${tickMarks}
-      ${points}
-      <line
-        x1="${arrowStart}"
-        y1="${arrowY}"
-        x2="${arrowEnd}"
-        y2="${arrowY}"
-        stroke="#1f1c3b"
-        stroke-width="1.5"
-        marker-end="url(#footprint-arrow)"
-      />
-    </svg>
-  `;
-}
+/**
+ * Errors keep a question from being previewed or saved; warnings point at data that is valid but
+ * probably not what the author meant. Footprints follow the rules at the top of this file.
+ */
+const validateEditorForm = (form) => {
+  const errors = [];
+  const warnings = [];
+  const existing = builderById(form.id);
+  if (!/^[a-z0-9-]+$/.test(form.id)) errors.push(t("editor.errorId"));
+  else if (form.id === EDITOR_PREVIEW_ID || (existing && !existing.custom)) errors.push(t("editor.errorIdTaken", { id: form.id }));
+  if (!form.skills.length) errors.push(t("editor.errorSkills"));
+  if (!form.prompt) errors.push(t("editor.errorPrompt"));
+  const answer = form.answer === "" ? NaN : Number(form.answer);
+  if (!Number.isFinite(answer)) errors.push(t("editor.errorAnswer"));
+  form.distractors.forEach(({ value }, index) => {
+    if (value === "") return;
+    if (!Number.isFinite(Number(value))) errors.push(t("editor.errorDistractor", { number: index + 1 }));
+    else if (Number(value) === answer) warnings.push(t("editor.warnDistractorAnswer", { number: index + 1 }));
+  });
+  const pairs = form.representation ? parseEditorPairs(form.data) : [];
+  if (!form.representation) return { errors, warnings, pairs };
+  const badLine = pairs.findIndex((pair) => pair.length !== 2 || !pair.every(Number.isFinite));
+  if (badLine >= 0) {
+    errors.push(t("editor.errorLine", { line: badLine + 1 }));
+    return { errors, warnings, pairs };
+  }
+  if (pairs.length < 2) {
+    errors.push(t("editor.errorRows"));
+    return { errors, warnings, pairs };
+  }
+  // A v–t graph may repeat a time to jump between velocities; every other representation moves forward in time.
+  const gaps = pairs.slice(1).map(([time], index) => time - pairs[index][0]);
+  if (gaps.some((gap) => gap < 0 || (gap === 0 && form.representation !== "vt-graph"))) errors.push(t("editor.errorTimes"));
+  if (form.representation === "table") {
+    const rates = pairs.slice(1).map(([time, position], index) => (position - pairs[index][1]) / (time - pairs[index][0]));
+    if (rates.some((rate) => !isClose(rate, rates[0], 1e-9))) warnings.push(t("editor.warnTableRate"));
+    const [[firstTime, firstPosition], [lastTime, lastPosition]] = [pairs[0], pairs[pairs.length - 1]];
+    const speed = Math.abs((lastPosition - firstPosition) / (lastTime - firstTime));
+    if (form.type === "speed" && Number.isFinite(answer) && !isClose(answer, speed, 1e-9)) {
+      warnings.push(t("editor.warnTableSpeed", { speed: formatNumber(speed) }));
+    }
+  }
+  if (form.representation === "footprint") {
+    if (gaps.some((gap) => !isClose(gap, gaps[0], 1e-9))) errors.push(t("editor.errorFootprintGaps"));
+    if (!(form.tickStep > 0)) {
+      errors.push(t("editor.errorTickStep"));
+    } else {
+      const start = Math.min(...pairs.map(([, position]) => position));
+      const offTick = pairs.find(([, position]) => !Number.isInteger(Number(((position - start) / form.tickStep).toFixed(9))));
+      if (offTick) errors.push(t("editor.errorFootprintTick", { position: formatNumber(offTick[1]) }));
+    }
+    if (!form.timeLabels && !form.prompt.includes(formatNumber(gaps[0]))) {
+      warnings.push(t("editor.warnFootprintGap", { gap: formatNumber(gaps[0]) }));
+    }
+  }
+  return { errors, warnings, pairs };
+};
 
-function renderDualXT(data) {
-  if (!data) return "<p>אין נתונים</p>";
-  const width = 340;
-  const height = 220;
-  const padding = 40;
-  const minTime = data.minTime ?? 0;
-  const maxTime = data.maxTime;
-  const minDistance = data.minDistance ?? 0;
-  const maxDistance = data.maxDistance;
-  const xScale = (value) => padding + ((value - minTime) / (maxTime - minTime || 1)) * (width - padding * 2);
-  const yScale = (value) => height - padding - ((value - minDistance) / (maxDistance - minDistance || 1)) * (height - padding * 2);
-  const xTicks = data.xTicks ?? buildTicks(minTime, maxTime);
-  const yTicks = data.yTicks ?? buildTicks(minDistance, maxDistance);
-  const tickLines = xTicks
-    .map((tick) => {
-      const x = xScale(tick);
-      return `
-        <line x1="${x}" y1="${height - padding}" x2="${x}" y2="${height - padding + 6}" stroke="#333" stroke-width="1" />
-        <text x="${x}" y="${height - padding + 22}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
-      `;
-    })
-    .join("");
-  const yLines = yTicks
-    .map((tick) => {
-      const y = yScale(tick);
-      return `
-        <line x1="${padding - 6}" y1="${y}" x2="${padding}" y2="${y}" stroke="#333" stroke-width="1" />
-        <text x="${padding - 12}" y="${y + 4}" class="graph-label" text-anchor="end">${formatTick(tick)}</text>
-      `;
-    })
+const localizedText = (previous, text) => ({ ...(previous && typeof previous === "object" ? previous : {}), [locale]: text });
+
+const editorDefinition = (form, pairs) => {
+  const base = editorBase?.id === form.id ? editorBase : null;
+  return {
+    format: TEMPLATE_FORMAT,
+    id: form.id,
+    type: form.type,
+    skills: form.skills,
+    ...(form.representation && { representation: editorRepresentation(form, pairs) }),
+    prompt: localizedText(base?.prompt, form.prompt),
+    // What the answer measures is not on the form; an edited template keeps its own check.
+    answer: { value: String(Number(form.answer)), ...(base?.answer?.check && { check: base.answer.check }) },
+    distractors: form.distractors
+      .map((entry, index) => ({ ...entry, previous: base?.distractors?.[index]?.feedback }))
+      .filter((entry) => entry.value !== "")
+      .map((entry) => ({
+        value: String(Number(entry.value)),
+        misconception: entry.misconception,
+        ...(entry.feedback && { feedback: localizedText(entry.previous, entry.feedback) }),
+      })),
+    solution: form.solution.map((text, index) => ({ text: localizedText(base?.solution?.[index]?.text, text) })),
+    // The form has no hint fields; keep the template's own hints when editing it.
+    ...(base?.hints && { hints: base.hints }),
+  };
+};
+
+const editorFormFromDefinition = (definition) => {
+  const { representation } = definition;
+  return {
+    id: definition.id,
+    type: definition.type,
+    skills: definition.skills,
+    representation: representation?.type ?? "",
+    data: editorPairs(representation)
+      .map((pair) => pair.join(", "))
+      .join("\n"),
+    tickStep: representation?.type === "footprint" ? representation.tickPositions[1] - representation.tickPositions[0] : 1,
+    timeLabels: Boolean(representation?.timeLabels),
+    prompt: templateText(definition.prompt),
+    answer: definition.answer.value,
+    distractors: (definition.distractors || []).map((entry) => ({ ...entry, feedback: templateText(entry.feedback) })),
+    solution: (definition.solution || []).map((step) => templateText(step.text)),
+  };
+};
+
+const updateEditorLabels = () => {
+  const representation = editorRepresentationSelect.value;
+  editorDataField.hidden = !representation;
+  editorFootprintFields.hidden = representation !== "footprint";
+  editorDataLabel.textContent = representation ? t(editorDataLabels[representation]) : "";
+  editorAnswerLabel.textContent = t("editor.answer", { unit: templateAnswerUnits[editorTypeSelect.value] });
+};
+
+const renderEditorControls = (form) => {
+  editorSkillsEl.innerHTML = skillCatalog
+    .map(
+      (skill) => `
+        <label class="exam-skill">
+          <input type="checkbox" value="${skill}"${form.skills.includes(skill) ? " checked" : ""} />
+          ${skillLabel(skill)}
+        </label>`
+    )
     .join("");
-  const lines = data.objects
-    .map((object) => {
-      const points = object.points.map((point) => `${xScale(point.t)},${yScale(point.x)}`).join(" ");
-      const lastPoint = object.points[object.points.length - 1];
-      const labelX = xScale(lastPoint.t) + 4;
-      const labelY = yScale(lastPoint.x) - 6;
+  editorDistractorsEl.innerHTML = Array.from({ length: EDITOR_DISTRACTOR_COUNT }, (_, index) => {
+    const entry = form.distractors[index] ?? { value: "", misconception: misconceptions[0], feedback: "" };
+    const choices = misconceptions
+      .map((id) => `<option value="${id}"${id === entry.misconception ? " selected" : ""}>${escapeHtml(misconceptionLabel(id))}</option>`)
+      .join("");
+    return `
+      <div class="editor-distractor">
+        <input class="editor-distractor-value" type="text" inputmode="decimal" dir="ltr" value="${escapeHtml(entry.value)}"
+          aria-label="${t("editor.distractorValue", { number: index + 1 })}" placeholder="${t("editor.distractorValue", { number: index + 1 })}" />
+        <select class="editor-distractor-misconception" aria-label="${t("editor.distractorMisconception", { number: index + 1 })}">${choices}</select>
+        <input class="editor-distractor-feedback" type="text" value="${escapeHtml(entry.feedback)}"
+          aria-label="${t("editor.distractorFeedback", { number: index + 1 })}" placeholder="${t("editor.distractorFeedback", { number: index + 1 })}" />
+      </div>`;
+  }).join("");
+  updateEditorLabels();
+};
+
+const fillEditorForm = (form) => {
+  editorIdInput.value = form.id;
+  editorTypeSelect.value = form.type;
+  editorRepresentationSelect.value = form.representation;
+  editorDataInput.value = form.data;
+  editorTickStepInput.value = form.tickStep;
+  editorTimeLabelsInput.checked = form.timeLabels;
+  editorPromptInput.value = form.prompt;
+  editorAnswerInput.value = form.answer;
+  editorSolutionInput.value = form.solution.join("\n");
+  renderEditorControls(form);
+};
+
+const renderEditorIssues = ({ errors, warnings }) => {
+  editorIssuesEl.innerHTML = [
+    ...errors.map((text) => `<li class="editor-error">${escapeHtml(text)}</li>`),
+    ...warnings.map((text) => `<li class="editor-warning">${escapeHtml(text)}</li>`),
+  ].join("");
+};
+
+const renderEditorPreviewQuestion = (question) => {
+  const options = question.options
+    .map((option) => {
+      const note = option.isCorrect ? t("editor.correctOption") : option.misconception ? misconceptionLabel(option.misconception) : t("editor.generatedOption");
       return `
-        <polyline points="${points}" fill="none" stroke="${object.color}" stroke-width="3" />
-        <text x="${labelX}" y="${labelY}" class="graph-label" fill="${object.color}">${object.name}</text>
-      `;
+        <li class="option-card${option.isCorrect ? " correct" : ""}">
+          <div>${formatOption(option, question)}</div>
+          <small class="editor-option-note">${escapeHtml(note)}</small>
+        </li>`;
     })
     .join("");
-  return `
-    <svg width="100%" viewBox="0 0 ${width} ${height}">
-      <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      ${yLines}
-      ${tickLines}
-      ${lines}
-      <text x="${width - padding}" y="${height - padding + 32}" class="graph-label">t (s)</text>
-      <text x="${padding - 5}" y="${padding - 10}" class="graph-label">x (m)</text>
-    </svg>
+  const steps = question.solutionSteps.map((step) => `<li>${escapeHtml(step.text)}</li>`).join("");
+  editorPreviewEl.innerHTML = `
+    <p class="prompt">${escapeHtml(question.prompt)}</p>
+    ${question.representation ? `<div class="representation">${renderRepresentation(question.representation, [], chartSizes.view)}</div>` : ""}
+    <ol class="editor-options">${options}</ol>
+    ${steps ? `<ol class="solution-steps">${steps}</ol>` : ""}
   `;
-}
+  typesetMath(editorPreviewEl);
+};
 
-function renderDualVT(data) {
-  if (!data) return "<p>אין נתונים</p>";
-  const width = 340;
-  const height = 220;
-  const padding = 40;
-  const minTime = data.minTime ?? 0;
-  const maxTime = data.maxTime;
-  const minVelocity = data.minVelocity ?? 0;
-  const maxVelocity = data.maxVelocity;
-  const xScale = (value) => padding + ((value - minTime) / (maxTime - minTime || 1)) * (width - padding * 2);
-  const yScale = (value) => height - padding - ((value - minVelocity) / (maxVelocity - minVelocity || 1)) * (height - padding * 2);
-  const xTicks = data.xTicks ?? buildTicks(minTime, maxTime);
-  const yTicks = data.yTicks ?? buildTicks(minVelocity, maxVelocity);
-  const tickLines = xTicks
-    .map((tick) => {
-      const x = xScale(tick);
-      return `
-        <line x1="${x}" y1="${height - padding}" x2="${x}" y2="${height - padding + 6}" stroke="#333" stroke-width="1" />
-        <text x="${x}" y="${height - padding + 22}" class="graph-label" text-anchor="middle">${formatTick(tick)}</text>
-      `;
-    })
-    .join("");
-  const yLines = yTicks
-    .map((tick) => {
-      const y = yScale(tick);
-      return `
-        <line x1="${padding - 6}" y1="${y}" x2="${padding}" y2="${y}" stroke="#333" stroke-width="1" />
-        <text x="${padding - 12}" y="${y + 4}" class="graph-label" text-anchor="end">${formatTick(tick)}</text>
-      `;
-    })
-    .join("");
-  const lines = data.objects
-    .map((object) => {
-      const points = object.points.map((point) => `${xScale(point.t)},${yScale(point.v)}`).join(" ");
-      const lastPoint = object.points[object.points.length - 1];
-      const labelX = xScale(lastPoint.t) + 4;
-      const labelY = yScale(lastPoint.v) - 6;
+// Rebuilt on every keystroke under a fixed id and seed, so the options only move when the data changes.
+// Returns the definition when the form is valid, or null.
+const previewEditorQuestion = () => {
+  const form = readEditorForm();
+  const issues = validateEditorForm(form);
+  renderEditorIssues(issues);
+  if (issues.errors.length) {
+    editorPreviewEl.innerHTML = `<p class="teacher-hint">${t("editor.previewBlocked")}</p>`;
+    return null;
+  }
+  const definition = editorDefinition(form, issues.pairs);
+  try {
+    const entry = compileTemplate({ ...definition, id: EDITOR_PREVIEW_ID });
+    renderEditorPreviewQuestion(buildQuestion(entry, 1, { unitVariation: false }));
+  } catch (err) {
+    editorPreviewEl.innerHTML = `<p class="editor-error">${escapeHtml(err.message)}</p>`;
+    return null;
+  }
+  return definition;
+};
+
+// A saved question replaces the earlier version under the same id.
+const registerCustomTemplate = (definition) => {
+  const index = questionBuilders.findIndex((entry) => entry.id === definition.id && entry.custom);
+  if (index >= 0) questionBuilders.splice(index, 1);
+  questionBuilders.push({ ...compileTemplate(definition), custom: true });
+};
+
+const registerCustomTemplates = () =>
+  customTemplates.forEach((definition) => {
+    try {
+      registerCustomTemplate(definition);
+    } catch (err) {
+      console.warn(`${CUSTOM_TEMPLATE_STORAGE_KEY}: ${err.message}`);
+    }
+  });
+
+const saveCustomTemplates = () => {
+  try {
+    localStorage.setItem(CUSTOM_TEMPLATE_STORAGE_KEY, JSON.stringify(customTemplates));
+  } catch (err) {
+    // ignore persistence errors
+  }
+};
+
+const renderEditorSaved = () => {
+  if (!customTemplates.length) {
+    editorSavedEl.innerHTML = `<li class="teacher-hint">${t("editor.noneSaved")}</li>`;
+    return;
+  }
+  editorSavedEl.innerHTML = customTemplates
+    .map(({ id }) => {
+      const playable = builderById(id)?.custom;
       return `
-        <polyline points="${points}" fill="none" stroke="${object.color}" stroke-width="3" />
-        <text x="${labelX}" y="${labelY}" class="graph-label" fill="${object.color}">${object.name}</text>
-      `;
+        <li class="editor-saved-item">
+          <span class="question-id">${escapeHtml(id)}</span>
+          <button class="link-button" type="button" data-action="edit" data-id="${escapeHtml(id)}">${t("editor.edit")}</button>
+          ${playable ? `<a href="?q=${encodeURIComponent(id)}:1">${t("editor.practice")}</a>` : ""}
+          <button class="link-button" type="button" data-action="delete" data-id="${escapeHtml(id)}">${t("editor.delete")}</button>
+        </li>`;
     })
     .join("");
-  return `
-    <svg width="100%" viewBox="0 0 ${width} ${height}">
-      <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#333" stroke-width="2" />
-      ${yLines}
-      ${tickLines}
-      ${lines}
-      <text x="${width - padding}" y="${height - padding + 32}" class="graph-label">t (s)</text>
-      <text x="${padding - 5}" y="${padding - 10}" class="graph-label">v (m/s)</text>
-    </svg>
-  `;
-}
+};
 
-function renderRepresentation(representation) {
-  if (!representation) return "<p>אין נתונים</p>";
-  switch (representation.type) {
-    case "table":
-      return renderTable(representation);
-    case "xt-graph":
-      return renderXTGraph(representation);
-    case "vt-graph":
-      return renderVTGraph(representation);
-    case "xt-equation":
-      return renderEquationView(representation);
-    case "footprint":
-      return renderFootprint(representation);
-    case "dual-xt":
-      return renderDualXT(representation);
-    case "dual-vt":
-      return renderDualVT(representation);
-    default:
-      return "<p>ייצוג לא נתמך</p>";
+const renderEditor = () => {
+  renderEditorControls(readEditorForm());
+  renderEditorSaved();
+  previewEditorQuestion();
+};
+
+const openEditor = () => {
+  fillEditorForm(emptyEditorForm());
+  renderEditorSaved();
+  previewEditorQuestion();
+};
+
+const saveEditorQuestion = () => {
+  const definition = previewEditorQuestion();
+  if (!definition) {
+    editorStatusEl.textContent = t("editor.fixErrors");
+    return;
   }
-}
+  registerCustomTemplate(definition);
+  customTemplates = [...customTemplates.filter((entry) => entry.id !== definition.id), definition];
+  editorBase = definition;
+  saveCustomTemplates();
+  renderEditorSaved();
+  editorStatusEl.textContent = t("editor.savedStatus", { id: definition.id });
+};
+
+const downloadEditorQuestion = () => {
+  const definition = previewEditorQuestion();
+  if (!definition) {
+    editorStatusEl.textContent = t("editor.fixErrors");
+    return;
+  }
+  downloadFile(`${definition.id}.json`, "application/json", `${JSON.stringify(definition, null, 2)}\n`);
+  editorStatusEl.textContent = t("editor.downloadedStatus", { file: `${definition.id}.json` });
+};
+
+const handleEditorSavedClick = (event) => {
+  const button = event.target.closest("button[data-id]");
+  if (!button) return;
+  const definition = customTemplates.find((entry) => entry.id === button.dataset.id);
+  if (!definition) return;
+  if (button.dataset.action === "edit") {
+    editorBase = definition;
+    fillEditorForm(editorFormFromDefinition(definition));
+    editorStatusEl.textContent = "";
+    previewEditorQuestion();
+    return;
+  }
+  customTemplates = customTemplates.filter((entry) => entry !== definition);
+  const index = questionBuilders.findIndex((entry) => entry.id === definition.id && entry.custom);
+  if (index >= 0) questionBuilders.splice(index, 1);
+  saveCustomTemplates();
+  renderEditorSaved();
+  editorStatusEl.textContent = t("editor.deletedStatus", { id: definition.id });
+};
+
+const answerModeLabel = () => t(answerMode === "free" ? "ui.switchToChoice" : "ui.switchToFree");
+
+const setAnswerMode = (mode) => {
+  answerMode = mode;
+  answerModeBtn.textContent = answerModeLabel();
+  try {
+    localStorage.setItem(ANSWER_MODE_STORAGE_KEY, mode);
+  } catch (err) {
+    // ignore persistence errors
+  }
+};
+
+const handleOptionSelect = (index) => {
+  if (answered) return;
+  selectedOptionIndex = index;
+  document.querySelectorAll(".option-card").forEach((btn) => {
+    const isSelected = Number(btn.dataset.index) === index;
+    btn.classList.toggle("selected", isSelected);
+    btn.setAttribute("aria-checked", String(isSelected));
+    btn.setAttribute("tabindex", isSelected ? "0" : "-1");
+  });
+  const confirmArea = document.getElementById("confirm-area");
+  confirmArea.innerHTML = `<button class="secondary" id="confirm-selection">${t("ui.confirmSelection")}</button>`;
+  document.getElementById("confirm-selection").addEventListener("click", confirmSelection);
+};
 
 submitBtn.addEventListener("click", () => {
   if (!currentQuestion) return;
@@ -1572,14 +1735,241 @@ submitBtn.addEventListener("click", () => {
   }
 });
 
+shareBtn.addEventListener("click", copyQuestionLink);
+overlayBtn.addEventListener("click", showOverlays);
+hintBtn.addEventListener("click", () => showHints(hintsShown + 1));
+
+playbackBtn.addEventListener("click", () => {
+  if (playback) {
+    closePlayback();
+    renderRepresentationView();
+  } else {
+    openPlayback();
+  }
+});
+
+playbackToggleBtn.addEventListener("click", () => setPlaybackPlaying(!playback?.playing));
+
+playbackScrub.addEventListener("input", () => {
+  if (!playback) return;
+  playback.time = Number(playbackScrub.value);
+  setPlaybackPlaying(false);
+});
+
+playbackSpeedSelect.addEventListener("change", () => {
+  if (playback) playback.speed = Number(playbackSpeedSelect.value);
+});
+
+examBtn.addEventListener("click", openExamSetup);
+cancelExamBtn.addEventListener("click", closeExamSetup);
+finishExamBtn.addEventListener("click", () => {
+  if (exam) finishExam();
+});
+
+// An exam in progress lives only in this page, so leaving or reloading asks first.
+window.addEventListener("beforeunload", (event) => {
+  if (!exam) return;
+  event.preventDefault();
+  event.returnValue = "";
+});
+
+examForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const skills = Array.from(examSkillsEl.querySelectorAll("input:checked")).map((input) => input.value);
+  const length = Math.round(Number(examLengthInput.value));
+  const minutes = Number(examMinutesInput.value);
+  if (!examBuilders(skills).length) {
+    examSetupErrorEl.textContent = t("exam.noSkills");
+    return;
+  }
+  if (!(length >= 1 && length <= 40) || !(minutes >= 0)) {
+    examSetupErrorEl.textContent = t("exam.invalidSettings");
+    return;
+  }
+  startExam({ length, minutes, skills });
+});
+
+studentNameInput.addEventListener("change", () => {
+  studentName = studentNameInput.value.trim();
+  try {
+    localStorage.setItem(STUDENT_STORAGE_KEY, studentName);
+  } catch (err) {
+    // ignore persistence errors
+  }
+});
+
+exportJsonBtn.addEventListener("click", () => exportAttempts("json"));
+exportCsvBtn.addEventListener("click", () => exportAttempts("csv"));
+teacherFilesInput.addEventListener("change", () => importReports(Array.from(teacherFilesInput.files)));
+
+editorForm.addEventListener("input", () => {
+  updateEditorLabels();
+  editorStatusEl.textContent = "";
+  previewEditorQuestion();
+});
+editorForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  saveEditorQuestion();
+});
+document.getElementById("editor-download").addEventListener("click", downloadEditorQuestion);
+document.getElementById("editor-new").addEventListener("click", () => {
+  editorBase = null;
+  editorStatusEl.textContent = "";
+  openEditor();
+});
+editorSavedEl.addEventListener("click", handleEditorSavedClick);
+
+localeSelect.addEventListener("change", () => switchLocale(localeSelect.value));
+
+answerModeBtn.addEventListener("click", () => {
+  setAnswerMode(answerMode === "free" ? "choice" : "free");
+  if (currentQuestion && !answered) renderCurrentQuestion();
+});
+
+// Static markup names its catalog keys in `data-i18n` (text), `data-i18n-label` (aria-label) and `data-i18n-title`.
+const applyLocale = (code) => {
+  setLocale(code);
+  document.documentElement.lang = code;
+  document.documentElement.dir = messages[code].dir;
+  document.title = t("ui.title");
+  document.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-label]").forEach((element) => {
+    element.setAttribute("aria-label", t(element.dataset.i18nLabel));
+  });
+  document.querySelectorAll("[data-i18n-title]").forEach((element) => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  localeSelect.innerHTML = Object.entries(messages)
+    .map(([value, { name }]) => `<option value="${value}"${value === code ? " selected" : ""}>${name}</option>`)
+    .join("");
+};
+
+// An unanswered question is rebuilt from its seed in the new language; an answered one keeps its
+// text until the student moves on, like an answer-mode switch.
+const switchLocale = (code) => {
+  applyLocale(code);
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+  } catch (err) {
+    // ignore persistence errors
+  }
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("lang")) {
+    params.set("lang", code);
+    try {
+      window.history.replaceState(null, "", `${window.location.pathname}?${params}`);
+    } catch (err) {
+      // ignore history errors (e.g. file:// pages)
+    }
+  }
+  if (isTeacherMode) {
+    renderTeacherImports();
+    return;
+  }
+  if (isWorksheetMode) {
+    renderWorksheet(worksheetSpec(new URLSearchParams(window.location.search).get("worksheet")));
+    return;
+  }
+  if (isEditorMode) {
+    renderEditor();
+    return;
+  }
+  updateStats();
+  renderSkillPanel();
+  updateAttemptCount();
+  answerModeBtn.textContent = answerModeLabel();
+  if (assignment) updateAssignmentProgress();
+  playbackBtn.textContent = t(playback ? "ui.closePlayback" : "ui.showPlayback");
+  if (currentQuestion && !answered) {
+    const { builderId, seed, reviewKey } = currentQuestion;
+    const shownHints = hintsShown;
+    currentQuestion = buildQuestion(builderById(builderId), seed, assignmentBuildOptions());
+    if (reviewKey) currentQuestion.reviewKey = reviewKey;
+    renderCurrentQuestion();
+    if (shownHints) showHints(shownHints);
+  }
+};
+
 const renderInitial = () => {
+  registerCustomTemplates();
+  readLinkState();
+  // Pruned only now that template builders are registered; a removed template's items are dropped.
+  reviewQueue.items = reviewQueue.items.filter((item) => builderById(item.builderId));
+  applyLocale(resolveLocale(urlParams.get("lang"), storedLocale));
+  if (isTeacherMode) {
+    quizCardEl.hidden = true;
+    teacherEl.hidden = false;
+    return;
+  }
+  if (isWorksheetMode) {
+    quizCardEl.hidden = true;
+    worksheetEl.hidden = false;
+    renderWorksheet(worksheetSpec(urlParams.get("worksheet")));
+    return;
+  }
+  if (isEditorMode) {
+    quizCardEl.hidden = true;
+    editorEl.hidden = false;
+    openEditor();
+    return;
+  }
+  studentNameInput.value = studentName;
+  updateAttemptCount();
   updateStats();
-  currentQuestion = generateQuestion();
+  renderSkillPanel();
+  setAnswerMode(answerMode);
+  if (assignment) {
+    questionCount = loadAssignmentProgress();
+    // A forced answer mode applies to this assignment only and is not saved as the student's preference.
+    if (assignment.spec.answerMode) answerMode = assignment.spec.answerMode;
+    answerModeBtn.hidden = Boolean(assignment.spec.answerMode);
+    examBtn.hidden = true;
+  }
+  currentQuestion = sharedQuestion
+    ? buildQuestion(builderById(sharedQuestion.builderId), sharedQuestion.seed)
+    : generateQuestion();
   renderCurrentQuestion();
 };
 
+// Files are registered in index order whatever order they arrive in, so `?test` cycles through them predictably.
+const loadQuestionTemplates = () =>
+  fetch(TEMPLATE_INDEX)
+    .then((response) => (response.ok ? response.json() : []))
+    .then((files) =>
+      Promise.all(
+        files.map((file) =>
+          fetch(`templates/${file}`)
+            .then((response) => response.json())
+            .catch((err) => {
+              console.warn(`templates/${file}: ${err.message}`);
+              return [];
+            })
+        )
+      ).then((contents) => contents.forEach((data, index) => registerTemplates(data, `templates/${files[index]}`)))
+    )
+    .catch(() => {
+      // no template index: the built-in builders are the whole bank
+    });
+
+if ("serviceWorker" in navigator && window.location.protocol !== "file:") {
+  navigator.serviceWorker.register("service-worker.js").catch(() => {
+    // the quiz still works online without the offline cache
+  });
+}
+
+// Template files need a server; a page opened from disk starts with the built-in builders alone.
+const startApp = () => {
+  if (typeof fetch !== "function" || window.location.protocol === "file:") {
+    renderInitial();
+    return;
+  }
+  loadQuestionTemplates().then(renderInitial);
+};
+
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", renderInitial);
+  document.addEventListener("DOMContentLoaded", startApp);
 } else {
-  renderInitial();
+  startApp();
 }
@@ -0,0 +1,69 @@
+/**
+ * Offline cache for classrooms with unreliable Wi-Fi. The app shell is cached on install and served
+ * stale-while-revalidate; MathJax (script and fonts) is cached from the CDN the first time it loads.
+ * Bump CACHE_NAME when the shell list changes.
+ */
+const CACHE_NAME = "physics-quiz-v5";
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./messages.js",
+  "./core.js",
+  "./validate.js",
+  "./script.js",
+  "./styles.css",
+  "./manifest.webmanifest",
+  "./icon.svg",
+  "./templates/index.json",
+  "./templates/table-time.json",
+  "./templates/vt-trip-average.json",
+];
+const MATHJAX_PREFIX = "https://cdn.jsdelivr.net/npm/mathjax@3/";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = (request, response) => {
+  if (response.ok || response.type === "opaque") {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.url.startsWith(MATHJAX_PREFIX)) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request).then((response) => cacheResponse(request, response)))
+    );
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+  // Question links differ only in the query (`?q=…`, `?assign=…`), so they all share the cached page.
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => {
+      const network = fetch(request)
+        .then((response) => cacheResponse(request.mode === "navigate" ? "./index.html" : request, response))
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
+});
@@ -0,0 +1,531 @@
+/**
+ * Consistency checks, run on every question in `?test` and by `generate.js --check`. The answer is recomputed
+ * from the data the student sees (slope, area, position at a time, total path) instead of the builder's own
+ * variables; numbers a prompt states without drawing them come from the builder's `given`. Options must be
+ * distinct with exactly one marked correct (a "several fit"/"none fit" card is that one), and footprints must
+ * follow the rules at the top of core.js. Each check returns a list of problems in plain English for the console.
+ * Like core.js, the file runs in the browser (after core.js, before script.js) and in Node.
+ */
+
+// The page shares core.js's globals; Node requires the same helpers from it.
+const core =
+  typeof module === "undefined"
+    ? {
+        t,
+        formatNumber,
+        formatOption,
+        optionKey,
+        builderById,
+        responseUnits,
+        interpolateAt,
+        axisUnit,
+        graphKinds,
+        graphRange,
+        graphSeries,
+        scaleRepresentation,
+        scaleRepresentationTime,
+        representationTimeUnit,
+        renderRepresentation,
+        playbackTracks,
+        playbackDuration,
+        playbackSecondsPerUnit,
+        advancePlayback,
+      }
+    : require("./core.js");
+
+const CHECK_TOLERANCE = 0.005;
+
+const isSameNumber = (value, expected) => Math.abs(value - expected) <= CHECK_TOLERANCE;
+
+const positionSamples = (representation) => {
+  if (representation.type === "table") {
+    return representation.rows.map(([time, position]) => ({ t: Number(time), x: Number(position) }));
+  }
+  if (representation.type === "footprint") {
+    return representation.steps.map(({ time, position }) => ({ t: time, x: position }));
+  }
+  return representation.points;
+};
+
+// Trapezoids up to `time`; a vertical jump (two points at one time) adds nothing.
+const areaUntil = (points, time) =>
+  points.slice(1).reduce((area, point, index) => {
+    const start = points[index];
+    const end = Math.min(point.t, time);
+    if (end <= start.t) return area;
+    return area + ((start.v + core.interpolateAt([start, point], "v", end)) / 2) * (end - start.t);
+  }, 0);
+
+// A v–t graph is integrated from `x0`; a parabola follows its stored motion rather than the chord between points.
+const positionAt = (representation, time, x0 = 0) => {
+  if (representation.type === "vt-graph") return x0 + areaUntil(representation.points, time);
+  if (representation.type === "xt-equation") return representation.intercept + representation.velocity * time;
+  const { motion } = representation;
+  if (motion) return motion.x0 + motion.v0 * time + (motion.a * time * time) / 2;
+  return core.interpolateAt(positionSamples(representation), "x", time);
+};
+
+const velocityAt = (representation, time) => {
+  if (representation.type === "vt-graph") return core.interpolateAt(representation.points, "v", time);
+  const delta = 1e-4;
+  return (positionAt(representation, time + delta) - positionAt(representation, time - delta)) / (2 * delta);
+};
+
+const averageVelocity = (samples) => {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  return (last.x - first.x) / (last.t - first.t);
+};
+
+const pathLength = (samples) => samples.slice(1).reduce((sum, point, index) => sum + Math.abs(point.x - samples[index].x), 0);
+
+const timeSpan = (samples) => samples[samples.length - 1].t - samples[0].t;
+
+// A vertical jump has no slope and is skipped.
+const segmentSlopes = (points, valueKey) =>
+  points.slice(1).flatMap((point, index) => {
+    const start = points[index];
+    return point.t > start.t ? [(point[valueKey] - start[valueKey]) / (point.t - start.t)] : [];
+  });
+
+// The body has stopped once its velocity reaches zero and stays there; a graph that ends moving never stops.
+const stopTime = (points) => {
+  const moving = points.map((point) => point.v !== 0).lastIndexOf(true);
+  if (moving === points.length - 1) return NaN;
+  const before = points[moving];
+  const after = points[moving + 1];
+  return before.t + (before.v * (after.t - before.t)) / (before.v - after.v);
+};
+
+const leaderName = (objects, measure) => {
+  const values = objects.map(measure);
+  const best = Math.max(...values);
+  return values.filter((value) => isSameNumber(value, best)).length > 1
+    ? core.t("options.equal")
+    : objects[values.indexOf(best)].name;
+};
+
+// Expected answers: a number for the correct value, text for the correct card, or { velocity, intercept,
+// acceleration } for the correct equation.
+const answerChecks = {
+  "table-rand": ({ representation }) => averageVelocity(positionSamples(representation)),
+  "table-average": ({ representation }) => {
+    const samples = positionSamples(representation);
+    return pathLength(samples) / timeSpan(samples);
+  },
+  "xt-constant": ({ representation }) => averageVelocity(representation.points),
+  "xt-switch": ({ representation }) => Math.max(...segmentSlopes(representation.points, "x").map(Math.abs)),
+  "xt-return": ({ representation, given }) => positionAt(representation, given.time),
+  "xt-total": ({ representation }) => pathLength(representation.points),
+  "vt-area": ({ representation }) => areaUntil(representation.points, Infinity),
+  "vt-stop": ({ representation }) => stopTime(representation.points),
+  "vt-accel": ({ representation }) => representation.points[representation.points.length - 1].v,
+  "footprint-const": ({ representation }) => averageVelocity(positionSamples(representation)),
+  "footprint-var": ({ representation }) => {
+    const samples = positionSamples(representation);
+    return pathLength(samples) / timeSpan(samples);
+  },
+  "footprint-dist": ({ representation }) => pathLength(positionSamples(representation)),
+  "footprint-disp": ({ representation }) => {
+    const samples = positionSamples(representation);
+    return samples[samples.length - 1].x - samples[0].x;
+  },
+  "xt-eq-pos": ({ representation, given }) => positionAt(representation, given.time),
+  "xt-graph-eq": ({ representation }) => ({ velocity: averageVelocity(representation.points), intercept: positionAt(representation, 0) }),
+  "vt-graph-eq": ({ representation, given }) => {
+    const velocity = velocityAt(representation, given.time);
+    return { velocity, intercept: given.position - velocity * given.time };
+  },
+  "xt-table-eq": ({ representation }) => ({
+    velocity: averageVelocity(positionSamples(representation)),
+    intercept: positionAt(representation, 0),
+  }),
+  "footprint-eq": ({ representation }) => ({
+    velocity: averageVelocity(positionSamples(representation)),
+    intercept: positionAt(representation, 0),
+  }),
+  "xt-meet-eq": ({ representation, given, options }) => {
+    const meetPosition = positionAt(representation, given.time);
+    const meeting = options.filter(
+      ({ equation }) => equation && isSameNumber(equation.intercept + equation.velocity * given.time, meetPosition)
+    );
+    if (meeting.length === 1) return meeting[0].text;
+    return core.t(meeting.length ? "options.multipleCorrect" : "options.noneCorrect");
+  },
+  "dual-vt-speed": ({ representation }) => leaderName(representation.objects, (object) => Math.abs(object.points[0].v)),
+  "dual-vt-dist": ({ representation }) => leaderName(representation.objects, (object) => areaUntil(object.points, Infinity)),
+  "dual-xt": ({ representation }) =>
+    leaderName(representation.objects, (object) => object.points[object.points.length - 1].x),
+  "accel-slope": ({ representation }) => segmentSlopes(representation.points, "v")[0],
+  "accel-area": ({ representation }) => areaUntil(representation.points, Infinity),
+  "accel-xt": ({ representation }) => {
+    const end = representation.points[representation.points.length - 1];
+    return (2 * (end.x - positionAt(representation, 0))) / (end.t * end.t);
+  },
+  "accel-eq": ({ representation, given }) => ({
+    velocity: representation.points[0].v,
+    acceleration: segmentSlopes(representation.points, "v")[0],
+    intercept: given.position,
+  }),
+};
+
+const answerProblems = (question, expected) => {
+  const correct = question.options.find((option) => option.isCorrect);
+  if (typeof expected === "number") {
+    if (!Number.isFinite(expected)) return ["the representation does not determine the answer"];
+    if (!isSameNumber(question.correctValue, expected)) {
+      return [`the answer is ${question.correctValue}, but the representation gives ${core.formatNumber(expected)}`];
+    }
+    const shown = correct && core.formatOption(correct, question);
+    const recomputed = correct && core.formatOption({ ...correct, value: expected }, question);
+    return shown === recomputed ? [] : [`the correct card reads ${shown}, but the representation gives ${recomputed}`];
+  }
+  if (typeof expected === "string") {
+    return correct?.text === expected ? [] : [`the correct card reads "${correct?.text}", but the representation gives "${expected}"`];
+  }
+  const equation = correct?.equation;
+  const matches =
+    equation &&
+    isSameNumber(equation.velocity, expected.velocity) &&
+    isSameNumber(equation.intercept, expected.intercept) &&
+    isSameNumber(equation.acceleration, expected.acceleration ?? 0);
+  return matches ? [] : [`the correct equation is "${correct?.text}", but the representation gives ${JSON.stringify(expected)}`];
+};
+
+// A sketch target or a matching card is compared with the given representation in the middle of each of its segments.
+const graphAnswerProblems = (question) => {
+  const target = question.sketch ?? question.options.find((option) => option.isCorrect)?.representation;
+  if (!target?.points) return ["no target graph to compare"];
+  const isVelocity = target.type === "vt-graph";
+  const valueKey = isVelocity ? "v" : "x";
+  return target.points.slice(1).flatMap((point, index) => {
+    const start = target.points[index];
+    if (point.t <= start.t) return [];
+    const time = (start.t + point.t) / 2;
+    const value = core.interpolateAt([start, point], valueKey, time);
+    const expected = isVelocity
+      ? velocityAt(question.representation, time)
+      : positionAt(question.representation, time, question.given?.position);
+    return isSameNumber(value, expected)
+      ? []
+      : [`at t=${core.formatNumber(time)} the answer graph shows ${valueKey}=${core.formatNumber(value)}, the representation gives ${core.formatNumber(expected)}`];
+  });
+};
+
+const optionProblems = (question) => {
+  if (question.sketch) return [];
+  const problems = [];
+  const correctCount = question.options.filter((option) => option.isCorrect).length;
+  if (correctCount !== 1) problems.push(`${correctCount} options are marked correct`);
+  const labels = question.options.map((option) => (option.representation ? core.optionKey(option) : core.formatOption(option, question)));
+  labels.forEach((label, index) => {
+    if (labels.indexOf(label) !== index) problems.push(`option ${index + 1} repeats option ${labels.indexOf(label) + 1}`);
+  });
+  return problems;
+};
+
+const evenlySpaced = (values) => {
+  const gaps = values.slice(1).map((value, index) => value - values[index]);
+  return gaps.every((gap) => gap > 0 && Math.abs(gap - gaps[0]) < 1e-9);
+};
+
+const representationProblems = (representation) => {
+  if (!representation) return [];
+  if (representation.type === "footprint") {
+    const problems = [];
+    if (!evenlySpaced(representation.steps.map((step) => step.time))) problems.push("footprint times are not evenly spaced");
+    const ticks = representation.tickPositions ?? [];
+    if (!evenlySpaced(ticks)) problems.push(`footprint ticks are not evenly spaced: ${ticks.join(", ")}`);
+    representation.steps.forEach(({ position }, index) => {
+      if (!ticks.some((tick) => Math.abs(tick - position) < 1e-9)) problems.push(`footprint ${index + 1} at ${position} is not on a tick`);
+    });
+    return problems;
+  }
+  if (representation.type === "table") {
+    const times = representation.rows.map(([time]) => Number(time));
+    return times.every((time, index) => index === 0 || time > times[index - 1]) ? [] : ["table times do not increase"];
+  }
+  if (!core.graphKinds[representation.type]) return [];
+  const { valueKey } = core.graphKinds[representation.type];
+  const { minTime, maxTime, minValue, maxValue } = core.graphRange(representation);
+  return core.graphSeries(representation).flatMap(({ points }) =>
+    points.flatMap((point, index) => {
+      const problems = [];
+      if (index > 0 && point.t < points[index - 1].t) problems.push(`graph time runs backwards at t=${point.t}`);
+      const outside =
+        point.t < minTime - CHECK_TOLERANCE ||
+        point.t > maxTime + CHECK_TOLERANCE ||
+        point[valueKey] < minValue - CHECK_TOLERANCE ||
+        point[valueKey] > maxValue + CHECK_TOLERANCE;
+      if (outside) problems.push(`graph point (${point.t}, ${point[valueKey]}) lies outside the axes`);
+      return problems;
+    })
+  );
+};
+
+// Playback at speed 1 is stepped in 60 fps frames and must last as long as the motion: 0.1 min takes 6 s.
+const PLAYBACK_CHECK_FPS = 60;
+
+const playbackProblems = ({ representation }) => {
+  if (!core.playbackTracks(representation).length) return [];
+  const timeUnit = core.representationTimeUnit(representation);
+  const unit = core.responseUnits.time.find((entry) => entry.label === timeUnit);
+  if (!unit) return [`playback does not know the time unit "${timeUnit}"`];
+  const duration = core.playbackDuration(representation);
+  const expectedSeconds = duration / unit.multiplier;
+  const playback = { time: 0, duration, speed: 1, secondsPerUnit: core.playbackSecondsPerUnit(timeUnit) };
+  let frames = 0;
+  while (playback.time < duration && frames <= expectedSeconds * PLAYBACK_CHECK_FPS * 2) {
+    playback.time = core.advancePlayback(playback, 1 / PLAYBACK_CHECK_FPS);
+    frames += 1;
+  }
+  const seconds = frames / PLAYBACK_CHECK_FPS;
+  // Adding up frames can leave the last one a rounding error short of the end.
+  return Math.abs(seconds - expectedSeconds) <= 1.5 / PLAYBACK_CHECK_FPS
+    ? []
+    : [`playback of ${core.formatNumber(duration)} ${timeUnit} takes ${core.formatNumber(seconds)} s at speed 1, not ${core.formatNumber(expectedSeconds)} s`];
+};
+
+const unitToBase = (label) => {
+  const unit = Object.values(core.responseUnits)
+    .flat()
+    .find((entry) => entry.label === label);
+  return unit ? 1 / unit.multiplier : 1;
+};
+
+// The displayed representation converted back to base units through its own labels, so the checks below see
+// exactly what the student sees whatever units it was rescaled to.
+const baseRepresentation = (representation) => {
+  if (!representation) return representation;
+  const copy = JSON.parse(JSON.stringify(representation));
+  const timeUnit = core.representationTimeUnit(representation);
+  const valueLabel = {
+    table: representation.headers?.[1],
+    footprint: representation.axisLabel,
+    "xt-equation": representation.distanceLabel && `x (${representation.distanceLabel})`,
+  }[representation.type] ?? representation.yLabel;
+  const baseLabel = core.graphKinds[representation.type]?.yLabel ?? "x (m)";
+  const valueUnit = valueLabel ? core.axisUnit(valueLabel) : core.axisUnit(baseLabel);
+  if (valueUnit !== core.axisUnit(baseLabel)) core.scaleRepresentation(copy, unitToBase(valueUnit), baseLabel);
+  if (timeUnit !== "s") core.scaleRepresentationTime(copy, unitToBase(timeUnit), "t (s)");
+  return copy;
+};
+
+// A number as `formatNumber` prints it, with the unit label that may follow it in a step.
+const STEP_QUANTITY = /^([-−]?\d+(?:\.\d+)?)(?: (min|[ck]?m(?:\/(?:s²|s|h|min))?|s)(?![\p{L}\d]))?/u;
+const STEP_OPERATOR = /^[+\-−·×÷/()²=]/;
+
+const stepTokens = (text) => {
+  const tokens = [];
+  let rest = text;
+  while (rest) {
+    const space = rest.match(/^\s+/);
+    const quantity = !space && rest.match(STEP_QUANTITY);
+    const previous = tokens[tokens.length - 1];
+    // A minus sign belongs to the number unless it follows something it could subtract from.
+    const subtracts = quantity && /^[-−]/.test(quantity[1]) && previous?.type === "number";
+    const operator = !space && (subtracts || !quantity) && rest.match(STEP_OPERATOR);
+    const match = space || operator || quantity || rest.match(/^[\p{L}\p{M}\d.]+|^./u);
+    if (operator) tokens.push({ type: "operator", value: operator[0] });
+    else if (quantity) tokens.push({ type: "number", value: Number(quantity[1].replace("−", "-")), text: quantity[1], unit: quantity[2] });
+    else if (!space) tokens.push({ type: "other" });
+    rest = rest.slice(match[0].length);
+  }
+  return tokens;
+};
+
+// Evaluates + − · × / ÷, brackets and ²; returns NaN for anything that is not a whole calculation.
+const evaluateStepExpression = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index]?.value;
+  const primary = () => {
+    const token = tokens[index];
+    if (token?.type === "number") {
+      index += 1;
+      return token.value;
+    }
+    if (peek() === "−" || peek() === "-") {
+      index += 1;
+      return -primary();
+    }
+    if (peek() !== "(") return NaN;
+    index += 1;
+    const value = sum();
+    if (peek() !== ")") return NaN;
+    index += 1;
+    return value;
+  };
+  const power = () => {
+    const value = primary();
+    if (peek() !== "²") return value;
+    index += 1;
+    return value * value;
+  };
+  const product = () => {
+    let value = power();
+    while (["·", "×", "/", "÷"].includes(peek())) {
+      const operator = tokens[index].value;
+      index += 1;
+      value = ["/", "÷"].includes(operator) ? value / power() : value * power();
+    }
+    return value;
+  };
+  const sum = () => {
+    let value = product();
+    while (["+", "−", "-"].includes(peek())) {
+      const operator = tokens[index].value;
+      index += 1;
+      value = operator === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+  const value = sum();
+  return index === tokens.length ? value : NaN;
+};
+
+// Every "calculation = result" a step or hint prints must come out as printed once the result is rounded the same
+// way, so a step that divides by a rounded value (4 m / 0.017 min = 240 m/min) is reported.
+const arithmeticProblems = (question) =>
+  [...(question.solutionSteps || []), ...question.hints].flatMap(({ text }) => {
+    const tokens = stepTokens(text);
+    return tokens.flatMap((token, index) => {
+      const result = tokens[index + 1];
+      if (token.value !== "=" || result?.type !== "number" || tokens[index + 2]?.type === "operator") return [];
+      let start = index;
+      while (start > 0 && tokens[start - 1].type !== "other" && tokens[start - 1].value !== "=") start -= 1;
+      const calculation = tokens.slice(start, index);
+      if (!calculation.some((part) => part.type === "operator")) return [];
+      const value = evaluateStepExpression(calculation);
+      if (!Number.isFinite(value) || core.formatNumber(value) === core.formatNumber(result.value)) return [];
+      return [`"${text}" works out to ${core.formatNumber(value)}, not ${result.text}`];
+    });
+  });
+
+// A quantity as printed stands for anything within half its last digit: 2.5 km is 2450 m to 2550 m.
+const printedSlack = ({ text, unit }) => 0.5 * 10 ** -(text.split(".")[1]?.length ?? 0) * unitToBase(unit);
+
+// Quantities with units compare in base units, so a label in km can match a step that fell back to m.
+const isSameQuantity = (label, printed) => {
+  const scale = (quantity) => (label.unit && printed.unit ? unitToBase(quantity.unit) : 1);
+  const slack = label.unit && printed.unit ? printedSlack(label) + printedSlack(printed) : CHECK_TOLERANCE;
+  return Math.abs(label.value * scale(label) - printed.value * scale(printed)) <= slack + 1e-9;
+};
+
+// The numbers a text prints, and what each bracketed calculation in it comes to: (14 m/s − 4 m/s) is 10 m/s.
+const printedQuantities = (text) => {
+  const tokens = stepTokens(text);
+  const brackets = tokens.flatMap((token, index) => {
+    const close = tokens.findIndex((other, position) => position > index && other.value === ")");
+    if (token.value !== "(" || close < 0) return [];
+    const inner = tokens.slice(index + 1, close);
+    const value = evaluateStepExpression(inner);
+    const first = inner.find((part) => part.type === "number");
+    return Number.isFinite(value) && first ? [{ type: "number", value, text: core.formatNumber(value), unit: first.unit }] : [];
+  });
+  return [...tokens.filter((token) => token.type === "number"), ...brackets];
+};
+
+// The quantities an overlay works out and prints itself (an area, a slope's Δt and Δx); a reading only repeats
+// the axis values under it and prints no unit.
+const overlayLabels = (representation, overlay) =>
+  [...core.renderRepresentation(representation, [overlay]).matchAll(/class="overlay-label"[^>]*>([^<]*)</g)].flatMap(
+    ([, label]) => printedQuantities(label).filter((token) => token.unit)
+  );
+
+// Every label a highlight prints must be a number its step prints. A hint that only highlights, and an overlay
+// drawn from the start, are held to the numbers printed anywhere in the steps and hints.
+const overlayLabelProblems = (question) => {
+  const { representation } = question;
+  if (!representation) return [];
+  const explained = [...(question.solutionSteps || []), ...question.hints];
+  const everywhere = explained.flatMap(({ text }) => printedQuantities(text));
+  const highlights = [
+    ...(representation.overlays || []).map((overlay) => ({ overlay })),
+    ...explained.filter((step) => step.highlight).map((step) => ({ overlay: step.highlight, text: step.text })),
+  ];
+  return highlights.flatMap(({ overlay, text }) => {
+    const own = text ? printedQuantities(text) : [];
+    const printed = own.length ? own : everywhere;
+    return overlayLabels(representation, overlay)
+      .filter((label) => !printed.some((quantity) => isSameQuantity(label, quantity)))
+      .map((label) => {
+        const where = own.length ? `"${text}" does not print it` : "no step prints it";
+        return `the ${overlay.type} highlight reads ${label.text} ${label.unit}, but ${where}`;
+      });
+  });
+};
+
+// Path length between two times; the body's turning points are sampled too, so a reversal is not cut short.
+const travelledBetween = (representation, from, to) => {
+  const samples = positionSamples(representation) ?? [];
+  const { motion } = representation;
+  const turns =
+    representation.type === "vt-graph"
+      ? samples.slice(1).flatMap((point, index) => {
+          const start = samples[index];
+          return start.v * point.v < 0 ? [start.t + (start.v / (start.v - point.v)) * (point.t - start.t)] : [];
+        })
+      : motion?.a
+        ? [-motion.v0 / motion.a]
+        : [];
+  const inside = [...samples.map((sample) => sample.t), ...turns].filter((time) => time > from && time < to);
+  const times = [from, ...new Set(inside.sort((a, b) => a - b)), to];
+  return pathLength(times.map((time) => ({ t: time, x: positionAt(representation, time) })));
+};
+
+/**
+ * What a template's answer measures, named by `answer.check` in its file ({ quantity, ...arguments }, in base
+ * units). `from` and `to` default to the first and last time the representation shows.
+ */
+const templateChecks = {
+  "average-speed": (representation, { from, to }) => travelledBetween(representation, from, to) / (to - from),
+  "average-velocity": (representation, { from, to }) =>
+    (positionAt(representation, to) - positionAt(representation, from)) / (to - from),
+  distance: (representation, { from, to }) => travelledBetween(representation, from, to),
+  displacement: (representation, { from, to }) => positionAt(representation, to) - positionAt(representation, from),
+  position: (representation, { at }) => positionAt(representation, at),
+  velocity: (representation, { at }) => velocityAt(representation, at),
+  acceleration: (representation, { from, to }) =>
+    (velocityAt(representation, to) - velocityAt(representation, from)) / (to - from),
+  // How long the distance takes at the average speed the representation shows.
+  "travel-time": (representation, { distance, from, to }) =>
+    distance / (travelledBetween(representation, from, to) / (to - from)),
+};
+
+const templateAnswerProblems = (question) => {
+  const { quantity, ...values } = question.answerCheck ?? {};
+  if (!quantity) return ["the template has no answer.check, so its answer is not verified"];
+  if (!Object.hasOwn(templateChecks, quantity)) return [`unknown answer check "${quantity}"`];
+  const times = (positionSamples(question.representation) ?? []).map((sample) => sample.t);
+  const span = { from: Math.min(...times), to: Math.max(...times) };
+  return answerProblems(question, templateChecks[quantity](question.representation, { ...span, ...values }));
+};
+
+// Checks run on the question as displayed: the representation is read back in base units through its own labels,
+// the correct card must show the recomputed answer in the answer's unit, every calculation the steps and hints
+// print must hold as printed, and every label a highlight prints must match the steps.
+const validateQuestion = (question) => {
+  const problems = [
+    ...optionProblems(question),
+    ...representationProblems(question.representation),
+    ...playbackProblems(question),
+    ...arithmeticProblems(question),
+    ...overlayLabelProblems(question),
+  ];
+  const entry = core.builderById(question.builderId);
+  if (!entry) return problems;
+  const shown = { ...question, representation: baseRepresentation(question.representation) };
+  const check = answerChecks[entry.id];
+  if (check) {
+    problems.push(...answerProblems(shown, check(shown)));
+  } else if (["sketch", "representation"].includes(entry.type)) {
+    problems.push(...graphAnswerProblems(shown));
+  } else if (entry.template && shown.representation) {
+    problems.push(...templateAnswerProblems(shown));
+  }
+  return problems;
+};
+
+if (typeof module !== "undefined") {
+  module.exports = { validateQuestion };
+}